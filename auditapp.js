@@ -9,6 +9,8 @@ var STATUS = { ACTIVE:'active', EXPIRED:'expired', CANCELLED:'cancelled' };
 var STATUS_LABELS = { active:'Ongoing', expired:'Overdue', cancelled:'Completed' };
 var VISIT_STATUS = { SCHEDULED:'scheduled', COMPLETED:'completed', CANCELLED:'cancelled' };
 var PAYMENT_STATUS = { PAID:'paid', PENDING:'pending', PARTIAL:'partial' };
+var RECURRENCE_LABELS = { none:'One-off', annual:'Annual', quarterly:'Quarterly', monthly:'Monthly' };
+var RECURRENCE_MONTHS = { annual:12, quarterly:3, monthly:1 };
 var PIN_KEY = 'audit-pin-hash';
 var LAST_EXPORT_KEY = 'audit-last-export';
 var BACKUP_REMINDER_DAYS = 14;
@@ -20,12 +22,68 @@ var PHONE_REGEX = /^[+]?[0-9\s-]{7,15}$/;
 var serviceOptions = ['Financial Statement Review','Statutory Compliance Check','Tax Computation','GST Reconciliation','Stock Verification','Internal Controls Review','ROC Filing','Bank Reconciliation','TDS Compliance','Report Drafting'];
 var auditTypeOptions = ['Statutory Audit','Tax Audit','GST Audit','Internal Audit','Stock Audit','Concurrent Audit','Management Audit','Other'];
 
+/* Checklist templates: one section for the audit type (Form 3CD clauses for a tax
+   audit, SA references for a statutory audit...) plus one per service in scope. */
+var AUDIT_CHECKLISTS = {
+  'Statutory Audit': ['Engagement letter and independence confirmation (SA 210)','Audit planning and materiality (SA 300 / SA 320)','Bank and third-party balance confirmations (SA 505)','Attendance at physical inventory count (SA 501)','Fixed asset additions and register verified','Revenue and expense vouching','CARO 2020 reporting points','Management representation letter (SA 580)','Draft financial statements reviewed','Audit report signed and UDIN generated'],
+  'Tax Audit': ['Cl. 8–9: Applicable clause of section 44AB and partner/member details','Cl. 11: Books of account maintained and examined','Cl. 13: Method of accounting and ICDS adjustments','Cl. 14: Valuation of closing stock','Cl. 16–17: Amounts not credited to P&L; land/building transfers (43CA/50C)','Cl. 18: Depreciation as per the Income-tax Act','Cl. 21: Disallowances u/s 37, 40(a), 40A(2)(b), 40A(3)','Cl. 26: Sums covered by section 43B','Cl. 31: Loans and deposits u/s 269SS / 269T','Cl. 34: TDS/TCS compliance and interest u/s 201(1A)','Cl. 44: Break-up of expenditure by GST registration','Form 3CA/3CB-3CD uploaded and accepted by client'],
+  'GST Audit': ['Turnover in books reconciled with GSTR-1','Tax liability in books reconciled with GSTR-3B','ITC in books matched with GSTR-2B','Reverse charge liabilities verified','E-way bill and e-invoice compliance','GSTR-9 / 9C prepared and reconciled'],
+  'Internal Audit': ['Scope and risk areas agreed with management','Walkthrough of key processes','Testing of internal controls','Observations discussed with process owners','Internal audit report issued'],
+  'Stock Audit': ['Stock statement obtained from the borrower','Physical verification of stock','Valuation checked at cost or NRV','Slow-moving and obsolete stock identified','Drawing power computation verified','Stock audit report submitted to the bank'],
+  'Concurrent Audit': ['Daily transactions vouched','Advances sanctioned and disbursed reviewed','KYC and account opening checks','Cash and balancing verified','Monthly concurrent audit report submitted'],
+  'Management Audit': ['Objectives and scope agreed','Policies and organisation structure reviewed','Performance against budgets analysed','Recommendations report issued'],
+  'Other': ['Scope confirmed with client','Work completed and reviewed','Deliverable issued to client']
+};
+var SERVICE_CHECKLISTS = {
+  'Financial Statement Review': ['Trial balance obtained','Schedules reconciled to ledgers','Notes to accounts reviewed'],
+  'Statutory Compliance Check': ['Applicable laws listed','Registers and returns verified'],
+  'Tax Computation': ['Income under each head computed','Chapter VI-A deductions verified','TDS and advance tax matched with 26AS / AIS'],
+  'GST Reconciliation': ['Purchase register ITC matched with GSTR-2B','Outward supplies matched with GSTR-1'],
+  'Stock Verification': ['Count sheets signed by client','Count differences reconciled'],
+  'Internal Controls Review': ['Control matrix documented','Deficiencies reported'],
+  'ROC Filing': ['Board and AGM minutes obtained','AOC-4 / MGT-7 prepared'],
+  'Bank Reconciliation': ['Statements obtained for all accounts','Unreconciled items followed up'],
+  'TDS Compliance': ['TDS deducted vs payable checked','Challans matched with 24Q / 26Q returns'],
+  'Report Drafting': ['Draft report shared with client','Final report issued']
+};
+var DOC_REQUEST_TEMPLATES = {
+  'Statutory Audit': ['Trial balance and ledgers','Bank statements','Fixed asset register','Closing stock statement','Board minutes','Statutory dues challans','Loan agreements and confirmations'],
+  'Tax Audit': ['Trial balance and ledgers','Bank statements','Fixed asset register','Closing stock statement','TDS returns and challans','GST returns (GSTR-1 / 3B)'],
+  'GST Audit': ['GSTR-1, 3B and 2B for the year','Sales and purchase registers','E-way bill data'],
+  'Stock Audit': ['Stock statement submitted to bank','Sanction letter']
+};
+var DOC_STATUS_LABELS = { pending:'Not requested', requested:'Requested', received:'Received' };
+
+var SAC_CODE = '998221'; /* accounting, auditing and book-keeping services */
+var DOC_PREFIX = { invoice:'INV', credit:'CN', receipt:'RCT' };
+var RECEIPT_MODES = ['Bank Transfer','UPI','Cheque','Cash'];
+var AGEING_BUCKETS = [
+  { key:'current', label:'Not yet due', max:0 },
+  { key:'d30', label:'1–30 days', max:30 },
+  { key:'d60', label:'31–60 days', max:60 },
+  { key:'d90', label:'61–90 days', max:90 },
+  { key:'d90plus', label:'90+ days', max:Infinity }
+];
+var GST_STATE_NAMES = {
+  '01':'Jammu and Kashmir','02':'Himachal Pradesh','03':'Punjab','04':'Chandigarh','05':'Uttarakhand','06':'Haryana',
+  '07':'Delhi','08':'Rajasthan','09':'Uttar Pradesh','10':'Bihar','11':'Sikkim','12':'Arunachal Pradesh',
+  '13':'Nagaland','14':'Manipur','15':'Mizoram','16':'Tripura','17':'Meghalaya','18':'Assam','19':'West Bengal',
+  '20':'Jharkhand','21':'Odisha','22':'Chhattisgarh','23':'Madhya Pradesh','24':'Gujarat',
+  '26':'Dadra and Nagar Haveli and Daman and Diu','27':'Maharashtra','29':'Karnataka','30':'Goa',
+  '31':'Lakshadweep','32':'Kerala','33':'Tamil Nadu','34':'Puducherry','35':'Andaman and Nicobar Islands',
+  '36':'Telangana','37':'Andhra Pradesh','38':'Ladakh','97':'Other Territory'
+};
+
+var COMPLIANCE_DUE_DAYS = 15;
+var MONTH_NAMES = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+
 var DEFAULT_TEMPLATES = {
   reminder: 'Hi {client_name}, this is a reminder that our team will visit you on {visit_date} at {visit_time} for {purpose}. — {firm_name}',
-  payment_due: 'Dear {client_name}, your professional fee of {amount} for {audit_type} (FY {fy}) is due on {due_date}. Kindly arrange payment at your earliest convenience. — {firm_name}',
-  overdue: 'Dear {client_name}, this is a reminder that your payment of {amount} for {audit_type} (FY {fy}) was due on {due_date} and is currently overdue. Please contact us to settle this at the earliest. — {firm_name}',
+  payment_due: 'Dear {client_name}, your outstanding professional fee of {amount} for {audit_type} (FY {fy}) is due on {due_date}. Kindly arrange payment at your earliest convenience. — {firm_name}',
+  overdue: 'Dear {client_name}, this is a reminder that the balance of {amount} for {audit_type} (FY {fy}) was due on {due_date} and is currently overdue. Please contact us to settle this at the earliest. — {firm_name}',
   completed: 'Dear {client_name}, we are pleased to inform you that your {audit_type} for FY {fy} has been completed. Thank you for your continued trust in us. — {firm_name}',
-  greeting: 'Dear {client_name}, warm greetings from {firm_name}! Wishing you continued success. Feel free to reach out anytime for your compliance needs.'
+  greeting: 'Dear {client_name}, warm greetings from {firm_name}! Wishing you continued success. Feel free to reach out anytime for your compliance needs.',
+  documents: 'Dear {client_name}, for your {audit_type} (FY {fy}) we still need the following: {documents}. Kindly share them at the earliest. — {firm_name}'
 };
 var templates = Object.assign({}, DEFAULT_TEMPLATES);
 var bulkAudience = [];
@@ -36,10 +94,17 @@ var waQueueIndex = 0;
 var clients = [];
 var contracts = [];
 var visits = [];
-var business = { name:'My CA Practice', phone:'', address:'', gst:'', gstEnabled:false, gstRate:18 };
+var filings = [];
+var invoices = [];
+var receipts = [];
+var docSeries = {};
+var business = { name:'My CA Practice', phone:'', address:'', gst:'', stateCode:'', gstEnabled:false, gstRate:18, staff:[] };
 var currentModal = '';
 var editingId = null;
 var contractFilterStatus = 'all';
+var complianceMonth = null;
+var complianceFilter = 'all';
+var rolloverPick = {};
 var lastFocusedEl = null;
 
 document.addEventListener('DOMContentLoaded', function(){
@@ -119,6 +184,7 @@ function showView(viewName){
     fillSettingsForm();
     renderSecurityForm();
   }
+  if (viewName === 'compliance') renderCompliance();
   if (viewName === 'whatsapp'){
     fillTemplatesForm();
     buildBulkAudience();
@@ -143,7 +209,7 @@ function bindFilters(){
 }
 
 function bindSearchDebounce(){
-  var map = { 'client-search': renderClients, 'contract-search': renderContracts, 'visit-search': renderVisits };
+  var map = { 'client-search': renderClients, 'contract-search': renderContracts, 'visit-search': renderVisits, 'billing-search': renderBilling };
   Object.keys(map).forEach(function(id){
     var el = document.getElementById(id);
     if (el) el.addEventListener('input', debounce(map[id], 200));
@@ -174,6 +240,16 @@ function loadData(){
   clients = safeParseArray(localStorage.getItem('audit-clients'));
   contracts = safeParseArray(localStorage.getItem('audit-engagements'));
   visits = safeParseArray(localStorage.getItem('audit-visits'));
+  filings = safeParseArray(localStorage.getItem('audit-filings'));
+  invoices = safeParseArray(localStorage.getItem('audit-invoices'));
+  receipts = safeParseArray(localStorage.getItem('audit-receipts'));
+  var savedSeries = localStorage.getItem('audit-doc-series');
+  if (savedSeries){
+    try {
+      var parsedSeries = JSON.parse(savedSeries);
+      if (parsedSeries && typeof parsedSeries === 'object') docSeries = parsedSeries;
+    } catch(e){ /* numbers still follow the highest one on record */ }
+  }
   var savedBiz = localStorage.getItem('audit-business');
   if (savedBiz){
     try {
@@ -188,8 +264,31 @@ function loadData(){
       if (parsedTpl && typeof parsedTpl === 'object') templates = Object.assign({}, DEFAULT_TEMPLATES, parsedTpl);
     } catch(e){ /* keep defaults if corrupted */ }
   }
+  migratePaymentStatus();
   applyBusinessHeader();
 }
+/* Engagements used to carry a hand-set paymentStatus. Fees marked paid become an
+   opening ledger entry for everything receivable, GST on their invoices included,
+   so their balance stays nil; 'partial' had no amount, so
+   those are left for the user to enter and flagged once. */
+function migratePaymentStatus(){
+  var legacy = contracts.filter(function(c){ return c.paymentStatus; });
+  if (legacy.length === 0) return;
+  var partial = 0;
+  legacy.forEach(function(c){
+    if (c.paymentStatus === PAYMENT_STATUS.PAID && !receipts.some(function(r){ return r.contractId === c.id; })){
+      receipts.push({
+        id: 'open-' + c.id, no: '', opening: true, date: (c.updatedAt || c.endDate || nowIso()).slice(0, 10),
+        invoiceId: '', contractId: c.id, clientId: c.clientId,
+        amount: engagementReceivable(c), tds: 0, mode: '', ref: 'Marked paid before the payment ledger', createdAt: nowIso()
+      });
+    }
+    if (c.paymentStatus === PAYMENT_STATUS.PARTIAL) partial++;
+    delete c.paymentStatus;
+  });
+  saveData();
+  if (partial) setTimeout(function(){ toast(partial + ' engagement(s) were marked part-paid — record what was received with 💵', 'info'); }, 600);
+}
 function safeParseArray(raw){
   if (!raw) return [];
   try {
@@ -204,6 +303,10 @@ function saveData(){
     localStorage.setItem('audit-clients', JSON.stringify(clients));
     localStorage.setItem('audit-engagements', JSON.stringify(contracts));
     localStorage.setItem('audit-visits', JSON.stringify(visits));
+    localStorage.setItem('audit-filings', JSON.stringify(filings));
+    localStorage.setItem('audit-invoices', JSON.stringify(invoices));
+    localStorage.setItem('audit-receipts', JSON.stringify(receipts));
+    localStorage.setItem('audit-doc-series', JSON.stringify(docSeries));
     localStorage.setItem('audit-business', JSON.stringify(business));
   } catch(e){
     toast('Could not save — browser storage may be full. Export a backup and remove old records.', 'error');
@@ -218,17 +321,22 @@ function fillSettingsForm(){
   document.getElementById('biz-phone').value = business.phone || '';
   document.getElementById('biz-address').value = business.address || '';
   document.getElementById('biz-gst').value = business.gst || '';
+  document.getElementById('biz-state').innerHTML = '<option value="">Select state</option>' + stateOptions(business.stateCode);
   document.getElementById('biz-gst-enabled').checked = !!business.gstEnabled;
   document.getElementById('biz-gst-rate').value = business.gstRate != null ? business.gstRate : 18;
+  document.getElementById('biz-staff').value = (business.staff || []).join('\n');
 }
 function saveSettings(){
   business.name = document.getElementById('biz-name').value.trim();
   business.phone = document.getElementById('biz-phone').value.trim();
   business.address = document.getElementById('biz-address').value.trim();
   business.gst = document.getElementById('biz-gst').value.trim();
+  business.stateCode = document.getElementById('biz-state').value;
   business.gstEnabled = document.getElementById('biz-gst-enabled').checked;
   var rate = parseFloat(document.getElementById('biz-gst-rate').value);
   business.gstRate = isNaN(rate) ? 18 : rate;
+  business.staff = document.getElementById('biz-staff').value.split('\n')
+    .map(function(v){ return v.trim(); }).filter(function(v, i, a){ return v && a.indexOf(v) === i; });
   saveData();
   applyBusinessHeader();
   toast('Firm profile saved', 'success');
@@ -261,6 +369,7 @@ function fillTemplatesForm(){
   document.getElementById('tpl-overdue').value = templates.overdue;
   document.getElementById('tpl-completed').value = templates.completed;
   document.getElementById('tpl-greeting').value = templates.greeting;
+  document.getElementById('tpl-documents').value = templates.documents;
 }
 function saveTemplates(){
   templates.reminder = document.getElementById('tpl-reminder').value;
@@ -268,6 +377,7 @@ function saveTemplates(){
   templates.overdue = document.getElementById('tpl-overdue').value;
   templates.completed = document.getElementById('tpl-completed').value;
   templates.greeting = document.getElementById('tpl-greeting').value;
+  templates.documents = document.getElementById('tpl-documents').value;
   try {
     localStorage.setItem('audit-templates', JSON.stringify(templates));
     toast('Templates saved', 'success');
@@ -290,12 +400,14 @@ function sendEngagementMessage(contractId, type){
   if (!c) return;
   var cl = clients.find(function(x){ return x.id === c.clientId; });
   if (!cl){ toast('Client not found', 'error'); return; }
+  var outstanding = engagementOutstanding(c);
+  if ((type === 'payment_due' || type === 'overdue') && outstanding <= 0){ toast('Nothing is outstanding on this engagement', 'info'); return; }
   if (!requirePhone(cl.phone, cl.name)) return;
   var msg = renderTemplate(templates[type], {
     client_name: cl.name, firm_name: business.name || '',
     audit_type: c.auditType || '', fy: c.fy || '',
     due_date: c.endDate ? new Date(c.endDate).toLocaleDateString() : '',
-    amount: money(c.amount)
+    amount: money(outstanding)
   });
   window.open(buildWhatsAppLink(cl.phone, msg), '_blank');
 }
@@ -344,26 +456,28 @@ function buildBulkAudience(){
       bulkAudience.push({ name: cl.name, phone: cl.phone, detail: dt.toLocaleDateString() + ' — ' + (v.purpose || ''), message: msg });
     });
   } else if (type === 'payment_due'){
-    contracts.filter(function(c){ return c.status === 'active' && (c.paymentStatus === 'pending' || c.paymentStatus === 'partial'); }).forEach(function(c){
+    contracts.filter(function(c){ return c.status === 'active' && engagementOutstanding(c) > 0; }).forEach(function(c){
       var cl = clients.find(function(x){ return x.id === c.clientId; });
       if (!cl || !cl.phone) return;
+      var due = engagementOutstanding(c);
       var msg = renderTemplate(templates.payment_due, {
         client_name: cl.name, firm_name: business.name || '',
         audit_type: c.auditType || '', fy: c.fy || '',
-        due_date: new Date(c.endDate).toLocaleDateString(), amount: money(c.amount)
+        due_date: new Date(c.endDate).toLocaleDateString(), amount: money(due)
       });
-      bulkAudience.push({ name: cl.name, phone: cl.phone, detail: money(c.amount) + ' due ' + new Date(c.endDate).toLocaleDateString(), message: msg });
+      bulkAudience.push({ name: cl.name, phone: cl.phone, detail: money(due) + ' due ' + new Date(c.endDate).toLocaleDateString(), message: msg });
     });
   } else if (type === 'overdue'){
-    contracts.filter(function(c){ return c.status === 'expired'; }).forEach(function(c){
+    contracts.filter(function(c){ return c.status === 'expired' && engagementOutstanding(c) > 0; }).forEach(function(c){
       var cl = clients.find(function(x){ return x.id === c.clientId; });
       if (!cl || !cl.phone) return;
+      var due = engagementOutstanding(c);
       var msg = renderTemplate(templates.overdue, {
         client_name: cl.name, firm_name: business.name || '',
         audit_type: c.auditType || '', fy: c.fy || '',
-        due_date: new Date(c.endDate).toLocaleDateString(), amount: money(c.amount)
+        due_date: new Date(c.endDate).toLocaleDateString(), amount: money(due)
       });
-      bulkAudience.push({ name: cl.name, phone: cl.phone, detail: money(c.amount) + ' overdue since ' + new Date(c.endDate).toLocaleDateString(), message: msg });
+      bulkAudience.push({ name: cl.name, phone: cl.phone, detail: money(due) + ' overdue since ' + new Date(c.endDate).toLocaleDateString(), message: msg });
     });
   } else if (type === 'completed'){
     contracts.filter(function(c){ return c.status === 'cancelled'; }).forEach(function(c){
@@ -480,7 +594,7 @@ function checkBackupReminder(){
 
 /* ================= EXPORT / IMPORT ================= */
 function exportData(){
-  var payload = { clients: clients, contracts: contracts, visits: visits, business: business, exportedAt: nowIso() };
+  var payload = { clients: clients, contracts: contracts, visits: visits, filings: filings, invoices: invoices, receipts: receipts, docSeries: docSeries, business: business, exportedAt: nowIso() };
   var blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
   var url = URL.createObjectURL(blob);
   var a = document.createElement('a');
@@ -515,7 +629,12 @@ function importData(evt){
       clients = data.clients;
       contracts = data.contracts;
       visits = data.visits;
+      filings = Array.isArray(data.filings) ? data.filings : [];
+      invoices = Array.isArray(data.invoices) ? data.invoices : [];
+      receipts = Array.isArray(data.receipts) ? data.receipts : [];
+      mergeDocSeries(data.docSeries);
       if (data.business && typeof data.business === 'object') business = Object.assign({}, business, data.business);
+      migratePaymentStatus();
       saveData();
       applyBusinessHeader();
       refreshAll();
@@ -557,10 +676,15 @@ function exportClientsCSV(){
 }
 function exportEngagementsCSV(){
   if (contracts.length === 0){ toast('No engagements to export', 'info'); return; }
-  var headers = ['Client', 'Audit Type', 'Financial Year', 'Start Date', 'Due Date', 'Fee', 'Payment Status', 'Status', 'Scope of Work', 'Notes'];
+  var headers = ['Client', 'Audit Type', 'Financial Year', 'Start Date', 'Due Date', 'Recurs', 'Fee', 'Received', 'TDS Deducted', 'Outstanding', 'Payment Status', 'Status', 'Checklist %', 'Documents Awaited', 'Scope of Work', 'Notes'];
   var rows = contracts.map(function(c){
     var cl = clients.find(function(x){ return x.id === c.clientId; });
-    return [cl ? cl.name : 'Unknown', c.auditType || '', c.fy || '', c.startDate, c.endDate, c.amount, c.paymentStatus || '', STATUS_LABELS[c.status] || c.status, (c.services || []).join('; '), c.notes || ''];
+    var paid = engagementPayments(c);
+    return [cl ? cl.name : 'Unknown', c.auditType || '', c.fy || '', c.startDate, c.endDate, RECURRENCE_LABELS[c.recurrence || 'none'], c.amount,
+      round2(paid.reduce(function(t, r){ return t + r.amount; }, 0)), round2(paid.reduce(function(t, r){ return t + r.tds; }, 0)),
+      engagementOutstanding(c), engagementPaymentStatus(c), STATUS_LABELS[c.status] || c.status,
+      checklistProgress(c).pct, (c.docRequests || []).filter(function(d){ return d.status !== 'received'; }).length,
+      (c.services || []).join('; '), c.notes || ''];
   });
   downloadCSV('engagements-' + new Date().toISOString().slice(0, 10) + '.csv', headers, rows);
   toast('Engagements exported to CSV', 'success');
@@ -586,6 +710,8 @@ function refreshAll(){
   renderClients();
   renderContracts();
   renderVisits();
+  renderCompliance();
+  renderBilling();
   checkBackupReminder();
 }
 
@@ -624,6 +750,18 @@ function addYearToDate(dstr){
   d.setFullYear(d.getFullYear() + 1);
   return d.toISOString().slice(0, 10);
 }
+/* Month arithmetic that clamps to the last day, so 31 Jan + 1 month is 28/29 Feb. */
+function addMonthsToDate(dstr, months){
+  if (!dstr) return dstr;
+  var d = new Date(dstr);
+  if (isNaN(d.getTime())) return dstr;
+  var day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  var last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, last));
+  return d.toISOString().slice(0, 10);
+}
 
 /* ================= VALIDATION HELPERS ================= */
 function isValidPanOrGstin(v){
@@ -645,6 +783,13 @@ function openModal(type, id){
   submitBtn.textContent = 'Save';
 
   title.textContent = (id ? 'Edit ' : 'Add ') + (type === 'contract' ? 'Engagement' : type.charAt(0).toUpperCase() + type.slice(1));
+  if (type === 'filing') title.textContent = findFiling(id) ? 'Edit Filing' : 'Mark as Filed';
+  if (type === 'invoice') title.textContent = business.gstEnabled ? 'Raise Tax Invoice' : 'Raise Invoice';
+  if (type === 'receipt') title.textContent = 'Record Receipt';
+  if (type === 'payment') title.textContent = 'Record Payment';
+  if (type === 'credit') title.textContent = 'Issue Credit Note';
+  if (type === 'rollover') title.textContent = 'Roll Forward to Next FY';
+  if (type === 'checklist') title.textContent = 'Checklist & Documents';
 
   if (type === 'client'){
     var client = id ? (clients.find(function(c){ return c.id === id; }) || {}) : {};
@@ -702,14 +847,15 @@ function openModal(type, id){
       '<div class="field"><label for="contract-end">Due Date *</label>' +
       '<input type="date" id="contract-end" value="' + esc(contract.endDate || '') + '" required aria-required="true"></div>' +
       '</div>' +
+      '<div class="grid">' +
       '<div class="field"><label for="contract-amount">Fee Amount (₹) *</label>' +
       '<input type="number" id="contract-amount" min="1" step="1" value="' + esc(contract.amount || '') + '" placeholder="Amount" required aria-required="true"></div>' +
-      '<div class="field"><label for="contract-payment">Payment Status</label>' +
-      '<select id="contract-payment">' +
-      '<option value="paid"' + (contract.paymentStatus === 'paid' ? ' selected' : '') + '>Paid</option>' +
-      '<option value="pending"' + (contract.paymentStatus === 'pending' ? ' selected' : '') + '>Pending</option>' +
-      '<option value="partial"' + (contract.paymentStatus === 'partial' ? ' selected' : '') + '>Partial</option>' +
-      '</select></div>' +
+      '<div class="field"><label for="contract-recurrence">Recurs</label>' +
+      '<select id="contract-recurrence">' + Object.keys(RECURRENCE_LABELS).map(function(k){
+        return '<option value="' + k + '"' + ((contract.recurrence || 'none') === k ? ' selected' : '') + '>' + RECURRENCE_LABELS[k] + '</option>';
+      }).join('') + '</select></div>' +
+      '</div>' +
+      (contract.id ? '<p class="page-sub" style="margin:-6px 0 14px;">Received ' + money(engagementReceived(contract)) + ' &middot; outstanding ' + money(engagementOutstanding(contract)) + '. Payments are recorded with 💵 on the engagement.</p>' : '') +
       '<fieldset class="field"><legend>Scope of Work</legend>' +
       '<div class="service-grid">' + serviceCheckboxes + '</div></fieldset>' +
       '<div class="field"><label for="contract-status">Status</label>' +
@@ -755,6 +901,120 @@ function openModal(type, id){
       '<textarea id="visit-notes" rows="3" placeholder="Visit notes">' + esc(visit.notes || '') + '</textarea></div>' +
       '<div class="field"><label for="visit-work">Observations</label>' +
       '<textarea id="visit-work" rows="3" placeholder="Observations / findings">' + esc(visit.workDone || '') + '</textarea></div>';
+
+  } else if (type === 'filing'){
+    var item = complianceItems().find(function(x){ return x.key === id; });
+    if (!item){ toast('This due date no longer applies to the client', 'error'); return; }
+    var filing = item.filing || {};
+    content.innerHTML =
+      '<div class="row-item" style="margin-bottom:16px;"><div><div class="ri-name">' + esc(item.client.name) + ' &middot; ' + esc(item.form) + '</div>' +
+      '<div class="ri-sub">' + esc(item.period) + ' &middot; due ' + fmtDueDate(item.due) + '</div></div></div>' +
+      '<div class="grid">' +
+      '<div class="field"><label for="filing-ack">Acknowledgement No. *</label>' +
+      '<input type="text" id="filing-ack" value="' + esc(filing.ackNo || '') + '" placeholder="ARN / ack / SRN" required aria-required="true"></div>' +
+      '<div class="field"><label for="filing-date">Filed On *</label>' +
+      '<input type="date" id="filing-date" value="' + esc(filing.filedOn || dateKey(new Date())) + '" required aria-required="true"></div>' +
+      '</div>' +
+      '<div class="field"><label for="filing-notes">Notes</label>' +
+      '<textarea id="filing-notes" rows="2" placeholder="Late fee paid, revised return...">' + esc(filing.notes || '') + '</textarea></div>';
+
+  } else if (type === 'invoice'){
+    var ic = contracts.find(function(c){ return c.id === id; });
+    var icl = ic ? clients.find(function(c){ return c.id === ic.clientId; }) : null;
+    if (!icl){ toast('Client not found', 'error'); return; }
+    var gstin = clientGstin(icl);
+    content.innerHTML =
+      '<div class="row-item" style="margin-bottom:16px;"><div><div class="ri-name">' + esc(icl.name) + '</div>' +
+      '<div class="ri-sub">' + esc(ic.auditType || '') + ' &middot; FY ' + esc(ic.fy || '') + (gstin ? ' &middot; GSTIN ' + esc(gstin) : '') + '</div></div></div>' +
+      '<div class="grid">' +
+      '<div class="field"><label for="inv-date">Invoice Date *</label>' +
+      '<input type="date" id="inv-date" value="' + dateKey(new Date()) + '" required aria-required="true"></div>' +
+      '<div class="field"><label for="inv-pos">Place of Supply</label>' +
+      '<select id="inv-pos" onchange="updateInvoiceTotals()"' + (gstin ? ' disabled title="Taken from the client\'s GSTIN"' : '') + '>' +
+      '<option value="">Same as firm</option>' + stateOptions(gstin ? gstin.slice(0, 2) : firmStateCode()) + '</select></div>' +
+      '</div>' +
+      '<fieldset class="field"><legend>Line Items (SAC ' + SAC_CODE + ')</legend>' +
+      '<div id="inv-lines"></div>' +
+      '<button type="button" class="btn btn-ghost btn-sm" onclick="addInvoiceLine()">+ Add Line</button></fieldset>' +
+      '<div class="bill-items" id="inv-totals"></div>' +
+      '<div class="field"><label for="inv-notes">Notes</label>' +
+      '<textarea id="inv-notes" rows="2" placeholder="Bank details, payment terms..."></textarea></div>';
+    addInvoiceLine((ic.auditType || 'Professional fees') + ' — FY ' + (ic.fy || ''), ic.amount);
+    submitBtn.textContent = 'Issue Invoice';
+
+  } else if (type === 'receipt'){
+    var rinv = invoices.find(function(x){ return x.id === id; });
+    if (!rinv) return;
+    content.innerHTML =
+      '<div class="row-item" style="margin-bottom:16px;"><div><div class="ri-name">' + esc(rinv.no) + ' &middot; ' + esc(rinv.billTo.name) + '</div>' +
+      '<div class="ri-sub">Invoice ' + money(rinv.total) + ' &middot; balance ' + money(invoiceBalance(rinv)) + '</div></div></div>' +
+      receiptFieldsHtml(invoiceBalance(rinv), rinv.taxable);
+    submitBtn.textContent = 'Record Receipt';
+
+  } else if (type === 'payment'){
+    var pc = contracts.find(function(c){ return c.id === id; });
+    var pcl = pc ? clients.find(function(c){ return c.id === pc.clientId; }) : null;
+    if (!pc) return;
+    var openInvoices = invoices.filter(function(d){ return d.kind === 'invoice' && d.contractId === pc.id && invoiceBalance(d) > 0; })
+      .sort(function(a, b){ return a.date < b.date ? -1 : 1; });
+    var invOptions = '';
+    openInvoices.forEach(function(d){ invOptions += '<option value="' + d.id + '">' + esc(d.no) + ' — ' + money(invoiceBalance(d)) + ' due</option>'; });
+    var history = '';
+    engagementPayments(pc).forEach(function(r){
+      history += '<div><span>' + fmtDueDate(r.date) + ' &middot; ' + esc(r.opening ? 'Opening balance' : (r.mode || '')) + (r.ref ? ' &middot; ' + esc(r.ref) : '') + '</span>' +
+        '<span>' + money(r.amount) + (r.tds ? ' + TDS ' + money(r.tds) : '') + '</span></div>';
+    });
+    content.innerHTML =
+      '<div class="row-item" style="margin-bottom:12px;"><div><div class="ri-name">' + esc(pcl ? pcl.name : 'Unknown') + ' &middot; ' + esc(pc.auditType || '') + ' FY ' + esc(pc.fy || '') + '</div>' +
+      '<div class="ri-sub">Receivable ' + money(engagementReceivable(pc)) + ' &middot; received ' + money(engagementReceived(pc)) + ' &middot; outstanding ' + money(engagementOutstanding(pc)) + '</div></div></div>' +
+      (history ? '<div class="bill-items" style="margin-bottom:14px;">' + history + '</div>' : '') +
+      (openInvoices.length ? '<div class="field"><label for="pay-invoice">Against Invoice</label><select id="pay-invoice">' + invOptions + '<option value="">On account (not invoiced)</option></select></div>' : '') +
+      receiptFieldsHtml(engagementOutstanding(pc), parseFloat(pc.amount) || 0);
+    submitBtn.textContent = 'Record Payment';
+
+  } else if (type === 'checklist'){
+    var kc = contracts.find(function(c){ return c.id === id; });
+    if (!kc) return;
+    if (ensureChecklist(kc)) saveData();
+    renderChecklistModal();
+    submitBtn.textContent = 'Done';
+
+  } else if (type === 'rollover'){
+    var fys = contracts.map(function(c){ return c.fy; }).filter(function(v, i, a){ return v && a.indexOf(v) === i; }).sort().reverse();
+    if (fys.length === 0){ toast('No engagements to roll forward', 'info'); return; }
+    rolloverPick = {};
+    content.innerHTML =
+      '<div class="grid">' +
+      '<div class="field"><label for="rollover-fy">Engagements of FY</label>' +
+      '<select id="rollover-fy" onchange="rolloverPick = {}; renderRolloverPreview()">' + fys.map(function(fy){ return '<option value="' + esc(fy) + '">' + esc(fy) + '</option>'; }).join('') + '</select></div>' +
+      '<div class="field"><label for="rollover-escalation">Fee Escalation (%)</label>' +
+      '<input type="number" id="rollover-escalation" min="0" max="100" step="0.5" value="0" oninput="renderRolloverPreview()"></div>' +
+      '</div>' +
+      '<p class="page-sub" id="rollover-summary" style="margin:0 0 10px;"></p>' +
+      '<div class="table-wrap"><table>' +
+      '<caption class="visually-hidden">Engagements that will be created</caption>' +
+      '<thead><tr><th scope="col"><input type="checkbox" id="rollover-all" onchange="toggleRolloverAll(this.checked)" aria-label="Select all"></th>' +
+      '<th scope="col">Client</th><th scope="col">Next Period</th><th scope="col">Fee</th></tr></thead>' +
+      '<tbody id="rollover-preview"></tbody></table></div>';
+    renderRolloverPreview();
+    submitBtn.textContent = 'Roll Forward';
+
+  } else if (type === 'credit'){
+    var cinv = invoices.find(function(x){ return x.id === id; });
+    if (!cinv) return;
+    var creditable = round2(cinv.taxable - invoiceCredits(cinv).reduce(function(t, n){ return t + n.taxable; }, 0));
+    content.innerHTML =
+      '<div class="row-item" style="margin-bottom:16px;"><div><div class="ri-name">' + esc(cinv.no) + ' &middot; ' + esc(cinv.billTo.name) + '</div>' +
+      '<div class="ri-sub">Taxable value ' + money(cinv.taxable) + ' &middot; up to ' + money(creditable) + ' can still be credited</div></div></div>' +
+      '<div class="grid">' +
+      '<div class="field"><label for="cn-date">Date *</label>' +
+      '<input type="date" id="cn-date" value="' + dateKey(new Date()) + '" required aria-required="true"></div>' +
+      '<div class="field"><label for="cn-amount">Taxable Value to Credit (₹) *</label>' +
+      '<input type="number" id="cn-amount" min="0" max="' + creditable + '" step="0.01" value="' + creditable + '" required aria-required="true"></div>' +
+      '</div>' +
+      '<div class="field"><label for="cn-reason">Reason *</label>' +
+      '<input type="text" id="cn-reason" placeholder="Fee revised, scope reduced..." required aria-required="true"></div>';
+    submitBtn.textContent = 'Issue Credit Note';
   }
 
   modal.classList.add('active');
@@ -802,7 +1062,7 @@ function submitModal(){
     var startDate = document.getElementById('contract-start').value;
     var endDate = document.getElementById('contract-end').value;
     var amount = document.getElementById('contract-amount').value;
-    var paymentStatus = document.getElementById('contract-payment').value;
+    var recurrence = document.getElementById('contract-recurrence').value;
     var status = document.getElementById('contract-status').value;
     var notes = document.getElementById('contract-notes').value;
     var boxes = document.querySelectorAll('.service-checkbox:checked');
@@ -811,7 +1071,7 @@ function submitModal(){
     if (!clientId || !fy || !startDate || !endDate || !amount){ toast('Please fill in all required fields', 'error'); return; }
     if (new Date(startDate) > new Date(endDate)){ toast('Start date must be before the due date', 'error'); return; }
     if (parseFloat(amount) <= 0){ toast('Fee must be a positive amount', 'error'); return; }
-    var data = { clientId: clientId, auditType: auditType, fy: fy, startDate: startDate, endDate: endDate, amount: amount, paymentStatus: paymentStatus, services: services, status: status, notes: notes };
+    var data = { clientId: clientId, auditType: auditType, fy: fy, startDate: startDate, endDate: endDate, amount: amount, recurrence: recurrence, services: services, status: status, notes: notes };
     if (editingId){
       var idx = contracts.findIndex(function(c){ return c.id === editingId; });
       if (idx > -1) contracts[idx] = Object.assign({}, contracts[idx], data, { id: editingId, updatedAt: ts });
@@ -838,6 +1098,92 @@ function submitModal(){
     }
     renderVisits();
     toast(editingId ? 'Visit updated' : 'Visit scheduled', 'success');
+
+  } else if (currentModal === 'filing'){
+    var item = complianceItems().find(function(x){ return x.key === editingId; });
+    var ackNo = document.getElementById('filing-ack').value.trim();
+    var filedOn = document.getElementById('filing-date').value;
+    var notes = document.getElementById('filing-notes').value;
+    if (!item) return;
+    if (!ackNo || !filedOn){ toast('Please fill in all required fields', 'error'); return; }
+    var data = { key: item.key, clientId: item.client.id, form: item.form, period: item.period, due: item.due, ackNo: ackNo, filedOn: filedOn, notes: notes };
+    var idx = filings.findIndex(function(f){ return f.key === item.key; });
+    if (idx > -1) filings[idx] = Object.assign({}, filings[idx], data, { updatedAt: ts });
+    else filings.push(Object.assign({}, data, { createdAt: ts, updatedAt: ts }));
+    renderCompliance();
+    toast(item.form + ' marked as filed', 'success');
+
+  } else if (currentModal === 'invoice'){
+    var ic = contracts.find(function(c){ return c.id === editingId; });
+    var icl = ic ? clients.find(function(c){ return c.id === ic.clientId; }) : null;
+    var date = document.getElementById('inv-date').value;
+    var lines = readInvoiceLines();
+    if (!icl) return;
+    if (!date){ toast('Please fill in all required fields', 'error'); return; }
+    if (lines.length === 0){ toast('Add at least one line with an amount', 'error'); return; }
+    if (lines.some(function(l){ return !l.desc; })){ toast('Every line needs a description', 'error'); return; }
+    /* without the firm's state there is no telling CGST+SGST from IGST */
+    if (business.gstEnabled && !firmStateCode()){ toast('Add the firm\'s GSTIN or state in Settings before issuing a GST invoice', 'error'); return; }
+    var doc = buildGstDocument('invoice', date, icl, document.getElementById('inv-pos').value, lines, invoiceGstRate());
+    doc.contractId = ic.id;
+    doc.notes = document.getElementById('inv-notes').value.trim();
+    invoices.push(doc);
+    saveData();
+    renderBilling();
+    updateDashboard();
+    renderContracts();
+    closeModal();
+    toast('Invoice ' + doc.no + ' issued', 'success');
+    viewInvoice(doc.id);
+    return;
+
+  } else if (currentModal === 'receipt'){
+    var rinv = invoices.find(function(x){ return x.id === editingId; });
+    var entry = readReceiptFields();
+    if (!rinv || !entry) return;
+    if (entry.amount + entry.tds > invoiceBalance(rinv) + 0.5){ toast('More than the ' + money(invoiceBalance(rinv)) + ' balance on this invoice', 'error'); return; }
+    var receipt = addReceipt(entry, rinv.contractId, rinv.clientId, rinv.id);
+    renderBilling();
+    renderContracts();
+    toast('Receipt ' + receipt.no + ' recorded', 'success');
+
+  } else if (currentModal === 'payment'){
+    var pc = contracts.find(function(c){ return c.id === editingId; });
+    var entry = readReceiptFields();
+    if (!pc || !entry) return;
+    var invSelect = document.getElementById('pay-invoice');
+    var pinv = invSelect && invSelect.value ? invoices.find(function(x){ return x.id === invSelect.value; }) : null;
+    var limit = pinv ? invoiceBalance(pinv) : engagementOutstanding(pc);
+    if (entry.amount + entry.tds > limit + 0.5){ toast('More than the ' + money(limit) + ' ' + (pinv ? 'balance on ' + pinv.no : 'outstanding on this engagement'), 'error'); return; }
+    var payment = addReceipt(entry, pc.id, pc.clientId, pinv ? pinv.id : '');
+    renderContracts();
+    renderBilling();
+    toast('Payment recorded (' + payment.no + ')', 'success');
+
+  } else if (currentModal === 'rollover'){
+    var plan = rolloverPlan().filter(function(p){ return rolloverPicked(p); });
+    if (plan.length === 0){ toast('Select at least one engagement to roll forward', 'error'); return; }
+    var base = Date.now();
+    plan.forEach(function(p, i){
+      contracts.push(Object.assign({}, p.next, { id: String(base + i), rolledFrom: p.source.id, createdAt: ts, updatedAt: ts }));
+    });
+    renderContracts();
+    toast(plan.length + ' engagement(s) rolled forward to FY ' + plan[0].next.fy, 'success');
+
+  } else if (currentModal === 'credit'){
+    var cinv = invoices.find(function(x){ return x.id === editingId; });
+    var date = document.getElementById('cn-date').value;
+    var amount = round2(parseFloat(document.getElementById('cn-amount').value) || 0);
+    var reason = document.getElementById('cn-reason').value.trim();
+    if (!cinv) return;
+    var creditable = round2(cinv.taxable - invoiceCredits(cinv).reduce(function(t, n){ return t + n.taxable; }, 0));
+    if (!date || !reason || amount <= 0){ toast('Please fill in all required fields', 'error'); return; }
+    if (amount > creditable){ toast('Only ' + money(creditable) + ' of this invoice can still be credited', 'error'); return; }
+    if (date < cinv.date){ toast('A credit note cannot be dated before its invoice', 'error'); return; }
+    var note = buildCreditNote(cinv, date, [{ desc: 'Against ' + cinv.no + ' — ' + reason, sac: SAC_CODE, amount: amount }]);
+    invoices.push(note);
+    renderBilling();
+    toast('Credit note ' + note.no + ' issued', 'success');
   }
 
   saveData();
@@ -846,36 +1192,108 @@ function submitModal(){
 }
 
 function deleteItem(type, id){
+  /* Invoices and receipts are numbered documents, so an engagement that has any stays. */
+  if (type === 'contract' && (invoices.some(function(d){ return d.contractId === id; }) || receipts.some(function(r){ return r.contractId === id; }))){
+    toast('This engagement has invoices or receipts on record and cannot be deleted — mark it completed instead', 'error');
+    return;
+  }
   if (!confirm('Are you sure you want to delete this item? This cannot be undone.')) return;
   if (type === 'client'){ clients = clients.filter(function(c){ return c.id !== id; }); renderClients(); }
-  else if (type === 'contract'){ contracts = contracts.filter(function(c){ return c.id !== id; }); renderContracts(); }
+  else if (type === 'contract'){
+    contracts = contracts.filter(function(c){ return c.id !== id; });
+    renderContracts();
+  }
   else if (type === 'visit'){ visits = visits.filter(function(v){ return v.id !== id; }); renderVisits(); }
+  else if (type === 'filing'){ filings = filings.filter(function(f){ return f.key !== id; }); renderCompliance(); }
+  else if (type === 'receipt'){ receipts = receipts.filter(function(r){ return r.id !== id; }); renderBilling(); renderContracts(); }
   saveData();
   updateDashboard();
   toast('Deleted', 'info');
 }
 
-function renewEngagement(id){
-  var c = contracts.find(function(x){ return x.id === id; });
-  if (!c) return;
-  var ts = nowIso();
-  var next = {
+/* The engagement that follows c: a year later for annual and one-off work (the
+   old "renew" behaviour), or the next month / quarter for periodic GST and TDS
+   work, whose FY then follows its new start date. */
+function nextOccurrence(c, months){
+  months = months || RECURRENCE_MONTHS[c.recurrence] || 12;
+  var yearly = months === 12;
+  var startDate = yearly ? addYearToDate(c.startDate) : addMonthsToDate(c.startDate, months);
+  return {
     clientId: c.clientId,
     auditType: c.auditType,
-    fy: incrementFY(c.fy),
-    startDate: addYearToDate(c.startDate),
-    endDate: addYearToDate(c.endDate),
+    fy: yearly ? incrementFY(c.fy) : fyOfDate(startDate),
+    startDate: startDate,
+    endDate: yearly ? addYearToDate(c.endDate) : addMonthsToDate(c.endDate, months),
     amount: c.amount,
-    paymentStatus: 'pending',
+    recurrence: c.recurrence || 'none',
     services: (c.services || []).slice(),
     status: 'active',
     notes: ''
   };
-  contracts.push(Object.assign({}, next, { id: Date.now().toString(), createdAt: ts, updatedAt: ts }));
+}
+function occurrenceExists(next){
+  return contracts.some(function(x){ return x.clientId === next.clientId && x.auditType === next.auditType && x.startDate === next.startDate; });
+}
+
+function renewEngagement(id){
+  var c = contracts.find(function(x){ return x.id === id; });
+  if (!c) return;
+  var ts = nowIso();
+  var next = nextOccurrence(c);
+  if (occurrenceExists(next)){ toast('The next engagement from ' + fmtDueDate(next.startDate) + ' already exists', 'info'); return; }
+  contracts.push(Object.assign({}, next, { id: Date.now().toString(), rolledFrom: c.id, createdAt: ts, updatedAt: ts }));
   saveData();
   renderContracts();
   updateDashboard();
-  toast('Engagement renewed for ' + next.fy, 'success');
+  toast(RECURRENCE_MONTHS[c.recurrence] < 12 ? RECURRENCE_LABELS[c.recurrence] + ' engagement created from ' + fmtDueDate(next.startDate) : 'Engagement renewed for ' + next.fy, 'success');
+}
+
+/* ---- Batch roll forward ----
+   Every engagement of the chosen FY moves one year on — periodic ones land in the
+   same month of the next FY — with the fee raised by the escalation percentage.
+   Nothing is written until the preview is confirmed. */
+function rolloverPlan(){
+  var fy = document.getElementById('rollover-fy').value;
+  var pct = parseFloat(document.getElementById('rollover-escalation').value) || 0;
+  return contracts.filter(function(c){ return c.fy === fy; }).map(function(c){
+    var next = nextOccurrence(c, 12);
+    next.amount = String(Math.round((parseFloat(c.amount) || 0) * (1 + pct / 100)));
+    return { source: c, next: next, exists: occurrenceExists(next) };
+  }).sort(function(a, b){ return a.source.startDate < b.source.startDate ? -1 : 1; });
+}
+/* Recurring engagements are ticked by default, one-offs only when the user ticks them. */
+function rolloverPicked(p){
+  if (p.exists) return false;
+  var id = p.source.id;
+  return id in rolloverPick ? rolloverPick[id] : !!RECURRENCE_MONTHS[p.source.recurrence];
+}
+function renderRolloverPreview(){
+  var plan = rolloverPlan();
+  var picked = plan.filter(function(p){ return rolloverPicked(p); });
+  document.getElementById('rollover-preview').innerHTML = plan.map(function(p){
+    var cl = clients.find(function(x){ return x.id === p.source.clientId; });
+    var recurring = RECURRENCE_MONTHS[p.source.recurrence];
+    return '<tr' + (p.exists ? ' style="opacity:.55;"' : '') + '>' +
+      '<td><input type="checkbox"' + (p.exists ? ' disabled' : rolloverPicked(p) ? ' checked' : '') + ' onchange="toggleRolloverRow(\'' + p.source.id + '\', this.checked)" aria-label="Roll forward ' + esc(cl ? cl.name : 'engagement') + '"></td>' +
+      '<td><strong>' + esc(cl ? cl.name : 'Unknown') + '</strong><br><span style="color:#5c5344;font-size:.78rem;">' + esc(p.source.auditType || '') + (recurring ? ' &middot; ' + RECURRENCE_LABELS[p.source.recurrence] : '') + '</span></td>' +
+      '<td>' + (p.exists ? '<em>Already rolled forward</em>' : 'FY ' + esc(p.next.fy) + '<br><span style="color:#5c5344;font-size:.78rem;">' + fmtDueDate(p.next.startDate) + ' &ndash; ' + fmtDueDate(p.next.endDate) + '</span>') + '</td>' +
+      '<td>' + money(p.next.amount) + (p.next.amount !== String(p.source.amount) ? '<br><span style="color:#5c5344;font-size:.78rem;">was ' + money(p.source.amount) + '</span>' : '') + '</td>' +
+      '</tr>';
+  }).join('');
+  var feeTotal = picked.reduce(function(t, p){ return t + (parseFloat(p.next.amount) || 0); }, 0);
+  document.getElementById('rollover-summary').textContent = picked.length + ' of ' + plan.length + ' engagement(s) selected · fees ' + money(feeTotal) +
+    (plan.some(function(p){ return p.exists; }) ? ' · already rolled forward ones are skipped' : '');
+  var all = document.getElementById('rollover-all');
+  all.checked = picked.length > 0 && picked.length === plan.filter(function(p){ return !p.exists; }).length;
+}
+function toggleRolloverRow(id, checked){
+  rolloverPick[id] = checked;
+  renderRolloverPreview();
+}
+function toggleRolloverAll(checked){
+  rolloverPick = {};
+  rolloverPlan().forEach(function(p){ rolloverPick[p.source.id] = checked; });
+  renderRolloverPreview();
 }
 
 function viewClientEngagements(clientId){
@@ -888,6 +1306,206 @@ function viewClientEngagements(clientId){
   searchBox.focus();
 }
 
+/* ================= CHECKLISTS & DOCUMENT REQUESTS =================
+   Stored on the engagement itself (checklist / docRequests) so they travel with
+   it in backups. Template sections are added the first time an engagement's
+   checklist is opened, and again for any service added to its scope later.
+   checklistSections remembers what was seeded, so a section whose items were all
+   deleted stays deleted. */
+function checklistTemplate(c){
+  var sections = [{ section: c.auditType || 'Other', items: AUDIT_CHECKLISTS[c.auditType] || AUDIT_CHECKLISTS.Other }];
+  (c.services || []).forEach(function(svc){
+    if (SERVICE_CHECKLISTS[svc]) sections.push({ section: svc, items: SERVICE_CHECKLISTS[svc] });
+  });
+  return sections;
+}
+function ensureChecklist(c){
+  var changed = false;
+  if (!Array.isArray(c.checklist)){ c.checklist = []; changed = true; }
+  if (!Array.isArray(c.checklistSections)){
+    /* checklists started before sections were recorded: whatever they hold was seeded */
+    c.checklistSections = c.checklist.reduce(function(list, it){
+      if (list.indexOf(it.section) === -1) list.push(it.section);
+      return list;
+    }, []);
+    changed = true;
+  }
+  var seed = Date.now();
+  checklistTemplate(c).forEach(function(tpl){
+    if (c.checklistSections.indexOf(tpl.section) > -1) return;
+    tpl.items.forEach(function(text){
+      c.checklist.push({ id: 'ck' + (seed++), section: tpl.section, text: text, assignee: '', due: c.endDate || '', done: false });
+    });
+    c.checklistSections.push(tpl.section);
+    changed = true;
+  });
+  if (!Array.isArray(c.docRequests)){
+    c.docRequests = (DOC_REQUEST_TEMPLATES[c.auditType] || ['Trial balance and ledgers', 'Bank statements']).map(function(name){
+      return { id: 'doc' + (seed++), name: name, status: 'pending', requestedOn: '', receivedOn: '' };
+    });
+    changed = true;
+  }
+  return changed;
+}
+/* Engagements whose checklist was never opened count against their template. */
+function checklistProgress(c){
+  var total = Array.isArray(c.checklist) ? c.checklist.length
+    : checklistTemplate(c).reduce(function(t, s){ return t + s.items.length; }, 0);
+  var done = Array.isArray(c.checklist) ? c.checklist.filter(function(it){ return it.done; }).length : 0;
+  return { done: done, total: total, pct: total ? Math.round(done / total * 100) : 0 };
+}
+function checklistProgressHtml(c){
+  var p = checklistProgress(c);
+  var awaited = (c.docRequests || []).filter(function(d){ return d.status !== 'received'; }).length;
+  return '<div class="progress" title="' + p.done + ' of ' + p.total + ' checklist items done"><span style="width:' + p.pct + '%"></span></div>' +
+    '<span style="color:#5c5344;font-size:.78rem;">' + p.pct + '% done' + (awaited ? ' &middot; ' + awaited + ' doc' + (awaited === 1 ? '' : 's') + ' awaited' : '') + '</span>';
+}
+function checklistContract(){
+  return contracts.find(function(c){ return c.id === editingId; });
+}
+function renderChecklistModal(){
+  var c = checklistContract();
+  if (!c) return;
+  var cl = clients.find(function(x){ return x.id === c.clientId; });
+  var p = checklistProgress(c);
+  var today = dateKey(new Date());
+  var staff = business.staff || [];
+  var staffOptions = function(selected){
+    var opts = '<option value="">Unassigned</option>';
+    staff.concat(selected && staff.indexOf(selected) === -1 ? [selected] : []).forEach(function(name){
+      opts += '<option value="' + esc(name) + '"' + (name === selected ? ' selected' : '') + '>' + esc(name) + '</option>';
+    });
+    return opts;
+  };
+
+  var sections = [];
+  c.checklist.forEach(function(it){ if (sections.indexOf(it.section) === -1) sections.push(it.section); });
+  var itemsHtml = sections.map(function(section){
+    var items = c.checklist.filter(function(it){ return it.section === section; });
+    return '<h4 class="ck-section">' + esc(section) + ' <span>' + items.filter(function(it){ return it.done; }).length + '/' + items.length + '</span></h4>' +
+      items.map(function(it){
+        var late = !it.done && it.due && it.due < today;
+        return '<div class="ck-item' + (it.done ? ' is-done' : '') + '">' +
+          '<div class="checkline"><input type="checkbox" id="ck-' + it.id + '"' + (it.done ? ' checked' : '') + ' onchange="toggleChecklistItem(\'' + it.id + '\', this.checked)">' +
+          '<label for="ck-' + it.id + '">' + esc(it.text) + '</label></div>' +
+          '<div class="ck-meta">' +
+          '<select aria-label="Assign to" onchange="setChecklistField(\'' + it.id + '\', \'assignee\', this.value)">' + staffOptions(it.assignee) + '</select>' +
+          '<input type="date" aria-label="Due date" value="' + esc(it.due || '') + '" onchange="setChecklistField(\'' + it.id + '\', \'due\', this.value)"' + (late ? ' class="is-late" title="Past due"' : '') + '>' +
+          '<button type="button" class="icon-btn icon-danger" onclick="removeChecklistItem(\'' + it.id + '\')" title="Remove item" aria-label="Remove ' + esc(it.text) + '">🗑</button>' +
+          '</div></div>';
+      }).join('');
+  }).join('');
+
+  var docsHtml = c.docRequests.length === 0 ? '<div class="empty">No documents listed</div>' : c.docRequests.map(function(d){
+    return '<div class="row-item">' +
+      '<div><div class="ri-name">' + esc(d.name) + '</div>' +
+      '<div class="ri-sub">' + (d.status === 'received' ? 'Received ' + fmtDueDate(d.receivedOn) : d.status === 'requested' ? 'Requested ' + fmtDueDate(d.requestedOn) : 'Not yet requested') + '</div></div>' +
+      '<div class="row-actions">' +
+      '<select aria-label="Status of ' + esc(d.name) + '" onchange="setDocStatus(\'' + d.id + '\', this.value)">' +
+      Object.keys(DOC_STATUS_LABELS).map(function(k){ return '<option value="' + k + '"' + (d.status === k ? ' selected' : '') + '>' + DOC_STATUS_LABELS[k] + '</option>'; }).join('') +
+      '</select>' +
+      '<button type="button" class="icon-btn icon-danger" onclick="removeDocRequest(\'' + d.id + '\')" title="Remove document" aria-label="Remove ' + esc(d.name) + '">🗑</button>' +
+      '</div></div>';
+  }).join('');
+  var awaited = c.docRequests.filter(function(d){ return d.status !== 'received'; }).length;
+
+  document.getElementById('modal-content').innerHTML =
+    '<div class="row-item" style="margin-bottom:12px;"><div><div class="ri-name">' + esc(cl ? cl.name : 'Unknown') + ' &middot; ' + esc(c.auditType || '') + ' FY ' + esc(c.fy || '') + '</div>' +
+    '<div class="ri-sub">' + p.done + ' of ' + p.total + ' items done (' + p.pct + '%)' + (staff.length ? '' : ' &middot; add your team in Settings to assign work') + '</div></div></div>' +
+    '<div class="progress" style="margin-bottom:14px;"><span style="width:' + p.pct + '%"></span></div>' +
+    itemsHtml +
+    '<div class="ck-add">' +
+    '<label for="ck-new" class="visually-hidden">New checklist item</label>' +
+    '<input type="text" id="ck-new" placeholder="Add a checklist item..." onkeydown="if(event.key===\'Enter\'){event.preventDefault();addChecklistItem();}">' +
+    '<button type="button" class="btn btn-ghost btn-sm" onclick="addChecklistItem()">+ Add</button></div>' +
+    '<h4 class="ck-section" style="margin-top:22px;">Documents from client <span>' + (c.docRequests.length - awaited) + '/' + c.docRequests.length + ' received</span></h4>' +
+    docsHtml +
+    '<div class="ck-add">' +
+    '<label for="doc-new" class="visually-hidden">New document request</label>' +
+    '<input type="text" id="doc-new" placeholder="Add a document to request..." onkeydown="if(event.key===\'Enter\'){event.preventDefault();addDocRequest();}">' +
+    '<button type="button" class="btn btn-ghost btn-sm" onclick="addDocRequest()">+ Add</button></div>' +
+    (awaited ? '<button type="button" class="btn btn-teal btn-sm" style="margin-top:10px;" onclick="sendDocumentRequest(\'' + c.id + '\')">💬 Request ' + awaited + ' pending document' + (awaited === 1 ? '' : 's') + ' on WhatsApp</button>' : '');
+}
+function afterChecklistChange(c, focusId){
+  c.updatedAt = nowIso();
+  saveData();
+  renderChecklistModal();
+  renderContracts();
+  if (focusId) document.getElementById(focusId).focus();
+}
+function toggleChecklistItem(itemId, checked){
+  var c = checklistContract();
+  var it = c && c.checklist.find(function(x){ return x.id === itemId; });
+  if (!it) return;
+  it.done = checked;
+  it.doneAt = checked ? nowIso() : '';
+  afterChecklistChange(c, 'ck-' + itemId);
+}
+function setChecklistField(itemId, field, value){
+  var c = checklistContract();
+  var it = c && c.checklist.find(function(x){ return x.id === itemId; });
+  if (!it) return;
+  it[field] = value;
+  afterChecklistChange(c);
+}
+function removeChecklistItem(itemId){
+  var c = checklistContract();
+  if (!c) return;
+  c.checklist = c.checklist.filter(function(x){ return x.id !== itemId; });
+  afterChecklistChange(c);
+}
+function addChecklistItem(){
+  var c = checklistContract();
+  var text = document.getElementById('ck-new').value.trim();
+  if (!c) return;
+  if (!text){ toast('Type the checklist item first', 'error'); return; }
+  c.checklist.push({ id: 'ck' + Date.now() + '-' + c.checklist.length, section: 'Additional items', text: text, assignee: '', due: c.endDate || '', done: false });
+  afterChecklistChange(c, 'ck-new');
+}
+function setDocStatus(docId, status){
+  var c = checklistContract();
+  var d = c && c.docRequests.find(function(x){ return x.id === docId; });
+  if (!d) return;
+  d.status = status;
+  if (status === 'requested' && !d.requestedOn) d.requestedOn = dateKey(new Date());
+  if (status === 'received') d.receivedOn = dateKey(new Date());
+  afterChecklistChange(c);
+}
+function removeDocRequest(docId){
+  var c = checklistContract();
+  if (!c) return;
+  c.docRequests = c.docRequests.filter(function(x){ return x.id !== docId; });
+  afterChecklistChange(c);
+}
+function addDocRequest(){
+  var c = checklistContract();
+  var name = document.getElementById('doc-new').value.trim();
+  if (!c) return;
+  if (!name){ toast('Type the document name first', 'error'); return; }
+  c.docRequests.push({ id: 'doc' + Date.now() + '-' + c.docRequests.length, name: name, status: 'pending', requestedOn: '', receivedOn: '' });
+  afterChecklistChange(c, 'doc-new');
+}
+/* Asks for everything not yet received and marks the unrequested ones as requested today. */
+function sendDocumentRequest(contractId){
+  var c = contracts.find(function(x){ return x.id === contractId; });
+  if (!c) return;
+  var cl = clients.find(function(x){ return x.id === c.clientId; });
+  if (!cl){ toast('Client not found', 'error'); return; }
+  if (!requirePhone(cl.phone, cl.name)) return;
+  var awaited = (c.docRequests || []).filter(function(d){ return d.status !== 'received'; });
+  if (awaited.length === 0){ toast('All documents have been received', 'info'); return; }
+  var msg = renderTemplate(templates.documents, {
+    client_name: cl.name, firm_name: business.name || '',
+    audit_type: c.auditType || '', fy: c.fy || '',
+    documents: awaited.map(function(d){ return d.name; }).join(', ')
+  });
+  window.open(buildWhatsAppLink(cl.phone, msg), '_blank');
+  awaited.forEach(function(d){
+    if (d.status === 'pending'){ d.status = 'requested'; d.requestedOn = dateKey(new Date()); }
+  });
+  afterChecklistChange(c);
+}
+
 /* ================= DASHBOARD ================= */
 function updateDashboard(){
   var activeContracts = 0, totalRevenue = 0, pendingRevenue = 0;
@@ -895,7 +1513,7 @@ function updateDashboard(){
     var c = contracts[i];
     if (c.status === STATUS.ACTIVE) activeContracts++;
     totalRevenue += parseFloat(c.amount) || 0;
-    if (c.paymentStatus === PAYMENT_STATUS.PENDING || c.paymentStatus === PAYMENT_STATUS.PARTIAL) pendingRevenue += parseFloat(c.amount) || 0;
+    pendingRevenue += engagementOutstanding(c);
   }
   var now = new Date();
   var weekAhead = new Date(); weekAhead.setDate(now.getDate() + 7);
@@ -957,6 +1575,7 @@ function updateDashboard(){
     expiringList.innerHTML = html2;
   }
 
+  renderComplianceDue();
   checkBackupReminder();
 }
 
@@ -1028,22 +1647,26 @@ function renderContracts(){
       waButton = '<button class="icon-btn" onclick="sendEngagementMessage(\'' + contract.id + '\',\'overdue\')" title="Send overdue reminder via WhatsApp" aria-label="Send overdue reminder to ' + esc(client ? client.name : 'client') + '">⏰</button>';
     } else if (contract.status === 'cancelled'){
       waButton = '<button class="icon-btn" onclick="sendEngagementMessage(\'' + contract.id + '\',\'completed\')" title="Send completion message via WhatsApp" aria-label="Send completion message to ' + esc(client ? client.name : 'client') + '">✅</button>';
-    } else if (contract.paymentStatus === 'pending' || contract.paymentStatus === 'partial'){
+    } else if (engagementOutstanding(contract) > 0){
       waButton = '<button class="icon-btn" onclick="sendEngagementMessage(\'' + contract.id + '\',\'payment_due\')" title="Send payment due reminder via WhatsApp" aria-label="Send payment due reminder to ' + esc(client ? client.name : 'client') + '">💰</button>';
     }
 
     html += '<tr>' +
       '<td><strong>' + esc(client ? client.name : 'Unknown Client') + '</strong><br><span style="color:#5c5344;font-size:.8rem;">' + esc(client ? client.phone : '') + '</span></td>' +
       '<td>' + esc(contract.auditType || '&mdash;') + '</td>' +
-      '<td>' + esc(contract.fy || '') + '<br><span style="color:#5c5344;font-size:.78rem;">' + new Date(contract.startDate).toLocaleDateString() + ' &ndash; ' + new Date(contract.endDate).toLocaleDateString() + '</span></td>' +
+      '<td>' + esc(contract.fy || '') + '<br><span style="color:#5c5344;font-size:.78rem;">' + new Date(contract.startDate).toLocaleDateString() + ' &ndash; ' + new Date(contract.endDate).toLocaleDateString() + '</span>' +
+      (RECURRENCE_MONTHS[contract.recurrence] ? '<br><span class="badge">↻ ' + RECURRENCE_LABELS[contract.recurrence] + '</span>' : '') + '</td>' +
       '<td>' + money(contract.amount) + '</td>' +
-      '<td><span class="status-pill status-' + esc(contract.paymentStatus || 'pending') + '">' + esc(contract.paymentStatus || 'unknown') + '</span></td>' +
-      '<td><span class="status-pill status-' + esc(contract.status) + '">' + esc(STATUS_LABELS[contract.status] || contract.status) + '</span></td>' +
+      '<td><span class="status-pill status-' + engagementPaymentStatus(contract) + '">' + engagementPaymentStatus(contract) + '</span>' +
+      (engagementOutstanding(contract) > 0 ? '<br><span style="color:#5c5344;font-size:.78rem;">' + money(engagementOutstanding(contract)) + ' due</span>' : '') + '</td>' +
+      '<td><span class="status-pill status-' + esc(contract.status) + '">' + esc(STATUS_LABELS[contract.status] || contract.status) + '</span>' + checklistProgressHtml(contract) + '</td>' +
       '<td>' + (servicesHtml || '<span style="color:#7c7364;">&mdash;</span>') + (contract.notes ? '<div style="font-size:.78rem;color:#5c5344;margin-top:4px;"><em>' + esc(contract.notes) + '</em></div>' : '') + '</td>' +
       '<td><div class="row-actions">' +
       waButton +
-      '<button class="icon-btn" onclick="viewInvoice(\'' + contract.id + '\')" title="View invoice" aria-label="View invoice for ' + esc(client ? client.name : 'client') + '">🧾</button>' +
-      '<button class="icon-btn" onclick="renewEngagement(\'' + contract.id + '\')" title="Renew for next year" aria-label="Renew engagement for ' + esc(client ? client.name : 'client') + '">🔁</button>' +
+      '<button class="icon-btn" onclick="openModal(\'checklist\',\'' + contract.id + '\')" title="Checklist &amp; documents" aria-label="Checklist and documents for ' + esc(client ? client.name : 'client') + '">☑</button>' +
+      '<button class="icon-btn" onclick="openModal(\'payment\',\'' + contract.id + '\')" title="Payments" aria-label="Record payment for ' + esc(client ? client.name : 'client') + '">💵</button>' +
+      '<button class="icon-btn" onclick="openModal(\'invoice\',\'' + contract.id + '\')" title="Raise invoice" aria-label="Raise invoice for ' + esc(client ? client.name : 'client') + '">🧾</button>' +
+      '<button class="icon-btn" onclick="renewEngagement(\'' + contract.id + '\')" title="' + (RECURRENCE_MONTHS[contract.recurrence] < 12 ? 'Create next ' + (contract.recurrence === 'monthly' ? 'month' : 'quarter') : 'Renew for next year') + '" aria-label="Renew engagement for ' + esc(client ? client.name : 'client') + '">🔁</button>' +
       '<button class="icon-btn" onclick="openModal(\'contract\',\'' + contract.id + '\')" title="Edit engagement" aria-label="Edit engagement for ' + esc(client ? client.name : 'client') + '">✎</button>' +
       '<button class="icon-btn icon-danger" onclick="deleteItem(\'contract\',\'' + contract.id + '\')" title="Delete engagement" aria-label="Delete engagement for ' + esc(client ? client.name : 'client') + '">🗑</button>' +
       '</div></td>' +
@@ -1098,72 +1721,742 @@ function renderVisits(){
   list.innerHTML = html;
 }
 
-/* ================= INVOICE ================= */
-function viewInvoice(contractId){
-  var contract = contracts.find(function(c){ return c.id === contractId; });
-  if (!contract) return;
-  var client = clients.find(function(c){ return c.id === contract.clientId; });
-  lastFocusedEl = document.activeElement;
-
-  var servicesHtml = '';
-  if (contract.services && contract.services.length > 0){
-    for (var i = 0; i < contract.services.length; i++){
-      servicesHtml += '<div>' + esc(contract.services[i]) + '</div>';
+/* ================= COMPLIANCE CALENDAR =================
+   Due dates are not stored — they are generated from each client's entity
+   type and the scope of its engagements for that FY, so editing an
+   engagement or client updates the calendar. Only filings marked done are
+   saved (audit-filings), keyed by client + form + period. Dates are the
+   statutory defaults; extensions notified by CBDT / CBIC / MCA are not
+   applied automatically. */
+function dateKey(d){
+  return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+}
+function isoDay(y, m, d){ return dateKey(new Date(y, m, d)); } /* month is 0-based and may overflow into the next year */
+function fmtDueDate(iso){ return new Date(iso + 'T00:00:00').toLocaleDateString(); }
+function daysUntil(iso){
+  var today = new Date(); today.setHours(0, 0, 0, 0);
+  return Math.round((new Date(iso + 'T00:00:00') - today) / 86400000);
+}
+function fyStartYear(fy){
+  var m = /^(\d{4})-\d{2}$/.exec(fy || '');
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/* What a client owes for one FY: the union of every engagement's audit type and
+   services for that client and year. */
+function complianceScope(client, fy){
+  var scope = { services: [], auditTypes: [] };
+  contracts.forEach(function(c){
+    if (c.clientId !== client.id || c.fy !== fy) return;
+    if (c.auditType) scope.auditTypes.push(c.auditType);
+    (c.services || []).forEach(function(s){ scope.services.push(s); });
+  });
+  scope.has = function(name){ return scope.services.indexOf(name) !== -1 || scope.auditTypes.indexOf(name) !== -1; };
+  scope.gst = scope.has('GST Reconciliation') || scope.has('GST Audit');
+  scope.tds = scope.has('TDS Compliance');
+  scope.taxAudit = scope.has('Tax Audit');
+  scope.incomeTax = scope.taxAudit || scope.has('Tax Computation');
+  scope.roc = scope.has('ROC Filing') || (client.propertyType === 'company' && scope.has('Statutory Audit'));
+  return scope;
+}
+
+/* Each rule returns { form, code, period, due } entries for FY starting April of year y. */
+var COMPLIANCE_RULES = [
+  function(cl, sc, y, fy){
+    if (!sc.gst) return [];
+    var out = [];
+    for (var i = 0; i < 12; i++){
+      var month = new Date(y, 3 + i, 1);
+      var code = month.getFullYear() + '-' + String(month.getMonth() + 1).padStart(2, '0');
+      var label = MONTH_NAMES[month.getMonth()] + ' ' + month.getFullYear();
+      out.push({ form: 'GSTR-1', code: code, period: label, due: isoDay(y, 4 + i, 11) });
+      out.push({ form: 'GSTR-3B', code: code, period: label, due: isoDay(y, 4 + i, 20) });
     }
+    return out;
+  },
+  function(cl, sc, y, fy){
+    if (!sc.tds) return [];
+    return [[y, 6, 31], [y, 9, 31], [y + 1, 0, 31], [y + 1, 4, 31]].map(function(d, i){
+      return { form: 'TDS Return (24Q/26Q)', code: fy + '-Q' + (i + 1), period: 'Q' + (i + 1) + ' FY ' + fy, due: isoDay(d[0], d[1], d[2]) };
+    });
+  },
+  function(cl, sc, y, fy){
+    if (!sc.incomeTax) return [];
+    return [[5, 15], [8, 45], [11, 75], [14, 100]].map(function(d, i){
+      return { form: 'Advance Tax', code: fy + '-AT' + (i + 1), period: 'Instalment ' + (i + 1) + ' (' + d[1] + '%) FY ' + fy, due: isoDay(y, d[0], 15) };
+    });
+  },
+  function(cl, sc, y, fy){
+    if (!sc.taxAudit) return [];
+    return [{ form: 'Tax Audit Report (3CA/3CB-3CD)', code: fy, period: 'FY ' + fy, due: isoDay(y + 1, 8, 30) }];
+  },
+  function(cl, sc, y, fy){
+    if (!sc.incomeTax && cl.propertyType !== 'company') return [];
+    var audited = sc.taxAudit || ['company', 'trust'].indexOf(cl.propertyType) !== -1 || (cl.propertyType === 'llp' && sc.has('Statutory Audit'));
+    return [{ form: 'ITR', code: fy, period: 'FY ' + fy + (audited ? ' (audit case)' : ''), due: audited ? isoDay(y + 1, 9, 31) : isoDay(y + 1, 6, 31) }];
+  },
+  function(cl, sc, y, fy){
+    if (!sc.roc) return [];
+    if (cl.propertyType === 'company') return [
+      { form: 'AOC-4', code: fy, period: 'FY ' + fy, due: isoDay(y + 1, 9, 30) },
+      { form: 'MGT-7', code: fy, period: 'FY ' + fy, due: isoDay(y + 1, 10, 29) }
+    ];
+    if (cl.propertyType === 'llp') return [
+      { form: 'LLP Form 11', code: fy, period: 'FY ' + fy, due: isoDay(y + 1, 4, 30) },
+      { form: 'LLP Form 8', code: fy, period: 'FY ' + fy, due: isoDay(y + 1, 9, 30) }
+    ];
+    return [];
   }
+];
+
+function findFiling(key){
+  return filings.find(function(f){ return f.key === key; }) || null;
+}
+function complianceItems(){
+  var seen = {};
+  var items = [];
+  contracts.forEach(function(c){
+    var client = clients.find(function(cl){ return cl.id === c.clientId; });
+    var y = fyStartYear(c.fy);
+    if (!client || y === null || seen[client.id + '|' + c.fy]) return;
+    seen[client.id + '|' + c.fy] = true;
+    var scope = complianceScope(client, c.fy);
+    COMPLIANCE_RULES.forEach(function(rule){
+      rule(client, scope, y, c.fy).forEach(function(x){
+        var key = client.id + '|' + x.form + '|' + x.code;
+        if (seen[key]) return;
+        seen[key] = true;
+        items.push({ key: key, client: client, form: x.form, period: x.period, due: x.due, filing: findFiling(key) });
+      });
+    });
+  });
+  return items.sort(function(a, b){ return a.due < b.due ? -1 : a.due > b.due ? 1 : a.client.name.localeCompare(b.client.name); });
+}
+function complianceState(item){
+  if (item.filing) return 'filed';
+  return daysUntil(item.due) < 0 ? 'overdue' : 'due';
+}
+
+function shiftComplianceMonth(n){
+  var parts = (complianceMonth || dateKey(new Date()).slice(0, 7)).split('-');
+  complianceMonth = dateKey(new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1 + n, 1)).slice(0, 7);
+  renderCompliance();
+}
+function resetComplianceMonth(){
+  complianceMonth = null;
+  renderCompliance();
+}
+function setComplianceFilter(filter){
+  complianceFilter = filter;
+  document.querySelectorAll('#compliance-filter-row .filter-chip').forEach(function(chip){
+    var on = chip.getAttribute('data-filter') === filter;
+    chip.classList.toggle('active', on);
+    chip.setAttribute('aria-pressed', on ? 'true' : 'false');
+  });
+  renderCompliance();
+}
+
+function renderCompliance(){
+  var grid = document.getElementById('compliance-calendar');
+  if (!grid) return;
+  var month = complianceMonth || dateKey(new Date()).slice(0, 7);
+  var parts = month.split('-');
+  var y = parseInt(parts[0], 10), mo = parseInt(parts[1], 10) - 1;
+  document.getElementById('compliance-month-label').textContent = MONTH_NAMES[mo] + ' ' + y;
+
+  var items = complianceItems().filter(function(x){ return x.due.slice(0, 7) === month; });
+  var shown = items.filter(function(x){ return complianceFilter === 'all' || complianceState(x) === complianceFilter; });
+  var today = dateKey(new Date());
+  var html = '';
+  ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'].forEach(function(d){ html += '<div class="cal-dow">' + d + '</div>'; });
+  for (var b = 0; b < new Date(y, mo, 1).getDay(); b++) html += '<div class="cal-day is-blank" aria-hidden="true"></div>';
+  var days = new Date(y, mo + 1, 0).getDate();
+  for (var d = 1; d <= days; d++){
+    var key = isoDay(y, mo, d);
+    var dayItems = shown.filter(function(x){ return x.due === key; });
+    html += '<div class="cal-day' + (key === today ? ' is-today' : '') + '"><div class="cal-date">' + d + '</div>';
+    dayItems.forEach(function(x){
+      html += '<button type="button" class="cal-item status-' + complianceState(x) + '" onclick="openModal(\'filing\',\'' + esc(x.key) + '\')" title="' + esc(x.client.name + ' — ' + x.form + ' · ' + x.period) + '">' + esc(x.form) + ' &middot; ' + esc(x.client.name) + '</button>';
+    });
+    html += '</div>';
+  }
+  grid.innerHTML = html;
+
+  var list = document.getElementById('compliance-list');
+  if (shown.length === 0){
+    list.innerHTML = '<tr><td colspan="7"><div class="empty">' + (items.length ? 'No filings match this filter' : 'No statutory due dates this month for your clients’ engagements') + '</div></td></tr>';
+    return;
+  }
+  var rows = '';
+  shown.forEach(function(x){
+    var state = complianceState(x);
+    rows += '<tr>' +
+      '<td>' + fmtDueDate(x.due) + '</td>' +
+      '<td><strong>' + esc(x.client.name) + '</strong><br><span style="color:#5c5344;font-size:.78rem;text-transform:capitalize;">' + esc(x.client.propertyType || '') + '</span></td>' +
+      '<td>' + esc(x.form) + '</td>' +
+      '<td>' + esc(x.period) + '</td>' +
+      '<td><span class="status-pill status-' + state + '">' + (state === 'filed' ? 'Filed' : state === 'overdue' ? 'Overdue' : 'Due') + '</span></td>' +
+      '<td>' + (x.filing ? esc(x.filing.ackNo) + '<br><span style="color:#5c5344;font-size:.78rem;">' + fmtDueDate(x.filing.filedOn) + '</span>' : '<span style="color:#7c7364;">&mdash;</span>') + '</td>' +
+      '<td><div class="row-actions">' +
+      '<button class="icon-btn" onclick="openModal(\'filing\',\'' + esc(x.key) + '\')" title="' + (x.filing ? 'Edit filing' : 'Mark as filed') + '" aria-label="' + (x.filing ? 'Edit filing of ' : 'Mark as filed: ') + esc(x.form) + ' for ' + esc(x.client.name) + '">' + (x.filing ? '✎' : '✓') + '</button>' +
+      (x.filing ? '<button class="icon-btn icon-danger" onclick="deleteItem(\'filing\',\'' + esc(x.key) + '\')" title="Undo filing" aria-label="Undo filing of ' + esc(x.form) + ' for ' + esc(x.client.name) + '">↺</button>' : '') +
+      '</div></td>' +
+      '</tr>';
+  });
+  list.innerHTML = rows;
+}
 
-  var fee = parseFloat(contract.amount) || 0;
-  var gstBlock = '';
-  var totalBlock = '<div class="bill-total"><span>Total Fee</span><span>' + money(fee) + '</span></div>';
-  if (business.gstEnabled){
-    var rate = business.gstRate != null ? parseFloat(business.gstRate) : 18;
-    if (isNaN(rate)) rate = 18;
-    var gstAmt = fee * (rate / 100);
-    var grandTotal = fee + gstAmt;
-    gstBlock =
-      '<div class="bill-items">' +
-      '<div><span>Professional Fee</span><span>' + money(fee) + '</span></div>' +
-      '<div><span>GST (' + rate + '%)</span><span>' + money(gstAmt) + '</span></div>' +
+/* Dashboard panel: everything not yet filed that falls due in the next COMPLIANCE_DUE_DAYS. */
+function renderComplianceDue(){
+  var list = document.getElementById('compliance-due-list');
+  if (!list) return;
+  var due = complianceItems().filter(function(x){
+    var left = daysUntil(x.due);
+    return !x.filing && left >= 0 && left <= COMPLIANCE_DUE_DAYS;
+  });
+  if (due.length === 0){
+    list.innerHTML = '<div class="empty">No filings due in the next ' + COMPLIANCE_DUE_DAYS + ' days</div>';
+    return;
+  }
+  var html = '';
+  due.forEach(function(x){
+    var left = daysUntil(x.due);
+    html += '<div class="row-item">' +
+      '<div><div class="ri-name">' + esc(x.client.name) + ' &middot; ' + esc(x.form) + '</div>' +
+      '<div class="ri-sub">' + esc(x.period) + ' &middot; due ' + fmtDueDate(x.due) + '</div></div>' +
+      '<button type="button" class="status-pill status-' + (left <= 3 ? 'overdue' : 'due') + '" style="border:none; cursor:pointer;" onclick="openModal(\'filing\',\'' + esc(x.key) + '\')" title="Mark as filed">' + (left === 0 ? 'Due today' : left + (left === 1 ? ' day left' : ' days left')) + '</button>' +
       '</div>';
-    totalBlock = '<div class="bill-total"><span>Total Payable</span><span>' + money(grandTotal) + '</span></div>';
+  });
+  list.innerHTML = html;
+}
+
+/* ================= BILLING: GST INVOICES, RECEIPTS, CREDIT NOTES =================
+   Invoices and credit notes share one store (kind 'invoice' / 'credit') and each
+   kind runs its own number series per financial year, e.g. INV/2026-27/0001.
+   Documents snapshot the client, the firm's details and the tax split when issued
+   so later edits to the client or firm profile never change a printed invoice. Place of supply comes
+   from the client's GSTIN; for unregistered clients it is picked on the invoice. */
+function round2(n){ return Math.round((parseFloat(n) || 0) * 100) / 100; }
+function fyOfDate(iso){
+  var d = new Date(iso + 'T00:00:00');
+  var y = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return y + '-' + String((y + 1) % 100).padStart(2, '0');
+}
+function clientGstin(client){
+  var v = String((client && client.pan) || '').toUpperCase().replace(/\s/g, '');
+  return GSTIN_REGEX.test(v) ? v : '';
+}
+function firmStateCode(){
+  var gstin = String(business.gst || '').toUpperCase().replace(/\s/g, '');
+  return GSTIN_REGEX.test(gstin) ? gstin.slice(0, 2) : (business.stateCode || '');
+}
+function stateLabel(code){ return code ? (GST_STATE_NAMES[code] || 'State') + ' (' + code + ')' : ''; }
+function stateOptions(selected){
+  return Object.keys(GST_STATE_NAMES).map(function(code){
+    return '<option value="' + code + '"' + (code === selected ? ' selected' : '') + '>' + esc(stateLabel(code)) + '</option>';
+  }).join('');
+}
+function invoiceGstRate(){
+  if (!business.gstEnabled) return 0;
+  var rate = parseFloat(business.gstRate);
+  return isNaN(rate) ? 18 : rate;
+}
+/* Intra-state supply splits the rate equally into CGST + SGST; inter-state is IGST. */
+function gstSplit(taxable, rate, pos, supplier){
+  var intra = !pos || !supplier || pos === supplier;
+  var tax = round2(taxable * rate / 100);
+  var half = round2(tax / 2);
+  return intra ? { cgst: half, sgst: round2(tax - half), igst: 0 } : { cgst: 0, sgst: 0, igst: tax };
+}
+/* Takes the next number of a series. docSeries keeps the last number handed out per
+   prefix and FY, so deleting the latest receipt never frees its number for reuse. */
+function nextDocNo(kind, fy){
+  var prefix = DOC_PREFIX[kind] + '/' + fy + '/';
+  var pool = kind === 'receipt' ? receipts : invoices.filter(function(d){ return d.kind === kind; });
+  var last = pool.reduce(function(max, d){
+    return d.no && d.no.indexOf(prefix) === 0 ? Math.max(max, parseInt(d.no.slice(prefix.length), 10) || 0) : max;
+  }, parseInt(docSeries[prefix], 10) || 0);
+  docSeries[prefix] = last + 1;
+  return prefix + String(last + 1).padStart(4, '0');
+}
+/* A restored backup never winds a counter back past a number already used here. */
+function mergeDocSeries(incoming){
+  if (!incoming || typeof incoming !== 'object') return;
+  Object.keys(incoming).forEach(function(prefix){
+    docSeries[prefix] = Math.max(parseInt(docSeries[prefix], 10) || 0, parseInt(incoming[prefix], 10) || 0);
+  });
+}
+function firmDetails(){
+  return { name: business.name || '', address: business.address || '', phone: business.phone || '', gstin: business.gst || '' };
+}
+function buildGstDocument(kind, date, client, pos, lines, rate){
+  var gstin = clientGstin(client);
+  if (gstin) pos = gstin.slice(0, 2);
+  return gstDocument(kind, date, {
+    clientId: client.id, billTo: { name: client.name, address: client.address || '', gstin: gstin },
+    supplier: firmDetails(), supplierState: firmStateCode(), pos: pos || firmStateCode(), rate: rate
+  }, lines);
+}
+/* A credit note reverses part of its invoice, so it takes the invoice's parties,
+   place of supply and rate rather than today's client and firm profile. */
+function buildCreditNote(inv, date, lines){
+  var note = gstDocument('credit', date, {
+    clientId: inv.clientId, billTo: inv.billTo, supplier: inv.supplier,
+    supplierState: inv.supplierState, pos: inv.pos, rate: inv.rate
+  }, lines);
+  note.againstId = inv.id;
+  note.contractId = inv.contractId;
+  return note;
+}
+function gstDocument(kind, date, parties, lines){
+  var fy = fyOfDate(date);
+  var taxable = round2(lines.reduce(function(t, l){ return t + l.amount; }, 0));
+  var tax = gstSplit(taxable, parties.rate, parties.pos, parties.supplierState);
+  return Object.assign({ id: Date.now().toString(), kind: kind, no: nextDocNo(kind, fy), fy: fy, date: date }, parties, {
+    lines: lines, taxable: taxable, cgst: tax.cgst, sgst: tax.sgst, igst: tax.igst,
+    total: round2(taxable + tax.cgst + tax.sgst + tax.igst),
+    createdAt: nowIso()
+  });
+}
+function invoiceCredits(inv){
+  return invoices.filter(function(d){ return d.kind === 'credit' && d.againstId === inv.id; });
+}
+function invoiceReceipts(inv){
+  return receipts.filter(function(r){ return r.invoiceId === inv.id; });
+}
+/* TDS deducted by the client counts towards settling the invoice — it is claimed
+   back against the firm's own tax via Form 26AS. */
+function invoiceDirectBalance(inv){
+  var credited = invoiceCredits(inv).reduce(function(t, n){ return t + n.total; }, 0);
+  var received = invoiceReceipts(inv).reduce(function(t, r){ return t + r.amount + r.tds; }, 0);
+  return Math.max(0, round2(inv.total - credited - received));
+}
+/* Money taken on account for an engagement settles its invoices oldest first, so an
+   invoice raised after an advance shows the same balance as the engagement. */
+function invoiceOnAccount(inv){
+  if (inv.kind !== 'invoice' || !inv.contractId) return 0;
+  var pool = receipts.filter(function(r){ return r.contractId === inv.contractId && !r.invoiceId; })
+    .reduce(function(t, r){ return t + r.amount + r.tds; }, 0);
+  var list = invoices.filter(function(d){ return d.kind === 'invoice' && d.contractId === inv.contractId; })
+    .sort(function(a, b){ return a.date < b.date ? -1 : a.date > b.date ? 1 : a.no < b.no ? -1 : 1; });
+  for (var i = 0; i < list.length && pool > 0; i++){
+    var take = Math.min(pool, invoiceDirectBalance(list[i]));
+    if (list[i].id === inv.id) return round2(take);
+    pool -= take;
+  }
+  return 0;
+}
+function invoiceBalance(inv){
+  return Math.max(0, round2(invoiceDirectBalance(inv) - invoiceOnAccount(inv)));
+}
+function invoiceStatus(inv){
+  if (invoiceBalance(inv) <= 0) return 'paid';
+  return invoiceReceipts(inv).length || invoiceCredits(inv).length || invoiceOnAccount(inv) ? 'partial' : 'pending';
+}
+
+/* ---- Invoice form line items ---- */
+function addInvoiceLine(desc, amount){
+  var row = document.createElement('div');
+  row.className = 'inv-line';
+  row.innerHTML =
+    '<input type="text" class="inv-line-desc" value="' + esc(desc || '') + '" placeholder="Description" aria-label="Line description">' +
+    '<input type="text" class="inv-line-sac" value="' + SAC_CODE + '" aria-label="SAC code">' +
+    '<input type="number" class="inv-line-amt" min="0" step="0.01" value="' + esc(amount || '') + '" placeholder="Amount" aria-label="Line amount" oninput="updateInvoiceTotals()">' +
+    '<button type="button" class="icon-btn icon-danger" onclick="removeInvoiceLine(this)" title="Remove line" aria-label="Remove line">🗑</button>';
+  document.getElementById('inv-lines').appendChild(row);
+  updateInvoiceTotals();
+}
+function removeInvoiceLine(btn){
+  btn.parentNode.remove();
+  updateInvoiceTotals();
+}
+function readInvoiceLines(){
+  var rows = document.querySelectorAll('#inv-lines .inv-line');
+  var lines = [];
+  for (var i = 0; i < rows.length; i++){
+    var amount = round2(rows[i].querySelector('.inv-line-amt').value);
+    if (amount <= 0) continue;
+    lines.push({
+      desc: rows[i].querySelector('.inv-line-desc').value.trim(),
+      sac: rows[i].querySelector('.inv-line-sac').value.trim() || SAC_CODE,
+      amount: amount
+    });
+  }
+  return lines;
+}
+function updateInvoiceTotals(){
+  var box = document.getElementById('inv-totals');
+  if (!box) return;
+  var taxable = round2(readInvoiceLines().reduce(function(t, l){ return t + l.amount; }, 0));
+  var rate = invoiceGstRate();
+  var tax = gstSplit(taxable, rate, document.getElementById('inv-pos').value || firmStateCode(), firmStateCode());
+  box.innerHTML =
+    '<div><span>Taxable value</span><span>' + money(taxable) + '</span></div>' +
+    (rate ? (tax.igst
+      ? '<div><span>IGST @ ' + rate + '%</span><span>' + money(tax.igst) + '</span></div>'
+      : '<div><span>CGST @ ' + rate / 2 + '%</span><span>' + money(tax.cgst) + '</span></div><div><span>SGST @ ' + rate / 2 + '%</span><span>' + money(tax.sgst) + '</span></div>') : '') +
+    '<div><strong>Invoice total</strong><strong>' + money(taxable + tax.cgst + tax.sgst + tax.igst) + '</strong></div>';
+}
+
+/* Indian numbering (lakh / crore) for the amount-in-words line on invoices. */
+function rupeesInWords(n){
+  var ones = ['','One','Two','Three','Four','Five','Six','Seven','Eight','Nine','Ten','Eleven','Twelve','Thirteen','Fourteen','Fifteen','Sixteen','Seventeen','Eighteen','Nineteen'];
+  var tens = ['','','Twenty','Thirty','Forty','Fifty','Sixty','Seventy','Eighty','Ninety'];
+  function two(x){ return x < 20 ? ones[x] : tens[Math.floor(x / 10)] + (x % 10 ? ' ' + ones[x % 10] : ''); }
+  function words(x){
+    var parts = [];
+    if (x >= 10000000){ parts.push(words(Math.floor(x / 10000000)) + ' Crore'); x %= 10000000; }
+    if (x >= 100000){ parts.push(two(Math.floor(x / 100000)) + ' Lakh'); x %= 100000; }
+    if (x >= 1000){ parts.push(two(Math.floor(x / 1000)) + ' Thousand'); x %= 1000; }
+    if (x >= 100){ parts.push(ones[Math.floor(x / 100)] + ' Hundred'); x %= 100; }
+    if (x > 0) parts.push(two(x));
+    return parts.join(' ');
+  }
+  var rupees = Math.floor(round2(n));
+  var paise = Math.round((round2(n) - rupees) * 100);
+  return 'Rupees ' + (words(rupees) || 'Zero') + (paise ? ' and ' + two(paise) + ' Paise' : '') + ' Only';
+}
+
+/* ---- Billing view ---- */
+function renderBilling(){
+  var list = document.getElementById('billing-list');
+  if (!list) return;
+  renderAgeing();
+  var searchTerm = document.getElementById('billing-search').value.toLowerCase();
+  var match = function(name, no){ return name.toLowerCase().indexOf(searchTerm) !== -1 || no.toLowerCase().indexOf(searchTerm) !== -1; };
+  var docs = invoices.filter(function(d){ return match(d.billTo.name, d.no); }).sort(function(a, b){
+    return a.date < b.date ? 1 : a.date > b.date ? -1 : (b.createdAt || '').localeCompare(a.createdAt || '');
+  });
+
+  if (docs.length === 0){
+    list.innerHTML = '<tr><td colspan="8"><div class="empty">' + (invoices.length ? 'No invoices found' : 'No invoices yet — raise one from an engagement (🧾)') + '</div></td></tr>';
+  } else {
+    var html = '';
+    for (var i = 0; i < docs.length; i++){
+      var d = docs[i];
+      var isCredit = d.kind === 'credit';
+      var against = isCredit ? invoices.find(function(x){ return x.id === d.againstId; }) : null;
+      var state = isCredit ? '' : invoiceStatus(d);
+      html += '<tr>' +
+        '<td><strong>' + esc(d.no) + '</strong>' + (isCredit ? '<br><span style="color:#5c5344;font-size:.78rem;">Credit note' + (against ? ' vs ' + esc(against.no) : '') + '</span>' : '') + '</td>' +
+        '<td>' + fmtDueDate(d.date) + '</td>' +
+        '<td>' + esc(d.billTo.name) + (d.billTo.gstin ? '<br><span style="color:#5c5344;font-size:.78rem;">' + esc(d.billTo.gstin) + '</span>' : '') + '</td>' +
+        '<td>' + (isCredit ? '−' : '') + money(d.taxable) + '</td>' +
+        '<td>' + (isCredit ? '−' : '') + money(d.cgst + d.sgst + d.igst) + '<br><span style="color:#5c5344;font-size:.78rem;">' + (d.igst ? 'IGST' : d.rate ? 'CGST+SGST' : 'No GST') + '</span></td>' +
+        '<td>' + (isCredit ? '−' : '') + money(d.total) + '</td>' +
+        '<td>' + (isCredit ? '<span style="color:#7c7364;">&mdash;</span>' : '<span class="status-pill status-' + state + '">' + esc(state) + '</span><br><span style="color:#5c5344;font-size:.78rem;">' + money(invoiceBalance(d)) + ' due</span>') + '</td>' +
+        '<td><div class="row-actions">' +
+        '<button class="icon-btn" onclick="viewInvoice(\'' + d.id + '\')" title="View / print" aria-label="View ' + esc(d.no) + '">🧾</button>' +
+        (!isCredit && invoiceBalance(d) > 0 ? '<button class="icon-btn" onclick="openModal(\'receipt\',\'' + d.id + '\')" title="Record receipt" aria-label="Record receipt against ' + esc(d.no) + '">💵</button>' : '') +
+        (!isCredit ? '<button class="icon-btn" onclick="openModal(\'credit\',\'' + d.id + '\')" title="Issue credit note" aria-label="Issue credit note against ' + esc(d.no) + '">↩</button>' : '') +
+        '</div></td>' +
+        '</tr>';
+    }
+    list.innerHTML = html;
   }
 
-  var html =
+  var rlist = document.getElementById('receipts-list');
+  var shown = receipts.filter(function(r){
+    var inv = invoices.find(function(x){ return x.id === r.invoiceId; });
+    return match(receiptClientName(r), r.no + ' ' + (inv ? inv.no : ''));
+  }).sort(function(a, b){ return a.date < b.date ? 1 : a.date > b.date ? -1 : 0; });
+  if (shown.length === 0){
+    rlist.innerHTML = '<tr><td colspan="7"><div class="empty">No receipts recorded</div></td></tr>';
+    return;
+  }
+  var rows = '';
+  shown.forEach(function(r){
+    var inv = invoices.find(function(x){ return x.id === r.invoiceId; });
+    rows += '<tr>' +
+      '<td><strong>' + esc(r.no || 'Opening') + '</strong></td>' +
+      '<td>' + fmtDueDate(r.date) + '</td>' +
+      '<td>' + esc(receiptClientName(r)) + '<br><span style="color:#5c5344;font-size:.78rem;">' + esc(inv ? inv.no : 'On account') + '</span></td>' +
+      '<td>' + money(r.amount) + '</td>' +
+      '<td>' + (r.tds ? money(r.tds) : '<span style="color:#7c7364;">&mdash;</span>') + '</td>' +
+      '<td>' + esc(r.mode || '') + (r.ref ? '<br><span style="color:#5c5344;font-size:.78rem;">' + esc(r.ref) + '</span>' : '') + '</td>' +
+      '<td><div class="row-actions">' +
+      '<button class="icon-btn" onclick="viewReceipt(\'' + r.id + '\')" title="View / print receipt" aria-label="View receipt ' + esc(r.no) + '">🧾</button>' +
+      '<button class="icon-btn icon-danger" onclick="deleteItem(\'receipt\',\'' + r.id + '\')" title="Delete receipt" aria-label="Delete receipt ' + esc(r.no) + '">🗑</button>' +
+      '</div></td>' +
+      '</tr>';
+  });
+  rlist.innerHTML = rows;
+}
+
+function exportInvoicesCSV(){
+  if (invoices.length === 0){ toast('No invoices to export', 'info'); return; }
+  var headers = ['Type', 'Number', 'Date', 'Client', 'Client GSTIN', 'Place of Supply', 'SAC', 'Taxable Value', 'GST Rate', 'CGST', 'SGST', 'IGST', 'Total', 'Against Invoice', 'Balance'];
+  var rows = invoices.map(function(d){
+    var against = d.againstId ? invoices.find(function(x){ return x.id === d.againstId; }) : null;
+    var sign = d.kind === 'credit' ? -1 : 1;
+    return [d.kind === 'credit' ? 'Credit Note' : 'Invoice', d.no, d.date, d.billTo.name, d.billTo.gstin, stateLabel(d.pos),
+      d.lines.map(function(l){ return l.sac; }).filter(function(v, i, a){ return a.indexOf(v) === i; }).join('; '),
+      sign * d.taxable, d.rate, sign * d.cgst, sign * d.sgst, sign * d.igst, sign * d.total,
+      against ? against.no : '', d.kind === 'credit' ? '' : invoiceBalance(d)];
+  });
+  downloadCSV('invoices-' + new Date().toISOString().slice(0, 10) + '.csv', headers, rows);
+  toast('Invoices exported to CSV', 'success');
+}
+function exportReceiptsCSV(){
+  if (receipts.length === 0){ toast('No receipts to export', 'info'); return; }
+  var headers = ['Receipt No', 'Date', 'Client', 'Invoice', 'Amount Received', 'TDS Deducted', 'Mode', 'Reference'];
+  var rows = receipts.map(function(r){
+    var inv = invoices.find(function(x){ return x.id === r.invoiceId; });
+    return [r.no || 'Opening', r.date, receiptClientName(r), inv ? inv.no : 'On account', r.amount, r.tds, r.mode || '', r.ref || ''];
+  });
+  downloadCSV('receipts-' + new Date().toISOString().slice(0, 10) + '.csv', headers, rows);
+  toast('Receipts exported to CSV', 'success');
+}
+
+/* ---- Printable documents (shown in the invoice modal) ----
+   The firm header prints the details saved on the document when it was issued;
+   documents from before those were saved fall back to the current profile. */
+function firmHeaderHtml(doc){
+  var f = doc.supplier || firmDetails();
+  var state = doc.supplier ? doc.supplierState : firmStateCode();
+  return '<div class="bill-shop">' +
+    '<div class="bill-name">' + esc(f.name || 'Audit Practice Manager') + '</div>' +
+    (f.address ? '<div class="bill-tag">' + esc(f.address) + '</div>' : '') +
+    (f.phone ? '<div class="bill-tag">Ph: ' + esc(f.phone) + '</div>' : '') +
+    (f.gstin ? '<div class="bill-tag">GSTIN: ' + esc(f.gstin) + '</div>' : '') +
+    (state ? '<div class="bill-tag">State: ' + esc(stateLabel(state)) + '</div>' : '') +
+    '</div>';
+}
+function showInvoiceModal(html){
+  document.getElementById('invoice-print').innerHTML = html;
+  document.getElementById('invoice-modal').classList.add('active');
+  setTimeout(function(){
+    var closeBtn = document.querySelector('#invoice-modal .btn-ghost');
+    if (closeBtn) closeBtn.focus();
+  }, 30);
+}
+
+function viewInvoice(invoiceId){
+  var d = invoices.find(function(x){ return x.id === invoiceId; });
+  if (!d) return;
+  lastFocusedEl = document.activeElement;
+  var isCredit = d.kind === 'credit';
+  var against = isCredit ? invoices.find(function(x){ return x.id === d.againstId; }) : null;
+  var heading = isCredit ? 'CREDIT NOTE' : d.rate ? 'TAX INVOICE' : 'INVOICE';
+
+  var linesHtml = '';
+  for (var i = 0; i < d.lines.length; i++){
+    linesHtml += '<div><span>' + esc(d.lines[i].desc) + '<br><small>SAC ' + esc(d.lines[i].sac) + '</small></span><span>' + money(d.lines[i].amount) + '</span></div>';
+  }
+  var taxHtml = !d.rate ? '' : d.igst
+    ? '<div><span>IGST @ ' + d.rate + '%</span><span>' + money(d.igst) + '</span></div>'
+    : '<div><span>CGST @ ' + d.rate / 2 + '%</span><span>' + money(d.cgst) + '</span></div>' +
+      '<div><span>SGST @ ' + d.rate / 2 + '%</span><span>' + money(d.sgst) + '</span></div>';
+
+  var settledHtml = '';
+  if (!isCredit){
+    invoiceCredits(d).forEach(function(n){
+      settledHtml += '<div><span>Credit note ' + esc(n.no) + '</span><span>−' + money(n.total) + '</span></div>';
+    });
+    invoiceReceipts(d).forEach(function(r){
+      settledHtml += '<div><span>Received ' + fmtDueDate(r.date) + (r.tds ? ' (incl. TDS ' + money(r.tds) + ')' : '') + '</span><span>−' + money(r.amount + r.tds) + '</span></div>';
+    });
+    if (invoiceOnAccount(d)) settledHtml += '<div><span>Received on account</span><span>−' + money(invoiceOnAccount(d)) + '</span></div>';
+  }
+
+  showInvoiceModal(
     '<div class="bill-card">' +
-    '<div class="bill-shop">' +
-    '<div class="bill-name">' + esc(business.name || 'Audit Practice Manager') + '</div>' +
-    (business.address ? '<div class="bill-tag">' + esc(business.address) + '</div>' : '') +
-    (business.phone ? '<div class="bill-tag">Ph: ' + esc(business.phone) + '</div>' : '') +
-    (business.gst ? '<div class="bill-tag">GSTIN: ' + esc(business.gst) + '</div>' : '') +
+    firmHeaderHtml(d) +
+    '<div class="bill-name" style="text-align:center; font-size:.95rem;">' + heading + '</div>' +
+    '<hr class="rule">' +
+    '<div class="bill-meta">' +
+    '<div><span>' + (isCredit ? 'Credit Note No' : 'Invoice No') + '</span><span>' + esc(d.no) + '</span></div>' +
+    '<div><span>Date</span><span>' + fmtDueDate(d.date) + '</span></div>' +
+    (against ? '<div><span>Against Invoice</span><span>' + esc(against.no) + ' (' + fmtDueDate(against.date) + ')</span></div>' : '') +
+    '<div><span>Place of Supply</span><span>' + esc(stateLabel(d.pos)) + '</span></div>' +
     '</div>' +
     '<hr class="rule">' +
     '<div class="bill-meta">' +
-    '<div><span>Client</span><span>' + esc(client ? client.name : 'Unknown') + '</span></div>' +
-    '<div><span>Phone</span><span>' + esc(client ? client.phone : '') + '</span></div>' +
-    '<div><span>Address</span><span>' + esc(client ? client.address : '') + '</span></div>' +
-    (client && client.pan ? '<div><span>PAN/GSTIN</span><span>' + esc(client.pan) + '</span></div>' : '') +
+    '<div><span>Bill To</span><span>' + esc(d.billTo.name) + '</span></div>' +
+    (d.billTo.address ? '<div><span>Address</span><span>' + esc(d.billTo.address) + '</span></div>' : '') +
+    (d.billTo.gstin ? '<div><span>GSTIN</span><span>' + esc(d.billTo.gstin) + '</span></div>' : '') +
     '</div>' +
     '<hr class="rule">' +
+    '<div class="bill-items">' + linesHtml + '</div>' +
+    '<hr class="rule">' +
+    '<div class="bill-items"><div><span>Taxable Value</span><span>' + money(d.taxable) + '</span></div>' + taxHtml + '</div>' +
+    '<div class="bill-total"><span>' + (isCredit ? 'Total Credit' : 'Total') + '</span><span>' + money(d.total) + '</span></div>' +
+    '<div class="bill-note" style="text-align:left; margin-top:6px;">' + rupeesInWords(d.total) + '</div>' +
+    (settledHtml ? '<hr class="rule"><div class="bill-items">' + settledHtml + '</div><div class="bill-total"><span>Balance Due</span><span>' + money(invoiceBalance(d)) + '</span></div>' : '') +
+    (d.notes ? '<div class="bill-note">Note: ' + esc(d.notes) + '</div>' : '') +
+    '<div class="bill-note">' + (d.rate ? 'Tax is not payable on reverse charge basis.<br>' : '') + 'Generated on ' + new Date().toLocaleDateString() + '</div>' +
+    '</div>'
+  );
+}
+
+function viewReceipt(receiptId){
+  var r = receipts.find(function(x){ return x.id === receiptId; });
+  if (!r) return;
+  var inv = invoices.find(function(x){ return x.id === r.invoiceId; });
+  lastFocusedEl = document.activeElement;
+  showInvoiceModal(
+    '<div class="bill-card">' +
+    firmHeaderHtml(r) +
+    '<div class="bill-name" style="text-align:center; font-size:.95rem;">RECEIPT</div>' +
+    '<hr class="rule">' +
     '<div class="bill-meta">' +
-    '<div><span>Audit Type</span><span>' + esc(contract.auditType || '') + '</span></div>' +
-    '<div><span>Financial Year</span><span>' + esc(contract.fy || '') + '</span></div>' +
-    '<div><span>Period</span><span>' + new Date(contract.startDate).toLocaleDateString() + ' - ' + new Date(contract.endDate).toLocaleDateString() + '</span></div>' +
+    '<div><span>Receipt No</span><span>' + esc(r.no || 'Opening balance') + '</span></div>' +
+    '<div><span>Date</span><span>' + fmtDueDate(r.date) + '</span></div>' +
+    '<div><span>Received From</span><span>' + esc(receiptClientName(r)) + '</span></div>' +
+    (inv ? '<div><span>Against Invoice</span><span>' + esc(inv.no) + '</span></div>' : '') +
+    '<div><span>Mode</span><span>' + esc(r.mode || '') + (r.ref ? ' · ' + esc(r.ref) : '') + '</span></div>' +
     '</div>' +
-    (servicesHtml ? '<div class="bill-items" style="margin-top:8px;">' + servicesHtml + '</div>' : '') +
     '<hr class="rule">' +
-    (gstBlock ? gstBlock + '<hr class="rule">' : '') +
-    totalBlock +
-    '<div class="bill-meta" style="margin-top:6px;"><div><span>Payment Status</span><span>' + esc((contract.paymentStatus || 'unknown').toUpperCase()) + '</span></div></div>' +
-    (contract.notes ? '<div class="bill-note">Note: ' + esc(contract.notes) + '</div>' : '') +
-    '<div class="bill-note">Generated on ' + new Date().toLocaleDateString() + '</div>' +
-    '</div>';
-
-  document.getElementById('invoice-print').innerHTML = html;
-  document.getElementById('invoice-modal').classList.add('active');
-  setTimeout(function(){
-    var closeBtn = document.querySelector('#invoice-modal .btn-ghost');
-    if (closeBtn) closeBtn.focus();
-  }, 30);
+    '<div class="bill-items">' +
+    '<div><span>Amount Received</span><span>' + money(r.amount) + '</span></div>' +
+    (r.tds ? '<div><span>TDS Deducted by Client</span><span>' + money(r.tds) + '</span></div>' : '') +
+    '</div>' +
+    '<div class="bill-total"><span>Total Settled</span><span>' + money(r.amount + r.tds) + '</span></div>' +
+    '<div class="bill-note" style="text-align:left; margin-top:6px;">' + rupeesInWords(r.amount) + ' received.</div>' +
+    (inv ? '<div class="bill-note">Balance on ' + esc(inv.no) + ': ' + money(invoiceBalance(inv)) + '</div>' : '') +
+    '</div>'
+  );
+}
+
+/* ================= PAYMENT LEDGER & AGEING =================
+   An engagement's ledger is every receipt carrying its contractId — those
+   recorded against its invoices and those taken on account. What the client owes
+   is the invoiced amount (net of credit notes, so including GST) plus any part of
+   the fee not yet invoiced. */
+function engagementPayments(c){
+  return receipts.filter(function(r){ return r.contractId === c.id; })
+    .sort(function(a, b){ return a.date < b.date ? -1 : a.date > b.date ? 1 : 0; });
+}
+function engagementReceivable(c){
+  var docs = invoices.filter(function(d){ return d.contractId === c.id; });
+  var sign = function(d){ return d.kind === 'credit' ? -1 : 1; };
+  var billed = docs.reduce(function(t, d){ return t + sign(d) * d.total; }, 0);
+  var billedTaxable = docs.reduce(function(t, d){ return t + sign(d) * d.taxable; }, 0);
+  return round2(billed + Math.max(0, (parseFloat(c.amount) || 0) - billedTaxable));
+}
+function engagementReceived(c){
+  return round2(engagementPayments(c).reduce(function(t, r){ return t + r.amount + r.tds; }, 0));
+}
+function engagementOutstanding(c){
+  return Math.max(0, round2(engagementReceivable(c) - engagementReceived(c)));
+}
+function engagementPaymentStatus(c){
+  if (engagementOutstanding(c) <= 0) return PAYMENT_STATUS.PAID;
+  return engagementPayments(c).length ? PAYMENT_STATUS.PARTIAL : PAYMENT_STATUS.PENDING;
+}
+function receiptClientName(r){
+  var inv = invoices.find(function(x){ return x.id === r.invoiceId; });
+  if (inv) return inv.billTo.name;
+  var cl = clients.find(function(x){ return x.id === r.clientId; });
+  return cl ? cl.name : 'Unknown';
+}
+
+function receiptFieldsHtml(amount, fee){
+  var modeOptions = '';
+  for (var i = 0; i < RECEIPT_MODES.length; i++) modeOptions += '<option value="' + esc(RECEIPT_MODES[i]) + '">' + esc(RECEIPT_MODES[i]) + '</option>';
+  return '<div class="grid">' +
+    '<div class="field"><label for="rcpt-date">Date *</label>' +
+    '<input type="date" id="rcpt-date" value="' + dateKey(new Date()) + '" required aria-required="true"></div>' +
+    '<div class="field"><label for="rcpt-mode">Mode</label><select id="rcpt-mode">' + modeOptions + '</select></div>' +
+    '<div class="field"><label for="rcpt-amount">Amount Received (₹) *</label>' +
+    '<input type="number" id="rcpt-amount" min="0" step="0.01" value="' + amount + '" required aria-required="true"></div>' +
+    '<div class="field"><label for="rcpt-tds">TDS Deducted by Client (₹)</label>' +
+    '<input type="number" id="rcpt-tds" min="0" step="0.01" placeholder="10% u/s 194J would be ' + esc(money(round2(fee / 10))) + '"></div>' +
+    '</div>' +
+    '<div class="field"><label for="rcpt-ref">Reference</label>' +
+    '<input type="text" id="rcpt-ref" placeholder="UTR / cheque no."></div>';
+}
+function readReceiptFields(){
+  var entry = {
+    date: document.getElementById('rcpt-date').value,
+    amount: round2(parseFloat(document.getElementById('rcpt-amount').value) || 0),
+    tds: round2(parseFloat(document.getElementById('rcpt-tds').value) || 0),
+    mode: document.getElementById('rcpt-mode').value,
+    ref: document.getElementById('rcpt-ref').value.trim()
+  };
+  if (!entry.date){ toast('Please fill in all required fields', 'error'); return null; }
+  if (entry.amount < 0 || entry.tds < 0 || entry.amount + entry.tds <= 0){ toast('Enter the amount received or the TDS deducted', 'error'); return null; }
+  return entry;
+}
+function addReceipt(entry, contractId, clientId, invoiceId){
+  var fy = fyOfDate(entry.date);
+  var receipt = Object.assign({
+    id: Date.now().toString(), no: nextDocNo('receipt', fy), fy: fy,
+    invoiceId: invoiceId || '', contractId: contractId, clientId: clientId,
+    supplier: firmDetails(), supplierState: firmStateCode(), createdAt: nowIso()
+  }, entry);
+  receipts.push(receipt);
+  return receipt;
+}
+
+/* Days past due, bucketed. Each open invoice ages from its own date; whatever part
+   of the fee is not yet invoiced ages from the engagement's due date. Rows with
+   nothing outstanding are left out. */
+function ageingRows(){
+  var today = new Date(); today.setHours(0, 0, 0, 0);
+  var rows = [];
+  var row = function(c, inv, since, receivable, outstanding){
+    var days = since ? Math.floor((today - new Date(since + 'T00:00:00')) / 86400000) : 0;
+    rows.push({
+      contract: c, invoice: inv, client: clients.find(function(x){ return x.id === c.clientId; }), since: since,
+      days: days, bucket: AGEING_BUCKETS.find(function(b){ return days <= b.max; }),
+      receivable: receivable, received: round2(receivable - outstanding), outstanding: outstanding
+    });
+  };
+  contracts.forEach(function(c){
+    var outstanding = engagementOutstanding(c);
+    if (outstanding <= 0) return;
+    var docs = invoices.filter(function(d){ return d.kind === 'invoice' && d.contractId === c.id; });
+    docs.forEach(function(d){
+      var balance = invoiceBalance(d);
+      var net = round2(d.total - invoiceCredits(d).reduce(function(t, n){ return t + n.total; }, 0));
+      if (balance > 0) row(c, d, d.date, net, balance);
+      outstanding -= balance;
+    });
+    outstanding = round2(outstanding);
+    if (outstanding > 0){
+      var billedTaxable = invoices.filter(function(d){ return d.contractId === c.id; })
+        .reduce(function(t, d){ return t + (d.kind === 'credit' ? -1 : 1) * d.taxable; }, 0);
+      row(c, null, c.endDate, round2(Math.max(outstanding, (parseFloat(c.amount) || 0) - billedTaxable)), outstanding);
+    }
+  });
+  return rows.sort(function(a, b){ return b.days - a.days; });
+}
+function renderAgeing(){
+  var summary = document.getElementById('ageing-summary');
+  if (!summary) return;
+  var rows = ageingRows();
+  summary.innerHTML = AGEING_BUCKETS.map(function(b){
+    var total = rows.filter(function(r){ return r.bucket === b; }).reduce(function(t, r){ return t + r.outstanding; }, 0);
+    return '<div class="stat-card' + (b.key === 'd90plus' ? ' accent-red' : b.key === 'current' ? ' accent-teal' : ' accent-marigold') + '">' +
+      '<div class="stat-num">' + money(round2(total)) + '</div><div class="stat-label">' + esc(b.label) + '</div></div>';
+  }).join('');
+  var list = document.getElementById('ageing-list');
+  if (rows.length === 0){
+    list.innerHTML = '<tr><td colspan="7"><div class="empty">Nothing outstanding — every fee is settled</div></td></tr>';
+    return;
+  }
+  list.innerHTML = rows.map(function(r){
+    return '<tr>' +
+      '<td><strong>' + esc(r.client ? r.client.name : 'Unknown') + '</strong></td>' +
+      '<td>' + esc(r.contract.auditType || '') + '<br><span style="color:#5c5344;font-size:.78rem;">FY ' + esc(r.contract.fy || '') + ' &middot; ' + (r.invoice ? esc(r.invoice.no) : 'not yet invoiced') + '</span></td>' +
+      '<td>' + (r.since ? fmtDueDate(r.since) : '&mdash;') + '</td>' +
+      '<td>' + money(r.receivable) + '</td>' +
+      '<td>' + money(r.received) + '</td>' +
+      '<td><strong>' + money(r.outstanding) + '</strong></td>' +
+      '<td><span class="status-pill status-' + (r.days > 0 ? 'overdue' : 'due') + '">' + (r.days > 0 ? r.days + ' days' : esc(r.bucket.label)) + '</span></td>' +
+      '</tr>';
+  }).join('');
+}
+function exportAgeingCSV(){
+  var rows = ageingRows();
+  if (rows.length === 0){ toast('Nothing outstanding to export', 'info'); return; }
+  var headers = ['Client', 'Audit Type', 'Financial Year', 'Invoice No', 'Due Date', 'Receivable', 'Received', 'Outstanding', 'Days Past Due', 'Bucket'];
+  downloadCSV('fee-ageing-' + new Date().toISOString().slice(0, 10) + '.csv', headers, rows.map(function(r){
+    return [r.client ? r.client.name : 'Unknown', r.contract.auditType || '', r.contract.fy || '', r.invoice ? r.invoice.no : 'Not invoiced', r.since || '',
+      r.receivable, r.received, r.outstanding, Math.max(0, r.days), r.bucket.label];
+  }));
+  toast('Ageing report exported to CSV', 'success');
 }
 function closeInvoice(){
   document.getElementById('invoice-modal').classList.remove('active');
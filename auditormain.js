@@ -175,10 +175,13 @@
     font-size:.72rem; font-weight:600; padding:3px 9px; border-radius:12px; text-transform:capitalize;
     display:inline-block; white-space:nowrap;
   }
-  .auditor-app-scope .status-active, .auditor-app-scope .status-completed, .auditor-app-scope .status-paid{background:#c9e2b8; color:#2c4919;}
+  .auditor-app-scope .status-active, .auditor-app-scope .status-completed, .auditor-app-scope .status-paid, .auditor-app-scope .status-received{background:#c9e2b8; color:#2c4919;}
   .auditor-app-scope .status-expired, .auditor-app-scope .status-cancelled, .auditor-app-scope .status-pending{background:#f0c8c8; color:#6e1d1d;}
-  .auditor-app-scope .status-scheduled, .auditor-app-scope .status-partial{background:#f1dcae; color:#6e4b0e;}
+  .auditor-app-scope .status-scheduled, .auditor-app-scope .status-partial, .auditor-app-scope .status-requested{background:#f1dcae; color:#6e4b0e;}
   .auditor-app-scope .status-entity{background:#e2dbc9; color:#514936;}
+  .auditor-app-scope .status-filed{background:#c9e2b8; color:#2c4919;}
+  .auditor-app-scope .status-due{background:#f1dcae; color:#6e4b0e;}
+  .auditor-app-scope .status-overdue{background:#f0c8c8; color:#6e1d1d;}
   .auditor-app-scope .row-actions{display:flex; gap:10px; white-space:nowrap;}
 
   .auditor-app-scope .icon-btn{
@@ -235,6 +238,21 @@
   .auditor-app-scope .dash-sub-title{ font-family:'Bitter',serif; font-weight:700; font-size:1rem; margin:0 0 12px; }
   .auditor-app-scope .dash-cols{display:grid; grid-template-columns:1fr 1fr; gap:20px;}
 
+  /* ---------- Compliance calendar ---------- */
+  .auditor-app-scope .cal-nav{display:flex; align-items:center; gap:10px; flex-wrap:wrap; margin-bottom:14px;}
+  .auditor-app-scope .cal-nav .cal-month{font-family:'Bitter',serif; font-weight:700; font-size:1.05rem; min-width:110px; text-align:center;}
+  .auditor-app-scope .cal-grid{display:grid; grid-template-columns:repeat(7,1fr); gap:4px;}
+  .auditor-app-scope .cal-dow{font-size:.7rem; font-weight:600; letter-spacing:.06em; text-transform:uppercase; color:#5c5344; text-align:center; padding:4px 0;}
+  .auditor-app-scope .cal-day{min-height:82px; background:#fff; border:1px solid var(--line); border-radius:2px; padding:5px; min-width:0;}
+  .auditor-app-scope .cal-day.is-blank{background:transparent; border-color:transparent;}
+  .auditor-app-scope .cal-day.is-today{border-color:var(--marigold); box-shadow:inset 0 0 0 1px var(--marigold);}
+  .auditor-app-scope .cal-date{font-size:.74rem; font-weight:700; margin-bottom:3px;}
+  .auditor-app-scope .cal-item{
+    all:unset; cursor:pointer; display:block; font-size:.68rem; font-weight:600; padding:2px 5px; margin-bottom:2px;
+    border-radius:2px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; max-width:100%; box-sizing:border-box;
+  }
+  .auditor-app-scope .cal-item:focus-visible{ outline:2px solid var(--marigold); outline-offset:1px; }
+
   /* ---------- Modal ---------- */
   .auditor-app-scope .modal{display:none; position:fixed; inset:0; z-index:1000; background:rgba(43,38,32,.55); align-items:center; justify-content:center; padding:20px;}
   .auditor-app-scope .modal.active{display:flex;}
@@ -249,6 +267,18 @@
   .auditor-app-scope .checkline input[type="checkbox"]{ width:auto; accent-color:var(--marigold); }
   .auditor-app-scope .checkline label{ margin:0; font-size:.86rem; color:var(--ink); font-weight:500; }
   .auditor-app-scope fieldset{border:none; margin:0; padding:0;}
+  .auditor-app-scope .inv-line{display:grid; grid-template-columns:1fr 90px 120px auto; gap:8px; align-items:center; margin-bottom:8px;}
+  .auditor-app-scope .progress{height:6px; background:var(--line); border-radius:3px; overflow:hidden; margin:6px 0 3px; min-width:70px;}
+  .auditor-app-scope .progress span{display:block; height:100%; background:var(--teal);}
+  .auditor-app-scope .ck-section{font-family:'Bitter',serif; font-size:.9rem; margin:16px 0 8px; display:flex; justify-content:space-between;}
+  .auditor-app-scope .ck-section span{font-family:inherit; font-size:.78rem; color:#5c5344; font-weight:600;}
+  .auditor-app-scope .ck-item{border-bottom:1px dashed var(--line); padding:7px 0;}
+  .auditor-app-scope .ck-item.is-done label{text-decoration:line-through; color:#7c7364;}
+  .auditor-app-scope .ck-meta{display:flex; gap:8px; align-items:center; margin:5px 0 0 26px;}
+  .auditor-app-scope .ck-meta select, .auditor-app-scope .ck-meta input{width:auto; padding:4px 8px; font-size:.8rem;}
+  .auditor-app-scope .ck-meta input.is-late{border-color:#b23a3a; color:#6e1d1d;}
+  .auditor-app-scope .ck-add{display:flex; gap:8px; margin-top:10px;}
+  .auditor-app-scope #inv-totals{background:#fff; border:1px solid var(--line); border-radius:2px; padding:6px 12px; margin-bottom:14px;}
   .auditor-app-scope legend{ padding:0; margin:0 0 5px; font-size:.78rem; font-weight:600; color:#4d4638; }
 
   /* ---------- Invoice / receipt ---------- */
@@ -299,6 +329,8 @@
     .auditor-app-scope main{padding:24px 18px 60px;}
     .auditor-app-scope .grid, .auditor-app-scope .stat-grid, .auditor-app-scope .dash-cols{grid-template-columns:1fr;}
     .auditor-app-scope .icon-btn{ padding:8px 9px; font-size:1rem; }
+    .auditor-app-scope .cal-day{min-height:54px; padding:3px;}
+    .auditor-app-scope .cal-item{font-size:0; width:8px; height:8px; padding:0; border-radius:50%; display:inline-block; margin-right:2px;}
   }
 `;
 
@@ -326,6 +358,8 @@
       <button data-view="clients" title="Clients" aria-label="Clients"><span class="nav-icon" aria-hidden="true">👤</span> Clients</button>
       <button data-view="contracts" title="Audit Engagements" aria-label="Audit Engagements"><span class="nav-icon" aria-hidden="true">📋</span> Engagements</button>
       <button data-view="visits" title="Field Visits" aria-label="Field Visits"><span class="nav-icon" aria-hidden="true">🧳</span> Visits</button>
+      <button data-view="compliance" title="Compliance Calendar" aria-label="Compliance Calendar"><span class="nav-icon" aria-hidden="true">🗓</span> Compliance</button>
+      <button data-view="billing" title="Invoices and Receipts" aria-label="Invoices and Receipts"><span class="nav-icon" aria-hidden="true">🧾</span> Billing</button>
       <button data-view="whatsapp" title="WhatsApp Messaging" aria-label="WhatsApp Messaging"><span class="nav-icon" aria-hidden="true">💬</span> WhatsApp</button>
       <button data-view="backup" title="Backup and Restore" aria-label="Backup and Restore"><span class="nav-icon" aria-hidden="true">⬇️</span> Backup</button>
       <button data-view="settings" title="Firm Profile" aria-label="Firm Profile and Settings"><span class="nav-icon" aria-hidden="true">⚙️</span> Settings</button>
@@ -352,7 +386,7 @@
         <div class="stat-card accent-teal"><div class="stat-icon" aria-hidden="true">📋</div><div class="stat-num" id="stat-contracts">0</div><div class="stat-label">Ongoing Engagements</div></div>
         <div class="stat-card accent-marigold"><div class="stat-icon" aria-hidden="true">🧳</div><div class="stat-num" id="stat-visits">0</div><div class="stat-label">Upcoming Visits</div></div>
         <div class="stat-card accent-teal"><div class="stat-icon" aria-hidden="true">💰</div><div class="stat-num" id="stat-revenue">₹0</div><div class="stat-label">Total Fees Billed</div></div>
-        <div class="stat-card accent-red"><div class="stat-icon" aria-hidden="true">⚠️</div><div class="stat-num" id="stat-pending">₹0</div><div class="stat-label">Pending Fees</div></div>
+        <div class="stat-card accent-red"><div class="stat-icon" aria-hidden="true">⚠️</div><div class="stat-num" id="stat-pending">₹0</div><div class="stat-label">Fees Outstanding</div></div>
       </div>
 
       <div class="dash-cols">
@@ -364,6 +398,10 @@
           <h3 class="dash-sub-title">⚠️ Engagements Due Soon (30 days)</h3>
           <div id="expiring-contracts-list"></div>
         </div>
+        <div class="card">
+          <h3 class="dash-sub-title">🗓 Filings Due (15 days)</h3>
+          <div id="compliance-due-list"></div>
+        </div>
       </div>
     </section>
 
@@ -397,6 +435,7 @@
         <div><h2 class="page-title" id="engagements-heading"><span aria-hidden="true">📋</span> Audit Engagements</h2><p class="page-sub">Audit assignments, deadlines, and fee status.</p></div>
         <div class="view-head-actions">
           <button class="btn btn-teal btn-sm" onclick="exportEngagementsCSV()">⬇ CSV</button>
+          <button class="btn btn-ghost btn-sm" onclick="openModal('rollover')">⏭ Roll Forward FY</button>
           <button class="btn btn-primary" onclick="openModal('contract')">+ New Engagement</button>
         </div>
       </div>
@@ -442,6 +481,85 @@
       </div>
     </section>
 
+    <!-- COMPLIANCE -->
+    <section id="view-compliance" class="view" aria-labelledby="compliance-heading">
+      <h2 class="page-title" id="compliance-heading"><span aria-hidden="true">🗓</span> Compliance Calendar</h2>
+      <p class="page-sub">Statutory due dates worked out from each client's entity type and the scope of its engagements for the FY. Dates are the statutory defaults; extensions notified by CBDT, CBIC or MCA are not applied.</p>
+      <div class="card">
+        <div class="cal-nav">
+          <button class="btn btn-ghost btn-sm" onclick="shiftComplianceMonth(-1)" aria-label="Previous month">‹</button>
+          <span class="cal-month" id="compliance-month-label" aria-live="polite"></span>
+          <button class="btn btn-ghost btn-sm" onclick="shiftComplianceMonth(1)" aria-label="Next month">›</button>
+          <button class="btn btn-teal btn-sm" onclick="resetComplianceMonth()">This Month</button>
+        </div>
+        <div class="filter-row" id="compliance-filter-row" role="group" aria-label="Filter filings by status" style="margin-bottom:14px;">
+          <button class="filter-chip active" data-filter="all" aria-pressed="true" onclick="setComplianceFilter('all')">All</button>
+          <button class="filter-chip" data-filter="due" aria-pressed="false" onclick="setComplianceFilter('due')">Due</button>
+          <button class="filter-chip" data-filter="overdue" aria-pressed="false" onclick="setComplianceFilter('overdue')">Overdue</button>
+          <button class="filter-chip" data-filter="filed" aria-pressed="false" onclick="setComplianceFilter('filed')">Filed</button>
+        </div>
+        <div class="cal-grid" id="compliance-calendar"></div>
+      </div>
+      <div class="card">
+        <div class="table-wrap">
+          <table>
+            <caption class="visually-hidden">Filings due this month</caption>
+            <thead><tr><th scope="col">Due Date</th><th scope="col">Client</th><th scope="col">Filing</th><th scope="col">Period</th><th scope="col">Status</th><th scope="col">Acknowledgement</th><th scope="col">Actions</th></tr></thead>
+            <tbody id="compliance-list"></tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+
+    <!-- BILLING -->
+    <section id="view-billing" class="view" aria-labelledby="billing-heading">
+      <div class="view-head">
+        <div><h2 class="page-title" id="billing-heading"><span aria-hidden="true">🧾</span> Invoices &amp; Receipts</h2><p class="page-sub">GST invoices numbered per financial year, receipts with TDS, credit notes and fee ageing. Raise an invoice with an engagement's 🧾 button and record payments with 💵.</p></div>
+        <div class="view-head-actions">
+          <button class="btn btn-teal btn-sm" onclick="exportInvoicesCSV()">⬇ Invoices CSV</button>
+          <button class="btn btn-teal btn-sm" onclick="exportReceiptsCSV()">⬇ Receipts CSV</button>
+        </div>
+      </div>
+      <div class="card">
+        <div class="view-head" style="margin-bottom:12px;">
+          <h3 class="card-title" style="margin:0;">Outstanding fees — ageing</h3>
+          <button class="btn btn-ghost btn-sm" onclick="exportAgeingCSV()">⬇ Ageing CSV</button>
+        </div>
+        <div class="stat-grid" id="ageing-summary" style="margin-bottom:14px;"></div>
+        <div class="table-wrap">
+          <table>
+            <caption class="visually-hidden">Outstanding fees by days past due</caption>
+            <thead><tr><th scope="col">Client</th><th scope="col">Engagement</th><th scope="col">Due Date</th><th scope="col">Receivable</th><th scope="col">Received</th><th scope="col">Outstanding</th><th scope="col">Past Due</th></tr></thead>
+            <tbody id="ageing-list"></tbody>
+          </table>
+        </div>
+      </div>
+      <div class="card">
+        <label for="billing-search" class="visually-hidden">Search invoices</label>
+        <input type="text" id="billing-search" placeholder="Search by client name or document number..." aria-label="Search invoices and receipts by client name or number">
+      </div>
+      <div class="card">
+        <h3 class="card-title">Invoices &amp; credit notes</h3>
+        <div class="table-wrap">
+          <table>
+            <caption class="visually-hidden">Invoices and credit notes</caption>
+            <thead><tr><th scope="col">Number</th><th scope="col">Date</th><th scope="col">Client</th><th scope="col">Taxable</th><th scope="col">GST</th><th scope="col">Total</th><th scope="col">Payment</th><th scope="col">Actions</th></tr></thead>
+            <tbody id="billing-list"></tbody>
+          </table>
+        </div>
+      </div>
+      <div class="card">
+        <h3 class="card-title">Receipts</h3>
+        <div class="table-wrap">
+          <table>
+            <caption class="visually-hidden">Receipts against invoices</caption>
+            <thead><tr><th scope="col">Receipt No</th><th scope="col">Date</th><th scope="col">Client / Invoice</th><th scope="col">Received</th><th scope="col">TDS</th><th scope="col">Mode</th><th scope="col">Actions</th></tr></thead>
+            <tbody id="receipts-list"></tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+
     <!-- WHATSAPP -->
     <section id="view-whatsapp" class="view" aria-labelledby="whatsapp-heading">
       <h2 class="page-title" id="whatsapp-heading"><span aria-hidden="true">💬</span> WhatsApp Messaging</h2>
@@ -449,12 +567,13 @@
 
       <div class="card">
         <h3 class="card-title">✏️ Message Templates</h3>
-        <p class="page-sub" style="margin-bottom:14px;">Placeholders: <code>{client_name}</code> <code>{firm_name}</code> <code>{audit_type}</code> <code>{fy}</code> <code>{due_date}</code> <code>{amount}</code> <code>{visit_date}</code> <code>{visit_time}</code> <code>{purpose}</code></p>
+        <p class="page-sub" style="margin-bottom:14px;">Placeholders: <code>{client_name}</code> <code>{firm_name}</code> <code>{audit_type}</code> <code>{fy}</code> <code>{due_date}</code> <code>{amount}</code> <code>{visit_date}</code> <code>{visit_time}</code> <code>{purpose}</code> <code>{documents}</code></p>
         <div class="field"><label for="tpl-reminder">Visit Reminder</label><textarea id="tpl-reminder" rows="2"></textarea></div>
         <div class="field"><label for="tpl-payment_due">Payment Due</label><textarea id="tpl-payment_due" rows="2"></textarea></div>
         <div class="field"><label for="tpl-overdue">Overdue</label><textarea id="tpl-overdue" rows="2"></textarea></div>
         <div class="field"><label for="tpl-completed">Engagement Completed</label><textarea id="tpl-completed" rows="2"></textarea></div>
         <div class="field"><label for="tpl-greeting">General Greeting</label><textarea id="tpl-greeting" rows="2"></textarea></div>
+        <div class="field"><label for="tpl-documents">Document Request</label><textarea id="tpl-documents" rows="2"></textarea></div>
         <button class="btn btn-primary btn-sm" onclick="saveTemplates()">Save Templates</button>
       </div>
 
@@ -523,7 +642,7 @@
       <p class="page-sub">Your data lives in this browser only — back it up regularly.</p>
       <div class="card">
         <h3 class="card-title">Export a backup</h3>
-        <p class="page-sub" style="margin-bottom:16px;">Downloads a JSON file with all clients, engagements, visits and your firm profile.</p>
+        <p class="page-sub" style="margin-bottom:16px;">Downloads a JSON file with all clients, engagements, visits, filings, invoices, receipts and your firm profile.</p>
         <button class="btn btn-teal" onclick="exportData()">⬇ Download Backup (JSON)</button>
       </div>
       <div class="card">
@@ -532,6 +651,8 @@
         <div class="view-head-actions">
           <button class="btn btn-teal btn-sm" onclick="exportClientsCSV()">⬇ Clients CSV</button>
           <button class="btn btn-teal btn-sm" onclick="exportEngagementsCSV()">⬇ Engagements CSV</button>
+          <button class="btn btn-teal btn-sm" onclick="exportInvoicesCSV()">⬇ Invoices CSV</button>
+          <button class="btn btn-teal btn-sm" onclick="exportReceiptsCSV()">⬇ Receipts CSV</button>
         </div>
       </div>
       <div class="card">
@@ -553,11 +674,13 @@
         <div class="field"><label for="biz-phone">Phone</label><input type="text" id="biz-phone"></div>
         <div class="field"><label for="biz-address">Address</label><textarea id="biz-address" rows="2"></textarea></div>
         <div class="field"><label for="biz-gst">GSTIN / ICAI Firm Regn. No. (optional)</label><input type="text" id="biz-gst"></div>
+        <div class="field"><label for="biz-state">State (used for place of supply when no GSTIN is entered)</label><select id="biz-state"></select></div>
         <div class="field checkline" style="margin-bottom:10px;">
           <input type="checkbox" id="biz-gst-enabled">
-          <label for="biz-gst-enabled" style="margin:0;">Show GST breakup on fee invoices</label>
+          <label for="biz-gst-enabled" style="margin:0;">Registered under GST — charge GST on invoices</label>
         </div>
         <div class="field" id="biz-gst-rate-field"><label for="biz-gst-rate">GST Rate (%)</label><input type="number" id="biz-gst-rate" min="0" max="28" step="0.5" value="18"></div>
+        <div class="field"><label for="biz-staff">Team Members (one per line — checklist items can be assigned to them)</label><textarea id="biz-staff" rows="3" placeholder="Priya&#10;Arun"></textarea></div>
         <button class="btn btn-primary" onclick="saveSettings()">Save Profile</button>
       </div>
 
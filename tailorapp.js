@@ -23,6 +23,18 @@
     {key:'other', label:'Other stitching'},
   ];
   const STATUSES = ['process','ready','delivered','customer_due','other'];
+  const STAFF_ROLES = [
+    {key:'cutter', label:'Cutter'},
+    {key:'stitcher', label:'Stitcher'},
+    {key:'counter', label:'Counter'},
+  ];
+  // Columns of the workroom board, in the order work moves through them.
+  const BOARD_COLUMNS = ['', 'process', 'ready', 'delivered'];
+  const PAYMENT_MODES = [
+    {key:'cash', label:'Cash'},
+    {key:'upi', label:'UPI'},
+    {key:'card', label:'Card'},
+  ];
   const DEFAULT_SHOP = {
     phone:'98809 98255', since:'Since 1993', name:'Santi Ladies Wear',
     tag:'(Exclusive in Ladies Tailoring)',
@@ -32,13 +44,164 @@
     thanks:'🙏 Thank you! Welcome again 🙏',
     liability:'Our liability for delivery ends 30 days after the due date.',
     hours:'Lunch 2:00–4:00 · Sunday holiday',
-    deliveryNote:'Delivery timings: 5:30 PM – 8:30 PM'
+    deliveryNote:'Delivery timings: 5:30 PM – 8:30 PM',
+    openTime:'10:00', closeTime:'20:30', fittingMinutes:30
   };
 
-  const DEFAULT_PASSWORD = '1234';
-  const DEFAULT_TAX = { enabled:false, rate:0, label:'GST' };
+  // PIN of the Owner account created on first run (and from an old shared password).
+  const DEFAULT_OWNER_PIN = '1234';
+  const USER_ROLES = [
+    { key:'owner', label:'Owner' },
+    { key:'counter', label:'Counter staff' },
+    { key:'tailor', label:'Tailor' }
+  ];
+  const PERMISSIONS = [
+    { key:'orders.edit', label:'Edit orders' },
+    { key:'orders.delete', label:'Delete orders' },
+    { key:'payments.delete', label:'Remove payments' },
+    { key:'prices.edit', label:'Edit prices, add-ons and charges' },
+    { key:'tax.edit', label:'Change tax and currency' },
+    { key:'settings.edit', label:'Change shop settings, capacity and staff' },
+    { key:'analytics.view', label:'See analytics and reports' },
+    { key:'expenses.delete', label:'Delete expenses and reopen cash days' },
+    { key:'inventory.edit', label:'Edit stock items, counts and materials per product' },
+    { key:'backup.restore', label:'Restore backups' },
+    { key:'users.manage', label:'Manage users and see the activity log' }
+  ];
+  // The owner always has every permission; these are the starting points for the others.
+  const DEFAULT_ROLE_PERMS = { counter:['orders.edit'], tailor:[] };
+  const ACTIVITY_ACTIONS = [
+    { key:'create', label:'Created' },
+    { key:'edit', label:'Edited' },
+    { key:'delete', label:'Deleted' },
+    { key:'status', label:'Status change' },
+    { key:'payment', label:'Payment' },
+    { key:'approve', label:'PIN approval' },
+    { key:'restore', label:'Restore' },
+    { key:'sign_in', label:'Signed in' },
+    { key:'sign_out', label:'Signed out' }
+  ];
+  const DEFAULT_EXPENSE_CATEGORIES = [
+    { key:'fabric', label:'Fabric & lining' },
+    { key:'thread', label:'Thread, hooks & zips' },
+    { key:'wages', label:'Staff wages' },
+    { key:'rent', label:'Rent' },
+    { key:'electricity', label:'Electricity' },
+    { key:'other', label:'Other' }
+  ];
+  const EXPENSE_MODES = [...PAYMENT_MODES, { key:'bank', label:'Bank transfer' }];
+  // Follow-up orders raised against an earlier order (order.rework.parentId).
+  const REWORK_TYPES = [
+    { key:'alteration', label:'Alteration' },
+    { key:'rework', label:'Rework (our fix)' },
+    { key:'return', label:'Return' }
+  ];
+  const CONTACT_PREFS = [
+    { key:'whatsapp', label:'WhatsApp' },
+    { key:'call', label:'Phone call' },
+    { key:'sms', label:'SMS' }
+  ];
+  // App language (device.language, per counter) and bill language (settings.billLanguage, shop-wide).
+  const LANGUAGES = [
+    { key:'en', label:'English', locale:'en-IN' },
+    { key:'kn', label:'ಕನ್ನಡ (Kannada)', locale:'kn-IN' },
+    { key:'ta', label:'தமிழ் (Tamil)', locale:'ta-IN' },
+    { key:'hi', label:'हिन्दी (Hindi)', locale:'hi-IN' }
+  ];
+  const INVENTORY_UNITS = ['m', 'pcs', 'spool', 'pkt', 'roll', 'kg'];
+  const STOCK_MOVES_KEPT = 2000;
+  const PIN_HASH_ITERATIONS = 100000;
+  const SESSION_USER_KEY = 'santi-ledger-user';
+  const ACTIVITY_PAGE = 200;
+  const DEFAULT_TAX = { enabled:false, rate:0, label:'GST', gstin:'', sac:'', invoicePrefix:'INV' };
   const DEFAULT_PAYMENTS = { enabled:false, link:'' };
   const DEFAULT_CURRENCY = { symbol:'₹', position:'before' };
+  // Daily workload limits. 0 means "no limit"; closedDays are Date.getDay() numbers (0 = Sunday).
+  const DEFAULT_CAPACITY = { leadDays:10, perDay:0, perProduct:{}, closedDays:[0] };
+  // Express surcharge: delivery within `days` of the order date adds `percent` to the
+  // stitching amount. The tightest matching rule wins.
+  const DEFAULT_EXPRESS = { rules:[] };
+  const EXPRESS_RULE_SLOTS = 3;
+  const WEEKDAY_LABELS = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
+
+  // WhatsApp reminder wording. {placeholders} are filled per order by renderTemplate().
+  const REMINDER_TYPES = [
+    { key:'ready', label:'Order ready' },
+    { key:'balance_due', label:'Balance due' },
+    { key:'delivery_tomorrow', label:'Delivery tomorrow' },
+    { key:'fitting', label:'Fitting reminder' }
+  ];
+  const DEFAULT_TEMPLATES = {
+    ready: 'Hello {name}, your order #{order_no} at {shop_name} is ready for pickup. Balance to pay: {balance}. Thank you!',
+    balance_due: 'Hello {name}, a balance of {balance} is pending on order #{order_no} (delivery {delivery_date}) at {shop_name}. Please clear it at your convenience. Thank you!',
+    delivery_tomorrow: 'Hello {name}, your order #{order_no} at {shop_name} is due for delivery tomorrow ({delivery_date}). Balance to pay: {balance}. See you soon!',
+    fitting: 'Hello {name}, your trial fitting for order #{order_no} at {shop_name} is booked for {fitting_time}. To change the time please call {shop_phone}. Thank you!'
+  };
+
+  // Trial fittings booked against an order; `done` and `missed` keep their notes on the order.
+  const FITTING_STATUSES = [
+    { key:'booked', label:'Booked' },
+    { key:'done', label:'Done' },
+    { key:'missed', label:'Missed' },
+    { key:'cancelled', label:'Cancelled' }
+  ];
+
+  // GST state codes — the numeric code leads every GSTIN; the letter code matches shop.addrStateCode.
+  const GST_STATES = [
+    {code:'01', abbr:'JK', name:'Jammu and Kashmir'}, {code:'02', abbr:'HP', name:'Himachal Pradesh'},
+    {code:'03', abbr:'PB', name:'Punjab'}, {code:'04', abbr:'CH', name:'Chandigarh'},
+    {code:'05', abbr:'UK', name:'Uttarakhand'}, {code:'06', abbr:'HR', name:'Haryana'},
+    {code:'07', abbr:'DL', name:'Delhi'}, {code:'08', abbr:'RJ', name:'Rajasthan'},
+    {code:'09', abbr:'UP', name:'Uttar Pradesh'}, {code:'10', abbr:'BR', name:'Bihar'},
+    {code:'11', abbr:'SK', name:'Sikkim'}, {code:'12', abbr:'AR', name:'Arunachal Pradesh'},
+    {code:'13', abbr:'NL', name:'Nagaland'}, {code:'14', abbr:'MN', name:'Manipur'},
+    {code:'15', abbr:'MZ', name:'Mizoram'}, {code:'16', abbr:'TR', name:'Tripura'},
+    {code:'17', abbr:'ML', name:'Meghalaya'}, {code:'18', abbr:'AS', name:'Assam'},
+    {code:'19', abbr:'WB', name:'West Bengal'}, {code:'20', abbr:'JH', name:'Jharkhand'},
+    {code:'21', abbr:'OD', name:'Odisha'}, {code:'22', abbr:'CG', name:'Chhattisgarh'},
+    {code:'23', abbr:'MP', name:'Madhya Pradesh'}, {code:'24', abbr:'GJ', name:'Gujarat'},
+    {code:'26', abbr:'DD', name:'Dadra and Nagar Haveli and Daman and Diu'}, {code:'27', abbr:'MH', name:'Maharashtra'},
+    {code:'29', abbr:'KA', name:'Karnataka'}, {code:'30', abbr:'GA', name:'Goa'},
+    {code:'31', abbr:'LD', name:'Lakshadweep'}, {code:'32', abbr:'KL', name:'Kerala'},
+    {code:'33', abbr:'TN', name:'Tamil Nadu'}, {code:'34', abbr:'PY', name:'Puducherry'},
+    {code:'35', abbr:'AN', name:'Andaman and Nicobar Islands'}, {code:'36', abbr:'TS', name:'Telangana'},
+    {code:'37', abbr:'AP', name:'Andhra Pradesh'}, {code:'38', abbr:'LA', name:'Ladakh'},
+    {code:'97', abbr:'OT', name:'Other Territory'},
+  ];
+  const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+  // Measurement sets kept per customer (by mobile) and per garment. A product maps
+  // onto a garment when its key names one (e.g. liningBlouse → blouse).
+  const MEASUREMENT_UNIT = 'in';
+  const MEASUREMENT_GARMENTS = [
+    {key:'blouse', label:'Blouse', fields:[
+      {key:'length', label:'Length'}, {key:'shoulder', label:'Shoulder'},
+      {key:'bust', label:'Bust'}, {key:'waist', label:'Waist'},
+      {key:'armhole', label:'Armhole'}, {key:'sleeveLength', label:'Sleeve length'},
+      {key:'sleeveRound', label:'Sleeve round'}, {key:'frontNeck', label:'Front neck'},
+      {key:'backNeck', label:'Back neck'}, {key:'point', label:'Point'},
+    ]},
+    {key:'chudidhar', label:'Chudidhar', fields:[
+      {key:'length', label:'Top length'}, {key:'shoulder', label:'Shoulder'},
+      {key:'bust', label:'Bust'}, {key:'waist', label:'Waist'},
+      {key:'seat', label:'Seat / hip'}, {key:'armhole', label:'Armhole'},
+      {key:'sleeveLength', label:'Sleeve length'}, {key:'sleeveRound', label:'Sleeve round'},
+      {key:'frontNeck', label:'Front neck'}, {key:'backNeck', label:'Back neck'},
+      {key:'slit', label:'Slit'}, {key:'pantLength', label:'Pant length'},
+      {key:'pantWaist', label:'Pant waist'}, {key:'knee', label:'Knee'},
+      {key:'ankle', label:'Ankle'},
+    ]},
+  ];
+
+  // Order photos and fabric swatches are shrunk in the browser before saving. The byte
+  // budget keeps the photos key well inside what window.storage accepts, so a full
+  // store is caught when attaching rather than when an order fails to save.
+  const PHOTO_KINDS = [
+    { key:'photo', label:'Reference photo', edge:1024, quality:0.72 },
+    { key:'swatch', label:'Fabric swatch', edge:480, quality:0.8 }
+  ];
+  const PHOTOS_PER_ORDER = 8;
+  const PHOTO_BUDGET_BYTES = 4 * 1024 * 1024;
 
   let orders = [];
   let prices = {};
@@ -48,7 +211,28 @@
   let tax = {...DEFAULT_TAX};
   let payments = {...DEFAULT_PAYMENTS};
   let currency = {...DEFAULT_CURRENCY};
-  let settings = { password: DEFAULT_PASSWORD };
+  let settings = {};
+  let measurements = {};
+  let customers = {};
+  let invoiceSeries = {};
+  let staff = [];
+  let capacity = {...DEFAULT_CAPACITY};
+  let express = {...DEFAULT_EXPRESS};
+  let templates = {...DEFAULT_TEMPLATES};
+  let reminderLog = [];
+  let schemaVersion = 0;
+  let orderPhotos = {};
+  let users = [];
+  let rolePerms = JSON.parse(JSON.stringify(DEFAULT_ROLE_PERMS));
+  let activityLog = [];
+  let expenses = [];
+  let expenseCategories = DEFAULT_EXPENSE_CATEGORIES.map(c => ({...c}));
+  let cashbook = {};
+  let inventory = [];
+  let stockMoves = [];
+  let device = { id:'', name:'', slot:0 }; // this browser only, never shared
+  let devices = [];
+  let syncConflicts = [];
   let ordersFilter = '';
   products.forEach(p => prices[p.key] = 0);
 
@@ -83,18 +267,19 @@
     check: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><path d="M8 12l3 3 5-6"/></svg>`,
     minus: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M5 12h14"/></svg>`,
     plus: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 5v14M5 12h14"/></svg>`,
+    clock: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><path d="M12 7v5l3 2"/></svg>`,
     upload: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4M17 8l-5-5-5 5M12 3v12"/></svg>`,
   };
   const iconHtml = name => `<span class="icon" aria-hidden="true">${ICONS[name] || ''}</span>`;
 
   function toast(msg, type){
     type = ICONS[type] ? type : 'info';
-    const t = $('#toast');
-    t.className = 'toast toast-' + type;
-    t.innerHTML = `${iconHtml(type)}<span>${esc(msg)}</span>`;
-    t.classList.add('show');
-    clearTimeout(t._timer);
-    t._timer = setTimeout(()=>t.classList.remove('show'), 2600);
+    const box = $('#toast');
+    box.className = 'toast toast-' + type;
+    box.innerHTML = `${iconHtml(type)}<span>${esc(tr(msg))}</span>`;
+    box.classList.add('show');
+    clearTimeout(box._timer);
+    box._timer = setTimeout(()=>box.classList.remove('show'), 2600);
   }
 
   // ---------- custom modal (replaces window.confirm / window.prompt) ----------
@@ -126,6 +311,50 @@
       });
     });
   }
+  // Multi-field variant of showModal — resolves with { fieldId: value } or null when cancelled.
+  // fields: [{ id, label, type:'text'|'number'|'date'|'select'|'textarea', value, options:[{value,label}], attrs }]
+  function showFormModal({ title, message, fields, confirmLabel='Save', cancelLabel='Cancel' }){
+    return new Promise(resolve => {
+      const overlay = document.createElement('div');
+      overlay.className = 'modal-overlay';
+      const fieldHtml = f => {
+        const id = `modal-f-${f.id}`;
+        const attrs = f.attrs || '';
+        if(f.type === 'select'){
+          return `<select id="${id}" ${attrs}>${(f.options || []).map(o => `<option value="${esc(o.value)}" ${String(o.value) === String(f.value ?? '') ? 'selected' : ''}>${esc(o.label)}</option>`).join('')}</select>`;
+        }
+        if(f.type === 'textarea') return `<textarea id="${id}" rows="3" ${attrs}>${esc(f.value ?? '')}</textarea>`;
+        return `<input type="${f.type || 'text'}" id="${id}" value="${esc(f.value ?? '')}" ${attrs}>`;
+      };
+      overlay.innerHTML = `
+        <div class="modal-box modal-form" role="dialog" aria-modal="true" aria-label="${esc(title)}">
+          <h3>${esc(title)}</h3>
+          ${message ? `<p>${esc(message)}</p>` : ''}
+          ${fields.map(f => `<label for="modal-f-${f.id}">${esc(f.label)}</label>${fieldHtml(f)}`).join('')}
+          <div class="modal-actions">
+            <button type="button" class="modal-btn cancel" id="modal-cancel">${esc(cancelLabel)}</button>
+            <button type="button" class="modal-btn confirm" id="modal-confirm">${esc(confirmLabel)}</button>
+          </div>
+        </div>
+      `;
+      document.body.appendChild(overlay);
+      const first = overlay.querySelector('input, select, textarea');
+      if(first) first.focus();
+      const collect = () => {
+        const out = {};
+        fields.forEach(f => { out[f.id] = overlay.querySelector(`#modal-f-${f.id}`).value; });
+        return out;
+      };
+      const cleanup = (result) => { overlay.remove(); resolve(result); };
+      overlay.querySelector('#modal-cancel').addEventListener('click', ()=> cleanup(null));
+      overlay.querySelector('#modal-confirm').addEventListener('click', ()=> cleanup(collect()));
+      overlay.addEventListener('click', e => { if(e.target === overlay) cleanup(null); });
+      overlay.addEventListener('keydown', e => {
+        if(e.key === 'Escape') cleanup(null);
+        if(e.key === 'Enter' && e.target.tagName === 'INPUT') cleanup(collect());
+      });
+    });
+  }
   function customConfirm(title, message, confirmLabel='Delete', danger=true){
     return showModal({ title, message, type:'confirm', confirmLabel, danger });
   }
@@ -133,10 +362,671 @@
     return showModal({ title, message, type:'prompt', defaultValue, confirmLabel:'Save', inputType });
   }
 
+  // ---------- language ----------
+  // Catalogues are keyed by the English text itself, so markup and templates stay in
+  // English and anything without a translation shows as written. Rendered text is
+  // translated as it appears (see watchLanguage): the bill view in the bill language,
+  // everything else in the app language. Receipts and CSV exports stay in English.
+  const I18N = {
+    kn: {
+      'Dashboard':'ಡ್ಯಾಶ್‌ಬೋರ್ಡ್', 'New Order':'ಹೊಸ ಆರ್ಡರ್', 'Orders':'ಆರ್ಡರ್‌ಗಳು', 'Customers':'ಗ್ರಾಹಕರು',
+      'Board':'ಬೋರ್ಡ್', 'Calendar':'ಕ್ಯಾಲೆಂಡರ್', 'Print Bill':'ಬಿಲ್ ಮುದ್ರಿಸಿ', 'Measurements':'ಅಳತೆಗಳು',
+      'Dues':'ಬಾಕಿ', 'Expenses':'ಖರ್ಚುಗಳು', 'Inventory':'ದಾಸ್ತಾನು', 'Reminders':'ಜ್ಞಾಪನೆಗಳು',
+      'Price List':'ದರ ಪಟ್ಟಿ', 'Analytics':'ವಿಶ್ಲೇಷಣೆ', 'Shop Settings':'ಅಂಗಡಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳು',
+      'Not signed in':'ಸೈನ್ ಇನ್ ಆಗಿಲ್ಲ', 'Sign in':'ಸೈನ್ ಇನ್', 'Sign out':'ಸೈನ್ ಔಟ್', 'Change my PIN':'ನನ್ನ PIN ಬದಲಿಸಿ',
+      "Today's snapshot — orders, deliveries and dues at a glance.":'ಇಂದಿನ ನೋಟ — ಆರ್ಡರ್‌ಗಳು, ಡೆಲಿವರಿಗಳು ಮತ್ತು ಬಾಕಿ ಒಂದೇ ನೋಟದಲ್ಲಿ.',
+      'Deliveries due today & this week':'ಇಂದು ಮತ್ತು ಈ ವಾರದ ಡೆಲಿವರಿಗಳು', 'Recent orders':'ಇತ್ತೀಚಿನ ಆರ್ಡರ್‌ಗಳು', 'Low stock':'ಕಡಿಮೆ ದಾಸ್ತಾನು',
+      'Total Orders':'ಒಟ್ಟು ಆರ್ಡರ್‌ಗಳು', 'New / In Process':'ಹೊಸ / ಪ್ರಗತಿಯಲ್ಲಿ', 'Ready for Pickup':'ಪಿಕಪ್‌ಗೆ ಸಿದ್ಧ',
+      'Overdue':'ತಡವಾಗಿದೆ', 'Pending Dues':'ಬಾಕಿ ಮೊತ್ತ', "This Month's Revenue":'ಈ ತಿಂಗಳ ಆದಾಯ',
+      'Customer name':'ಗ್ರಾಹಕರ ಹೆಸರು', 'Mobile number':'ಮೊಬೈಲ್ ಸಂಖ್ಯೆ', 'Delivery date':'ಡೆಲಿವರಿ ದಿನಾಂಕ',
+      'Express delivery':'ತ್ವರಿತ ಡೆಲಿವರಿ', 'Order notes (optional)':'ಆರ್ಡರ್ ಟಿಪ್ಪಣಿ (ಐಚ್ಛಿಕ)', 'Advance paid (₹)':'ಮುಂಗಡ ಪಾವತಿ (₹)',
+      'Advance paid by':'ಮುಂಗಡ ಪಾವತಿ ವಿಧಾನ', 'Cash':'ನಗದು', 'Card':'ಕಾರ್ಡ್', 'Subtotal':'ಉಪಮೊತ್ತ', 'Discount':'ರಿಯಾಯಿತಿ',
+      'Estimated total':'ಅಂದಾಜು ಒಟ್ಟು', 'Save order':'ಆರ್ಡರ್ ಉಳಿಸಿ', 'Save changes':'ಬದಲಾವಣೆಗಳನ್ನು ಉಳಿಸಿ', 'Cancel edit':'ತಿದ್ದುಪಡಿ ರದ್ದುಮಾಡಿ',
+      'Apply tax':'ತೆರಿಗೆ ಸೇರಿಸಿ', 'Photos & swatches':'ಫೋಟೋಗಳು ಮತ್ತು ಬಟ್ಟೆ ಮಾದರಿಗಳು', 'Take photo':'ಫೋಟೋ ತೆಗೆಯಿರಿ',
+      'Customer':'ಗ್ರಾಹಕ', 'Mobile':'ಮೊಬೈಲ್', 'Order #':'ಆರ್ಡರ್ #', 'Date':'ದಿನಾಂಕ', 'Status':'ಸ್ಥಿತಿ', 'Delivery':'ಡೆಲಿವರಿ',
+      'Balance':'ಬಾಕಿ', 'Amount':'ಮೊತ್ತ', 'Total':'ಒಟ್ಟು', 'Paid':'ಪಾವತಿಸಲಾಗಿದೆ', 'Last payment':'ಕೊನೆಯ ಪಾವತಿ',
+      'Search orders':'ಆರ್ಡರ್ ಹುಡುಕಿ', 'Export CSV':'CSV ರಫ್ತು', 'Search customers':'ಗ್ರಾಹಕರನ್ನು ಹುಡುಕಿ', 'All customers':'ಎಲ್ಲಾ ಗ್ರಾಹಕರು',
+      'Lifetime value':'ಒಟ್ಟು ವ್ಯವಹಾರ', 'Last order':'ಕೊನೆಯ ಆರ್ಡರ್', 'No pending dues 🎉':'ಯಾವುದೇ ಬಾಕಿ ಇಲ್ಲ 🎉',
+      'Open':'ತೆರೆಯಿರಿ', 'Edit':'ತಿದ್ದು', 'Bill':'ಬಿಲ್', 'Alteration':'ಮಾರ್ಪಾಡು', 'Print':'ಮುದ್ರಿಸಿ', 'Download':'ಡೌನ್‌ಲೋಡ್',
+      'Send WhatsApp':'ವಾಟ್ಸಾಪ್ ಕಳುಹಿಸಿ', 'Record payment':'ಪಾವತಿ ದಾಖಲಿಸಿ', 'Payment':'ಪಾವತಿ', 'Find bill':'ಬಿಲ್ ಹುಡುಕಿ',
+      'Scan':'ಸ್ಕ್ಯಾನ್', 'Order number':'ಆರ್ಡರ್ ಸಂಖ್ಯೆ', 'Tax invoice':'ತೆರಿಗೆ ಇನ್‌ವಾಯ್ಸ್', 'Receipt':'ರಸೀದಿ', 'Job card':'ಕೆಲಸದ ಕಾರ್ಡ್',
+      'Garment tags':'ಬಟ್ಟೆ ಟ್ಯಾಗ್‌ಗಳು', 'Today':'ಇಂದು', 'Week':'ವಾರ', 'Month':'ತಿಂಗಳು', 'Category':'ವರ್ಗ', 'Note':'ಟಿಪ್ಪಣಿ',
+      'Search':'ಹುಡುಕಿ', 'Find':'ಹುಡುಕಿ', 'Add':'ಸೇರಿಸಿ', 'Staff':'ಸಿಬ್ಬಂದಿ', 'Cutter':'ಕಟ್ಟರ್', 'Stitcher':'ಹೊಲಿಗೆಗಾರ',
+      'Owner':'ಮಾಲೀಕ', 'Tailor':'ದರ್ಜಿ', 'Counter staff':'ಕೌಂಟರ್ ಸಿಬ್ಬಂದಿ', 'Revenue':'ಆದಾಯ', 'Profit':'ಲಾಭ',
+      'new':'ಹೊಸದು', 'process':'ಪ್ರಗತಿಯಲ್ಲಿ', 'ready':'ಸಿದ್ಧ', 'delivered':'ತಲುಪಿಸಲಾಗಿದೆ', 'customer due':'ಗ್ರಾಹಕರಿಂದ ಬಾಕಿ', 'other':'ಇತರೆ',
+      'Bill date':'ಬಿಲ್ ದಿನಾಂಕ', 'Bill no':'ಬಿಲ್ ಸಂಖ್ಯೆ', 'Name':'ಹೆಸರು', 'Balance due':'ಪಾವತಿಸಬೇಕಾದ ಬಾಕಿ',
+      'Discount (–)':'ರಿಯಾಯಿತಿ (–)', 'Paid (–)':'ಪಾವತಿಸಿದ್ದು (–)', 'Payment history':'ಪಾವತಿ ಇತಿಹಾಸ',
+      'Alterations & rework':'ಮಾರ್ಪಾಡು ಮತ್ತು ಮರುಕೆಲಸ', 'No stitching items on this order':'ಈ ಆರ್ಡರ್‌ನಲ್ಲಿ ಹೊಲಿಗೆ ಐಟಂಗಳಿಲ್ಲ',
+      'Free':'ಉಚಿತ', 'Order no':'ಆರ್ಡರ್ ಸಂಖ್ಯೆ', 'Order date':'ಆರ್ಡರ್ ದಿನಾಂಕ', 'Not measured':'ಅಳತೆ ತೆಗೆದಿಲ್ಲ',
+      'Order timeline':'ಆರ್ಡರ್ ಕಾಲರೇಖೆ', 'Due':'ಡೆಲಿವರಿ', 'Invoice no':'ಇನ್‌ವಾಯ್ಸ್ ಸಂಖ್ಯೆ', 'Invoice date':'ಇನ್‌ವಾಯ್ಸ್ ದಿನಾಂಕ',
+      'Billed to':'ಬಿಲ್ ಯಾರಿಗೆ', 'Description':'ವಿವರ', 'Qty':'ಪ್ರಮಾಣ', 'Rate':'ದರ', 'Taxable value':'ತೆರಿಗೆಗೆ ಒಳಪಡುವ ಮೌಲ್ಯ',
+      'Total taxable value':'ಒಟ್ಟು ತೆರಿಗೆಗೆ ಒಳಪಡುವ ಮೌಲ್ಯ', 'Invoice total':'ಇನ್‌ವಾಯ್ಸ್ ಒಟ್ಟು', 'Received':'ಸ್ವೀಕರಿಸಲಾಗಿದೆ',
+      'Place of supply':'ಪೂರೈಕೆಯ ಸ್ಥಳ', 'This is a computer-generated invoice.':'ಇದು ಕಂಪ್ಯೂಟರ್‌ನಿಂದ ತಯಾರಿಸಿದ ಇನ್‌ವಾಯ್ಸ್.',
+      'Cancel':'ರದ್ದು', 'Save':'ಉಳಿಸಿ', 'Delete':'ಅಳಿಸಿ',
+      'Language':'ಭಾಷೆ', 'App language':'ಆ್ಯಪ್ ಭಾಷೆ', 'Bill language':'ಬಿಲ್ ಭಾಷೆ', 'Same as app':'ಆ್ಯಪ್‌ನಂತೆಯೇ',
+      "Show numbers in the language's own digits":'ಭಾಷೆಯ ಸ್ವಂತ ಅಂಕಿಗಳಲ್ಲಿ ಸಂಖ್ಯೆಗಳನ್ನು ತೋರಿಸಿ',
+      'Name and mobile are required.':'ಹೆಸರು ಮತ್ತು ಮೊಬೈಲ್ ಕಡ್ಡಾಯ.', 'Enter an order number.':'ಆರ್ಡರ್ ಸಂಖ್ಯೆ ನಮೂದಿಸಿ.',
+      'Find a bill first.':'ಮೊದಲು ಬಿಲ್ ಹುಡುಕಿ.', 'Edit cancelled.':'ತಿದ್ದುಪಡಿ ರದ್ದಾಯಿತು.', 'Incorrect PIN.':'ತಪ್ಪು PIN.',
+      'Saved — Order #{id}':'ಉಳಿಸಲಾಗಿದೆ — ಆರ್ಡರ್ #{id}', 'Updated — Order #{id}':'ನವೀಕರಿಸಲಾಗಿದೆ — ಆರ್ಡರ್ #{id}',
+      'Language saved.':'ಭಾಷೆ ಉಳಿಸಲಾಗಿದೆ.',
+      'Storage is full — order not saved. Download a backup, then remove photos from old orders.':'ಸಂಗ್ರಹಣೆ ತುಂಬಿದೆ — ಆರ್ಡರ್ ಉಳಿಸಲಾಗಿಲ್ಲ. ಬ್ಯಾಕಪ್ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ, ನಂತರ ಹಳೆಯ ಆರ್ಡರ್‌ಗಳ ಫೋಟೋಗಳನ್ನು ತೆಗೆದುಹಾಕಿ.',
+      'Could not save — try again.':'ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Storage is full — photos not saved. Remove some photos and try again.':'ಸಂಗ್ರಹಣೆ ತುಂಬಿದೆ — ಫೋಟೋಗಳನ್ನು ಉಳಿಸಲಾಗಿಲ್ಲ. ಕೆಲವು ಫೋಟೋಗಳನ್ನು ತೆಗೆದುಹಾಕಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save photos — try again.':'ಫೋಟೋಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save products — try again.':'ಉತ್ಪನ್ನಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save charges — try again.':'ಶುಲ್ಕಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save prices — try again.':'ದರಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save shop details — try again.':'ಅಂಗಡಿ ವಿವರಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save preferences — try again.':'ಆದ್ಯತೆಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save users — try again.':'ಬಳಕೆದಾರರನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save permissions — try again.':'ಅನುಮತಿಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save expenses — try again.':'ಖರ್ಚುಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save expense categories — try again.':'ಖರ್ಚಿನ ವರ್ಗಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save the cash book — try again.':'ನಗದು ಪುಸ್ತಕವನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save stock — try again.':'ದಾಸ್ತಾನನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Storage is full — the activity log could not be saved. Download a backup and remove old photos.':'ಸಂಗ್ರಹಣೆ ತುಂಬಿದೆ — ಚಟುವಟಿಕೆ ದಾಖಲೆಯನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ. ಬ್ಯಾಕಪ್ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ ಹಳೆಯ ಫೋಟೋಗಳನ್ನು ತೆಗೆದುಹಾಕಿ.',
+      'Could not save the activity log — try again.':'ಚಟುವಟಿಕೆ ದಾಖಲೆಯನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save tax settings — try again.':'ತೆರಿಗೆ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save payment settings — try again.':'ಪಾವತಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save currency settings — try again.':'ಕರೆನ್ಸಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save capacity settings — try again.':'ಸಾಮರ್ಥ್ಯ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save express rules — try again.':'ತ್ವರಿತ ಡೆಲಿವರಿ ನಿಯಮಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save staff — try again.':'ಸಿಬ್ಬಂದಿಯನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save the invoice counter — try again.':'ಇನ್‌ವಾಯ್ಸ್ ಕೌಂಟರ್ ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save message templates — try again.':'ಸಂದೇಶ ಮಾದರಿಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save the reminder log — try again.':'ಜ್ಞಾಪನೆ ದಾಖಲೆಯನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save measurements — try again.':'ಅಳತೆಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save customers — try again.':'ಗ್ರಾಹಕರನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save the data version — try again.':'ಡೇಟಾ ಆವೃತ್ತಿಯನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Back online — changes from this device are synced.':'ಮತ್ತೆ ಆನ್‌ಲೈನ್ — ಈ ಸಾಧನದ ಬದಲಾವಣೆಗಳನ್ನು ಸಿಂಕ್ ಮಾಡಲಾಗಿದೆ.',
+      '{record} was also used on another device — saved here as #{id}.':'{record} ಇನ್ನೊಂದು ಸಾಧನದಲ್ಲೂ ಬಳಸಲಾಗಿದೆ — ಇಲ್ಲಿ #{id} ಆಗಿ ಉಳಿಸಲಾಗಿದೆ.',
+      'Offline — changes are kept on this device and will sync when the connection is back.':'ಆಫ್‌ಲೈನ್ — ಬದಲಾವಣೆಗಳು ಈ ಸಾಧನದಲ್ಲಿ ಉಳಿಯುತ್ತವೆ, ಸಂಪರ್ಕ ಮರಳಿದಾಗ ಸಿಂಕ್ ಆಗುತ್ತವೆ.',
+      'Could not save device details — try again.':'ಸಾಧನದ ವಿವರಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Could not save sync conflicts — try again.':'ಸಿಂಕ್ ಸಂಘರ್ಷಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      '{record} was changed on two devices — pick a version under Settings → Devices & sync.':'{record} ಎರಡು ಸಾಧನಗಳಲ್ಲಿ ಬದಲಾಗಿದೆ — ಸೆಟ್ಟಿಂಗ್‌ಗಳು → ಸಾಧನಗಳು ಮತ್ತು ಸಿಂಕ್‌ನಲ್ಲಿ ಒಂದು ಆವೃತ್ತಿಯನ್ನು ಆರಿಸಿ.',
+      'Signed in as {name}.':'{name} ಆಗಿ ಸೈನ್ ಇನ್ ಆಗಿದೆ.',
+      'You are still using the default PIN {pin} — change it from the sidebar.':'ನೀವು ಇನ್ನೂ ಮೂಲ PIN {pin} ಬಳಸುತ್ತಿದ್ದೀರಿ — ಸೈಡ್‌ಬಾರ್‌ನಿಂದ ಬದಲಿಸಿ.',
+      'Signed out.':'ಸೈನ್ ಔಟ್ ಆಗಿದೆ.', '{name} ({role}) is not allowed to {action}.':'{name} ({role}) ಅವರಿಗೆ {action} ಅನುಮತಿ ಇಲ್ಲ.',
+      'PIN changed.':'PIN ಬದಲಾಯಿಸಲಾಗಿದೆ.', 'PIN should be 4 to 8 digits.':'PIN 4 ರಿಂದ 8 ಅಂಕೆಗಳಾಗಿರಬೇಕು.',
+      'The two PINs do not match.':'ಎರಡು PIN ಗಳು ಹೊಂದುತ್ತಿಲ್ಲ.',
+      'Someone else already uses that PIN — pick another.':'ಆ PIN ಅನ್ನು ಬೇರೆಯವರು ಬಳಸುತ್ತಿದ್ದಾರೆ — ಬೇರೆ ಆರಿಸಿ.',
+      'Enter at least one measurement.':'ಕನಿಷ್ಠ ಒಂದು ಅಳತೆ ನಮೂದಿಸಿ.',
+      'No changes — measurements are the same as the current version.':'ಬದಲಾವಣೆ ಇಲ್ಲ — ಅಳತೆಗಳು ಈಗಿನ ಆವೃತ್ತಿಯಂತೆಯೇ ಇವೆ.',
+      '{garment} measurements saved as v{v}.':'{garment} ಅಳತೆಗಳನ್ನು v{v} ಆಗಿ ಉಳಿಸಲಾಗಿದೆ.',
+      'Mobile number should be 10 digits.':'ಮೊಬೈಲ್ ಸಂಖ್ಯೆ 10 ಅಂಕೆಗಳಾಗಿರಬೇಕು.',
+      'An order can hold up to {n} photos.':'ಒಂದು ಆರ್ಡರ್‌ನಲ್ಲಿ {n} ಫೋಟೋಗಳವರೆಗೆ ಇರಬಹುದು.', '{file} is not an image.':'{file} ಚಿತ್ರವಲ್ಲ.',
+      'Could not read {file} — try another photo.':'{file} ಓದಲಾಗಲಿಲ್ಲ — ಬೇರೆ ಫೋಟೋ ಪ್ರಯತ್ನಿಸಿ.',
+      'Photo storage is full — remove photos from old delivered orders first.':'ಫೋಟೋ ಸಂಗ್ರಹಣೆ ತುಂಬಿದೆ — ಮೊದಲು ಹಳೆಯ ತಲುಪಿಸಿದ ಆರ್ಡರ್‌ಗಳ ಫೋಟೋಗಳನ್ನು ತೆಗೆದುಹಾಕಿ.',
+      '{addon}: more pieces than the {qty} {product} ordered.':'{addon}: ಆರ್ಡರ್ ಮಾಡಿದ {qty} {product} ಗಿಂತ ಹೆಚ್ಚು.',
+      'Customer GSTIN should look like 29ABCDE1234F1Z5.':'ಗ್ರಾಹಕರ GSTIN 29ABCDE1234F1Z5 ರೀತಿ ಇರಬೇಕು.',
+      'Order not found.':'ಆರ್ಡರ್ ಸಿಗಲಿಲ್ಲ.',
+      "Invoice {no} is already issued — the items, charges and discount on this order can't change.":'ಇನ್‌ವಾಯ್ಸ್ {no} ಈಗಾಗಲೇ ನೀಡಲಾಗಿದೆ — ಈ ಆರ್ಡರ್‌ನ ಐಟಂಗಳು, ಶುಲ್ಕಗಳು ಮತ್ತು ರಿಯಾಯಿತಿ ಬದಲಾಗುವಂತಿಲ್ಲ.',
+      'Enter an amount greater than zero.':'ಶೂನ್ಯಕ್ಕಿಂತ ಹೆಚ್ಚಿನ ಮೊತ್ತ ನಮೂದಿಸಿ.',
+      'That is more than the balance due ({amount}).':'ಇದು ಬಾಕಿ ಮೊತ್ತಕ್ಕಿಂತ ({amount}) ಹೆಚ್ಚು.',
+      'Recorded {amount} for #{id}.':'#{id} ಗೆ {amount} ದಾಖಲಿಸಲಾಗಿದೆ.', 'Status updated for #{id}':'#{id} ಸ್ಥಿತಿ ನವೀಕರಿಸಲಾಗಿದೆ',
+      'Deleted order #{id}':'ಆರ್ಡರ್ #{id} ಅಳಿಸಲಾಗಿದೆ', 'No orders to export.':'ರಫ್ತು ಮಾಡಲು ಆರ್ಡರ್‌ಗಳಿಲ್ಲ.',
+      'Orders exported.':'ಆರ್ಡರ್‌ಗಳನ್ನು ರಫ್ತು ಮಾಡಲಾಗಿದೆ.', 'Name is required.':'ಹೆಸರು ಕಡ್ಡಾಯ.',
+      'Customer profile saved.':'ಗ್ರಾಹಕರ ಪ್ರೊಫೈಲ್ ಉಳಿಸಲಾಗಿದೆ.',
+      'There is no other customer to merge into.':'ವಿಲೀನಗೊಳಿಸಲು ಬೇರೆ ಗ್ರಾಹಕರಿಲ್ಲ.',
+      '{from} merged into {into}.':'{from} ಅನ್ನು {into} ಜೊತೆ ವಿಲೀನಗೊಳಿಸಲಾಗಿದೆ.', 'Reminder batch complete.':'ಜ್ಞಾಪನೆ ಗುಂಪು ಮುಗಿದಿದೆ.',
+      'Finish or stop the current batch first.':'ಮೊದಲು ಈಗಿನ ಗುಂಪನ್ನು ಮುಗಿಸಿ ಅಥವಾ ನಿಲ್ಲಿಸಿ.',
+      'Select at least one customer.':'ಕನಿಷ್ಠ ಒಬ್ಬ ಗ್ರಾಹಕರನ್ನು ಆರಿಸಿ.', 'Message templates saved.':'ಸಂದೇಶ ಮಾದರಿಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.',
+      'Message templates reset.':'ಸಂದೇಶ ಮಾದರಿಗಳನ್ನು ಮರುಹೊಂದಿಸಲಾಗಿದೆ.', 'Pick a free time slot.':'ಖಾಲಿ ಸಮಯವನ್ನು ಆರಿಸಿ.',
+      'Fitting on {date} at {time}.':'ಟ್ರಯಲ್ {date} ರಂದು {time} ಕ್ಕೆ.',
+      'Fitting notes saved on the order.':'ಟ್ರಯಲ್ ಟಿಪ್ಪಣಿಗಳನ್ನು ಆರ್ಡರ್‌ನಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ.',
+      'Fitting marked as missed.':'ಟ್ರಯಲ್ ತಪ್ಪಿಹೋಗಿದೆ ಎಂದು ಗುರುತಿಸಲಾಗಿದೆ.', 'Fitting cancelled.':'ಟ್ರಯಲ್ ರದ್ದಾಗಿದೆ.',
+      'This browser cannot read barcodes with the camera — use a USB scanner or type the number.':'ಈ ಬ್ರೌಸರ್ ಕ್ಯಾಮೆರಾದಿಂದ ಬಾರ್‌ಕೋಡ್ ಓದಲಾರದು — USB ಸ್ಕ್ಯಾನರ್ ಬಳಸಿ ಅಥವಾ ಸಂಖ್ಯೆ ಟೈಪ್ ಮಾಡಿ.',
+      'Could not open the camera — check the browser permission.':'ಕ್ಯಾಮೆರಾ ತೆರೆಯಲಾಗಲಿಲ್ಲ — ಬ್ರೌಸರ್ ಅನುಮತಿ ಪರಿಶೀಲಿಸಿ.',
+      'Invoice {no} issued.':'ಇನ್‌ವಾಯ್ಸ್ {no} ನೀಡಲಾಗಿದೆ.', 'Payment removed.':'ಪಾವತಿ ತೆಗೆದುಹಾಕಲಾಗಿದೆ.',
+      'ESC/POS file downloaded.':'ESC/POS ಫೈಲ್ ಡೌನ್‌ಲೋಡ್ ಆಗಿದೆ.',
+      'This browser cannot reach serial printers — try USB or download the file.':'ಈ ಬ್ರೌಸರ್ ಸೀರಿಯಲ್ ಪ್ರಿಂಟರ್‌ಗಳನ್ನು ತಲುಪಲಾರದು — USB ಪ್ರಯತ್ನಿಸಿ ಅಥವಾ ಫೈಲ್ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ.',
+      'This browser cannot reach USB printers — try serial or download the file.':'ಈ ಬ್ರೌಸರ್ USB ಪ್ರಿಂಟರ್‌ಗಳನ್ನು ತಲುಪಲಾರದು — ಸೀರಿಯಲ್ ಪ್ರಯತ್ನಿಸಿ ಅಥವಾ ಫೈಲ್ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ.',
+      'Receipt sent to printer.':'ರಸೀದಿಯನ್ನು ಪ್ರಿಂಟರ್‌ಗೆ ಕಳುಹಿಸಲಾಗಿದೆ.',
+      'Could not reach the printer — check the cable and try again.':'ಪ್ರಿಂಟರ್ ತಲುಪಲಾಗಲಿಲ್ಲ — ಕೇಬಲ್ ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Bill shared.':'ಬಿಲ್ ಹಂಚಿಕೊಳ್ಳಲಾಗಿದೆ.',
+      'Opened WhatsApp — attach the downloaded bill image if needed.':'ವಾಟ್ಸಾಪ್ ತೆರೆಯಲಾಗಿದೆ — ಬೇಕಿದ್ದರೆ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿದ ಬಿಲ್ ಚಿತ್ರ ಲಗತ್ತಿಸಿ.',
+      'Download tool failed to load.':'ಡೌನ್‌ಲೋಡ್ ಉಪಕರಣ ಲೋಡ್ ಆಗಲಿಲ್ಲ.',
+      'Could not create image — try again.':'ಚಿತ್ರ ರಚಿಸಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Capacity settings unlocked.':'ಸಾಮರ್ಥ್ಯ ಸೆಟ್ಟಿಂಗ್‌ಗಳು ಅನ್‌ಲಾಕ್ ಆಗಿವೆ.',
+      'Unlock capacity settings first.':'ಮೊದಲು ಸಾಮರ್ಥ್ಯ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಅನ್‌ಲಾಕ್ ಮಾಡಿ.',
+      'At least one day must be open.':'ಕನಿಷ್ಠ ಒಂದು ದಿನ ತೆರೆದಿರಬೇಕು.', 'Capacity settings saved.':'ಸಾಮರ್ಥ್ಯ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.',
+      '#{id} moved to {status}.':'#{id} ಅನ್ನು {status} ಗೆ ಸರಿಸಲಾಗಿದೆ.', 'Staff removed.':'ಸಿಬ್ಬಂದಿಯನ್ನು ತೆಗೆದುಹಾಕಲಾಗಿದೆ.',
+      'Staff unlocked.':'ಸಿಬ್ಬಂದಿ ಅನ್‌ಲಾಕ್ ಆಗಿದೆ.', 'Name cannot be empty.':'ಹೆಸರು ಖಾಲಿ ಇರಬಾರದು.', 'Added {name}.':'{name} ಸೇರಿಸಲಾಗಿದೆ.',
+      'Keep at least one owner.':'ಕನಿಷ್ಠ ಒಬ್ಬ ಮಾಲೀಕರನ್ನು ಇರಿಸಿ.', '{name} is now {role}.':'{name} ಈಗ {role}.',
+      'PIN reset for {name}.':'{name} ಅವರ PIN ಮರುಹೊಂದಿಸಲಾಗಿದೆ.', 'User removed.':'ಬಳಕೆದಾರರನ್ನು ತೆಗೆದುಹಾಕಲಾಗಿದೆ.',
+      'Users unlocked.':'ಬಳಕೆದಾರರು ಅನ್‌ಲಾಕ್ ಆಗಿದ್ದಾರೆ.', 'There is already a user called {name}.':'{name} ಎಂಬ ಬಳಕೆದಾರರು ಈಗಾಗಲೇ ಇದ್ದಾರೆ.',
+      'Added {name} — they can sign in with their PIN now.':'{name} ಸೇರಿಸಲಾಗಿದೆ — ಈಗ ಅವರು ತಮ್ಮ PIN ನಿಂದ ಸೈನ್ ಇನ್ ಆಗಬಹುದು.',
+      'Currency settings unlocked.':'ಕರೆನ್ಸಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳು ಅನ್‌ಲಾಕ್ ಆಗಿವೆ.',
+      'Unlock currency settings first.':'ಮೊದಲು ಕರೆನ್ಸಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಅನ್‌ಲಾಕ್ ಮಾಡಿ.',
+      'Currency settings saved.':'ಕರೆನ್ಸಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.', 'Tax settings unlocked.':'ತೆರಿಗೆ ಸೆಟ್ಟಿಂಗ್‌ಗಳು ಅನ್‌ಲಾಕ್ ಆಗಿವೆ.',
+      'Unlock tax settings first.':'ಮೊದಲು ತೆರಿಗೆ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಅನ್‌ಲಾಕ್ ಮಾಡಿ.',
+      'Shop GSTIN should look like 29ABCDE1234F1Z5.':'ಅಂಗಡಿಯ GSTIN 29ABCDE1234F1Z5 ರೀತಿ ಇರಬೇಕು.',
+      'GSTIN state code {code} does not match the shop address ({abbr} = {addrCode}).':'GSTIN ರಾಜ್ಯ ಕೋಡ್ {code} ಅಂಗಡಿಯ ವಿಳಾಸಕ್ಕೆ ({abbr} = {addrCode}) ಹೊಂದುತ್ತಿಲ್ಲ.',
+      'Tax settings saved.':'ತೆರಿಗೆ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.', 'Added "{addon}" to {product}.':'{product} ಗೆ "{addon}" ಸೇರಿಸಲಾಗಿದೆ.',
+      'Add-on removed.':'ಹೆಚ್ಚುವರಿ ಆಯ್ಕೆ ತೆಗೆದುಹಾಕಲಾಗಿದೆ.', 'Product renamed.':'ಉತ್ಪನ್ನದ ಹೆಸರು ಬದಲಾಯಿಸಲಾಗಿದೆ.',
+      'Product removed.':'ಉತ್ಪನ್ನ ತೆಗೆದುಹಾಕಲಾಗಿದೆ.', 'Price list unlocked.':'ದರ ಪಟ್ಟಿ ಅನ್‌ಲಾಕ್ ಆಗಿದೆ.',
+      'Added "{name}" to the price list.':'ದರ ಪಟ್ಟಿಗೆ "{name}" ಸೇರಿಸಲಾಗಿದೆ.',
+      'Unlock the price list first.':'ಮೊದಲು ದರ ಪಟ್ಟಿಯನ್ನು ಅನ್‌ಲಾಕ್ ಮಾಡಿ.', 'Price list saved and locked.':'ದರ ಪಟ್ಟಿ ಉಳಿಸಿ ಲಾಕ್ ಮಾಡಲಾಗಿದೆ.',
+      'Charge renamed.':'ಶುಲ್ಕದ ಹೆಸರು ಬದಲಾಯಿಸಲಾಗಿದೆ.', 'Charge removed.':'ಶುಲ್ಕ ತೆಗೆದುಹಾಕಲಾಗಿದೆ.',
+      'Charges unlocked.':'ಶುಲ್ಕಗಳು ಅನ್‌ಲಾಕ್ ಆಗಿವೆ.', 'Added "{name}" charge.':'"{name}" ಶುಲ್ಕ ಸೇರಿಸಲಾಗಿದೆ.',
+      "{record}: kept {device}'s version.":'{record}: {device} ಆವೃತ್ತಿಯನ್ನು ಉಳಿಸಿಕೊಳ್ಳಲಾಗಿದೆ.',
+      'Device name saved.':'ಸಾಧನದ ಹೆಸರು ಉಳಿಸಲಾಗಿದೆ.', 'Synced with the other devices.':'ಇತರ ಸಾಧನಗಳೊಂದಿಗೆ ಸಿಂಕ್ ಆಗಿದೆ.',
+      'Shop settings unlocked.':'ಅಂಗಡಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳು ಅನ್‌ಲಾಕ್ ಆಗಿವೆ.',
+      'Unlock shop settings first.':'ಮೊದಲು ಅಂಗಡಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಅನ್‌ಲಾಕ್ ಮಾಡಿ.',
+      'Closing time must be after opening time.':'ಮುಚ್ಚುವ ಸಮಯ ತೆರೆಯುವ ಸಮಯದ ನಂತರ ಇರಬೇಕು.',
+      'Shop details saved.':'ಅಂಗಡಿ ವಿವರಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.', 'Payment settings unlocked.':'ಪಾವತಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳು ಅನ್‌ಲಾಕ್ ಆಗಿವೆ.',
+      'Unlock payment settings first.':'ಮೊದಲು ಪಾವತಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಅನ್‌ಲಾಕ್ ಮಾಡಿ.',
+      'Payment settings saved.':'ಪಾವತಿ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.',
+      'Backup downloaded — keep it somewhere other than this device.':'ಬ್ಯಾಕಪ್ ಡೌನ್‌ಲೋಡ್ ಆಗಿದೆ — ಇದನ್ನು ಈ ಸಾಧನವಲ್ಲದೆ ಬೇರೆಡೆ ಇಟ್ಟುಕೊಳ್ಳಿ.',
+      'Backup restored.':'ಬ್ಯಾಕಪ್ ಮರುಸ್ಥಾಪಿಸಲಾಗಿದೆ.', 'Backup merged.':'ಬ್ಯಾಕಪ್ ವಿಲೀನಗೊಳಿಸಲಾಗಿದೆ.',
+      'Could not read that file — try again.':'ಆ ಫೈಲ್ ಓದಲಾಗಲಿಲ್ಲ — ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+      'Enter a quantity greater than zero.':'ಶೂನ್ಯಕ್ಕಿಂತ ಹೆಚ್ಚಿನ ಪ್ರಮಾಣ ನಮೂದಿಸಿ.',
+      '{item}: {qty} {unit} in stock.':'{item}: ದಾಸ್ತಾನಿನಲ್ಲಿ {qty} {unit}.', '{item} saved.':'{item} ಉಳಿಸಲಾಗಿದೆ.',
+      'Stock item removed.':'ದಾಸ್ತಾನು ಐಟಂ ತೆಗೆದುಹಾಕಲಾಗಿದೆ.', 'Stock unlocked.':'ದಾಸ್ತಾನು ಅನ್‌ಲಾಕ್ ಆಗಿದೆ.',
+      '{name} is already in stock items.':'{name} ಈಗಾಗಲೇ ದಾಸ್ತಾನು ಐಟಂಗಳಲ್ಲಿ ಇದೆ.', 'Expense deleted.':'ಖರ್ಚು ಅಳಿಸಲಾಗಿದೆ.',
+      'Recorded {amount} under {category}.':'{category} ಅಡಿಯಲ್ಲಿ {amount} ದಾಖಲಿಸಲಾಗಿದೆ.',
+      '"{name}" is already a category.':'"{name}" ಈಗಾಗಲೇ ಒಂದು ವರ್ಗವಾಗಿದೆ.', 'Added "{name}".':'"{name}" ಸೇರಿಸಲಾಗಿದೆ.',
+      'Cash book for {day} reopened.':'{day} ರ ನಗದು ಪುಸ್ತಕ ಮತ್ತೆ ತೆರೆಯಲಾಗಿದೆ.',
+      'Count the cash in the drawer and enter it first.':'ಮೊದಲು ಡ್ರಾಯರ್‌ನಲ್ಲಿರುವ ನಗದನ್ನು ಎಣಿಸಿ ನಮೂದಿಸಿ.',
+      'Day closed — drawer is over by {amount}.':'ದಿನ ಮುಕ್ತಾಯ — ಡ್ರಾಯರ್‌ನಲ್ಲಿ {amount} ಹೆಚ್ಚಿದೆ.',
+      'Day closed — drawer is short by {amount}.':'ದಿನ ಮುಕ್ತಾಯ — ಡ್ರಾಯರ್‌ನಲ್ಲಿ {amount} ಕಡಿಮೆ ಇದೆ.',
+      'Day closed — cash matches.':'ದಿನ ಮುಕ್ತಾಯ — ನಗದು ಹೊಂದುತ್ತದೆ.',
+      'Nothing to export for this selection.':'ಈ ಆಯ್ಕೆಗೆ ರಫ್ತು ಮಾಡಲು ಏನೂ ಇಲ್ಲ.',
+      '{report} downloaded as CSV.':'{report} CSV ಆಗಿ ಡೌನ್‌ಲೋಡ್ ಆಗಿದೆ.',
+      'Excel export tool failed to load.':'Excel ರಫ್ತು ಉಪಕರಣ ಲೋಡ್ ಆಗಲಿಲ್ಲ.',
+      '{report} downloaded as Excel.':'{report} Excel ಆಗಿ ಡೌನ್‌ಲೋಡ್ ಆಗಿದೆ.', 'PDF tool failed to load.':'PDF ಉಪಕರಣ ಲೋಡ್ ಆಗಲಿಲ್ಲ.',
+      '{report} downloaded as PDF.':'{report} PDF ಆಗಿ ಡೌನ್‌ಲೋಡ್ ಆಗಿದೆ.',
+      'That file is not a backup from this app.':'ಆ ಫೈಲ್ ಈ ಆ್ಯಪ್‌ನ ಬ್ಯಾಕಪ್ ಅಲ್ಲ.',
+      'The backup file is damaged or was edited — its checksum does not match.':'ಬ್ಯಾಕಪ್ ಫೈಲ್ ಹಾಳಾಗಿದೆ ಅಥವಾ ತಿದ್ದಲಾಗಿದೆ — ಅದರ ಚೆಕ್‌ಸಮ್ ಹೊಂದುತ್ತಿಲ್ಲ.',
+      'This backup was made by a newer version of the app — update this one first.':'ಈ ಬ್ಯಾಕಪ್ ಆ್ಯಪ್‌ನ ಹೊಸ ಆವೃತ್ತಿಯಿಂದ ಮಾಡಲಾಗಿದೆ — ಮೊದಲು ಇದನ್ನು ಅಪ್‌ಡೇಟ್ ಮಾಡಿ.',
+      'low stock: {items}':'ಕಡಿಮೆ ದಾಸ್ತಾನು: {items}'
+    },
+    ta: {
+      'Dashboard':'டாஷ்போர்டு', 'New Order':'புதிய ஆர்டர்', 'Orders':'ஆர்டர்கள்', 'Customers':'வாடிக்கையாளர்கள்',
+      'Board':'பலகை', 'Calendar':'நாட்காட்டி', 'Print Bill':'பில் அச்சிடு', 'Measurements':'அளவுகள்',
+      'Dues':'நிலுவை', 'Expenses':'செலவுகள்', 'Inventory':'சரக்கு இருப்பு', 'Reminders':'நினைவூட்டல்கள்',
+      'Price List':'விலைப் பட்டியல்', 'Analytics':'பகுப்பாய்வு', 'Shop Settings':'கடை அமைப்புகள்',
+      'Not signed in':'உள்நுழையவில்லை', 'Sign in':'உள்நுழை', 'Sign out':'வெளியேறு', 'Change my PIN':'என் PIN-ஐ மாற்று',
+      "Today's snapshot — orders, deliveries and dues at a glance.":'இன்றைய சுருக்கம் — ஆர்டர்கள், டெலிவரிகள், நிலுவைகள் ஒரே பார்வையில்.',
+      'Deliveries due today & this week':'இன்று மற்றும் இந்த வார டெலிவரிகள்', 'Recent orders':'சமீபத்திய ஆர்டர்கள்', 'Low stock':'குறைந்த இருப்பு',
+      'Total Orders':'மொத்த ஆர்டர்கள்', 'New / In Process':'புதியவை / நடப்பில்', 'Ready for Pickup':'எடுக்கத் தயார்',
+      'Overdue':'தாமதம்', 'Pending Dues':'நிலுவைத் தொகை', "This Month's Revenue":'இந்த மாத வருவாய்',
+      'Customer name':'வாடிக்கையாளர் பெயர்', 'Mobile number':'கைபேசி எண்', 'Delivery date':'டெலிவரி தேதி',
+      'Express delivery':'விரைவு டெலிவரி', 'Order notes (optional)':'ஆர்டர் குறிப்பு (விருப்பம்)', 'Advance paid (₹)':'முன்பணம் (₹)',
+      'Advance paid by':'முன்பணம் செலுத்திய முறை', 'Cash':'ரொக்கம்', 'Card':'அட்டை', 'Subtotal':'கூட்டுத்தொகை', 'Discount':'தள்ளுபடி',
+      'Estimated total':'மதிப்பிட்ட மொத்தம்', 'Save order':'ஆர்டரைச் சேமி', 'Save changes':'மாற்றங்களைச் சேமி', 'Cancel edit':'திருத்தத்தை ரத்து செய்',
+      'Apply tax':'வரி சேர்', 'Photos & swatches':'புகைப்படங்கள் & துணி மாதிரிகள்', 'Take photo':'புகைப்படம் எடு',
+      'Customer':'வாடிக்கையாளர்', 'Mobile':'கைபேசி', 'Order #':'ஆர்டர் #', 'Date':'தேதி', 'Status':'நிலை', 'Delivery':'டெலிவரி',
+      'Balance':'மீதம்', 'Amount':'தொகை', 'Total':'மொத்தம்', 'Paid':'செலுத்தியது', 'Last payment':'கடைசி செலுத்தல்',
+      'Search orders':'ஆர்டர்களைத் தேடு', 'Export CSV':'CSV ஏற்றுமதி', 'Search customers':'வாடிக்கையாளர்களைத் தேடு', 'All customers':'அனைத்து வாடிக்கையாளர்கள்',
+      'Lifetime value':'மொத்த வணிக மதிப்பு', 'Last order':'கடைசி ஆர்டர்', 'No pending dues 🎉':'நிலுவை எதுவும் இல்லை 🎉',
+      'Open':'திற', 'Edit':'திருத்து', 'Bill':'பில்', 'Alteration':'மாற்றம்', 'Print':'அச்சிடு', 'Download':'பதிவிறக்கு',
+      'Send WhatsApp':'வாட்ஸ்அப் அனுப்பு', 'Record payment':'செலுத்தலைப் பதிவு செய்', 'Payment':'செலுத்தல்', 'Find bill':'பில்லைத் தேடு',
+      'Scan':'ஸ்கேன்', 'Order number':'ஆர்டர் எண்', 'Tax invoice':'வரி விலைப்பட்டியல்', 'Receipt':'ரசீது', 'Job card':'வேலை அட்டை',
+      'Garment tags':'ஆடை குறிச்சீட்டுகள்', 'Today':'இன்று', 'Week':'வாரம்', 'Month':'மாதம்', 'Category':'வகை', 'Note':'குறிப்பு',
+      'Search':'தேடு', 'Find':'தேடு', 'Add':'சேர்', 'Staff':'பணியாளர்கள்', 'Cutter':'வெட்டுபவர்', 'Stitcher':'தைப்பவர்',
+      'Owner':'உரிமையாளர்', 'Tailor':'தையல்காரர்', 'Counter staff':'கவுண்டர் பணியாளர்', 'Revenue':'வருவாய்', 'Profit':'லாபம்',
+      'new':'புதியது', 'process':'நடப்பில்', 'ready':'தயார்', 'delivered':'வழங்கப்பட்டது', 'customer due':'வாடிக்கையாளர் நிலுவை', 'other':'மற்றவை',
+      'Bill date':'பில் தேதி', 'Bill no':'பில் எண்', 'Name':'பெயர்', 'Balance due':'செலுத்த வேண்டிய மீதம்',
+      'Discount (–)':'தள்ளுபடி (–)', 'Paid (–)':'செலுத்தியது (–)', 'Payment history':'செலுத்தல் வரலாறு',
+      'Alterations & rework':'மாற்றங்கள் & மறுவேலை', 'No stitching items on this order':'இந்த ஆர்டரில் தையல் பொருட்கள் இல்லை',
+      'Free':'இலவசம்', 'Order no':'ஆர்டர் எண்', 'Order date':'ஆர்டர் தேதி', 'Not measured':'அளவு எடுக்கவில்லை',
+      'Order timeline':'ஆர்டர் காலவரிசை', 'Due':'டெலிவரி', 'Invoice no':'விலைப்பட்டியல் எண்', 'Invoice date':'விலைப்பட்டியல் தேதி',
+      'Billed to':'பெறுநர்', 'Description':'விவரம்', 'Qty':'அளவு', 'Rate':'விலை', 'Taxable value':'வரிக்குட்பட்ட மதிப்பு',
+      'Total taxable value':'மொத்த வரிக்குட்பட்ட மதிப்பு', 'Invoice total':'விலைப்பட்டியல் மொத்தம்', 'Received':'பெறப்பட்டது',
+      'Place of supply':'வழங்கும் இடம்', 'This is a computer-generated invoice.':'இது கணினியால் உருவாக்கப்பட்ட விலைப்பட்டியல்.',
+      'Cancel':'ரத்து', 'Save':'சேமி', 'Delete':'நீக்கு',
+      'Language':'மொழி', 'App language':'செயலி மொழி', 'Bill language':'பில் மொழி', 'Same as app':'செயலியைப் போலவே',
+      "Show numbers in the language's own digits":'மொழியின் சொந்த எண் வடிவில் எண்களைக் காட்டு',
+      'Name and mobile are required.':'பெயரும் கைபேசி எண்ணும் தேவை.', 'Enter an order number.':'ஆர்டர் எண்ணை உள்ளிடவும்.',
+      'Find a bill first.':'முதலில் பில்லைத் தேடவும்.', 'Edit cancelled.':'திருத்தம் ரத்து செய்யப்பட்டது.', 'Incorrect PIN.':'தவறான PIN.',
+      'Saved — Order #{id}':'சேமிக்கப்பட்டது — ஆர்டர் #{id}', 'Updated — Order #{id}':'புதுப்பிக்கப்பட்டது — ஆர்டர் #{id}',
+      'Language saved.':'மொழி சேமிக்கப்பட்டது.',
+      'Storage is full — order not saved. Download a backup, then remove photos from old orders.':'சேமிப்பகம் நிறைந்துவிட்டது — ஆர்டர் சேமிக்கப்படவில்லை. காப்புப்பிரதியைப் பதிவிறக்கி, பழைய ஆர்டர்களின் புகைப்படங்களை நீக்கவும்.',
+      'Could not save — try again.':'சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Storage is full — photos not saved. Remove some photos and try again.':'சேமிப்பகம் நிறைந்துவிட்டது — புகைப்படங்கள் சேமிக்கப்படவில்லை. சில புகைப்படங்களை நீக்கி மீண்டும் முயலவும்.',
+      'Could not save photos — try again.':'புகைப்படங்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save products — try again.':'பொருட்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save charges — try again.':'கட்டணங்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save prices — try again.':'விலைகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save shop details — try again.':'கடை விவரங்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save preferences — try again.':'விருப்பங்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save users — try again.':'பயனர்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save permissions — try again.':'அனுமதிகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save expenses — try again.':'செலவுகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save expense categories — try again.':'செலவு வகைகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save the cash book — try again.':'ரொக்கப் புத்தகத்தைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save stock — try again.':'இருப்பைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Storage is full — the activity log could not be saved. Download a backup and remove old photos.':'சேமிப்பகம் நிறைந்துவிட்டது — செயல்பாட்டுப் பதிவைச் சேமிக்க முடியவில்லை. காப்புப்பிரதியைப் பதிவிறக்கி பழைய புகைப்படங்களை நீக்கவும்.',
+      'Could not save the activity log — try again.':'செயல்பாட்டுப் பதிவைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save tax settings — try again.':'வரி அமைப்புகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save payment settings — try again.':'செலுத்தல் அமைப்புகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save currency settings — try again.':'நாணய அமைப்புகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save capacity settings — try again.':'திறன் அமைப்புகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save express rules — try again.':'விரைவு டெலிவரி விதிகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save staff — try again.':'பணியாளர்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save the invoice counter — try again.':'விலைப்பட்டியல் எண்ணியைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save message templates — try again.':'செய்தி வார்ப்புருக்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save the reminder log — try again.':'நினைவூட்டல் பதிவைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save measurements — try again.':'அளவுகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save customers — try again.':'வாடிக்கையாளர்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save the data version — try again.':'தரவுப் பதிப்பைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Back online — changes from this device are synced.':'மீண்டும் இணைப்பில் — இந்தச் சாதனத்தின் மாற்றங்கள் ஒத்திசைக்கப்பட்டன.',
+      '{record} was also used on another device — saved here as #{id}.':'{record} வேறு சாதனத்திலும் பயன்படுத்தப்பட்டது — இங்கே #{id} ஆகச் சேமிக்கப்பட்டது.',
+      'Offline — changes are kept on this device and will sync when the connection is back.':'இணைப்பில் இல்லை — மாற்றங்கள் இந்தச் சாதனத்தில் வைக்கப்பட்டு, இணைப்பு வந்ததும் ஒத்திசைக்கப்படும்.',
+      'Could not save device details — try again.':'சாதன விவரங்களைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Could not save sync conflicts — try again.':'ஒத்திசைவு முரண்பாடுகளைச் சேமிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      '{record} was changed on two devices — pick a version under Settings → Devices & sync.':'{record} இரண்டு சாதனங்களில் மாற்றப்பட்டது — அமைப்புகள் → சாதனங்கள் & ஒத்திசைவில் ஒரு பதிப்பைத் தேர்ந்தெடுக்கவும்.',
+      'Signed in as {name}.':'{name} ஆக உள்நுழைந்துள்ளீர்கள்.',
+      'You are still using the default PIN {pin} — change it from the sidebar.':'நீங்கள் இன்னும் இயல்புநிலை PIN {pin}-ஐப் பயன்படுத்துகிறீர்கள் — பக்கப்பட்டியில் மாற்றவும்.',
+      'Signed out.':'வெளியேறினீர்கள்.', '{name} ({role}) is not allowed to {action}.':'{name} ({role}) {action} அனுமதி இல்லை.',
+      'PIN changed.':'PIN மாற்றப்பட்டது.', 'PIN should be 4 to 8 digits.':'PIN 4 முதல் 8 இலக்கங்களாக இருக்க வேண்டும்.',
+      'The two PINs do not match.':'இரண்டு PIN-களும் பொருந்தவில்லை.',
+      'Someone else already uses that PIN — pick another.':'அந்த PIN-ஐ வேறொருவர் பயன்படுத்துகிறார் — வேறொன்றைத் தேர்ந்தெடுக்கவும்.',
+      'Enter at least one measurement.':'குறைந்தது ஒரு அளவையாவது உள்ளிடவும்.',
+      'No changes — measurements are the same as the current version.':'மாற்றம் இல்லை — அளவுகள் தற்போதைய பதிப்பைப் போலவே உள்ளன.',
+      '{garment} measurements saved as v{v}.':'{garment} அளவுகள் v{v} ஆகச் சேமிக்கப்பட்டன.',
+      'Mobile number should be 10 digits.':'கைபேசி எண் 10 இலக்கங்களாக இருக்க வேண்டும்.',
+      'An order can hold up to {n} photos.':'ஒரு ஆர்டரில் {n} புகைப்படங்கள் வரை இருக்கலாம்.',
+      '{file} is not an image.':'{file} ஒரு படம் அல்ல.',
+      'Could not read {file} — try another photo.':'{file}-ஐப் படிக்க முடியவில்லை — வேறு புகைப்படத்தை முயலவும்.',
+      'Photo storage is full — remove photos from old delivered orders first.':'புகைப்படச் சேமிப்பகம் நிறைந்துவிட்டது — முதலில் பழைய வழங்கப்பட்ட ஆர்டர்களின் புகைப்படங்களை நீக்கவும்.',
+      '{addon}: more pieces than the {qty} {product} ordered.':'{addon}: ஆர்டர் செய்த {qty} {product}-ஐ விட அதிகம்.',
+      'Customer GSTIN should look like 29ABCDE1234F1Z5.':'வாடிக்கையாளர் GSTIN 29ABCDE1234F1Z5 போல இருக்க வேண்டும்.',
+      'Order not found.':'ஆர்டர் கிடைக்கவில்லை.',
+      "Invoice {no} is already issued — the items, charges and discount on this order can't change.":'விலைப்பட்டியல் {no} ஏற்கனவே வழங்கப்பட்டது — இந்த ஆர்டரின் பொருட்கள், கட்டணங்கள், தள்ளுபடியை மாற்ற முடியாது.',
+      'Enter an amount greater than zero.':'பூஜ்ஜியத்தை விட அதிகமான தொகையை உள்ளிடவும்.',
+      'That is more than the balance due ({amount}).':'இது செலுத்த வேண்டிய மீதத்தை ({amount}) விட அதிகம்.',
+      'Recorded {amount} for #{id}.':'#{id}-க்கு {amount} பதிவு செய்யப்பட்டது.',
+      'Status updated for #{id}':'#{id} நிலை புதுப்பிக்கப்பட்டது', 'Deleted order #{id}':'ஆர்டர் #{id} நீக்கப்பட்டது',
+      'No orders to export.':'ஏற்றுமதி செய்ய ஆர்டர்கள் இல்லை.', 'Orders exported.':'ஆர்டர்கள் ஏற்றுமதி செய்யப்பட்டன.',
+      'Name is required.':'பெயர் தேவை.', 'Customer profile saved.':'வாடிக்கையாளர் சுயவிவரம் சேமிக்கப்பட்டது.',
+      'There is no other customer to merge into.':'இணைக்க வேறு வாடிக்கையாளர் இல்லை.',
+      '{from} merged into {into}.':'{from}, {into} உடன் இணைக்கப்பட்டது.', 'Reminder batch complete.':'நினைவூட்டல் தொகுப்பு முடிந்தது.',
+      'Finish or stop the current batch first.':'முதலில் தற்போதைய தொகுப்பை முடிக்கவும் அல்லது நிறுத்தவும்.',
+      'Select at least one customer.':'குறைந்தது ஒரு வாடிக்கையாளரைத் தேர்ந்தெடுக்கவும்.',
+      'Message templates saved.':'செய்தி வார்ப்புருக்கள் சேமிக்கப்பட்டன.',
+      'Message templates reset.':'செய்தி வார்ப்புருக்கள் மீட்டமைக்கப்பட்டன.',
+      'Pick a free time slot.':'காலியான நேரத்தைத் தேர்ந்தெடுக்கவும்.',
+      'Fitting on {date} at {time}.':'அளவு சரிபார்ப்பு {date} அன்று {time} மணிக்கு.',
+      'Fitting notes saved on the order.':'அளவு சரிபார்ப்புக் குறிப்புகள் ஆர்டரில் சேமிக்கப்பட்டன.',
+      'Fitting marked as missed.':'அளவு சரிபார்ப்பு தவறியதாகக் குறிக்கப்பட்டது.',
+      'Fitting cancelled.':'அளவு சரிபார்ப்பு ரத்து செய்யப்பட்டது.',
+      'This browser cannot read barcodes with the camera — use a USB scanner or type the number.':'இந்த உலாவி கேமராவால் பார்கோடுகளைப் படிக்காது — USB ஸ்கேனரைப் பயன்படுத்தவும் அல்லது எண்ணைத் தட்டச்சு செய்யவும்.',
+      'Could not open the camera — check the browser permission.':'கேமராவைத் திறக்க முடியவில்லை — உலாவி அனுமதியைச் சரிபார்க்கவும்.',
+      'Invoice {no} issued.':'விலைப்பட்டியல் {no} வழங்கப்பட்டது.', 'Payment removed.':'செலுத்தல் நீக்கப்பட்டது.',
+      'ESC/POS file downloaded.':'ESC/POS கோப்பு பதிவிறக்கப்பட்டது.',
+      'This browser cannot reach serial printers — try USB or download the file.':'இந்த உலாவி சீரியல் அச்சுப்பொறிகளை அணுகாது — USB-ஐ முயலவும் அல்லது கோப்பைப் பதிவிறக்கவும்.',
+      'This browser cannot reach USB printers — try serial or download the file.':'இந்த உலாவி USB அச்சுப்பொறிகளை அணுகாது — சீரியலை முயலவும் அல்லது கோப்பைப் பதிவிறக்கவும்.',
+      'Receipt sent to printer.':'ரசீது அச்சுப்பொறிக்கு அனுப்பப்பட்டது.',
+      'Could not reach the printer — check the cable and try again.':'அச்சுப்பொறியை அணுக முடியவில்லை — கேபிளைச் சரிபார்த்து மீண்டும் முயலவும்.',
+      'Bill shared.':'பில் பகிரப்பட்டது.',
+      'Opened WhatsApp — attach the downloaded bill image if needed.':'வாட்ஸ்அப் திறக்கப்பட்டது — தேவைப்பட்டால் பதிவிறக்கிய பில் படத்தை இணைக்கவும்.',
+      'Download tool failed to load.':'பதிவிறக்கக் கருவி ஏற்றப்படவில்லை.',
+      'Could not create image — try again.':'படத்தை உருவாக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Capacity settings unlocked.':'திறன் அமைப்புகள் திறக்கப்பட்டன.',
+      'Unlock capacity settings first.':'முதலில் திறன் அமைப்புகளைத் திறக்கவும்.',
+      'At least one day must be open.':'குறைந்தது ஒரு நாளாவது திறந்திருக்க வேண்டும்.',
+      'Capacity settings saved.':'திறன் அமைப்புகள் சேமிக்கப்பட்டன.', '#{id} moved to {status}.':'#{id} {status} நிலைக்கு மாற்றப்பட்டது.',
+      'Staff removed.':'பணியாளர் நீக்கப்பட்டார்.', 'Staff unlocked.':'பணியாளர்கள் திறக்கப்பட்டனர்.',
+      'Name cannot be empty.':'பெயர் காலியாக இருக்கக்கூடாது.', 'Added {name}.':'{name} சேர்க்கப்பட்டது.',
+      'Keep at least one owner.':'குறைந்தது ஒரு உரிமையாளரையாவது வைத்திருக்கவும்.', '{name} is now {role}.':'{name} இப்போது {role}.',
+      'PIN reset for {name}.':'{name}-இன் PIN மீட்டமைக்கப்பட்டது.', 'User removed.':'பயனர் நீக்கப்பட்டார்.',
+      'Users unlocked.':'பயனர்கள் திறக்கப்பட்டனர்.', 'There is already a user called {name}.':'{name} என்ற பயனர் ஏற்கனவே உள்ளார்.',
+      'Added {name} — they can sign in with their PIN now.':'{name} சேர்க்கப்பட்டார் — இப்போது அவர் தம் PIN மூலம் உள்நுழையலாம்.',
+      'Currency settings unlocked.':'நாணய அமைப்புகள் திறக்கப்பட்டன.',
+      'Unlock currency settings first.':'முதலில் நாணய அமைப்புகளைத் திறக்கவும்.',
+      'Currency settings saved.':'நாணய அமைப்புகள் சேமிக்கப்பட்டன.', 'Tax settings unlocked.':'வரி அமைப்புகள் திறக்கப்பட்டன.',
+      'Unlock tax settings first.':'முதலில் வரி அமைப்புகளைத் திறக்கவும்.',
+      'Shop GSTIN should look like 29ABCDE1234F1Z5.':'கடையின் GSTIN 29ABCDE1234F1Z5 போல இருக்க வேண்டும்.',
+      'GSTIN state code {code} does not match the shop address ({abbr} = {addrCode}).':'GSTIN மாநிலக் குறியீடு {code} கடை முகவரியுடன் ({abbr} = {addrCode}) பொருந்தவில்லை.',
+      'Tax settings saved.':'வரி அமைப்புகள் சேமிக்கப்பட்டன.', 'Added "{addon}" to {product}.':'{product}-இல் "{addon}" சேர்க்கப்பட்டது.',
+      'Add-on removed.':'கூடுதல் தேர்வு நீக்கப்பட்டது.', 'Product renamed.':'பொருளின் பெயர் மாற்றப்பட்டது.',
+      'Product removed.':'பொருள் நீக்கப்பட்டது.', 'Price list unlocked.':'விலைப் பட்டியல் திறக்கப்பட்டது.',
+      'Added "{name}" to the price list.':'விலைப் பட்டியலில் "{name}" சேர்க்கப்பட்டது.',
+      'Unlock the price list first.':'முதலில் விலைப் பட்டியலைத் திறக்கவும்.',
+      'Price list saved and locked.':'விலைப் பட்டியல் சேமிக்கப்பட்டுப் பூட்டப்பட்டது.',
+      'Charge renamed.':'கட்டணத்தின் பெயர் மாற்றப்பட்டது.', 'Charge removed.':'கட்டணம் நீக்கப்பட்டது.',
+      'Charges unlocked.':'கட்டணங்கள் திறக்கப்பட்டன.', 'Added "{name}" charge.':'"{name}" கட்டணம் சேர்க்கப்பட்டது.',
+      "{record}: kept {device}'s version.":'{record}: {device} பதிப்பு வைக்கப்பட்டது.',
+      'Device name saved.':'சாதனப் பெயர் சேமிக்கப்பட்டது.', 'Synced with the other devices.':'மற்ற சாதனங்களுடன் ஒத்திசைக்கப்பட்டது.',
+      'Shop settings unlocked.':'கடை அமைப்புகள் திறக்கப்பட்டன.', 'Unlock shop settings first.':'முதலில் கடை அமைப்புகளைத் திறக்கவும்.',
+      'Closing time must be after opening time.':'மூடும் நேரம் திறக்கும் நேரத்துக்குப் பிறகு இருக்க வேண்டும்.',
+      'Shop details saved.':'கடை விவரங்கள் சேமிக்கப்பட்டன.', 'Payment settings unlocked.':'செலுத்தல் அமைப்புகள் திறக்கப்பட்டன.',
+      'Unlock payment settings first.':'முதலில் செலுத்தல் அமைப்புகளைத் திறக்கவும்.',
+      'Payment settings saved.':'செலுத்தல் அமைப்புகள் சேமிக்கப்பட்டன.',
+      'Backup downloaded — keep it somewhere other than this device.':'காப்புப்பிரதி பதிவிறக்கப்பட்டது — இதை இந்தச் சாதனம் அல்லாத வேறு இடத்தில் வைக்கவும்.',
+      'Backup restored.':'காப்புப்பிரதி மீட்டமைக்கப்பட்டது.', 'Backup merged.':'காப்புப்பிரதி இணைக்கப்பட்டது.',
+      'Could not read that file — try again.':'அந்தக் கோப்பைப் படிக்க முடியவில்லை — மீண்டும் முயலவும்.',
+      'Enter a quantity greater than zero.':'பூஜ்ஜியத்தை விட அதிகமான அளவை உள்ளிடவும்.',
+      '{item}: {qty} {unit} in stock.':'{item}: இருப்பில் {qty} {unit}.', '{item} saved.':'{item} சேமிக்கப்பட்டது.',
+      'Stock item removed.':'இருப்புப் பொருள் நீக்கப்பட்டது.', 'Stock unlocked.':'இருப்பு திறக்கப்பட்டது.',
+      '{name} is already in stock items.':'{name} ஏற்கனவே இருப்புப் பொருட்களில் உள்ளது.', 'Expense deleted.':'செலவு நீக்கப்பட்டது.',
+      'Recorded {amount} under {category}.':'{category}-இன் கீழ் {amount} பதிவு செய்யப்பட்டது.',
+      '"{name}" is already a category.':'"{name}" ஏற்கனவே ஒரு வகையாக உள்ளது.', 'Added "{name}".':'"{name}" சேர்க்கப்பட்டது.',
+      'Cash book for {day} reopened.':'{day} ரொக்கப் புத்தகம் மீண்டும் திறக்கப்பட்டது.',
+      'Count the cash in the drawer and enter it first.':'முதலில் டிராயரில் உள்ள ரொக்கத்தை எண்ணி உள்ளிடவும்.',
+      'Day closed — drawer is over by {amount}.':'நாள் முடிந்தது — டிராயரில் {amount} கூடுதல்.',
+      'Day closed — drawer is short by {amount}.':'நாள் முடிந்தது — டிராயரில் {amount} குறைவு.',
+      'Day closed — cash matches.':'நாள் முடிந்தது — ரொக்கம் பொருந்துகிறது.',
+      'Nothing to export for this selection.':'இந்தத் தேர்வுக்கு ஏற்றுமதி செய்ய எதுவும் இல்லை.',
+      '{report} downloaded as CSV.':'{report} CSV ஆகப் பதிவிறக்கப்பட்டது.',
+      'Excel export tool failed to load.':'Excel ஏற்றுமதிக் கருவி ஏற்றப்படவில்லை.',
+      '{report} downloaded as Excel.':'{report} Excel ஆகப் பதிவிறக்கப்பட்டது.', 'PDF tool failed to load.':'PDF கருவி ஏற்றப்படவில்லை.',
+      '{report} downloaded as PDF.':'{report} PDF ஆகப் பதிவிறக்கப்பட்டது.',
+      'That file is not a backup from this app.':'அந்தக் கோப்பு இந்தச் செயலியின் காப்புப்பிரதி அல்ல.',
+      'The backup file is damaged or was edited — its checksum does not match.':'காப்புப்பிரதிக் கோப்பு சேதமடைந்துள்ளது அல்லது திருத்தப்பட்டுள்ளது — அதன் சரிபார்ப்புத் தொகை பொருந்தவில்லை.',
+      'This backup was made by a newer version of the app — update this one first.':'இந்தக் காப்புப்பிரதி செயலியின் புதிய பதிப்பால் உருவாக்கப்பட்டது — முதலில் இதைப் புதுப்பிக்கவும்.',
+      'low stock: {items}':'குறைந்த இருப்பு: {items}'
+    },
+    hi: {
+      'Dashboard':'डैशबोर्ड', 'New Order':'नया ऑर्डर', 'Orders':'ऑर्डर', 'Customers':'ग्राहक',
+      'Board':'बोर्ड', 'Calendar':'कैलेंडर', 'Print Bill':'बिल प्रिंट करें', 'Measurements':'नाप',
+      'Dues':'बकाया', 'Expenses':'खर्च', 'Inventory':'स्टॉक', 'Reminders':'रिमाइंडर',
+      'Price List':'रेट लिस्ट', 'Analytics':'विश्लेषण', 'Shop Settings':'दुकान की सेटिंग',
+      'Not signed in':'साइन इन नहीं', 'Sign in':'साइन इन', 'Sign out':'साइन आउट', 'Change my PIN':'मेरा PIN बदलें',
+      "Today's snapshot — orders, deliveries and dues at a glance.":'आज की झलक — ऑर्डर, डिलीवरी और बकाया एक नज़र में।',
+      'Deliveries due today & this week':'आज और इस हफ़्ते की डिलीवरी', 'Recent orders':'हाल के ऑर्डर', 'Low stock':'कम स्टॉक',
+      'Total Orders':'कुल ऑर्डर', 'New / In Process':'नए / प्रगति में', 'Ready for Pickup':'लेने के लिए तैयार',
+      'Overdue':'देर से', 'Pending Dues':'बकाया राशि', "This Month's Revenue":'इस महीने की आमदनी',
+      'Customer name':'ग्राहक का नाम', 'Mobile number':'मोबाइल नंबर', 'Delivery date':'डिलीवरी की तारीख',
+      'Express delivery':'एक्सप्रेस डिलीवरी', 'Order notes (optional)':'ऑर्डर नोट (वैकल्पिक)', 'Advance paid (₹)':'एडवांस (₹)',
+      'Advance paid by':'एडवांस का तरीका', 'Cash':'नकद', 'Card':'कार्ड', 'Subtotal':'उप-योग', 'Discount':'छूट',
+      'Estimated total':'अनुमानित कुल', 'Save order':'ऑर्डर सेव करें', 'Save changes':'बदलाव सेव करें', 'Cancel edit':'बदलाव रद्द करें',
+      'Apply tax':'टैक्स लगाएँ', 'Photos & swatches':'फ़ोटो और कपड़े के नमूने', 'Take photo':'फ़ोटो लें',
+      'Customer':'ग्राहक', 'Mobile':'मोबाइल', 'Order #':'ऑर्डर #', 'Date':'तारीख', 'Status':'स्थिति', 'Delivery':'डिलीवरी',
+      'Balance':'बाकी', 'Amount':'राशि', 'Total':'कुल', 'Paid':'जमा', 'Last payment':'आख़िरी भुगतान',
+      'Search orders':'ऑर्डर खोजें', 'Export CSV':'CSV निर्यात', 'Search customers':'ग्राहक खोजें', 'All customers':'सभी ग्राहक',
+      'Lifetime value':'कुल कारोबार', 'Last order':'आख़िरी ऑर्डर', 'No pending dues 🎉':'कोई बकाया नहीं 🎉',
+      'Open':'खोलें', 'Edit':'बदलें', 'Bill':'बिल', 'Alteration':'ऑल्टरेशन', 'Print':'प्रिंट', 'Download':'डाउनलोड',
+      'Send WhatsApp':'व्हाट्सऐप भेजें', 'Record payment':'भुगतान दर्ज करें', 'Payment':'भुगतान', 'Find bill':'बिल खोजें',
+      'Scan':'स्कैन', 'Order number':'ऑर्डर नंबर', 'Tax invoice':'टैक्स इनवॉइस', 'Receipt':'रसीद', 'Job card':'जॉब कार्ड',
+      'Garment tags':'कपड़ों के टैग', 'Today':'आज', 'Week':'हफ़्ता', 'Month':'महीना', 'Category':'श्रेणी', 'Note':'नोट',
+      'Search':'खोजें', 'Find':'खोजें', 'Add':'जोड़ें', 'Staff':'स्टाफ़', 'Cutter':'कटर', 'Stitcher':'सिलाई कारीगर',
+      'Owner':'मालिक', 'Tailor':'दर्ज़ी', 'Counter staff':'काउंटर स्टाफ़', 'Revenue':'आमदनी', 'Profit':'मुनाफ़ा',
+      'new':'नया', 'process':'प्रगति में', 'ready':'तैयार', 'delivered':'डिलीवर', 'customer due':'ग्राहक बकाया', 'other':'अन्य',
+      'Bill date':'बिल की तारीख', 'Bill no':'बिल नंबर', 'Name':'नाम', 'Balance due':'बकाया राशि',
+      'Discount (–)':'छूट (–)', 'Paid (–)':'जमा (–)', 'Payment history':'भुगतान का ब्योरा',
+      'Alterations & rework':'ऑल्टरेशन और दोबारा काम', 'No stitching items on this order':'इस ऑर्डर में सिलाई का कोई आइटम नहीं',
+      'Free':'मुफ़्त', 'Order no':'ऑर्डर नंबर', 'Order date':'ऑर्डर की तारीख', 'Not measured':'नाप नहीं लिया',
+      'Order timeline':'ऑर्डर टाइमलाइन', 'Due':'डिलीवरी', 'Invoice no':'इनवॉइस नंबर', 'Invoice date':'इनवॉइस की तारीख',
+      'Billed to':'बिल किसके नाम', 'Description':'विवरण', 'Qty':'मात्रा', 'Rate':'दर', 'Taxable value':'कर योग्य मूल्य',
+      'Total taxable value':'कुल कर योग्य मूल्य', 'Invoice total':'इनवॉइस कुल', 'Received':'प्राप्त',
+      'Place of supply':'आपूर्ति का स्थान', 'This is a computer-generated invoice.':'यह कंप्यूटर से बना इनवॉइस है।',
+      'Cancel':'रद्द करें', 'Save':'सेव करें', 'Delete':'हटाएँ',
+      'Language':'भाषा', 'App language':'ऐप की भाषा', 'Bill language':'बिल की भाषा', 'Same as app':'ऐप जैसी ही',
+      "Show numbers in the language's own digits":'भाषा के अपने अंकों में संख्याएँ दिखाएँ',
+      'Name and mobile are required.':'नाम और मोबाइल ज़रूरी हैं।', 'Enter an order number.':'ऑर्डर नंबर डालें।',
+      'Find a bill first.':'पहले बिल खोजें।', 'Edit cancelled.':'बदलाव रद्द किया गया।', 'Incorrect PIN.':'गलत PIN।',
+      'Saved — Order #{id}':'सेव हो गया — ऑर्डर #{id}', 'Updated — Order #{id}':'अपडेट हो गया — ऑर्डर #{id}',
+      'Language saved.':'भाषा सेव हो गई।',
+      'Storage is full — order not saved. Download a backup, then remove photos from old orders.':'स्टोरेज भर गया है — ऑर्डर सेव नहीं हुआ। बैकअप डाउनलोड करें, फिर पुराने ऑर्डरों की फ़ोटो हटाएँ।',
+      'Could not save — try again.':'सेव नहीं हो सका — फिर से कोशिश करें।',
+      'Storage is full — photos not saved. Remove some photos and try again.':'स्टोरेज भर गया है — फ़ोटो सेव नहीं हुईं। कुछ फ़ोटो हटाकर फिर से कोशिश करें।',
+      'Could not save photos — try again.':'फ़ोटो सेव नहीं हो सकीं — फिर से कोशिश करें।',
+      'Could not save products — try again.':'प्रोडक्ट सेव नहीं हो सके — फिर से कोशिश करें।',
+      'Could not save charges — try again.':'चार्ज सेव नहीं हो सके — फिर से कोशिश करें।',
+      'Could not save prices — try again.':'रेट सेव नहीं हो सके — फिर से कोशिश करें।',
+      'Could not save shop details — try again.':'दुकान का ब्योरा सेव नहीं हो सका — फिर से कोशिश करें।',
+      'Could not save preferences — try again.':'पसंद सेव नहीं हो सकी — फिर से कोशिश करें।',
+      'Could not save users — try again.':'यूज़र सेव नहीं हो सके — फिर से कोशिश करें।',
+      'Could not save permissions — try again.':'अनुमतियाँ सेव नहीं हो सकीं — फिर से कोशिश करें।',
+      'Could not save expenses — try again.':'खर्च सेव नहीं हो सके — फिर से कोशिश करें।',
+      'Could not save expense categories — try again.':'खर्च की श्रेणियाँ सेव नहीं हो सकीं — फिर से कोशिश करें।',
+      'Could not save the cash book — try again.':'कैश बुक सेव नहीं हो सकी — फिर से कोशिश करें।',
+      'Could not save stock — try again.':'स्टॉक सेव नहीं हो सका — फिर से कोशिश करें।',
+      'Storage is full — the activity log could not be saved. Download a backup and remove old photos.':'स्टोरेज भर गया है — गतिविधि लॉग सेव नहीं हो सका। बैकअप डाउनलोड करें और पुरानी फ़ोटो हटाएँ।',
+      'Could not save the activity log — try again.':'गतिविधि लॉग सेव नहीं हो सका — फिर से कोशिश करें।',
+      'Could not save tax settings — try again.':'टैक्स सेटिंग सेव नहीं हो सकी — फिर से कोशिश करें।',
+      'Could not save payment settings — try again.':'भुगतान सेटिंग सेव नहीं हो सकी — फिर से कोशिश करें।',
+      'Could not save currency settings — try again.':'करेंसी सेटिंग सेव नहीं हो सकी — फिर से कोशिश करें।',
+      'Could not save capacity settings — try again.':'क्षमता सेटिंग सेव नहीं हो सकी — फिर से कोशिश करें।',
+      'Could not save express rules — try again.':'एक्सप्रेस के नियम सेव नहीं हो सके — फिर से कोशिश करें।',
+      'Could not save staff — try again.':'स्टाफ़ सेव नहीं हो सका — फिर से कोशिश करें।',
+      'Could not save the invoice counter — try again.':'इनवॉइस काउंटर सेव नहीं हो सका — फिर से कोशिश करें।',
+      'Could not save message templates — try again.':'मैसेज टेम्पलेट सेव नहीं हो सके — फिर से कोशिश करें।',
+      'Could not save the reminder log — try again.':'रिमाइंडर लॉग सेव नहीं हो सका — फिर से कोशिश करें।',
+      'Could not save measurements — try again.':'नाप सेव नहीं हो सके — फिर से कोशिश करें।',
+      'Could not save customers — try again.':'ग्राहक सेव नहीं हो सके — फिर से कोशिश करें।',
+      'Could not save the data version — try again.':'डेटा वर्ज़न सेव नहीं हो सका — फिर से कोशिश करें।',
+      'Back online — changes from this device are synced.':'फिर से ऑनलाइन — इस डिवाइस के बदलाव सिंक हो गए।',
+      '{record} was also used on another device — saved here as #{id}.':'{record} दूसरे डिवाइस पर भी इस्तेमाल हुआ — यहाँ #{id} के रूप में सेव किया गया।',
+      'Offline — changes are kept on this device and will sync when the connection is back.':'ऑफ़लाइन — बदलाव इसी डिवाइस पर रखे गए हैं और कनेक्शन लौटने पर सिंक होंगे।',
+      'Could not save device details — try again.':'डिवाइस का ब्योरा सेव नहीं हो सका — फिर से कोशिश करें।',
+      'Could not save sync conflicts — try again.':'सिंक टकराव सेव नहीं हो सके — फिर से कोशिश करें।',
+      '{record} was changed on two devices — pick a version under Settings → Devices & sync.':'{record} दो डिवाइस पर बदला गया — सेटिंग → डिवाइस और सिंक में एक वर्ज़न चुनें।',
+      'Signed in as {name}.':'{name} के रूप में साइन इन किया।',
+      'You are still using the default PIN {pin} — change it from the sidebar.':'आप अब भी डिफ़ॉल्ट PIN {pin} इस्तेमाल कर रहे हैं — साइडबार से बदलें।',
+      'Signed out.':'साइन आउट हो गया।', '{name} ({role}) is not allowed to {action}.':'{name} ({role}) को {action} की अनुमति नहीं है।',
+      'PIN changed.':'PIN बदल गया।', 'PIN should be 4 to 8 digits.':'PIN 4 से 8 अंकों का होना चाहिए।',
+      'The two PINs do not match.':'दोनों PIN मेल नहीं खाते।',
+      'Someone else already uses that PIN — pick another.':'यह PIN कोई और इस्तेमाल करता है — दूसरा चुनें।',
+      'Enter at least one measurement.':'कम से कम एक नाप डालें।',
+      'No changes — measurements are the same as the current version.':'कोई बदलाव नहीं — नाप मौजूदा वर्ज़न जैसे ही हैं।',
+      '{garment} measurements saved as v{v}.':'{garment} के नाप v{v} के रूप में सेव हुए।',
+      'Mobile number should be 10 digits.':'मोबाइल नंबर 10 अंकों का होना चाहिए।',
+      'An order can hold up to {n} photos.':'एक ऑर्डर में {n} फ़ोटो तक रखी जा सकती हैं।',
+      '{file} is not an image.':'{file} कोई फ़ोटो नहीं है।',
+      'Could not read {file} — try another photo.':'{file} पढ़ी नहीं जा सकी — कोई दूसरी फ़ोटो आज़माएँ।',
+      'Photo storage is full — remove photos from old delivered orders first.':'फ़ोटो स्टोरेज भर गया है — पहले पुराने डिलीवर ऑर्डरों की फ़ोटो हटाएँ।',
+      '{addon}: more pieces than the {qty} {product} ordered.':'{addon}: ऑर्डर किए गए {qty} {product} से ज़्यादा पीस।',
+      'Customer GSTIN should look like 29ABCDE1234F1Z5.':'ग्राहक का GSTIN 29ABCDE1234F1Z5 जैसा होना चाहिए।',
+      'Order not found.':'ऑर्डर नहीं मिला।',
+      "Invoice {no} is already issued — the items, charges and discount on this order can't change.":'इनवॉइस {no} पहले ही जारी हो चुका है — इस ऑर्डर के आइटम, चार्ज और छूट नहीं बदल सकते।',
+      'Enter an amount greater than zero.':'शून्य से ज़्यादा राशि डालें।',
+      'That is more than the balance due ({amount}).':'यह बकाया राशि ({amount}) से ज़्यादा है।',
+      'Recorded {amount} for #{id}.':'#{id} के लिए {amount} दर्ज किया गया।', 'Status updated for #{id}':'#{id} की स्थिति अपडेट हुई',
+      'Deleted order #{id}':'ऑर्डर #{id} हटाया गया', 'No orders to export.':'निर्यात के लिए कोई ऑर्डर नहीं।',
+      'Orders exported.':'ऑर्डर निर्यात हो गए।', 'Name is required.':'नाम ज़रूरी है।',
+      'Customer profile saved.':'ग्राहक प्रोफ़ाइल सेव हो गई।',
+      'There is no other customer to merge into.':'मिलाने के लिए कोई दूसरा ग्राहक नहीं है।',
+      '{from} merged into {into}.':'{from} को {into} में मिला दिया गया।', 'Reminder batch complete.':'रिमाइंडर का बैच पूरा हुआ।',
+      'Finish or stop the current batch first.':'पहले मौजूदा बैच पूरा करें या रोकें।',
+      'Select at least one customer.':'कम से कम एक ग्राहक चुनें।', 'Message templates saved.':'मैसेज टेम्पलेट सेव हो गए।',
+      'Message templates reset.':'मैसेज टेम्पलेट रीसेट हो गए।', 'Pick a free time slot.':'कोई ख़ाली समय चुनें।',
+      'Fitting on {date} at {time}.':'ट्रायल {date} को {time} बजे।',
+      'Fitting notes saved on the order.':'ट्रायल के नोट ऑर्डर पर सेव हो गए।', 'Fitting marked as missed.':'ट्रायल छूटा हुआ दर्ज किया गया।',
+      'Fitting cancelled.':'ट्रायल रद्द हो गया।',
+      'This browser cannot read barcodes with the camera — use a USB scanner or type the number.':'यह ब्राउज़र कैमरे से बारकोड नहीं पढ़ सकता — USB स्कैनर इस्तेमाल करें या नंबर टाइप करें।',
+      'Could not open the camera — check the browser permission.':'कैमरा नहीं खुल सका — ब्राउज़र की अनुमति जाँचें।',
+      'Invoice {no} issued.':'इनवॉइस {no} जारी हुआ।', 'Payment removed.':'भुगतान हटाया गया।',
+      'ESC/POS file downloaded.':'ESC/POS फ़ाइल डाउनलोड हो गई।',
+      'This browser cannot reach serial printers — try USB or download the file.':'यह ब्राउज़र सीरियल प्रिंटर तक नहीं पहुँच सकता — USB आज़माएँ या फ़ाइल डाउनलोड करें।',
+      'This browser cannot reach USB printers — try serial or download the file.':'यह ब्राउज़र USB प्रिंटर तक नहीं पहुँच सकता — सीरियल आज़माएँ या फ़ाइल डाउनलोड करें।',
+      'Receipt sent to printer.':'रसीद प्रिंटर को भेजी गई।',
+      'Could not reach the printer — check the cable and try again.':'प्रिंटर तक नहीं पहुँच सके — केबल जाँचकर फिर से कोशिश करें।',
+      'Bill shared.':'बिल शेयर हो गया।',
+      'Opened WhatsApp — attach the downloaded bill image if needed.':'व्हाट्सऐप खुल गया — ज़रूरत हो तो डाउनलोड की गई बिल की फ़ोटो लगाएँ।',
+      'Download tool failed to load.':'डाउनलोड टूल लोड नहीं हुआ।',
+      'Could not create image — try again.':'फ़ोटो नहीं बन सकी — फिर से कोशिश करें।',
+      'Capacity settings unlocked.':'क्षमता सेटिंग अनलॉक हो गई।', 'Unlock capacity settings first.':'पहले क्षमता सेटिंग अनलॉक करें।',
+      'At least one day must be open.':'कम से कम एक दिन खुला होना चाहिए।', 'Capacity settings saved.':'क्षमता सेटिंग सेव हो गई।',
+      '#{id} moved to {status}.':'#{id} को {status} में ले जाया गया।', 'Staff removed.':'स्टाफ़ हटाया गया।',
+      'Staff unlocked.':'स्टाफ़ अनलॉक हो गया।', 'Name cannot be empty.':'नाम ख़ाली नहीं हो सकता।', 'Added {name}.':'{name} जोड़ा गया।',
+      'Keep at least one owner.':'कम से कम एक मालिक रखें।', '{name} is now {role}.':'{name} अब {role} हैं।',
+      'PIN reset for {name}.':'{name} का PIN रीसेट हुआ।', 'User removed.':'यूज़र हटाया गया।', 'Users unlocked.':'यूज़र अनलॉक हो गए।',
+      'There is already a user called {name}.':'{name} नाम का यूज़र पहले से है।',
+      'Added {name} — they can sign in with their PIN now.':'{name} जोड़े गए — अब वे अपने PIN से साइन इन कर सकते हैं।',
+      'Currency settings unlocked.':'करेंसी सेटिंग अनलॉक हो गई।', 'Unlock currency settings first.':'पहले करेंसी सेटिंग अनलॉक करें।',
+      'Currency settings saved.':'करेंसी सेटिंग सेव हो गई।', 'Tax settings unlocked.':'टैक्स सेटिंग अनलॉक हो गई।',
+      'Unlock tax settings first.':'पहले टैक्स सेटिंग अनलॉक करें।',
+      'Shop GSTIN should look like 29ABCDE1234F1Z5.':'दुकान का GSTIN 29ABCDE1234F1Z5 जैसा होना चाहिए।',
+      'GSTIN state code {code} does not match the shop address ({abbr} = {addrCode}).':'GSTIN का राज्य कोड {code} दुकान के पते ({abbr} = {addrCode}) से मेल नहीं खाता।',
+      'Tax settings saved.':'टैक्स सेटिंग सेव हो गई।', 'Added "{addon}" to {product}.':'{product} में "{addon}" जोड़ा गया।',
+      'Add-on removed.':'ऐड-ऑन हटाया गया।', 'Product renamed.':'प्रोडक्ट का नाम बदला गया।', 'Product removed.':'प्रोडक्ट हटाया गया।',
+      'Price list unlocked.':'रेट लिस्ट अनलॉक हो गई।', 'Added "{name}" to the price list.':'रेट लिस्ट में "{name}" जोड़ा गया।',
+      'Unlock the price list first.':'पहले रेट लिस्ट अनलॉक करें।', 'Price list saved and locked.':'रेट लिस्ट सेव होकर लॉक हो गई।',
+      'Charge renamed.':'चार्ज का नाम बदला गया।', 'Charge removed.':'चार्ज हटाया गया।', 'Charges unlocked.':'चार्ज अनलॉक हो गए।',
+      'Added "{name}" charge.':'"{name}" चार्ज जोड़ा गया।', "{record}: kept {device}'s version.":'{record}: {device} का वर्ज़न रखा गया।',
+      'Device name saved.':'डिवाइस का नाम सेव हो गया।', 'Synced with the other devices.':'दूसरे डिवाइस के साथ सिंक हो गया।',
+      'Shop settings unlocked.':'दुकान की सेटिंग अनलॉक हो गई।', 'Unlock shop settings first.':'पहले दुकान की सेटिंग अनलॉक करें।',
+      'Closing time must be after opening time.':'बंद होने का समय खुलने के समय के बाद होना चाहिए।',
+      'Shop details saved.':'दुकान का ब्योरा सेव हो गया।', 'Payment settings unlocked.':'भुगतान सेटिंग अनलॉक हो गई।',
+      'Unlock payment settings first.':'पहले भुगतान सेटिंग अनलॉक करें।', 'Payment settings saved.':'भुगतान सेटिंग सेव हो गई।',
+      'Backup downloaded — keep it somewhere other than this device.':'बैकअप डाउनलोड हो गया — इसे इस डिवाइस के अलावा कहीं और रखें।',
+      'Backup restored.':'बैकअप रीस्टोर हो गया।', 'Backup merged.':'बैकअप मिला दिया गया।',
+      'Could not read that file — try again.':'वह फ़ाइल पढ़ी नहीं जा सकी — फिर से कोशिश करें।',
+      'Enter a quantity greater than zero.':'शून्य से ज़्यादा मात्रा डालें।',
+      '{item}: {qty} {unit} in stock.':'{item}: स्टॉक में {qty} {unit}।', '{item} saved.':'{item} सेव हो गया।',
+      'Stock item removed.':'स्टॉक आइटम हटाया गया।', 'Stock unlocked.':'स्टॉक अनलॉक हो गया।',
+      '{name} is already in stock items.':'{name} पहले से स्टॉक आइटम में है।', 'Expense deleted.':'खर्च हटाया गया।',
+      'Recorded {amount} under {category}.':'{category} में {amount} दर्ज किया गया।',
+      '"{name}" is already a category.':'"{name}" पहले से एक श्रेणी है।', 'Added "{name}".':'"{name}" जोड़ा गया।',
+      'Cash book for {day} reopened.':'{day} की कैश बुक फिर से खोली गई।',
+      'Count the cash in the drawer and enter it first.':'पहले दराज़ की नकदी गिनकर डालें।',
+      'Day closed — drawer is over by {amount}.':'दिन बंद — दराज़ में {amount} ज़्यादा है।',
+      'Day closed — drawer is short by {amount}.':'दिन बंद — दराज़ में {amount} कम है।',
+      'Day closed — cash matches.':'दिन बंद — नकदी मिलती है।',
+      'Nothing to export for this selection.':'इस चुनाव में निर्यात के लिए कुछ नहीं है।',
+      '{report} downloaded as CSV.':'{report} CSV के रूप में डाउनलोड हुआ।',
+      'Excel export tool failed to load.':'Excel निर्यात टूल लोड नहीं हुआ।',
+      '{report} downloaded as Excel.':'{report} Excel के रूप में डाउनलोड हुआ।', 'PDF tool failed to load.':'PDF टूल लोड नहीं हुआ।',
+      '{report} downloaded as PDF.':'{report} PDF के रूप में डाउनलोड हुआ।',
+      'That file is not a backup from this app.':'यह फ़ाइल इस ऐप का बैकअप नहीं है।',
+      'The backup file is damaged or was edited — its checksum does not match.':'बैकअप फ़ाइल ख़राब है या बदली गई है — उसका चेकसम मेल नहीं खाता।',
+      'This backup was made by a newer version of the app — update this one first.':'यह बैकअप ऐप के नए वर्ज़न से बना है — पहले इसे अपडेट करें।',
+      'low stock: {items}':'कम स्टॉक: {items}'
+    }
+  };
+  const NATIVE_DIGITS = { kn:'೦೧೨೩೪೫೬೭೮೯', ta:'௦௧௨௩௪௫௬௭௮௯', hi:'०१२३४५६७८९' };
+
+  let renderLang = null; // set while a bill is built in the bill language
+  const knownLang = key => LANGUAGES.some(l => l.key === key);
+  // settings.language is the shop-wide choice older builds saved; a counter that never
+  // picked its own language starts in it.
+  const uiLang = () => knownLang(device.language) ? device.language : knownLang(settings.language) ? settings.language : 'en';
+  const billLang = () => knownLang(settings.billLanguage) ? settings.billLanguage : uiLang();
+  const activeLang = () => renderLang || uiLang();
+  function localeTag(lang = activeLang()){
+    return (LANGUAGES.find(l => l.key === lang) || LANGUAGES[0]).locale;
+  }
+  function tr(text, vars, lang = activeLang()){
+    const out = (I18N[lang] && I18N[lang][text]) || text;
+    return vars ? out.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m) : out;
+  }
+  function localDigits(text, lang = activeLang()){
+    const set = settings.nativeDigits && NATIVE_DIGITS[lang];
+    return set ? String(text).replace(/[0-9]/g, d => set[d]) : String(text);
+  }
+  // Runs fn with fmtDate(), money(), tr() and amountInWords() speaking `lang`.
+  function inLanguage(lang, fn){
+    const prev = renderLang;
+    renderLang = lang;
+    try{ return fn(); } finally { renderLang = prev; }
+  }
+
+  // Rendered text nodes whose whole (trimmed) text is a catalogue key are swapped for
+  // the translation; the English original is remembered so switching back restores it.
+  const i18nOriginals = new WeakMap();
+  const I18N_SKIP = 'script, style, textarea, .receipt-pre';
+  function translateTextNode(node){
+    const el = node.parentElement;
+    if(!el || el.closest(I18N_SKIP)) return;
+    const lang = el.closest('#bill-result') ? billLang() : uiLang();
+    const src = i18nOriginals.has(node) ? i18nOriginals.get(node) : node.nodeValue;
+    const key = src.trim();
+    const text = key && I18N[lang] && I18N[lang][key];
+    if(text){
+      i18nOriginals.set(node, src);
+      node.nodeValue = src.replace(key, text);
+    } else if(i18nOriginals.has(node)){
+      node.nodeValue = src;
+      i18nOriginals.delete(node);
+    }
+  }
+  function translateTree(root){
+    if(root.nodeType === Node.TEXT_NODE){ translateTextNode(root); return; }
+    if(root.nodeType !== Node.ELEMENT_NODE) return;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for(let n = walker.nextNode(); n; n = walker.nextNode()) translateTextNode(n);
+  }
+  let languageObserver = null;
+  function watchLanguage(){
+    if(!languageObserver){
+      languageObserver = new MutationObserver(list => {
+        if(uiLang() === 'en' && billLang() === 'en') return;
+        list.forEach(m => m.addedNodes.forEach(translateTree));
+      });
+      languageObserver.observe(document.body, { childList: true, subtree: true });
+    }
+    $('#app').setAttribute('lang', uiLang());
+    translateTree(document.body);
+  }
+
+  // Amount in words for bills in each language, Indian grouping throughout. The
+  // regional forms are the plain written ones used on receipts and cheques.
+  const WORDS_HI = ['', 'एक','दो','तीन','चार','पाँच','छह','सात','आठ','नौ','दस',
+    'ग्यारह','बारह','तेरह','चौदह','पंद्रह','सोलह','सत्रह','अठारह','उन्नीस','बीस',
+    'इक्कीस','बाईस','तेईस','चौबीस','पच्चीस','छब्बीस','सत्ताईस','अट्ठाईस','उनतीस','तीस',
+    'इकतीस','बत्तीस','तैंतीस','चौंतीस','पैंतीस','छत्तीस','सैंतीस','अड़तीस','उनतालीस','चालीस',
+    'इकतालीस','बयालीस','तैंतालीस','चवालीस','पैंतालीस','छियालीस','सैंतालीस','अड़तालीस','उनचास','पचास',
+    'इक्यावन','बावन','तिरपन','चौवन','पचपन','छप्पन','सत्तावन','अट्ठावन','उनसठ','साठ',
+    'इकसठ','बासठ','तिरसठ','चौंसठ','पैंसठ','छियासठ','सड़सठ','अड़सठ','उनहत्तर','सत्तर',
+    'इकहत्तर','बहत्तर','तिहत्तर','चौहत्तर','पचहत्तर','छिहत्तर','सतहत्तर','अठहत्तर','उन्यासी','अस्सी',
+    'इक्यासी','बयासी','तिरासी','चौरासी','पचासी','छियासी','सत्तासी','अट्ठासी','नवासी','नब्बे',
+    'इक्यानवे','बानवे','तिरानवे','चौरानवे','पंचानवे','छियानवे','सत्तानवे','अट्ठानवे','निन्यानवे'];
+  const WORDS_KN_ONES = ['', 'ಒಂದು','ಎರಡು','ಮೂರು','ನಾಲ್ಕು','ಐದು','ಆರು','ಏಳು','ಎಂಟು','ಒಂಬತ್ತು','ಹತ್ತು',
+    'ಹನ್ನೊಂದು','ಹನ್ನೆರಡು','ಹದಿಮೂರು','ಹದಿನಾಲ್ಕು','ಹದಿನೈದು','ಹದಿನಾರು','ಹದಿನೇಳು','ಹದಿನೆಂಟು','ಹತ್ತೊಂಬತ್ತು'];
+  const WORDS_KN_TENS = ['', '', 'ಇಪ್ಪತ್ತು','ಮೂವತ್ತು','ನಲವತ್ತು','ಐವತ್ತು','ಅರವತ್ತು','ಎಪ್ಪತ್ತು','ಎಂಬತ್ತು','ತೊಂಬತ್ತು'];
+  // the ones as they join a tens word: ಇಪ್ಪತ್ತು + ಒಂದು → ಇಪ್ಪತ್ತೊಂದು
+  const WORDS_KN_JOIN = ['', 'ೊಂದು','ೆರಡು','ಮೂರು','ನಾಲ್ಕು','ೈದು','ಾರು','ೇಳು','ೆಂಟು','ೊಂಬತ್ತು'];
+  const WORDS_KN_HUNDREDS = ['', 'ನೂರು','ಇನ್ನೂರು','ಮುನ್ನೂರು','ನಾನೂರು','ಐನೂರು','ಆರುನೂರು','ಏಳುನೂರು','ಎಂಟುನೂರು','ಒಂಬೈನೂರು'];
+  const WORDS_TA_ONES = ['', 'ஒன்று','இரண்டு','மூன்று','நான்கு','ஐந்து','ஆறு','ஏழு','எட்டு','ஒன்பது','பத்து',
+    'பதினொன்று','பன்னிரண்டு','பதின்மூன்று','பதினான்கு','பதினைந்து','பதினாறு','பதினேழு','பதினெட்டு','பத்தொன்பது'];
+  const WORDS_TA_TENS = ['', '', 'இருபது','முப்பது','நாற்பது','ஐம்பது','அறுபது','எழுபது','எண்பது','தொண்ணூறு'];
+  const WORDS_TA_TENS_JOIN = ['', '', 'இருபத்து','முப்பத்து','நாற்பத்து','ஐம்பத்து','அறுபத்து','எழுபத்து','எண்பத்து','தொண்ணூற்று'];
+  const WORDS_TA_HUNDREDS = ['', 'நூறு','இருநூறு','முந்நூறு','நானூறு','ஐநூறு','அறுநூறு','எழுநூறு','எண்ணூறு','தொள்ளாயிரம்'];
+  const WORDS_TA_HUNDREDS_JOIN = ['', 'நூற்று','இருநூற்று','முந்நூற்று','நானூற்று','ஐநூற்று','அறுநூற்று','எழுநூற்று','எண்ணூற்று','தொள்ளாயிரத்து'];
+  // Each scale word gets (words for the count, the count, whether more follows).
+  const AMOUNT_WORDS = {
+    hi: {
+      zero: 'शून्य',
+      below100: n => WORDS_HI[n],
+      hundred: h => `${WORDS_HI[h]} सौ`,
+      thousand: w => `${w} हज़ार`,
+      lakh: w => `${w} लाख`,
+      crore: w => `${w} करोड़`,
+      amount: (r, p) => `${r} रुपये${p ? ` ${p} पैसे` : ''} मात्र`
+    },
+    kn: {
+      zero: 'ಸೊನ್ನೆ',
+      below100: n => n < 20 ? WORDS_KN_ONES[n]
+        : n % 10 ? WORDS_KN_TENS[Math.floor(n/10)].slice(0, -1) + WORDS_KN_JOIN[n % 10] : WORDS_KN_TENS[n/10],
+      hundred: (h, more) => more ? WORDS_KN_HUNDREDS[h].slice(0, -1) : WORDS_KN_HUNDREDS[h],
+      thousand: (w, n, more) => `${w} ${more ? 'ಸಾವಿರದ' : 'ಸಾವಿರ'}`,
+      lakh: (w, n, more) => `${w} ${more ? 'ಲಕ್ಷದ' : 'ಲಕ್ಷ'}`,
+      crore: w => `${w} ಕೋಟಿ`,
+      amount: (r, p) => `${r} ರೂಪಾಯಿ${p ? ` ${p} ಪೈಸೆ` : ''} ಮಾತ್ರ`
+    },
+    ta: {
+      zero: 'பூஜ்யம்',
+      below100: n => n < 20 ? WORDS_TA_ONES[n]
+        : n % 10 ? `${WORDS_TA_TENS_JOIN[Math.floor(n/10)]} ${WORDS_TA_ONES[n % 10]}` : WORDS_TA_TENS[n/10],
+      hundred: (h, more) => more ? WORDS_TA_HUNDREDS_JOIN[h] : WORDS_TA_HUNDREDS[h],
+      thousand: (w, n, more) => `${n === 1 ? '' : w + ' '}${more ? 'ஆயிரத்து' : 'ஆயிரம்'}`,
+      lakh: (w, n, more) => `${n === 1 ? 'ஒரு' : w} ${more ? 'லட்சத்து' : 'லட்சம்'}`,
+      crore: (w, n) => `${n === 1 ? 'ஒரு' : w} கோடி`,
+      amount: (r, p) => `${r} ரூபாய்${p ? ` ${p} பைசா` : ''} மட்டும்`
+    }
+  };
+  function numberToWordsLang(n, w){
+    n = Math.floor(Math.abs(Number(n) || 0));
+    if(!n) return w.zero;
+    const crore = Math.floor(n / 1e7), lakh = Math.floor(n / 1e5) % 100, thousand = Math.floor(n / 1000) % 100;
+    const hundred = Math.floor(n / 100) % 10, rest = n % 100;
+    const parts = [];
+    if(crore) parts.push(w.crore(numberToWordsLang(crore, w), crore, n % 1e7 > 0));
+    if(lakh) parts.push(w.lakh(w.below100(lakh), lakh, n % 1e5 > 0));
+    if(thousand) parts.push(w.thousand(w.below100(thousand), thousand, n % 1000 > 0));
+    if(hundred) parts.push(w.hundred(hundred, rest > 0));
+    if(rest) parts.push(w.below100(rest));
+    return parts.join(' ');
+  }
+
   function fmtDate(d){
     d = new Date(d);
     const pad = n => String(n).padStart(2,'0');
-    return `${pad(d.getDate())}/${pad(d.getMonth()+1)}/${d.getFullYear()}`;
+    return localDigits(`${pad(d.getDate())}/${pad(d.getMonth()+1)}/${d.getFullYear()}`);
   }
   function addDays(d, n){
     const nd = new Date(d);
@@ -144,26 +1034,21 @@
     return nd;
   }
   function money(n){
-    const amt = (Number(n)||0).toLocaleString('en-IN');
+    const amt = localDigits((Number(n)||0).toLocaleString('en-IN'));
     const sym = currency.symbol || '₹';
     return currency.position === 'after' ? `${amt} ${sym}` : `${sym} ${amt}`;
   }
 
   // ---------- storage ----------
   async function loadData(){
-    try{
-      const o = await window.storage.get('orders', true);
-      orders = o ? JSON.parse(o.value) : [];
-    }catch(e){ orders = []; }
+    await loadDevice();
+    await loadSyncConflicts();
+    await loadSyncedList('orders');
     try{
       const pr = await window.storage.get('products', true);
       products = pr ? JSON.parse(pr.value) : DEFAULT_PRODUCTS.map(p => ({...p}));
     }catch(e){ products = DEFAULT_PRODUCTS.map(p => ({...p})); }
-    try{
-      const p = await window.storage.get('prices', true);
-      prices = p ? JSON.parse(p.value) : {};
-    }catch(e){ prices = {}; }
-    products.forEach(p => { if(!(p.key in prices)) prices[p.key] = 0; });
+    await loadSyncedList('prices');
     try{
       const ch = await window.storage.get('charges', true);
       charges = ch ? JSON.parse(ch.value) : DEFAULT_CHARGES.map(c => ({...c}));
@@ -186,13 +1071,65 @@
     }catch(e){ currency = {...DEFAULT_CURRENCY}; }
     try{
       const s = await window.storage.get('settings', true);
-      settings = s ? JSON.parse(s.value) : settings;
-      if(!settings || !settings.password) settings = { password: DEFAULT_PASSWORD };
-    }catch(e){ settings = { password: DEFAULT_PASSWORD }; }
+      settings = s ? JSON.parse(s.value) || {} : {};
+    }catch(e){ settings = {}; }
+    try{
+      const us = await window.storage.get('users', true);
+      users = us ? JSON.parse(us.value) : [];
+    }catch(e){ users = []; }
+    try{
+      const rp = await window.storage.get('rolePerms', true);
+      rolePerms = rp ? {...DEFAULT_ROLE_PERMS, ...JSON.parse(rp.value)} : JSON.parse(JSON.stringify(DEFAULT_ROLE_PERMS));
+    }catch(e){ rolePerms = JSON.parse(JSON.stringify(DEFAULT_ROLE_PERMS)); }
+    await loadSyncedList('activityLog');
+    await loadSyncedList('expenses');
+    try{
+      const xc = await window.storage.get('expenseCategories', true);
+      expenseCategories = xc ? JSON.parse(xc.value) : DEFAULT_EXPENSE_CATEGORIES.map(c => ({...c}));
+    }catch(e){ expenseCategories = DEFAULT_EXPENSE_CATEGORIES.map(c => ({...c})); }
+    await loadSyncedList('cashbook');
+    await loadSyncedList('inventory');
+    await loadSyncedList('stockMoves');
+    try{
+      const cap = await window.storage.get('capacity', true);
+      capacity = cap ? {...DEFAULT_CAPACITY, ...JSON.parse(cap.value)} : {...DEFAULT_CAPACITY};
+    }catch(e){ capacity = {...DEFAULT_CAPACITY}; }
+    try{
+      const ex = await window.storage.get('express', true);
+      express = ex ? {...DEFAULT_EXPRESS, ...JSON.parse(ex.value)} : {...DEFAULT_EXPRESS};
+    }catch(e){ express = {...DEFAULT_EXPRESS}; }
+    try{
+      const st = await window.storage.get('staff', true);
+      staff = st ? JSON.parse(st.value) : [];
+    }catch(e){ staff = []; }
+    try{
+      const inv = await window.storage.get('invoiceSeries', true);
+      invoiceSeries = inv ? JSON.parse(inv.value) : {};
+    }catch(e){ invoiceSeries = {}; }
+    try{
+      const tp = await window.storage.get('templates', true);
+      templates = tp ? {...DEFAULT_TEMPLATES, ...JSON.parse(tp.value)} : {...DEFAULT_TEMPLATES};
+    }catch(e){ templates = {...DEFAULT_TEMPLATES}; }
+    await loadSyncedList('reminderLog');
+    await loadSyncedList('measurements');
+    await loadSyncedList('customers');
+    await loadSyncedList('orderPhotos');
+    try{
+      const sv = await window.storage.get('schemaVersion', true);
+      schemaVersion = sv ? Number(JSON.parse(sv.value)) || 0 : 0;
+    }catch(e){ schemaVersion = 0; }
+    await runMigrations();
   }
   async function saveOrders(){
-    try{ await window.storage.set('orders', JSON.stringify(orders), true); }
-    catch(e){ toast('Could not save — try again.', 'error'); }
+    try{ await syncList('orders'); }
+    catch(e){ toast(isQuotaError(e) ? 'Storage is full — order not saved. Download a backup, then remove photos from old orders.' : 'Could not save — try again.', 'error'); }
+  }
+  async function saveOrderPhotos(){
+    try{ await syncList('orderPhotos'); return true; }
+    catch(e){
+      toast(isQuotaError(e) ? 'Storage is full — photos not saved. Remove some photos and try again.' : 'Could not save photos — try again.', 'error');
+      return false;
+    }
   }
   async function saveProducts(){
     try{ await window.storage.set('products', JSON.stringify(products), true); }
@@ -203,7 +1140,7 @@
     catch(e){ toast('Could not save charges — try again.', 'error'); }
   }
   async function savePrices(){
-    try{ await window.storage.set('prices', JSON.stringify(prices), true); }
+    try{ await syncList('prices'); }
     catch(e){ toast('Could not save prices — try again.', 'error'); }
   }
   async function saveShop(){
@@ -212,7 +1149,39 @@
   }
   async function saveSettings(){
     try{ await window.storage.set('settings', JSON.stringify(settings), true); }
-    catch(e){ toast('Could not save password — try again.', 'error'); }
+    catch(e){ toast('Could not save preferences — try again.', 'error'); }
+  }
+  async function saveUsers(){
+    try{ await window.storage.set('users', JSON.stringify(users), true); }
+    catch(e){ toast('Could not save users — try again.', 'error'); }
+  }
+  async function saveRolePerms(){
+    try{ await window.storage.set('rolePerms', JSON.stringify(rolePerms), true); }
+    catch(e){ toast('Could not save permissions — try again.', 'error'); }
+  }
+  async function saveExpenses(){
+    try{ await syncList('expenses'); }
+    catch(e){ toast('Could not save expenses — try again.', 'error'); }
+  }
+  async function saveExpenseCategories(){
+    try{ await window.storage.set('expenseCategories', JSON.stringify(expenseCategories), true); }
+    catch(e){ toast('Could not save expense categories — try again.', 'error'); }
+  }
+  async function saveCashbook(){
+    try{ await syncList('cashbook'); }
+    catch(e){ toast('Could not save the cash book — try again.', 'error'); }
+  }
+  async function saveInventory(){
+    try{
+      if(stockMoves.length > STOCK_MOVES_KEPT) stockMoves = stockMoves.slice(-STOCK_MOVES_KEPT);
+      await syncList('inventory');
+      await syncList('stockMoves');
+    }
+    catch(e){ toast('Could not save stock — try again.', 'error'); }
+  }
+  async function saveActivityLog(){
+    try{ await syncList('activityLog'); }
+    catch(e){ toast(isQuotaError(e) ? 'Storage is full — the activity log could not be saved. Download a backup and remove old photos.' : 'Could not save the activity log — try again.', 'error'); }
   }
   async function saveTax(){
     try{ await window.storage.set('tax', JSON.stringify(tax), true); }
@@ -226,23 +1195,634 @@
     try{ await window.storage.set('currency', JSON.stringify(currency), true); }
     catch(e){ toast('Could not save currency settings — try again.', 'error'); }
   }
+  async function saveCapacity(){
+    try{ await window.storage.set('capacity', JSON.stringify(capacity), true); }
+    catch(e){ toast('Could not save capacity settings — try again.', 'error'); }
+  }
+  async function saveExpress(){
+    try{ await window.storage.set('express', JSON.stringify(express), true); }
+    catch(e){ toast('Could not save express rules — try again.', 'error'); }
+  }
+  async function saveStaff(){
+    try{ await window.storage.set('staff', JSON.stringify(staff), true); }
+    catch(e){ toast('Could not save staff — try again.', 'error'); }
+  }
+  // Counters only move forward: merged with the stored copy by taking the higher number.
+  async function saveInvoiceSeries(){
+    try{
+      const r = await window.storage.get('invoiceSeries', true);
+      const stored = r ? JSON.parse(r.value) || {} : {};
+      Object.entries(stored).forEach(([fy, n]) => { invoiceSeries[fy] = Math.max(Number(invoiceSeries[fy]) || 0, Number(n) || 0); });
+    }catch(e){}
+    try{ await window.storage.set('invoiceSeries', JSON.stringify(invoiceSeries), true); }
+    catch(e){ toast('Could not save the invoice counter — try again.', 'error'); }
+  }
+  async function saveTemplates(){
+    try{ await window.storage.set('templates', JSON.stringify(templates), true); }
+    catch(e){ toast('Could not save message templates — try again.', 'error'); }
+  }
+  async function saveReminderLog(){
+    try{ await syncList('reminderLog'); }
+    catch(e){ toast('Could not save the reminder log — try again.', 'error'); }
+  }
+  async function saveMeasurements(){
+    try{ await syncList('measurements'); }
+    catch(e){ toast('Could not save measurements — try again.', 'error'); }
+  }
+  async function saveCustomers(){
+    try{ await syncList('customers'); }
+    catch(e){ toast('Could not save customers — try again.', 'error'); }
+  }
+
+  function isQuotaError(e){
+    return !!e && (e.name === 'QuotaExceededError' || e.code === 22 || /quota|exceed|too large/i.test(String(e.message || e)));
+  }
+  async function saveSchemaVersion(){
+    try{ await window.storage.set('schemaVersion', JSON.stringify(schemaVersion), true); }
+    catch(e){ toast('Could not save the data version — try again.', 'error'); }
+  }
+
+  // ---------- multi-device sync ----------
+  // Several counters share the same storage keys. Orders, expenses, prices, customers,
+  // measurements, photos, stock, the cash book and the logs are merged record by record instead of
+  // being overwritten as a whole: every save first reads what the
+  // other devices wrote and compares both sides with the copy this device last synced
+  // (syncBase). A record edited on both sides is a conflict — the later edit is kept for
+  // now and both copies wait in Settings → Devices & sync for someone to pick one. Stock
+  // levels are the exception: both counters' changes are added up.
+  // When the shared store can't be reached, the list is parked on this device (outbox)
+  // and merged on the next sync.
+  // Maps (prices, customers, measurements, photos, cash-book days) are stored as { id: key, value } records;
+  // the app keeps working on the plain map and the sync stamps wait in mapStamps.
+  const mapStamps = {};
+  function keyedMap(key, getMap, setMap){
+    // older builds stored the bare map
+    const records = v => Array.isArray(v) ? v : Object.entries(v || {}).map(([id, value]) => ({ id, value }));
+    return {
+      records,
+      get: () => Object.entries(getMap()).map(([id, value]) => ({ id, value, ...(mapStamps[key] || {})[id] })),
+      set: v => {
+        const map = {}, stamps = {};
+        records(v).forEach(r => {
+          map[r.id] = r.value;
+          if(r.rev) stamps[r.id] = { rev: r.rev, updatedAt: r.updatedAt, device: r.device };
+        });
+        setMap(map);
+        mapStamps[key] = stamps;
+      }
+    };
+  }
+  // Log entries written before sync carry no id; one is derived from the entry itself,
+  // so every device gives the same old entry the same id.
+  function withIds(list, idOf){
+    (list || []).forEach(r => { if(r.id == null) r.id = idOf(r); });
+    return list || [];
+  }
+  const activityId = a => `${a.at}|${a.userId}|${a.action}|${a.target}`;
+  const stockMoveId = m => `${m.at}|${m.itemId}|${m.change}`;
+  const reminderId = r => `${r.orderId}|${r.type}|${r.at}`;
+  const SYNCED_LISTS = {
+    orders: {
+      get: () => orders, set: v => { orders = v; }, numbered: true,
+      label: r => `Order #${String(r.id).padStart(4,'0')}`,
+      describe: r => [
+        ['Customer', `${r.name || ''} · ${r.mobile || ''}`],
+        ['Items', orderWorkLines(r).map(l => l.express ? l.label : `${l.label} × ${l.qty}`).join(', ') || '—'],
+        ['Total', money(calcOrderTotals(r).grandTotal)],
+        ['Paid', `${money(calcOrderTotals(r).paid)} (${orderPayments(r).length} payment${orderPayments(r).length === 1 ? '' : 's'})`],
+        ['Status', statusLabel(r.status)],
+        ['Delivery', fmtDate(orderDeliveryDate(r))],
+        ['Notes', r.notes || '—']
+      ],
+      // A number taken on two devices before either synced: the local order moves.
+      async renumbered(pairs){
+        pairs.forEach(([from, to]) => {
+          if(orderPhotos[from]){ orderPhotos[to] = orderPhotos[from]; delete orderPhotos[from]; }
+          orders.forEach(o => { if(o.rework && o.rework.parentId === from && o.device === device.id) o.rework.parentId = to; });
+        });
+        await saveOrderPhotos();
+      }
+    },
+    expenses: {
+      get: () => expenses, set: v => { expenses = v; }, numbered: true,
+      label: r => `Expense #${r.id}`,
+      describe: r => [
+        ['Date', fmtDate(r.date)],
+        ['Category', expenseCategoryLabel(r.category)],
+        ['Amount', `${money(r.amount)} · ${expenseModeLabel(r.mode)}`],
+        ['Note', r.note || '—']
+      ]
+    },
+    prices: {
+      ...keyedMap('prices', () => prices, v => { prices = v; }),
+      label: r => `Price of ${(products.find(p => p.key === r.id) || { label: r.id }).label}`,
+      describe: r => [['Price', money(r.value)]]
+    },
+    customers: {
+      ...keyedMap('customers', () => customers, v => { customers = v; }),
+      label: r => `Customer ${(r.value && r.value.name) || r.id}`,
+      describe: r => [
+        ['Name', (r.value && r.value.name) || '—'],
+        ['Mobile', (r.value && r.value.mobile) || '—'],
+        ['Other numbers', ((r.value && r.value.aliases) || []).join(', ') || '—'],
+        ['Notes', (r.value && r.value.notes) || '—']
+      ]
+    },
+    measurements: {
+      ...keyedMap('measurements', () => measurements, v => { measurements = v; }),
+      label: r => `Measurements of ${(customers[r.id] && customers[r.id].name) || r.id}`,
+      describe: r => Object.entries(r.value || {}).map(([g, hist]) => {
+        const last = hist[hist.length - 1];
+        return [(MEASUREMENT_GARMENTS.find(x => x.key === g) || { label: g }).label, last ? `v${last.v} · ${fmtDate(last.date)}` : '—'];
+      })
+    },
+    orderPhotos: {
+      ...keyedMap('orderPhotos', () => orderPhotos, v => { orderPhotos = v; }),
+      label: r => `Photos of order #${String(r.id).padStart(4,'0')}`,
+      describe: r => [['Photos', String((r.value || []).length)]]
+    },
+    reminderLog: {
+      records: v => withIds(v, reminderId),
+      get: () => withIds(reminderLog, reminderId), set: v => { reminderLog = withIds(v, reminderId); },
+      label: r => `Reminder of ${fmtDate(r.at)}`,
+      describe: r => [['Entry', `#${String(r.orderId).padStart(4,'0')} · ${r.name || ''} · ${reminderTypeLabel(r.type)}`], ['Result', r.result === 'sent' ? 'Sent' : 'Skipped']]
+    },
+    cashbook: {
+      ...keyedMap('cashbook', () => cashbook, v => { cashbook = v; }),
+      label: r => `Cash book ${fmtDate(r.id)}`,
+      describe: r => [
+        ['Opening cash', money(r.value && r.value.opening)],
+        ['Counted at close', r.value && r.value.counted != null ? money(r.value.counted) : '—'],
+        ['Closed by', (r.value && r.value.closedBy) || '—']
+      ]
+    },
+    inventory: {
+      get: () => inventory, set: v => { inventory = v; },
+      // Stock moved on two counters: both changes count, on top of the level they started from.
+      // Only an edit to the item itself (name, unit, reorder level) on both sides is a conflict.
+      combine(l, r, b){
+        const details = x => { const { stock, ...rest } = JSON.parse(recordContent(x)); return JSON.stringify(rest); };
+        const kept = details(l) === details(b) ? r : details(r) === details(b) || details(l) === details(r) ? l : null;
+        if(!kept) return null;
+        return { ...kept, stock: roundQty(Number(l.stock) + Number(r.stock) - Number(b.stock)) };
+      },
+      label: r => `Stock ${r.name}`,
+      describe: r => [
+        ['Item', r.name],
+        ['In stock', `${fmtQty(r.stock)} ${r.unit}`],
+        ['Reorder at', `${fmtQty(r.reorderAt)} ${r.unit}`]
+      ]
+    },
+    stockMoves: {
+      records: v => withIds(v, stockMoveId),
+      get: () => withIds(stockMoves, stockMoveId), set: v => { stockMoves = withIds(v, stockMoveId); },
+      label: r => `Stock movement of ${fmtDate(r.at)}`,
+      describe: r => [['Change', `${r.change} · ${r.reason || ''}`], ['By', r.by || '—']]
+    },
+    activityLog: {
+      records: v => withIds(v, activityId),
+      get: () => withIds(activityLog, activityId), set: v => { activityLog = withIds(v, activityId); },
+      label: r => `Activity of ${fmtDate(r.at)}`,
+      describe: r => [['Entry', `${r.by || ''} · ${r.action} · ${r.target}`], ['Detail', r.detail || '—']]
+    }
+  };
+  const syncBase = {};
+  const syncQueue = {};
+  const parkedKeys = new Set(); // lists with an outbox on this device
+  let lastSyncAt = '';
+  let syncOffline = false;
+
+  const recordJson = r => JSON.stringify(r);
+  // Content without the sync stamp, so two identical edits don't count as a conflict.
+  const recordContent = r => { const { rev, updatedAt, device: by, ...rest } = r; return JSON.stringify(rest); };
+  function setSyncBase(key, list){
+    syncBase[key] = new Map(list.map(r => [r.id, recordJson(r)]));
+  }
+  function stampRecord(r, baseJson){
+    r.rev = (baseJson ? JSON.parse(baseJson).rev || 0 : 0) + 1;
+    r.updatedAt = new Date().toISOString();
+    r.device = device.id;
+  }
+  const newerRecord = (a, b) => String(a.updatedAt || '') >= String(b.updatedAt || '') ? a : b;
+  const deviceName = id => (devices.find(d => d.id === id) || {}).name || (id ? 'Another device' : 'Before sync');
+
+  // With more than one device, each hands out only numbers ending in its own digit,
+  // so two counters saving at the same moment can never pick the same number.
+  function deviceNumber(n){
+    if(devices.length > 1 && device.slot) while(n % 10 !== device.slot % 10) n++;
+    return n;
+  }
+  function nextRecordId(list){
+    return deviceNumber(list.reduce((m, r) => Math.max(m, Number(r.id) || 0), 0) + 1);
+  }
+  const byRecordId = (a, b) => typeof a.id === 'number' && typeof b.id === 'number' ? a.id - b.id : String(a.id).localeCompare(String(b.id));
+
+  // `numbered` lists renumber a local record whose new number was also taken elsewhere;
+  // for keyed records the same key on both sides is the same thing, so it is a conflict.
+  // `combine` may fold a record edited on both sides into one instead (or return null).
+  function mergeRecords(local, remote, base, numbered, combine){
+    const remoteById = new Map(remote.map(r => [r.id, r]));
+    const out = [], conflicts = [], clashes = [];
+    local.forEach(l => {
+      const b = base.get(l.id), r = remoteById.get(l.id);
+      remoteById.delete(l.id);
+      const localChanged = b !== recordJson(l);
+      if(!r){
+        // new here, or edited here after another device deleted it — the edit wins
+        if(b === undefined || localChanged) out.push(l);
+        return;
+      }
+      if(b === undefined){
+        if(recordContent(l) === recordContent(r)) out.push(r);
+        else if(numbered){ out.push(r); clashes.push(l); }
+        else {
+          out.push(newerRecord(l, r));
+          conflicts.push({ id: l.id, versions: [l, r] });
+        }
+        return;
+      }
+      const remoteChanged = b !== recordJson(r);
+      const combined = localChanged && remoteChanged && combine ? combine(l, r, JSON.parse(b)) : null;
+      if(!localChanged) out.push(r);
+      else if(!remoteChanged) out.push(l);
+      else if(combined) out.push(combined);
+      else if(recordContent(l) === recordContent(r)) out.push(l);
+      else {
+        out.push(newerRecord(l, r));
+        conflicts.push({ id: l.id, versions: [l, r] });
+      }
+    });
+    // only on the other side: new there, or edited there after this device deleted it
+    remoteById.forEach(r => { const b = base.get(r.id); if(b === undefined || b !== recordJson(r)) out.push(r); });
+    clashes.forEach(l => { l.id = nextRecordId([...out, ...clashes]); out.push(l); });
+    return { list: out.sort(byRecordId), conflicts, clashes };
+  }
 
-  // Shared password gate — used by Price List edit, Order edit and Order delete.
-  // Note: this is a shared password stored with the shop's data, meant to keep
-  // casual users out, not a strong security boundary.
-  async function checkPassword(actionLabel){
-    const entered = await customPrompt('Password required', `Enter password to ${actionLabel}:`, '', 'password');
-    if(entered === null) return false; // cancelled
-    if(entered !== (settings.password || DEFAULT_PASSWORD)){
-      toast('Incorrect password.', 'error');
+  // Saves go through one queue per key so two quick saves can't interleave their merges.
+  function syncList(key){
+    syncQueue[key] = (syncQueue[key] || Promise.resolve()).catch(()=>{}).then(() => runSync(key));
+    return syncQueue[key];
+  }
+  async function runSync(key){
+    const spec = SYNCED_LISTS[key];
+    const base = syncBase[key] || new Map();
+    const local = spec.get();
+    local.forEach(r => { const b = base.get(r.id); if(b !== recordJson(r)) stampRecord(r, b); });
+    spec.set(local);
+    let remote = null;
+    try{
+      const r = await window.storage.get(key, true);
+      remote = r ? JSON.parse(r.value) : [];
+    }catch(e){ remote = null; }
+    if(remote === null){ await parkOffline(key, base); return false; }
+    if(spec.records) remote = spec.records(remote);
+    const before = new Map(local.map(r => [r, r.id]));
+    const merged = mergeRecords(local, remote, base, spec.numbered, spec.combine);
+    const { conflicts, clashes } = merged;
+    spec.set(merged.list);
+    const list = spec.get();
+    try{ await window.storage.set(key, JSON.stringify(list), true); }
+    catch(e){
+      if(isQuotaError(e)) throw e;
+      await parkOffline(key, base);
       return false;
     }
+    setSyncBase(key, list);
+    lastSyncAt = new Date().toISOString();
+    if(syncOffline){ syncOffline = false; toast('Back online — changes from this device are synced.', 'success'); }
+    if(parkedKeys.delete(key)){ try{ await window.storage.set('outbox-' + key, 'null', false); }catch(e){} }
+    if(clashes.length){
+      const pairs = clashes.map(r => [before.get(r), r.id]);
+      if(spec.renumbered) await spec.renumbered(pairs);
+      for(const [from, to] of pairs) await logActivity('edit', spec.label({ id: to }), `Renumbered from #${String(from).padStart(4,'0')} — the number was taken on another device`);
+      toast(tr('{record} was also used on another device — saved here as #{id}.', { record: spec.label({ id: pairs[0][0] }), id: String(pairs[0][1]).padStart(4,'0') }), 'info');
+    }
+    if(conflicts.length) await addSyncConflicts(key, conflicts);
+    return true;
+  }
+  async function parkOffline(key, base){
+    try{ await window.storage.set('outbox-' + key, JSON.stringify({ records: SYNCED_LISTS[key].get(), base: [...base] }), false); }
+    catch(e){ toast('Could not save — try again.', 'error'); return; }
+    parkedKeys.add(key);
+    if(!syncOffline) toast('Offline — changes are kept on this device and will sync when the connection is back.', 'info');
+    syncOffline = true;
+  }
+  async function loadSyncedList(key){
+    const spec = SYNCED_LISTS[key];
+    let remote = null, outbox = null;
+    try{
+      const r = await window.storage.get(key, true);
+      remote = r ? JSON.parse(r.value) : [];
+    }catch(e){ remote = null; }
+    try{
+      const ob = await window.storage.get('outbox-' + key, false);
+      outbox = ob ? JSON.parse(ob.value) : null;
+    }catch(e){ outbox = null; }
+    if(!outbox){
+      spec.set(remote || []);
+      setSyncBase(key, spec.get());
+      if(remote === null) syncOffline = true;
+      return;
+    }
+    // edits made here while offline, merged against what they were based on
+    parkedKeys.add(key);
+    spec.set(outbox.records || []);
+    syncBase[key] = new Map(outbox.base || []);
+    syncOffline = remote === null;
+    if(remote !== null) await syncList(key);
+  }
+  async function syncAll(){
+    for(const key of Object.keys(SYNCED_LISTS)) await syncList(key);
+    await loadSyncConflicts();
+  }
+
+  async function loadDevice(){
+    try{
+      const d = await window.storage.get('device', false);
+      device = d ? {...device, ...JSON.parse(d.value)} : device;
+    }catch(e){}
+    if(!device.id) device.id = randomSalt();
+    try{
+      const ds = await window.storage.get('devices', true);
+      devices = ds ? JSON.parse(ds.value) : [];
+    }catch(e){ return; } // offline: keep the slot this device already had
+    let entry = devices.find(x => x.id === device.id);
+    if(!entry){
+      const taken = new Set(devices.map(x => x.slot));
+      const slot = [1,2,3,4,5,6,7,8,9,10].find(n => !taken.has(n)) || 0;
+      entry = { id: device.id, slot, name: device.name || `Counter ${devices.length + 1}` };
+      devices.push(entry);
+    }
+    entry.lastSeen = new Date().toISOString();
+    device.slot = entry.slot;
+    device.name = entry.name;
+    await saveDevices();
+  }
+  async function saveDevices(){
+    try{
+      await window.storage.set('device', JSON.stringify(device), false);
+      await window.storage.set('devices', JSON.stringify(devices), true);
+    }
+    catch(e){ toast('Could not save device details — try again.', 'error'); }
+  }
+
+  // Conflicts are shared too, so whichever counter is free can resolve them.
+  async function loadSyncConflicts(){
+    try{
+      const sc = await window.storage.get('syncConflicts', true);
+      syncConflicts = sc ? JSON.parse(sc.value) : [];
+    }catch(e){}
+  }
+  async function saveSyncConflicts(){
+    try{ await window.storage.set('syncConflicts', JSON.stringify(syncConflicts), true); }
+    catch(e){ toast('Could not save sync conflicts — try again.', 'error'); }
+  }
+  async function addSyncConflicts(key, list){
+    await loadSyncConflicts();
+    list.forEach(c => {
+      syncConflicts = syncConflicts.filter(x => !(x.key === key && x.id === c.id));
+      syncConflicts.push({ key, id: c.id, at: new Date().toISOString(), versions: c.versions });
+    });
+    await saveSyncConflicts();
+    toast(tr('{record} was changed on two devices — pick a version under Settings → Devices & sync.', { record: SYNCED_LISTS[key].label(list[0]) }), 'info');
+  }
+
+  // ---------- schema migrations ----------
+  // Stored data carries a schema version. Each migration upgrades records written by
+  // older builds exactly once, on load (and on restored backups), so the rest of the
+  // code only ever sees the current shape. Add new steps at the end; never edit old ones.
+  const SCHEMA_VERSION = 5;
+  const MIGRATIONS = [
+    { version: 1, keys: ['orders'], label: 'Fold the pre-Charges "other" amount into order.charges',
+      run(data){
+        data.orders.forEach(o => {
+          if(!('other' in o)) return;
+          if(Number(o.other) > 0){
+            o.charges = {...(o.charges || {})};
+            o.charges.other = (Number(o.charges.other) || 0) + Number(o.other);
+          }
+          delete o.other;
+        });
+      } },
+    { version: 2, keys: ['orders'], label: 'Turn the single advance figure into a payments ledger',
+      run(data){
+        data.orders.forEach(o => {
+          if(!Array.isArray(o.payments)){
+            o.payments = Number(o.advance) > 0
+              ? [{ id: 1, date: o.date, amount: Number(o.advance), mode: 'cash', ref: 'Advance', by: '' }]
+              : [];
+          }
+          delete o.advance;
+        });
+      } },
+    { version: 3, keys: ['users', 'settings'], label: 'Turn the shared password into an Owner user with a hashed PIN',
+      async run(data){
+        data.users = Array.isArray(data.users) ? data.users : [];
+        if(!data.users.some(u => u.role === 'owner')){
+          const old = data.settings && data.settings.password;
+          // A fixed id, so restoring an old backup lands on the same Owner instead of a twin.
+          data.users.unshift(await makeUser('owner', 'Owner', 'owner', validPin(old) ? old : DEFAULT_OWNER_PIN));
+        }
+        if(data.settings){ delete data.settings.password; delete data.settings.onDuty; }
+      } },
+    { version: 4, keys: ['orders'], label: 'Freeze the figures of invoices already issued, at the prices and GST rate in force now',
+      run(data){
+        withCatalogueOf(data, () => data.orders.forEach(o => {
+          if(o.invoice && !o.invoice.lines) o.invoice = { ...o.invoice, ...invoiceFigures({ ...o, invoice: null }) };
+        }));
+      } },
+    { version: 5, keys: ['orders'], label: 'Copy the add-on prices in force now onto orders that carry add-ons',
+      run(data){
+        withCatalogueOf(data, () => data.orders.forEach(o => { if(o.addons && !o.addonPrices) o.addonPrices = addonPriceCopy(o.addons); }));
+      } }
+  ];
+
+  // Steps that price old orders must use the catalogue of the data being migrated — a restored
+  // backup's own products, prices, charges, shop and tax, not this browser's. They're swapped in
+  // for the (synchronous) step and put back after; a section the backup lacks keeps ours.
+  function withCatalogueOf(data, fn){
+    const live = { products, prices, charges, shop, tax };
+    if(data.products && data.products.length) products = data.products;
+    if(data.prices) prices = data.prices;
+    if(data.charges) charges = data.charges;
+    if(data.shop) shop = {...DEFAULT_SHOP, ...data.shop};
+    if(data.tax) tax = {...DEFAULT_TAX, ...data.tax};
+    try{ return fn(); }
+    finally{ ({ products, prices, charges, shop, tax } = live); }
+  }
+
+  // Runs every step newer than `from` on a plain data snapshot; returns the keys it touched.
+  async function migrateData(data, from){
+    const touched = new Set();
+    for(const m of MIGRATIONS.filter(x => x.version > from)){
+      await m.run(data);
+      m.keys.forEach(k => touched.add(k));
+    }
+    return [...touched];
+  }
+  async function runMigrations(){
+    if(schemaVersion >= SCHEMA_VERSION) return;
+    const data = snapshotData();
+    const touched = await migrateData(data, schemaVersion);
+    applyData(data);
+    for(const key of touched) await BACKUP_SECTIONS.find(x => x.key === key).save();
+    schemaVersion = SCHEMA_VERSION;
+    await saveSchemaVersion();
+  }
+
+  // ---------- users, PINs & permissions ----------
+  // Each person signs in with their own PIN. PINs are stored only as salted PBKDF2
+  // hashes; the owner always holds every permission, other roles get what the owner
+  // ticks in Settings. Like the old shared password this keeps honest people honest
+  // on a shared counter device — anyone with the browser's storage can still edit it.
+  function userRoleLabel(key){
+    const r = USER_ROLES.find(x => x.key === key);
+    return r ? r.label : key;
+  }
+  function permLabel(key){
+    const p = PERMISSIONS.find(x => x.key === key);
+    return p ? p.label : key;
+  }
+  function userCan(user, perm){
+    if(!user) return false;
+    if(user.role === 'owner') return true;
+    return (rolePerms[user.role] || []).includes(perm);
+  }
+  const validPin = pin => /^\d{4,8}$/.test(String(pin || ''));
+
+  function randomSalt(){
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return [...bytes].map(b => b.toString(16).padStart(2,'0')).join('');
+  }
+  async function hashPin(pin, salt){
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', enc.encode(String(pin)), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name:'PBKDF2', hash:'SHA-256', salt: enc.encode(salt), iterations: PIN_HASH_ITERATIONS }, key, 256);
+    return [...new Uint8Array(bits)].map(b => b.toString(16).padStart(2,'0')).join('');
+  }
+  async function makeUser(id, name, role, pin){
+    const salt = randomSalt();
+    return { id, name, role, salt, pinHash: await hashPin(pin, salt), createdAt: new Date().toISOString() };
+  }
+  async function pinMatches(user, pin){
+    return !!user && validPin(pin) && await hashPin(pin, user.salt) === user.pinHash;
+  }
+  async function userByPin(pin){
+    if(!validPin(pin)) return null;
+    for(const u of users){ if(await pinMatches(u, pin)) return u; }
+    return null;
+  }
+
+  // Who is signed in lives in sessionStorage, so a refresh keeps you signed in but
+  // closing the tab does not.
+  let signedInId = '';
+  try{ signedInId = sessionStorage.getItem(SESSION_USER_KEY) || ''; }catch(e){ signedInId = ''; }
+  function signedInUser(){
+    return users.find(u => u.id === signedInId) || null;
+  }
+  function setSignedIn(id){
+    signedInId = id || '';
+    try{
+      if(signedInId) sessionStorage.setItem(SESSION_USER_KEY, signedInId);
+      else sessionStorage.removeItem(SESSION_USER_KEY);
+    }catch(e){ /* private mode — stays signed in for this page only */ }
+    renderSignedInUser();
+  }
+  // The name recorded as "by" on history entries, payments and the activity log.
+  function currentActor(){
+    const me = signedInUser();
+    return me ? me.name : '';
+  }
+
+  async function signIn(){
+    const pin = await customPrompt('Sign in', 'Enter your PIN:', '', 'password');
+    if(pin === null) return false;
+    const user = await userByPin(pin.trim());
+    if(!user){ toast('Incorrect PIN.', 'error'); return false; }
+    setSignedIn(user.id);
+    await logActivity('sign_in', user.name);
+    toast(tr('Signed in as {name}.', { name: user.name }), 'success');
+    if(user.role === 'owner' && await pinMatches(user, DEFAULT_OWNER_PIN)){
+      setTimeout(()=> toast(tr('You are still using the default PIN {pin} — change it from the sidebar.', { pin: DEFAULT_OWNER_PIN }), 'info'), 2800);
+    }
     return true;
   }
+  async function signOut(){
+    const me = signedInUser();
+    if(!me) return;
+    await logActivity('sign_out', me.name);
+    setSignedIn('');
+    toast('Signed out.', 'info');
+  }
+  function renderSignedInUser(){
+    const me = signedInUser();
+    $('#side-user-name').textContent = me ? `${me.name} · ${userRoleLabel(me.role)}` : 'Not signed in';
+    $('#side-signin-btn').textContent = me ? 'Switch user' : 'Sign in';
+    $('#side-signout-btn').style.display = me ? '' : 'none';
+    $('#side-pin-btn').style.display = me ? '' : 'none';
+    $$('#nav button[data-perm]').forEach(btn => btn.classList.toggle('nav-restricted', !userCan(me, btn.dataset.perm)));
+  }
+
+  // Permission gate for sensitive actions — replaces the old shared password. A signed-in
+  // user holding the permission goes straight through; otherwise anyone who holds it can
+  // approve with their PIN, and the approval is logged against the signed-in user.
+  async function authorize(perm, actionLabel){
+    const me = signedInUser();
+    if(userCan(me, perm)) return true;
+    const pin = await customPrompt('PIN required', `${me ? `${me.name} cannot ${actionLabel}. ` : ''}Enter the PIN of someone allowed to ${actionLabel}:`, '', 'password');
+    if(pin === null) return false; // cancelled
+    const approver = await userByPin(pin.trim());
+    if(!approver){ toast('Incorrect PIN.', 'error'); return false; }
+    if(!userCan(approver, perm)){ toast(tr('{name} ({role}) is not allowed to {action}.', { name: approver.name, role: userRoleLabel(approver.role), action: actionLabel }), 'error'); return false; }
+    await logActivity('approve', actionLabel, `Approved by ${approver.name}`);
+    return true;
+  }
+
+  $('#side-signin-btn').addEventListener('click', signIn);
+  $('#side-signout-btn').addEventListener('click', signOut);
+  $('#side-pin-btn').addEventListener('click', async ()=>{
+    const me = signedInUser();
+    if(!me) return;
+    const current = await customPrompt('Change my PIN', 'Enter your current PIN:', '', 'password');
+    if(current === null) return;
+    if(!await pinMatches(me, current.trim())){ toast('Incorrect PIN.', 'error'); return; }
+    const next = await askNewPin('Change my PIN', me.id);
+    if(next === null) return;
+    me.salt = randomSalt();
+    me.pinHash = await hashPin(next, me.salt);
+    await saveUsers();
+    await logActivity('edit', `User ${me.name}`, 'Changed own PIN');
+    toast('PIN changed.', 'success');
+  });
+
+  // Asks for a new PIN twice; null if cancelled or invalid. PINs must be unique because
+  // signing in looks the person up by PIN alone.
+  async function askNewPin(title, forUserId){
+    const pin = await customPrompt(title, 'New PIN (4 to 8 digits):', '', 'password');
+    if(pin === null) return null;
+    if(!validPin(pin.trim())){ toast('PIN should be 4 to 8 digits.', 'error'); return null; }
+    const again = await customPrompt(title, 'Enter the new PIN again:', '', 'password');
+    if(again === null) return null;
+    if(again.trim() !== pin.trim()){ toast('The two PINs do not match.', 'error'); return null; }
+    const taken = await userByPin(pin.trim());
+    if(taken && taken.id !== forUserId){ toast('Someone else already uses that PIN — pick another.', 'error'); return null; }
+    return pin.trim();
+  }
+
+  // ---------- activity log ----------
+  // Append-only: entries are never edited or removed, and a restore always keeps both
+  // sides' entries. `by` is the signed-in user's name at the time.
+  async function logActivity(action, target, detail){
+    const me = signedInUser();
+    activityLog.push({ at: new Date().toISOString(), userId: me ? me.id : '', by: me ? me.name : '', action, target: target || '', detail: detail || '' });
+    await saveActivityLog();
+  }
+  const orderRef = o => `Order #${String(o.id).padStart(4,'0')}`;
 
   // ---------- navigation ----------
   $$('#nav button').forEach(btn=>{
-    btn.addEventListener('click', ()=>{
+    btn.addEventListener('click', async ()=>{
+      if(btn.dataset.perm && !await authorize(btn.dataset.perm, permLabel(btn.dataset.perm).toLowerCase())) return;
       $$('#nav button').forEach(b=>b.classList.remove('active'));
       btn.classList.add('active');
       $$('.view').forEach(v=>v.style.display='none');
@@ -250,21 +1830,386 @@
       if(btn.dataset.view === 'dashboard') renderDashboard();
       if(btn.dataset.view === 'orders') renderOrders();
       if(btn.dataset.view === 'dues') renderDues();
-      if(btn.dataset.view === 'settings'){ renderSettingsForm(); renderPaymentsForm(); }
+      if(btn.dataset.view === 'settings'){ renderSettingsForm(); renderLanguageForm(); renderSyncPanel(); renderPaymentsForm(); renderStaffList(); renderCapacityForm(); renderUsersList(); renderBackupStatus(); }
       if(btn.dataset.view === 'prices') renderTaxForm();
       if(btn.dataset.view === 'analytics') renderAnalytics();
+      if(btn.dataset.view === 'reports') renderReports();
       if(btn.dataset.view === 'order') updateTaxCheckboxUI();
+      if(btn.dataset.view === 'measurements') renderMeasurementsView();
+      if(btn.dataset.view === 'board') renderBoard();
+      if(btn.dataset.view === 'calendar') renderCalendar();
+      if(btn.dataset.view === 'reminders') renderReminders();
+      if(btn.dataset.view === 'expenses') renderExpenses();
+      if(btn.dataset.view === 'inventory') renderInventory();
+      if(btn.dataset.view === 'customers') renderCustomers();
+      if(btn.dataset.view === 'bill') $('#bill-lookup').focus(); // so a USB scanner types straight in
+    });
+  });
+
+  // ---------- measurements ----------
+  const mobileKey = mobile => String(mobile || '').replace(/\D/g,'');
+
+  function garmentForProduct(p){
+    if(/blouse/i.test(p.key)) return 'blouse';
+    if(/chudi/i.test(p.key)) return 'chudidhar';
+    return '';
+  }
+  function measurementHistory(mobile, garmentKey){
+    return (measurements[customerKey(mobile)] || {})[garmentKey] || [];
+  }
+  function latestMeasurement(mobile, garmentKey){
+    const hist = measurementHistory(mobile, garmentKey);
+    return hist.length ? hist[hist.length - 1] : null;
+  }
+  function sameMeasurements(a, b){
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    return [...keys].every(k => Number((a || {})[k]) === Number((b || {})[k]));
+  }
+  // Appends a new version only when the values actually changed; returns the entry in effect.
+  function recordMeasurement(mobile, garmentKey, values, note){
+    const key = customerKey(mobile);
+    if(!measurements[key]) measurements[key] = {};
+    const hist = measurements[key][garmentKey] || (measurements[key][garmentKey] = []);
+    const last = hist[hist.length - 1];
+    if(last && sameMeasurements(last.values, values) && !note) return last;
+    const entry = { v: last ? last.v + 1 : 1, date: new Date().toISOString(), values, note: note || '' };
+    hist.push(entry);
+    return entry;
+  }
+  function measurementSummary(garment, values){
+    return garment.fields
+      .filter(f => values && values[f.key] != null)
+      .map(f => `${f.label} ${values[f.key]}`)
+      .join(' · ');
+  }
+  function measurementInputsHtml(garment, values, prefix){
+    return `<div class="grid measure-grid">${garment.fields.map(f => `
+      <div class="field"><label for="${prefix}-${garment.key}-${f.key}">${esc(f.label)} (${MEASUREMENT_UNIT})</label><input id="${prefix}-${garment.key}-${f.key}" type="number" min="0" step="0.25" value="${values && values[f.key] != null ? esc(values[f.key]) : ''}"></div>
+    `).join('')}</div>`;
+  }
+  function readMeasurementInputs(garment, prefix){
+    const values = {};
+    garment.fields.forEach(f => {
+      const el = $(`#${prefix}-${garment.key}-${f.key}`);
+      if(el && el.value.trim() !== '' && !isNaN(Number(el.value))) values[f.key] = Number(el.value);
+    });
+    return values;
+  }
+  function fillMeasurementInputs(garment, values, prefix, onlyEmpty){
+    garment.fields.forEach(f => {
+      const el = $(`#${prefix}-${garment.key}-${f.key}`);
+      if(!el || (onlyEmpty && el.value.trim() !== '')) return;
+      el.value = values && values[f.key] != null ? values[f.key] : '';
+    });
+  }
+
+  // Order form block — one set of inputs per garment, shown only when a matching item has qty > 0.
+  function renderOrderMeasurements(){
+    $('#order-measure-grid').innerHTML = MEASUREMENT_GARMENTS.map(g => `
+      <div class="measure-block" data-measure-garment="${g.key}" style="display:none;">
+        <div class="measure-block-head"><span class="prod-title">${esc(g.label)}</span><span class="measure-meta" id="om-meta-${g.key}"></span></div>
+        ${measurementInputsHtml(g, null, 'om')}
+      </div>
+    `).join('');
+    updateOrderMeasurementsVisibility();
+  }
+  function updateOrderMeasurementsVisibility(){
+    const active = new Set(products
+      .filter(p => { const el = $('#q-' + p.key); return el && Number(el.value) > 0; })
+      .map(garmentForProduct).filter(Boolean));
+    MEASUREMENT_GARMENTS.forEach(g => {
+      const block = $(`[data-measure-garment="${g.key}"]`);
+      if(block) block.style.display = active.has(g.key) ? 'block' : 'none';
+    });
+    $('#order-measure-wrap').style.display = active.size ? 'block' : 'none';
+  }
+  // Prefills the order form from the customer's latest saved sets, leaving anything already typed alone.
+  function prefillOrderMeasurements(mobile){
+    const onFile = [];
+    MEASUREMENT_GARMENTS.forEach(g => {
+      const latest = latestMeasurement(mobile, g.key);
+      const meta = $('#om-meta-' + g.key);
+      if(meta) meta.textContent = latest ? `On file v${latest.v} · ${fmtDate(latest.date)}` : '';
+      if(!latest) return;
+      fillMeasurementInputs(g, latest.values, 'om', true);
+      onFile.push(`${g.label} v${latest.v}`);
+    });
+    return onFile;
+  }
+  // Saves a new version for every visible garment whose values changed; returns the order's snapshot.
+  function collectOrderMeasurements(mobile){
+    const snapshot = {};
+    MEASUREMENT_GARMENTS.forEach(g => {
+      const block = $(`[data-measure-garment="${g.key}"]`);
+      if(!block || block.style.display === 'none') return;
+      const values = readMeasurementInputs(g, 'om');
+      if(!Object.keys(values).length) return;
+      const entry = recordMeasurement(mobile, g.key, values);
+      snapshot[g.key] = { v: entry.v, values: {...entry.values} };
     });
+    return snapshot;
+  }
+
+  // Measurements view — look up a customer by mobile, see every version, record a new one.
+  function measuredCustomerName(key){
+    const match = [...orders].reverse().find(o => mobileKey(o.mobile) === key);
+    return match ? match.name : '';
+  }
+  function renderMeasurementsView(){
+    const key = mobileKey($('#ms-lookup').value);
+    const result = $('#ms-result');
+    if(key.length !== 10){
+      const known = Object.keys(measurements).filter(k => Object.values(measurements[k] || {}).some(h => h.length));
+      result.innerHTML = known.length ? `
+        <div class="card" style="padding:0; overflow-x:auto;">
+          <table>
+            <thead><tr><th>Customer</th><th>Mobile</th><th>Garments on file</th><th></th></tr></thead>
+            <tbody>${known.map(k => `
+              <tr>
+                <td>${esc(measuredCustomerName(k) || '—')}</td>
+                <td>${esc(k)}</td>
+                <td>${MEASUREMENT_GARMENTS.filter(g => measurementHistory(k, g.key).length).map(g => `${esc(g.label)} v${latestMeasurement(k, g.key).v}`).join(', ')}</td>
+                <td><button type="button" class="btn btn-ghost" data-ms-open="${esc(k)}" aria-label="Open measurements for ${esc(k)}">Open</button></td>
+              </tr>
+            `).join('')}</tbody>
+          </table>
+        </div>` : `<p class="empty">No measurements saved yet — enter a customer's mobile number to record one.</p>`;
+      result.querySelectorAll('[data-ms-open]').forEach(btn => btn.addEventListener('click', ()=>{
+        $('#ms-lookup').value = btn.dataset.msOpen;
+        renderMeasurementsView();
+      }));
+      return;
+    }
+    const name = measuredCustomerName(key);
+    result.innerHTML = `
+      <p class="hint" style="margin:0 0 14px;">${name ? `${esc(name)} — ${esc(key)}` : `New customer — ${esc(key)}`}</p>
+      ${MEASUREMENT_GARMENTS.map(g => {
+        const hist = measurementHistory(key, g.key);
+        const latest = hist[hist.length - 1];
+        return `
+          <div class="card measure-card">
+            <div class="measure-block-head">
+              <span class="prod-title">${esc(g.label)}</span>
+              <span class="measure-meta">${latest ? `Current v${latest.v} · taken ${fmtDate(latest.date)}` : 'Not measured yet'}</span>
+            </div>
+            ${measurementInputsHtml(g, latest && latest.values, 'ms')}
+            <div class="field"><label for="ms-note-${g.key}">Note for this version (optional)</label><input id="ms-note-${g.key}" type="text" placeholder="e.g. re-measured after alteration"></div>
+            <button type="button" class="btn btn-primary" data-ms-save="${g.key}" aria-label="Save ${esc(g.label)} measurements as a new version">Save as new version</button>
+            ${hist.length ? `
+              <h4 class="measure-history-title">History</h4>
+              <ul class="dash-list">${[...hist].reverse().map(h => `
+                <li><span><strong>v${h.v}</strong> · ${fmtDate(h.date)}${h.note ? ` — ${esc(h.note)}` : ''}<br><small>${esc(measurementSummary(g, h.values))}</small></span></li>
+              `).join('')}</ul>` : ''}
+          </div>
+        `;
+      }).join('')}
+    `;
+    result.querySelectorAll('[data-ms-save]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const g = MEASUREMENT_GARMENTS.find(x => x.key === btn.dataset.msSave);
+      const values = readMeasurementInputs(g, 'ms');
+      if(!Object.keys(values).length){ toast('Enter at least one measurement.', 'error'); return; }
+      const before = latestMeasurement(key, g.key);
+      const entry = recordMeasurement(key, g.key, values, $('#ms-note-' + g.key).value.trim());
+      if(entry === before){ toast('No changes — measurements are the same as the current version.', 'info'); return; }
+      await saveMeasurements();
+      await logActivity('create', `Measurements ${key}`, `${g.label} v${entry.v}`);
+      toast(tr('{garment} measurements saved as v{v}.', { garment: g.label, v: entry.v }), 'success');
+      renderMeasurementsView();
+    }));
+  }
+  $('#ms-find-btn').addEventListener('click', ()=>{
+    const key = mobileKey($('#ms-lookup').value);
+    if(key && key.length !== 10){ toast('Mobile number should be 10 digits.', 'error'); return; }
+    renderMeasurementsView();
+  });
+  $('#ms-lookup').addEventListener('keydown', e=>{
+    if(e.key === 'Enter'){ e.preventDefault(); $('#ms-find-btn').click(); }
   });
 
+  // ---------- order photos & swatches ----------
+  // Kept under their own key (orderPhotos: { orderId: [...] }) so the orders array that
+  // is rewritten on every status change stays small. The form edits a draft copy.
+  let draftPhotos = [];
+
+  function photosFor(id){ return orderPhotos[id] || []; }
+  function photoKindLabel(key){
+    const k = PHOTO_KINDS.find(x => x.key === key);
+    return k ? k.label : key;
+  }
+  function fmtBytes(n){
+    return n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(n / 1024))} KB`;
+  }
+  // Size of the photos key if this order's photos were replaced by `list`.
+  function projectedPhotoBytes(orderId, list){
+    const next = {...orderPhotos};
+    if(orderId) delete next[orderId];
+    next.draft = list;
+    return JSON.stringify(next).length;
+  }
+  // Scales the image so its long side is at most `edge` and re-encodes it as JPEG.
+  function compressImage(file, edge, quality){
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, edge / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff'; // transparent PNGs would turn black as JPEG
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas.toDataURL('image/jpeg', quality));
+      };
+      img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Unreadable image')); };
+      img.src = url;
+    });
+  }
+  function photoThumbHtml(ph){
+    return `<span class="image-field__preview"><img src="${esc(ph.data)}" alt="${esc(photoKindLabel(ph.kind))}${ph.note ? ` — ${esc(ph.note)}` : ''}" onerror="this.parentElement.innerHTML='&lt;span class=&quot;image-field__placeholder&quot;&gt;No image&lt;/span&gt;';"></span>`;
+  }
+  // Small strip for the orders table: first three thumbnails and a +N count.
+  function photoStripHtml(id){
+    const list = photosFor(id);
+    if(!list.length) return '';
+    return `<div class="photo-strip" title="${list.length} photo${list.length === 1 ? '' : 's'}">${list.slice(0, 3).map(photoThumbHtml).join('')}${list.length > 3 ? `<span class="photo-more">+${list.length - 3}</span>` : ''}</div>`;
+  }
+
+  async function addDraftPhotos(files){
+    const kind = PHOTO_KINDS.find(x => x.key === $('#f-photo-kind').value) || PHOTO_KINDS[0];
+    const editId = Number($('#f-edit-id').value) || null;
+    for(const file of files){
+      if(draftPhotos.length >= PHOTOS_PER_ORDER){ toast(tr('An order can hold up to {n} photos.', { n: PHOTOS_PER_ORDER }), 'error'); break; }
+      if(!/^image\//.test(file.type)){ toast(tr('{file} is not an image.', { file: file.name }), 'error'); continue; }
+      let data;
+      try{ data = await compressImage(file, kind.edge, kind.quality); }
+      catch(e){ toast(tr('Could not read {file} — try another photo.', { file: file.name }), 'error'); continue; }
+      const entry = { id: 'ph' + Date.now().toString(36) + Math.random().toString(36).slice(2, 5), kind: kind.key, data, note: '', at: new Date().toISOString() };
+      if(projectedPhotoBytes(editId, [...draftPhotos, entry]) > PHOTO_BUDGET_BYTES){
+        toast('Photo storage is full — remove photos from old delivered orders first.', 'error');
+        break;
+      }
+      draftPhotos.push(entry);
+    }
+    renderDraftPhotos();
+  }
+
+  function renderDraftPhotos(){
+    const editId = Number($('#f-edit-id').value) || null;
+    const used = projectedPhotoBytes(editId, draftPhotos);
+    $('#order-photos-list').innerHTML = draftPhotos.map(ph => `
+      <div class="photo-item">
+        ${photoThumbHtml(ph)}
+        <div class="image-field__controls">
+          <span class="photo-kind">${esc(photoKindLabel(ph.kind))}</span>
+          <input type="text" class="image-field__url" data-photo-note="${ph.id}" value="${esc(ph.note)}" placeholder="Note (e.g. sleeve like this)" aria-label="Note for this photo">
+          <div class="image-field__row"><button type="button" class="image-field__btn danger" data-photo-remove="${ph.id}">Remove</button></div>
+        </div>
+      </div>
+    `).join('');
+    const usage = $('#order-photos-usage');
+    usage.textContent = `${draftPhotos.length} of ${PHOTOS_PER_ORDER} on this order · all photos use ${fmtBytes(used)} of ${fmtBytes(PHOTO_BUDGET_BYTES)}`;
+    usage.className = used > PHOTO_BUDGET_BYTES * 0.8 ? 'hint hint-warn' : 'hint';
+    $$('#order-photos-list [data-photo-note]').forEach(inp => inp.addEventListener('input', ()=>{
+      const ph = draftPhotos.find(x => x.id === inp.dataset.photoNote);
+      if(ph) ph.note = inp.value;
+    }));
+    $$('#order-photos-list [data-photo-remove]').forEach(btn => btn.addEventListener('click', ()=>{
+      draftPhotos = draftPhotos.filter(x => x.id !== btn.dataset.photoRemove);
+      renderDraftPhotos();
+    }));
+  }
+
+  // Called after the order itself is saved, so a full store never loses the order.
+  // Returns false when storage refused the photos; the order keeps its old photos and the
+  // drafts stay in the form so they can be saved again.
+  async function commitDraftPhotos(id){
+    const next = draftPhotos.map(ph => ({...ph, note: (ph.note || '').trim()}));
+    const prev = photosFor(id);
+    if(JSON.stringify(next) === JSON.stringify(prev)) return true;
+    if(next.length) orderPhotos[id] = next; else delete orderPhotos[id];
+    if(await saveOrderPhotos()) return true;
+    if(prev.length) orderPhotos[id] = prev; else delete orderPhotos[id];
+    return false;
+  }
+
+  ['#f-photo-camera', '#f-photo-files'].forEach(sel => $(sel).addEventListener('change', async e=>{
+    const files = [...(e.target.files || [])];
+    e.target.value = '';
+    if(files.length) await addDraftPhotos(files);
+  }));
+
   // ---------- new order / edit order ----------
+  // The add-ons the form offers for a product. An order being edited keeps the ones it
+  // booked, at the booked label and price, even after they were renamed or removed.
+  function orderAddonChoices(p){
+    const editId = Number($('#f-edit-id').value) || null;
+    const order = editId ? orders.find(o => o.id === editId) : null;
+    const booked = (order && order.addonPrices && order.addonPrices[p.key]) || {};
+    const live = (p.variants || []).map(v => booked[v.key] ? { key: v.key, ...booked[v.key] } : v);
+    const gone = Object.keys(booked).filter(vk => !live.some(v => v.key === vk)).map(vk => ({ key: vk, ...booked[vk] }));
+    return [...live, ...gone];
+  }
   function renderOrderQtyGrid(){
     const grid = $('#order-qty-grid');
-    grid.innerHTML = products.map(p => `
-      <div class="field"><label>${esc(p.label)} (qty)</label><input class="order-live-input" id="q-${p.key}" type="number" min="0" value="0"></div>
-    `).join('');
+    grid.innerHTML = products.map(p => {
+      const choices = orderAddonChoices(p);
+      return `
+      <div class="field"><label>${esc(p.label)} (qty)</label><input class="order-live-input" id="q-${p.key}" type="number" min="0" value="0">
+        ${choices.length ? `<div class="addon-list">${choices.map(v => `
+          <div class="addon-row">
+            <label for="qa-${p.key}-${v.key}">${esc(v.label)} <small>+${money(v.price)} each</small></label>
+            <input class="order-live-input" id="qa-${p.key}-${v.key}" type="number" min="0" value="0" aria-label="How many ${esc(p.label)} pieces get ${esc(v.label)}">
+          </div>
+        `).join('')}</div>` : ''}
+      </div>
+    `;
+    }).join('');
     wireOrderLiveInputs();
   }
+  // Add-on counts per product, only where at least one piece has it.
+  function readOrderAddons(){
+    const addons = {};
+    products.forEach(p => orderAddonChoices(p).forEach(v => {
+      const el = $(`#qa-${p.key}-${v.key}`);
+      const n = el ? Number(el.value) || 0 : 0;
+      if(n > 0){ addons[p.key] = addons[p.key] || {}; addons[p.key][v.key] = n; }
+    }));
+    return addons;
+  }
+
+  // ---------- express surcharge ----------
+  function expressRuleFor(from, deliveryStr){
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(deliveryStr || '')) return null;
+    const days = Math.round((new Date(deliveryStr + 'T12:00:00') - new Date(dateKey(from) + 'T12:00:00')) / 86400000);
+    const rule = (express.rules || [])
+      .filter(r => r.days > 0 && r.percent > 0 && days <= r.days)
+      .sort((a,b) => a.days - b.days)[0];
+    return rule ? { days: rule.days, percent: rule.percent } : null;
+  }
+  // The surcharge the form is offering. Staff can untick it to waive; picking a date
+  // that falls under a different rule offers that one afresh.
+  let expressOffer = null;
+  function setExpressOffer(offer, checked){
+    expressOffer = offer;
+    $('#f-express').checked = !!offer && checked;
+    $('#f-express-row').style.display = offer ? 'flex' : 'none';
+    if(offer) $('#f-express-label').textContent = `Express delivery — within ${offer.days} day${offer.days === 1 ? '' : 's'} (+${offer.percent}%)`;
+    updateOrderSummary();
+  }
+  function updateExpressOffer(){
+    const editId = Number($('#f-edit-id').value) || null;
+    const order = editId ? orders.find(o => o.id === editId) : null;
+    const rule = expressRuleFor(order ? order.date : new Date(), $('#f-delivery').value);
+    const sig = r => r ? `${r.days}|${r.percent}` : '';
+    if(sig(rule) !== sig(expressOffer)) setExpressOffer(rule, true);
+  }
+  function readOrderExpress(){
+    return expressOffer && $('#f-express').checked ? { days: expressOffer.days, percent: expressOffer.percent } : null;
+  }
+  $('#f-express').addEventListener('change', updateOrderSummary);
 
   function renderOrderChargesGrid(){
     const grid = $('#order-charges-grid');
@@ -284,6 +2229,10 @@
   function wireOrderLiveInputs(){
     $$('.order-live-input').forEach(inp => inp.removeEventListener('input', updateOrderSummary));
     $$('.order-live-input').forEach(inp => inp.addEventListener('input', updateOrderSummary));
+    $$('.order-live-input').forEach(inp => inp.removeEventListener('input', updateOrderMeasurementsVisibility));
+    $$('.order-live-input').forEach(inp => inp.addEventListener('input', updateOrderMeasurementsVisibility));
+    $$('.order-live-input').forEach(inp => inp.removeEventListener('input', updateDeliveryHint));
+    $$('.order-live-input').forEach(inp => inp.addEventListener('input', updateDeliveryHint));
   }
 
   function updateTaxCheckboxUI(){
@@ -295,16 +2244,26 @@
       row.style.display = 'none';
       $('#f-tax').checked = false;
     }
+    $('#f-gst-row').style.display = tax.enabled ? 'grid' : 'none';
     updateOrderSummary();
   }
 
+  function renderPlaceOfSupplyOptions(selected){
+    const sel = $('#f-pos');
+    sel.innerHTML = GST_STATES.map(st => `<option value="${st.code}" ${st.code === selected ? 'selected' : ''}>${esc(st.name)} (${st.code})</option>`).join('');
+  }
+  // A valid customer GSTIN decides the place of supply unless staff pick one by hand.
+  $('#f-gstin').addEventListener('input', ()=>{
+    const v = $('#f-gstin').value.trim().toUpperCase();
+    if(GSTIN_REGEX.test(v) && gstStateByCode(v.slice(0,2))) $('#f-pos').value = v.slice(0,2);
+  });
+
   // Live totals box on the order form — mirrors calcOrderTotals() but reads straight from the inputs.
   function updateOrderSummary(){
-    const workTotal = products.reduce((sum,p)=>{
-      const el = $('#q-' + p.key);
-      return sum + (prices[p.key]||0) * (el ? Number(el.value)||0 : 0);
-    }, 0);
-    const chargesTotal = charges.reduce((sum,c)=>{
+    const editing = orders.find(o => o.id === Number($('#f-edit-id').value));
+    const draft = { qty: readOrderQty(), addons: readOrderAddons(), addonPrices: editing && editing.addonPrices, express: readOrderExpress(), rework: readOrderRework() };
+    const workTotal = orderWorkLines(draft).reduce((sum,l)=> sum + l.amount, 0);
+    const chargesTotal = isFreeRework(draft) ? 0 : charges.reduce((sum,c)=>{
       const el = $('#c-' + c.key);
       return sum + (el ? Number(el.value)||0 : 0);
     }, 0);
@@ -335,12 +2294,109 @@
     $('#sum-estimated').textContent = money(estimated);
   }
 
+  // A lead time of 0 means same-day; only a missing one falls back to the default.
+  function leadDays(){
+    const n = Number(capacity.leadDays ?? DEFAULT_CAPACITY.leadDays);
+    return Number.isFinite(n) ? n : DEFAULT_CAPACITY.leadDays;
+  }
   function defaultDeliveryDateStr(fromDate){
-    return addDays(fromDate || new Date(), 10).toISOString().slice(0,10);
+    return addDays(fromDate || new Date(), leadDays()).toISOString().slice(0,10);
   }
 
+  // ---------- delivery capacity ----------
+  function dateKey(d){
+    d = new Date(d);
+    return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+  }
+  // Stored delivery dates are already YYYY-MM-DD; reading them back through Date would shift by timezone.
+  function deliveryKey(o){
+    return /^\d{4}-\d{2}-\d{2}$/.test(o.deliveryDate || '') ? o.deliveryDate : dateKey(orderDeliveryDate(o));
+  }
+  function orderPieces(qty){
+    return products.reduce((n,p)=> n + (Number(qty && qty[p.key]) || 0), 0);
+  }
+  // Pieces already booked for a day, skipping delivered orders and (when editing) the order itself.
+  function dayLoad(key, excludeId){
+    const byProduct = {};
+    let total = 0, count = 0;
+    orders.forEach(o => {
+      if(o.id === excludeId || o.status === 'delivered' || deliveryKey(o) !== key) return;
+      count++;
+      products.forEach(p => {
+        const n = Number(o.qty && o.qty[p.key]) || 0;
+        if(!n) return;
+        byProduct[p.key] = (byProduct[p.key] || 0) + n;
+        total += n;
+      });
+    });
+    return { total, byProduct, count };
+  }
+  // Names every limit the day would break if `qty` were added to it; empty when it fits.
+  function capacityProblems(key, qty, excludeId){
+    const load = dayLoad(key, excludeId);
+    const problems = [];
+    const adding = orderPieces(qty);
+    if(capacity.perDay && load.total + adding > capacity.perDay){
+      problems.push(`${load.total} of ${capacity.perDay} pieces already booked`);
+    }
+    products.forEach(p => {
+      const limit = Number((capacity.perProduct || {})[p.key]) || 0;
+      const n = Number(qty && qty[p.key]) || 0;
+      if(limit && n && (load.byProduct[p.key] || 0) + n > limit){
+        problems.push(`${p.label}: ${load.byProduct[p.key] || 0} of ${limit} booked`);
+      }
+    });
+    return problems;
+  }
+  function isClosedDay(d){
+    return (capacity.closedDays || []).includes(new Date(d).getDay());
+  }
+  // Earliest open day on or after the lead time with room for this order; gives up after 90 days.
+  function suggestDeliveryDate(qty, excludeId, fromDate){
+    const start = addDays(new Date((fromDate ? new Date(fromDate) : new Date()).toDateString()), leadDays());
+    for(let i = 0; i < 90; i++){
+      const d = addDays(start, i);
+      if(isClosedDay(d)) continue;
+      if(!capacityProblems(dateKey(d), qty, excludeId).length) return dateKey(d);
+    }
+    return dateKey(start);
+  }
+
+  let deliveryTouched = false;
+  function readOrderQty(){
+    const qty = {};
+    products.forEach(p => { const el = $('#q-' + p.key); qty[p.key] = el ? Number(el.value) || 0 : 0; });
+    return qty;
+  }
+  function updateDeliveryHint(){
+    const hint = $('#delivery-hint');
+    const editId = Number($('#f-edit-id').value) || null;
+    const qty = readOrderQty();
+    // new orders follow the suggestion until staff pick a date themselves
+    if(!editId && !deliveryTouched){
+      $('#f-delivery').value = suggestDeliveryDate(qty, null);
+    }
+    if(!editId) updateExpressOffer();
+    const chosen = $('#f-delivery').value;
+    if(!chosen){ hint.style.display = 'none'; return; }
+    const problems = capacityProblems(chosen, qty, editId);
+    const closed = isClosedDay(chosen + 'T12:00:00');
+    if(!problems.length && !closed){
+      const load = dayLoad(chosen, editId);
+      hint.className = 'hint';
+      hint.textContent = `${fmtDate(chosen + 'T12:00:00')}: ${load.count} other order${load.count === 1 ? '' : 's'} due${capacity.perDay ? `, ${load.total} of ${capacity.perDay} pieces booked` : ''}.`;
+    } else {
+      const suggestion = suggestDeliveryDate(qty, editId);
+      hint.className = 'hint hint-warn';
+      hint.textContent = `${closed ? 'Shop is closed that day' : 'Overloaded'}${problems.length ? ` — ${problems.join('; ')}` : ''}. Earliest free date: ${fmtDate(suggestion + 'T12:00:00')}.`;
+    }
+    hint.style.display = 'block';
+  }
+  $('#f-delivery').addEventListener('change', ()=>{ deliveryTouched = true; updateDeliveryHint(); updateExpressOffer(); });
+
   function resetOrderForm(){
     $('#f-edit-id').value = '';
+    setOrderRework(null);
     $('#order-form-title').textContent = 'New Order';
     $('#order-form-sub').textContent = 'Enter customer and stitching details. An order number is assigned automatically.';
     $('#order-submit-btn').textContent = 'Save order';
@@ -348,9 +2404,20 @@
     $('#order-form').reset();
     renderOrderQtyGrid();
     renderOrderChargesGrid();
+    renderOrderMeasurements();
+    draftPhotos = [];
+    renderDraftPhotos();
     $('#f-discount').value = 0; $('#f-advance').value = 0;
-    $('#f-delivery').value = defaultDeliveryDateStr();
+    $('#f-advance').disabled = false; $('#f-advance-mode').disabled = false;
+    $('#f-advance-label').textContent = 'Advance paid (₹)';
+    deliveryTouched = false;
+    $('#f-delivery').value = suggestDeliveryDate({}, null);
+    $('#delivery-hint').style.display = 'none';
+    setExpressOffer(null, false);
     $('#f-notes').value = '';
+    $('#f-gstin').value = '';
+    renderPlaceOfSupplyOptions(shopStateCode());
+    renderAssignSelects(null);
     $('#customer-hint').style.display = 'none';
     updateTaxCheckboxUI();
   }
@@ -361,20 +2428,44 @@
     $('#f-mobile').value = order.mobile;
     renderOrderQtyGrid();
     renderOrderChargesGrid();
-    products.forEach(p => { const el = $('#q-' + p.key); if(el) el.value = (order.qty && order.qty[p.key]) || 0; });
+    products.forEach(p => {
+      const el = $('#q-' + p.key);
+      if(el) el.value = (order.qty && order.qty[p.key]) || 0;
+      orderAddonChoices(p).forEach(v => {
+        const a = $(`#qa-${p.key}-${v.key}`);
+        if(a) a.value = (order.addons && order.addons[p.key] && order.addons[p.key][v.key]) || 0;
+      });
+    });
     charges.forEach(c => {
       const el = $('#c-' + c.key);
       if(!el) return;
-      // 'other' keeps backward compatibility with older orders saved before Charges existed.
-      const val = (order.charges && order.charges[c.key] != null) ? order.charges[c.key] : (c.key === 'other' ? (order.other || 0) : 0);
-      el.value = val;
+      el.value = (order.charges && order.charges[c.key]) || 0;
+    });
+    renderOrderMeasurements();
+    MEASUREMENT_GARMENTS.forEach(g => {
+      const saved = order.measurements && order.measurements[g.key];
+      if(!saved) return;
+      fillMeasurementInputs(g, saved.values, 'om');
+      $('#om-meta-' + g.key).textContent = `From this order · v${saved.v}`;
     });
+    draftPhotos = photosFor(order.id).map(ph => ({...ph}));
+    renderDraftPhotos();
     $('#f-discount').value = order.discount || 0;
-    $('#f-advance').value = order.advance || 0;
+    // The ledger is edited from the bill view; here it is shown read-only.
+    $('#f-advance').value = orderPaidTotal(order);
+    $('#f-advance').disabled = true; $('#f-advance-mode').disabled = true;
+    $('#f-advance-label').textContent = 'Paid so far (₹) — record payments from the bill';
     $('#f-delivery').value = order.deliveryDate ? order.deliveryDate.slice(0,10) : defaultDeliveryDateStr(order.date);
+    setExpressOffer(order.express || null, !!order.express);
+    deliveryTouched = true;
+    updateDeliveryHint();
     $('#f-notes').value = order.notes || '';
+    $('#f-gstin').value = order.customerGstin || '';
+    renderPlaceOfSupplyOptions(orderPlaceOfSupply(order));
+    renderAssignSelects(order.assigned);
     updateTaxCheckboxUI();
     $('#f-tax').checked = !!order.applyTax;
+    setOrderRework(order.rework || null);
     $('#order-form-title').textContent = `Edit Order #${String(order.id).padStart(4,'0')}`;
     $('#order-form-sub').textContent = 'Update customer and stitching details, then save.';
     $('#order-submit-btn').textContent = 'Save changes';
@@ -389,10 +2480,15 @@
     const digits = $('#f-mobile').value.replace(/\D/g,'');
     const hint = $('#customer-hint');
     if(digits.length < 10){ hint.style.display = 'none'; return; }
-    const match = [...orders].reverse().find(o => (o.mobile || '').replace(/\D/g,'') === digits);
+    const match = [...orders].reverse().find(o => customerKey(o.mobile) === customerKey(digits));
+    const onFile = prefillOrderMeasurements(digits);
     if(match){
       if(!$('#f-name').value.trim()) $('#f-name').value = match.name;
-      hint.textContent = `Existing customer — ${match.name}, last order #${String(match.id).padStart(4,'0')} (${fmtDate(match.date)}).`;
+      hint.textContent = `Existing customer — ${match.name}, last order #${String(match.id).padStart(4,'0')} (${fmtDate(match.date)}).`
+        + (onFile.length ? ` Measurements on file: ${onFile.join(', ')}.` : '');
+      hint.style.display = 'block';
+    } else if(onFile.length){
+      hint.textContent = `Measurements on file: ${onFile.join(', ')}.`;
       hint.style.display = 'block';
     } else {
       hint.style.display = 'none';
@@ -424,60 +2520,320 @@
 
     const qty = {};
     products.forEach(p => qty[p.key] = Number($('#q-' + p.key).value) || 0);
+    const addons = readOrderAddons();
+    for(const p of products){
+      const over = (p.variants || []).find(v => ((addons[p.key] || {})[v.key] || 0) > qty[p.key]);
+      if(over){ toast(tr('{addon}: more pieces than the {qty} {product} ordered.', { addon: over.label, qty: qty[p.key], product: p.label }), 'error'); return; }
+    }
+    const orderExpress = readOrderExpress();
     const chargeAmounts = {};
     charges.forEach(c => chargeAmounts[c.key] = Number($('#c-' + c.key).value) || 0);
     const discount = Number($('#f-discount').value) || 0;
     const advance = Number($('#f-advance').value) || 0;
+    const advanceMode = $('#f-advance-mode').value;
     const deliveryDate = $('#f-delivery').value || defaultDeliveryDateStr();
     const notes = $('#f-notes').value.trim();
     const applyTax = tax.enabled && $('#f-tax').checked;
+    const customerGstin = tax.enabled ? $('#f-gstin').value.trim().toUpperCase() : '';
+    if(customerGstin && !GSTIN_REGEX.test(customerGstin)){ toast('Customer GSTIN should look like 29ABCDE1234F1Z5.', 'error'); return; }
+    const placeOfSupply = tax.enabled ? $('#f-pos').value : '';
+    const assigned = { cutter: $('#f-cutter').value, stitcher: $('#f-stitcher').value };
+    const rework = readOrderRework();
 
     const editId = $('#f-edit-id').value;
     if(editId){
       const order = orders.find(o => o.id === Number(editId));
       if(!order){ toast('Order not found.', 'error'); resetOrderForm(); return; }
+      // An issued invoice is final: what it billed can't be edited, and its tax details stay as issued.
+      const counts = m => Object.entries(m || {}).filter(([, n]) => Number(n) > 0).sort(([a], [b]) => a.localeCompare(b));
+      const billed = o => JSON.stringify([counts(o.qty), o.addons || {}, o.express || null, counts(o.charges), Number(o.discount) || 0]);
+      if(order.invoice && billed(order) !== billed({ qty, addons, express: orderExpress, charges: chargeAmounts, discount })){
+        toast(tr("Invoice {no} is already issued — the items, charges and discount on this order can't change.", { no: order.invoice.no }), 'error');
+        return;
+      }
       order.name = name; order.mobile = mobile;
-      order.qty = qty; order.charges = chargeAmounts; order.discount = discount; order.advance = advance;
-      order.deliveryDate = deliveryDate; order.notes = notes; order.applyTax = applyTax;
-      delete order.other; // superseded by order.charges.other
+      order.qty = qty; order.addons = addons; order.addonPrices = addonPriceCopy(addons, order.addonPrices); order.express = orderExpress;
+      order.charges = chargeAmounts; order.discount = discount;
+      order.deliveryDate = deliveryDate; order.notes = notes;
+      if(!order.invoice){ order.applyTax = applyTax; order.customerGstin = customerGstin; order.placeOfSupply = placeOfSupply; }
+      order.assigned = assigned;
+      if(rework) order.rework = rework;
+      order.measurements = collectOrderMeasurements(mobile);
+      const low = syncOrderStock(order, orderMaterialNeeds(order));
+      if(addCustomerFromOrder(customers, order)) await saveCustomers();
+      await saveMeasurements();
       await saveOrders();
-      toast(`Updated — Order #${String(order.id).padStart(4,'0')}`, 'success');
-      resetOrderForm();
+      await saveInventory();
+      const photosSaved = await commitDraftPhotos(order.id);
+      await logActivity('edit', orderRef(order), name);
       renderOrders();
+      if(!photosSaved) return; // the storage error is showing and the form still holds the photos
+      toast(tr('Updated — Order #{id}', { id: String(order.id).padStart(4,'0') }) + lowStockNote(low), 'success');
+      resetOrderForm();
       return;
     }
 
-    const nextId = orders.length ? Math.max(...orders.map(o=>o.id)) + 1 : 1;
     const order = {
-      id: nextId,
+      id: nextRecordId(orders),
       date: new Date().toISOString(),
-      name, mobile, qty, charges: chargeAmounts, discount, advance, deliveryDate, notes, applyTax,
-      status: ''
+      name, mobile, qty, addons, addonPrices: addonPriceCopy(addons), express: orderExpress, charges: chargeAmounts, discount, deliveryDate, notes, applyTax,
+      customerGstin, placeOfSupply, assigned,
+      ...(rework ? { rework } : {}),
+      measurements: collectOrderMeasurements(mobile),
+      payments: [],
+      status: '',
+      statusHistory: []
     };
+    order.statusHistory.push({ status: '', at: order.date, by: currentActor(), note: rework ? `${reworkTypeLabel(rework.type)} of #${String(rework.parentId).padStart(4,'0')}` : 'Order created' });
+    if(advance > 0) addPayment(order, { amount: advance, mode: advanceMode, ref: 'Advance' });
     orders.push(order);
+    const low = syncOrderStock(order, orderMaterialNeeds(order));
+    if(addCustomerFromOrder(customers, order)) await saveCustomers();
+    await saveMeasurements();
     await saveOrders();
-    toast(`Saved — Order #${String(nextId).padStart(4,'0')}`, 'success');
+    await saveInventory();
+    const photosSaved = await commitDraftPhotos(order.id);
+    await logActivity('create', orderRef(order), `${name} · ${rework ? `${reworkTypeLabel(rework.type)} of #${String(rework.parentId).padStart(4,'0')} · ` : ''}${money(calcOrderTotals(order).grandTotal)}`);
+    if(!photosSaved){
+      // The order itself is saved: the form switches to editing it, so saving again
+      // only retries the photos instead of booking a second order.
+      const drafts = draftPhotos;
+      loadOrderIntoForm(order);
+      draftPhotos = drafts;
+      renderDraftPhotos();
+      return;
+    }
+    toast(tr('Saved — Order #{id}', { id: String(order.id).padStart(4,'0') }) + lowStockNote(low), 'success');
     resetOrderForm();
   });
 
+  // ---------- alterations & rework ----------
+  // A follow-up order points at the order it came back from. It has its own delivery
+  // date, status and (unless free) its own charges; it is listed under its parent.
+  function reworkTypeLabel(key){
+    const t = REWORK_TYPES.find(x => x.key === key);
+    return t ? t.label : key;
+  }
+  const isFreeRework = o => !!(o && o.rework && o.rework.free);
+  const reworkChildren = id => orders.filter(o => o.rework && o.rework.parentId === id);
+
+  function readOrderRework(){
+    const parentId = Number($('#f-parent-id').value) || 0;
+    if(!parentId) return null;
+    return {
+      parentId,
+      type: $('#f-rework-type').value,
+      free: $('#f-rework-free').checked,
+      reason: $('#f-rework-reason').value.trim()
+    };
+  }
+  function setOrderRework(rework){
+    $('#f-parent-id').value = rework ? rework.parentId : '';
+    $('#f-rework-row').style.display = rework ? 'block' : 'none';
+    if(!rework) return;
+    const parent = orders.find(o => o.id === rework.parentId);
+    $('#f-rework-label').textContent = `Follow-up to order #${String(rework.parentId).padStart(4,'0')}${parent ? ` — ${parent.name}, ${fmtDate(parent.date)}` : ' (deleted)'}`;
+    $('#f-rework-type').value = rework.type || 'alteration';
+    $('#f-rework-free').checked = !!rework.free;
+    $('#f-rework-reason').value = rework.reason || '';
+  }
+  $('#f-rework-type').innerHTML = REWORK_TYPES.map(t => `<option value="${t.key}">${esc(t.label)}</option>`).join('');
+  $('#f-rework-free').addEventListener('change', updateOrderSummary);
+
+  function startReworkOrder(parent){
+    resetOrderForm();
+    goToNewOrderView();
+    $('#f-name').value = parent.name;
+    $('#f-mobile').value = parent.mobile;
+    setOrderRework({ parentId: parent.id, type: parent.status === 'delivered' ? 'alteration' : 'rework', free: true, reason: '' });
+    // Same pieces as the parent by default; trim to what actually came back.
+    products.forEach(p => {
+      const el = $('#q-' + p.key);
+      if(el) el.value = (parent.qty && parent.qty[p.key]) || 0;
+    });
+    $('#order-form-title').textContent = `Alteration for #${String(parent.id).padStart(4,'0')}`;
+    $('#order-form-sub').textContent = 'Set the pieces that came back, what needs doing and when it will be ready.';
+    $('#order-cancel-edit-btn').style.display = 'inline-flex';
+    updateOrderSummary();
+  }
+
   // ---------- orders table ----------
   function statusLabel(s){ return s ? s.replace('_',' ') : 'new'; }
   function statusClass(s){ return 'status-' + (s || 'new'); }
 
+  // ---------- status history & staff ----------
+  function staffName(id){
+    const person = staff.find(x => x.id === id);
+    return person ? person.name : '';
+  }
+  function roleLabel(key){
+    const r = STAFF_ROLES.find(x => x.key === key);
+    return r ? r.label : key;
+  }
+  function statusHistory(o){
+    return Array.isArray(o.statusHistory) && o.statusHistory.length
+      ? o.statusHistory
+      : [{ status: '', at: o.date, by: '', note: '' }];
+  }
+  // Every status change goes through here so the history is never skipped.
+  async function setOrderStatus(order, status, note){
+    if(order.status === status && !note) return false;
+    order.statusHistory = statusHistory(order).slice();
+    const from = order.status || '';
+    order.statusHistory.push({ status, at: new Date().toISOString(), by: currentActor(), note: (note || '').trim() });
+    order.status = status;
+    await saveOrders();
+    if(from !== status) await logActivity('status', orderRef(order), `${statusLabel(from)} → ${statusLabel(status)}`);
+    return true;
+  }
+  function statusReachedAt(o, status){
+    const hit = [...statusHistory(o)].reverse().find(h => h.status === status);
+    return hit || null;
+  }
+
+  function renderAssignSelects(assigned){
+    ['cutter','stitcher'].forEach(role => {
+      const sel = $('#f-' + role);
+      const current = assigned && assigned[role] || '';
+      // people with the matching role first; anyone already assigned stays selectable
+      const people = staff.filter(x => x.role === role || x.id === current);
+      sel.innerHTML = `<option value="">— Unassigned —</option>` + (people.length ? people : staff)
+        .map(x => `<option value="${esc(x.id)}" ${x.id === current ? 'selected' : ''}>${esc(x.name)}</option>`).join('');
+    });
+    $('#f-assign-row').style.display = staff.length ? 'grid' : 'none';
+  }
+
   function orderDeliveryDate(o){
     return o.deliveryDate ? new Date(o.deliveryDate) : addDays(o.date, 10);
   }
+  // Every priced line of stitching on an order: each item, the add-ons picked for it, then
+  // any express surcharge. Totals, bills, invoices and receipts all read from here.
+  // Once an invoice is issued, its frozen copy is used instead (see invoiceFigures).
+  function issuedInvoice(o){ return o.invoice && o.invoice.lines ? o.invoice : null; }
+  function orderWorkLines(o){
+    if(issuedInvoice(o)) return o.invoice.work.map(l => ({...l}));
+    const lines = [];
+    const free = isFreeRework(o);
+    products.forEach(p => {
+      const n = Number(o.qty && o.qty[p.key]) || 0;
+      if(n <= 0) return;
+      const rate = free ? 0 : prices[p.key] || 0;
+      const hsn = p.hsn || tax.sac || '';
+      lines.push({ key: p.key, label: p.label, hsn, qty: n, rate, amount: rate * n });
+      const picked = (o.addons && o.addons[p.key]) || {};
+      const booked = (o.addonPrices && o.addonPrices[p.key]) || {};
+      Object.keys(picked).forEach(vk => {
+        const count = Math.min(n, Number(picked[vk]) || 0);
+        const v = booked[vk] || (p.variants || []).find(x => x.key === vk);
+        if(!v || count <= 0) return;
+        const vr = free ? 0 : Number(v.price) || 0;
+        lines.push({ key: p.key, addon: vk, addonLabel: v.label, label: `${p.label} + ${v.label}`, hsn, qty: count, rate: vr, amount: vr * count });
+      });
+    });
+    const pct = Number(o.express && o.express.percent) || 0;
+    const base = lines.reduce((s,l)=> s + l.amount, 0);
+    const surcharge = Math.round(base * pct) / 100;
+    if(surcharge > 0) lines.push({ key: '', express: true, label: `Express delivery (+${pct}%)`, hsn: tax.sac || '', qty: 1, rate: surcharge, amount: surcharge });
+    return lines;
+  }
+  // Extra charges with an amount on the order, labelled from the charges list.
+  function orderChargeLines(o){
+    if(issuedInvoice(o)) return o.invoice.charges.map(c => ({...c}));
+    return charges.filter(c => o.charges && Number(o.charges[c.key]) > 0)
+      .map(c => ({ key: c.key, label: c.label, amount: Number(o.charges[c.key]) }));
+  }
+  // Label and price of every add-on picked, copied onto the order when it is saved so a later
+  // repricing or removal of the add-on doesn't change the order; ones already booked keep their price.
+  function addonPriceCopy(addons, booked){
+    const out = {};
+    Object.entries(addons || {}).forEach(([pk, picked]) => {
+      const p = products.find(x => x.key === pk);
+      Object.keys(picked).forEach(vk => {
+        const v = (booked && booked[pk] && booked[pk][vk]) || (p && (p.variants || []).find(x => x.key === vk));
+        if(v) (out[pk] = out[pk] || {})[vk] = { label: v.label, price: Number(v.price) || 0 };
+      });
+    });
+    return out;
+  }
   function calcOrderTotals(o){
-    const workTotal = products.reduce((sum,p)=> sum + (prices[p.key]||0) * ((o.qty && o.qty[p.key]) || 0), 0);
-    // order.other is kept only for orders saved before Charges existed.
-    const chargesTotal = Number(o.other||0) + Object.values(o.charges || {}).reduce((s,v)=> s + (Number(v)||0), 0);
+    const paid = orderPaidTotal(o);
+    const inv = issuedInvoice(o);
+    if(inv){
+      const { subtotal, discount, pretax, taxAmount, grandTotal, rate } = inv;
+      return { subtotal, discount, pretax, taxAmount, taxRate: rate, grandTotal, paid, balance: grandTotal - paid };
+    }
+    const workTotal = orderWorkLines(o).reduce((sum,l)=> sum + l.amount, 0);
+    const chargesTotal = isFreeRework(o) ? 0 : Object.values(o.charges || {}).reduce((s,v)=> s + (Number(v)||0), 0);
     const subtotal = workTotal + chargesTotal;
     const discount = Math.min(Number(o.discount||0), subtotal);
     const pretax = subtotal - discount;
-    const taxAmount = (tax.enabled && o.applyTax) ? Math.round(pretax * (Number(tax.rate)||0)) / 100 : 0;
+    const taxRate = Number(tax.rate) || 0;
+    const taxAmount = (tax.enabled && o.applyTax) ? Math.round(pretax * taxRate) / 100 : 0;
     const grandTotal = pretax + taxAmount;
-    const balance = grandTotal - Number(o.advance||0);
-    return { subtotal, discount, pretax, taxAmount, grandTotal, balance };
+    const balance = grandTotal - paid;
+    return { subtotal, discount, pretax, taxAmount, taxRate, grandTotal, paid, balance };
+  }
+
+  // ---------- payment ledger ----------
+  // order.payments is the source of truth for money received (older `advance` figures
+  // are folded in by the schema migrations on load).
+  function orderPayments(o){
+    return Array.isArray(o.payments) ? o.payments : [];
+  }
+  function orderPaidTotal(o){
+    return orderPayments(o).reduce((s,p)=> s + (Number(p.amount)||0), 0);
+  }
+  function paymentModeLabel(key){
+    const m = PAYMENT_MODES.find(x => x.key === key);
+    return m ? m.label : (key || '');
+  }
+  function lastPayment(o){
+    const list = orderPayments(o);
+    return list.length ? list.reduce((a,b)=> new Date(b.date) >= new Date(a.date) ? b : a) : null;
+  }
+  function addPayment(o, { amount, mode, date, ref, by }){
+    o.payments = orderPayments(o).slice();
+    const entry = {
+      id: o.payments.length ? Math.max(...o.payments.map(p => p.id || 0)) + 1 : 1,
+      // a back-dated entry is pinned to midday; today's keeps the real time so history stays in order
+      date: date && date !== dateKey(new Date()) ? new Date(date + 'T12:00:00').toISOString() : new Date().toISOString(),
+      amount: Number(amount) || 0,
+      mode: PAYMENT_MODES.some(m => m.key === mode) ? mode : 'cash',
+      ref: (ref || '').trim(),
+      by: (by || '').trim()
+    };
+    o.payments.push(entry);
+    return entry;
+  }
+
+  // Asks for one ledger entry against the order; resolves true when a payment was recorded and saved.
+  async function recordPaymentFor(order){
+    const { balance } = calcOrderTotals(order);
+    const values = await showFormModal({
+      title: `Record payment — #${String(order.id).padStart(4,'0')}`,
+      message: `${order.name} · balance due ${money(balance)}`,
+      confirmLabel: 'Record payment',
+      fields: [
+        { id:'amount', label:'Amount', type:'number', value: Math.max(balance, 0), attrs:'min="0" step="0.01"' },
+        { id:'mode', label:'Mode', type:'select', value:'cash', options: PAYMENT_MODES.map(m => ({ value:m.key, label:m.label })) },
+        { id:'date', label:'Date', type:'date', value: dateKey(new Date()) },
+        { id:'ref', label:'Reference (UPI / card txn no., optional)', type:'text' },
+        { id:'by', label:'Received by', type:'text', value: currentActor() || settings.lastReceivedBy || '' },
+      ]
+    });
+    if(!values) return false;
+    const amount = Number(values.amount) || 0;
+    if(amount <= 0){ toast('Enter an amount greater than zero.', 'error'); return false; }
+    if(amount > balance){ toast(tr('That is more than the balance due ({amount}).', { amount: money(balance) }), 'error'); return false; }
+    addPayment(order, values);
+    await saveOrders();
+    if(values.by.trim() && values.by.trim() !== settings.lastReceivedBy){
+      settings.lastReceivedBy = values.by.trim();
+      await saveSettings();
+    }
+    await logActivity('payment', orderRef(order), `${money(amount)} · ${paymentModeLabel(values.mode)}`);
+    toast(tr('Recorded {amount} for #{id}.', { amount: money(amount), id: String(order.id).padStart(4,'0') }), 'success');
+    return true;
   }
   function isOverdue(o){
     if(o.status === 'delivered') return false;
@@ -532,15 +2888,19 @@
       return;
     }
     $('#orders-empty').style.display = 'none';
+    // follow-up orders sit directly under their parent when both are in the list
+    const shownIds = new Set(list.map(o => o.id));
+    const nested = o => o.rework && shownIds.has(o.rework.parentId);
+    list = list.filter(o => !nested(o)).flatMap(o => [o, ...list.filter(c => nested(c) && c.rework.parentId === o.id).reverse()]);
     list.forEach(o => {
       const { balance } = calcOrderTotals(o);
       const overdue = isOverdue(o);
       const tr = document.createElement('tr');
       tr.innerHTML = `
-        <td class="id-mono">#${String(o.id).padStart(4,'0')}</td>
+        <td class="id-mono">${nested(o) ? '↳ ' : ''}#${String(o.id).padStart(4,'0')}</td>
         <td>${fmtDate(o.date)}</td>
         <td class="${overdue ? 'overdue' : ''}">${fmtDate(orderDeliveryDate(o))}</td>
-        <td>${esc(o.name)}</td>
+        <td>${esc(o.name)}${o.rework ? ` <small class="staff-role">${esc(reworkTypeLabel(o.rework.type))} of #${String(o.rework.parentId).padStart(4,'0')}${o.rework.free ? ' · free' : ''}</small>` : ''}${photoStripHtml(o.id)}</td>
         <td>${esc(o.mobile)}</td>
         <td class="${balance > 0 ? 'balance-due' : 'balance-zero'}">${money(balance)}</td>
         <td>
@@ -552,7 +2912,9 @@
         <td class="row-actions" style="white-space:nowrap; display:flex; gap:6px;">
           <button class="btn btn-ghost" data-bill="${o.id}" aria-label="View bill for order #${String(o.id).padStart(4,'0')}" title="View bill">${iconHtml('bill')}Bill</button>
           <button class="btn btn-ghost" data-edit="${o.id}" aria-label="Edit order #${String(o.id).padStart(4,'0')}" title="Edit">${iconHtml('edit')}Edit</button>
-          ${balance > 0 ? `<button class="btn btn-ghost btn-paid" data-paid="${o.id}" aria-label="Mark order #${String(o.id).padStart(4,'0')} as fully paid" title="Mark as paid">${iconHtml('check')}Paid</button>` : ''}
+          ${o.status === 'delivered' ? '' : `<button class="btn btn-ghost" data-fitting="${o.id}" aria-label="Book a trial fitting for order #${String(o.id).padStart(4,'0')}" title="${nextFitting(o) ? `Fitting ${fmtFitting(nextFitting(o))}` : 'Book fitting'}">${iconHtml('clock')}Fitting</button>`}
+          ${o.rework ? '' : `<button class="btn btn-ghost" data-rework="${o.id}" aria-label="Start an alteration or rework order for #${String(o.id).padStart(4,'0')}" title="Alteration / rework">${iconHtml('plus')}Alteration</button>`}
+          ${balance > 0 ? `<button class="btn btn-ghost btn-paid" data-paid="${o.id}" aria-label="Record a payment for order #${String(o.id).padStart(4,'0')}" title="Record payment">${iconHtml('check')}Payment</button>` : ''}
           <button class="btn btn-ghost" data-delete="${o.id}" aria-label="Delete order #${String(o.id).padStart(4,'0')}" title="Delete">${iconHtml('trash')}Delete</button>
         </td>
       `;
@@ -564,10 +2926,9 @@
         const id = Number(sel.dataset.id);
         const order = orders.find(o=>o.id===id);
         if(order){
-          order.status = sel.value;
+          await setOrderStatus(order, sel.value);
           sel.className = 'status-select ' + statusClass(order.status);
-          await saveOrders();
-          toast(`Status updated for #${String(id).padStart(4,'0')}`, 'success');
+          toast(tr('Status updated for #{id}', { id: String(id).padStart(4,'0') }), 'success');
         }
       });
     });
@@ -586,23 +2947,29 @@
         const id = Number(btn.dataset.edit);
         const order = orders.find(o=>o.id===id);
         if(!order) return;
-        if(!await checkPassword(`edit order #${String(id).padStart(4,'0')}`)) return;
+        if(!await authorize('orders.edit', `edit order #${String(id).padStart(4,'0')}`)) return;
         goToNewOrderView();
         loadOrderIntoForm(order);
       });
     });
+    tbody.querySelectorAll('[data-fitting]').forEach(btn=>{
+      btn.addEventListener('click', async ()=>{
+        const order = orders.find(o => o.id === Number(btn.dataset.fitting));
+        if(order && await bookFitting(order, nextFitting(order))) renderOrders();
+      });
+    });
+    tbody.querySelectorAll('[data-rework]').forEach(btn=>{
+      btn.addEventListener('click', ()=>{
+        const parent = orders.find(o => o.id === Number(btn.dataset.rework));
+        if(parent) startReworkOrder(parent);
+      });
+    });
     tbody.querySelectorAll('[data-paid]').forEach(btn=>{
       btn.addEventListener('click', async ()=>{
         const id = Number(btn.dataset.paid);
         const order = orders.find(o=>o.id===id);
         if(!order) return;
-        const { subtotal } = calcOrderTotals(order);
-        const ok = await customConfirm('Mark as paid', `Mark order #${String(id).padStart(4,'0')} as fully paid (advance = ${money(subtotal)})?`, 'Mark paid', false);
-        if(!ok) return;
-        order.advance = subtotal;
-        await saveOrders();
-        toast(`Order #${String(id).padStart(4,'0')} marked as paid.`, 'success');
-        renderOrders();
+        if(await recordPaymentFor(order)) renderOrders();
       });
     });
     tbody.querySelectorAll('[data-delete]').forEach(btn=>{
@@ -610,12 +2977,17 @@
         const id = Number(btn.dataset.delete);
         const order = orders.find(o=>o.id===id);
         if(!order) return;
-        if(!await checkPassword(`delete order #${String(id).padStart(4,'0')}`)) return;
-        const ok = await customConfirm('Delete order', `Delete order #${String(id).padStart(4,'0')} for ${order.name}? This cannot be undone.`, 'Delete');
+        if(!await authorize('orders.delete', `delete order #${String(id).padStart(4,'0')}`)) return;
+        const followUps = reworkChildren(id).length;
+        const ok = await customConfirm('Delete order', `Delete order #${String(id).padStart(4,'0')} for ${order.name}? This cannot be undone.${followUps ? ` Its ${followUps} alteration order${followUps === 1 ? '' : 's'} will be kept.` : ''}`, 'Delete');
         if(!ok) return;
         orders = orders.filter(o=>o.id!==id);
+        syncOrderStock(order, {});
         await saveOrders();
-        toast(`Deleted order #${String(id).padStart(4,'0')}`, 'success');
+        await saveInventory();
+        if(orderPhotos[id]){ delete orderPhotos[id]; await saveOrderPhotos(); }
+        await logActivity('delete', orderRef(order), order.name);
+        toast(tr('Deleted order #{id}', { id: String(id).padStart(4,'0') }), 'success');
         renderOrders();
       });
     });
@@ -632,18 +3004,21 @@
     if(!orders.length){ toast('No orders to export.', 'info'); return; }
     const cols = ['Order #','Order Date','Delivery Date','Customer','Mobile',
       ...products.map(p=>p.label), ...charges.map(c=>c.label),
-      'Discount (₹)','Subtotal (₹)','Advance (₹)','Balance (₹)','Status','Notes'];
-    const rows = [...orders].sort((a,b)=>a.id-b.id).map(o=>{
-      const { subtotal, discount, balance } = calcOrderTotals(o);
+      'Add-ons (₹)','Express (₹)','Discount (₹)','Subtotal (₹)','Paid (₹)','Balance (₹)','Status','Notes'];
+    const rows = inLanguage('en', () => [...orders].sort((a,b)=>a.id-b.id).map(o=>{
+      const { subtotal, discount, paid, balance } = calcOrderTotals(o);
+      const lines = orderWorkLines(o);
       return [
         String(o.id).padStart(4,'0'), fmtDate(o.date), fmtDate(orderDeliveryDate(o)),
         o.name, o.mobile,
         ...products.map(p=> (o.qty && o.qty[p.key]) || 0),
-        ...charges.map(c=> (o.charges && o.charges[c.key]) || (c.key==='other' ? (o.other||0) : 0)),
-        discount, subtotal, o.advance || 0, balance,
+        ...charges.map(c=> (o.charges && o.charges[c.key]) || 0),
+        lines.filter(l => l.addon).reduce((s,l)=> s + l.amount, 0),
+        lines.filter(l => l.express).reduce((s,l)=> s + l.amount, 0),
+        discount, subtotal, paid, balance,
         statusLabel(o.status), o.notes || ''
       ];
-    });
+    }));
     const csv = [cols, ...rows].map(r => r.map(toCsvField).join(',')).join('\n');
     const blob = new Blob([csv], {type:'text/csv;charset=utf-8;'});
     const link = document.createElement('a');
@@ -656,36 +3031,371 @@
     toast('Orders exported.', 'success');
   });
 
+  // ---------- customers ----------
+  // customers: { mobileKey: profile }. A profile is created the first time a mobile
+  // number is seen on an order. Merging folds one profile into another and keeps the
+  // old number as an alias, so its orders and measurements follow the customer.
+  let customersFilter = '';
+  let openCustomerKey = '';
+
+  function contactPrefLabel(key){
+    const c = CONTACT_PREFS.find(x => x.key === key);
+    return c ? c.label : key;
+  }
+  // Resolves a mobile to the key of the profile that owns it (its own or an alias).
+  function customerKeyIn(map, mobile){
+    const key = mobileKey(mobile);
+    if(!key || map[key]) return key;
+    return Object.keys(map).find(k => (map[k].aliases || []).includes(key)) || key;
+  }
+  const customerKey = mobile => customerKeyIn(customers, mobile);
+
+  // Creates the profile for an order's mobile if there is none; true when one was added.
+  function addCustomerFromOrder(map, o){
+    const key = customerKeyIn(map, o.mobile);
+    if(!key) return false;
+    const c = map[key];
+    if(c){
+      if(!c.name) c.name = o.name;
+      if(o.date < (c.since || o.date)) c.since = o.date;
+      return false;
+    }
+    map[key] = { mobile: String(o.mobile).trim(), name: o.name, address: '', birthday: '', contact: 'whatsapp', notes: '', aliases: [], distinct: [], since: o.date };
+    return true;
+  }
+  // Profiles for orders saved before this view existed or brought in by a restore.
+  async function syncCustomers(){
+    const added = [...orders].sort((a,b)=> new Date(a.date) - new Date(b.date)).filter(o => addCustomerFromOrder(customers, o)).length;
+    if(added) await saveCustomers();
+  }
+
+  function customerStats(){
+    const stats = {};
+    orders.forEach(o => {
+      const key = customerKey(o.mobile);
+      if(!key) return;
+      const t = calcOrderTotals(o);
+      const s = stats[key] || (stats[key] = { orders: [], value: 0, paid: 0, dues: 0, last: '' });
+      s.orders.push(o);
+      s.value += t.grandTotal;
+      s.paid += t.paid;
+      s.dues += Math.max(t.balance, 0);
+      if(o.date > s.last) s.last = o.date;
+    });
+    return stats;
+  }
+
+  // Same last ten digits (a number saved with and without +91), or the same name —
+  // unless someone already said the pair are different people.
+  function duplicateCustomerPairs(){
+    const keys = Object.keys(customers);
+    const norm = name => String(name || '').toLowerCase().replace(/\s+/g,' ').trim();
+    const pairs = [];
+    keys.forEach((a, i) => keys.slice(i + 1).forEach(b => {
+      const ca = customers[a], cb = customers[b];
+      if((ca.distinct || []).includes(b) || (cb.distinct || []).includes(a)) return;
+      const sameNumber = a.slice(-10) === b.slice(-10);
+      if(sameNumber || (norm(ca.name) && norm(ca.name) === norm(cb.name))) pairs.push({ a, b, sameNumber });
+    }));
+    return pairs;
+  }
+
+  function daysToBirthday(c, from){
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(c.birthday || '')) return null;
+    const [, m, d] = c.birthday.split('-').map(Number);
+    let next = new Date(from.getFullYear(), m - 1, d);
+    if(next < from) next = new Date(from.getFullYear() + 1, m - 1, d);
+    return Math.round((next - from) / 86400000);
+  }
+
+  function renderCustomers(){
+    syncCustomers();
+    const stats = customerStats();
+    const q = customersFilter.trim().toLowerCase();
+    const rows = Object.keys(customers)
+      .map(key => ({ key, c: customers[key], s: stats[key] || { orders: [], value: 0, dues: 0, last: '' } }))
+      .filter(r => !q || r.c.name.toLowerCase().includes(q) || [r.key, ...(r.c.aliases || [])].some(k => k.includes(q.replace(/\D/g,'') || q)))
+      .sort((a,b) => b.s.value - a.s.value);
+    const tbody = $('#cust-tbody');
+    tbody.innerHTML = rows.map(({ key, c, s }) => `
+      <tr>
+        <td>${esc(c.name)}${c.aliases && c.aliases.length ? ` <small class="staff-role" title="Also ${esc(c.aliases.join(', '))}">+${c.aliases.length} no.</small>` : ''}</td>
+        <td>${esc(c.mobile)}</td>
+        <td>${s.orders.length}</td>
+        <td>${money(s.value)}</td>
+        <td class="${s.dues > 0 ? 'balance-due' : 'balance-zero'}">${money(s.dues)}</td>
+        <td>${s.last ? fmtDate(s.last) : '—'}</td>
+        <td class="no-print"><button type="button" class="btn btn-ghost" data-cust-open="${esc(key)}" aria-label="Open profile for ${esc(c.name)}">Open</button></td>
+      </tr>
+    `).join('');
+    $('#cust-empty').style.display = rows.length ? 'none' : 'block';
+    tbody.querySelectorAll('[data-cust-open]').forEach(btn => btn.addEventListener('click', ()=>{
+      openCustomerKey = btn.dataset.custOpen;
+      renderCustomerDetail();
+      $('#cust-detail').scrollIntoView && $('#cust-detail').scrollIntoView({ behavior:'smooth' });
+    }));
+
+    const today = new Date(new Date().toDateString());
+    const birthdays = Object.values(customers)
+      .map(c => ({ c, days: daysToBirthday(c, today) }))
+      .filter(b => b.days !== null && b.days <= 7)
+      .sort((a,b) => a.days - b.days);
+    $('#cust-birthdays').style.display = birthdays.length ? 'block' : 'none';
+    $('#cust-birthdays').textContent = birthdays.length
+      ? `Birthdays this week: ${birthdays.map(b => `${b.c.name} (${b.days ? `in ${b.days} day${b.days === 1 ? '' : 's'}` : 'today'})`).join(', ')}`
+      : '';
+
+    const pairs = duplicateCustomerPairs();
+    const dupBox = $('#cust-duplicates');
+    dupBox.style.display = pairs.length ? 'block' : 'none';
+    dupBox.innerHTML = pairs.length ? `
+      <strong>Possible duplicates</strong>
+      <ul class="dash-list" style="margin-top:8px;">${pairs.slice(0, 10).map(p => `
+        <li>
+          <span>${esc(customers[p.a].name)} · ${esc(customers[p.a].mobile)} &nbsp;and&nbsp; ${esc(customers[p.b].name)} · ${esc(customers[p.b].mobile)}${p.sameNumber ? ' — same number' : ' — same name'}</span>
+          <span style="display:flex; gap:6px;">
+            <button type="button" class="btn btn-ghost" data-cust-merge="${esc(p.b)}|${esc(p.a)}" aria-label="Merge ${esc(customers[p.b].mobile)} into ${esc(customers[p.a].mobile)}">Merge</button>
+            <button type="button" class="btn btn-ghost" data-cust-distinct="${esc(p.a)}|${esc(p.b)}" aria-label="Mark these two as different customers">Different people</button>
+          </span>
+        </li>
+      `).join('')}</ul>` : '';
+    dupBox.querySelectorAll('[data-cust-merge]').forEach(btn => btn.addEventListener('click', ()=>{
+      const [from, into] = btn.dataset.custMerge.split('|');
+      confirmMergeCustomers(from, into);
+    }));
+    dupBox.querySelectorAll('[data-cust-distinct]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const [a, b] = btn.dataset.custDistinct.split('|');
+      customers[a].distinct = [...new Set([...(customers[a].distinct || []), b])];
+      await saveCustomers();
+      renderCustomers();
+    }));
+
+    if(openCustomerKey && !customers[openCustomerKey]) openCustomerKey = '';
+    renderCustomerDetail();
+  }
+
+  function renderCustomerDetail(){
+    const box = $('#cust-detail');
+    const c = customers[openCustomerKey];
+    if(!c){ box.innerHTML = ''; return; }
+    const key = openCustomerKey;
+    const s = customerStats()[key] || { orders: [], value: 0, paid: 0, dues: 0 };
+    const list = [...s.orders].sort((a,b) => new Date(b.date) - new Date(a.date));
+    const paymentRows = list
+      .flatMap(o => orderPayments(o).map(p => ({ o, p })))
+      .sort((a,b) => new Date(b.p.date) - new Date(a.p.date));
+    const contactHref = c.contact === 'call' ? `tel:${esc(c.mobile)}`
+      : c.contact === 'sms' ? `sms:${esc(c.mobile)}`
+      : esc(waLink(c.mobile, `Hello ${c.name},`));
+    box.innerHTML = `
+      <div class="card">
+        <div style="display:flex; justify-content:space-between; align-items:flex-start; gap:14px; flex-wrap:wrap;">
+          <div>
+            <h3 class="dash-section-title" style="margin:0;">${esc(c.name)}</h3>
+            <p class="hint" style="margin:4px 0 0;">${esc(c.mobile)}${c.aliases && c.aliases.length ? ` · also ${esc(c.aliases.join(', '))}` : ''} · customer since ${fmtDate(c.since)} · prefers ${esc(contactPrefLabel(c.contact))}</p>
+          </div>
+          <div class="no-print" style="display:flex; gap:8px; flex-wrap:wrap;">
+            <button type="button" class="btn btn-primary" id="cust-new-order-btn" aria-label="Start a new order for ${esc(c.name)}">${iconHtml('plus')}New order</button>
+            <a class="btn btn-teal" href="${contactHref}" target="_blank" rel="noopener" aria-label="Contact ${esc(c.name)} by ${esc(contactPrefLabel(c.contact))}">${esc(contactPrefLabel(c.contact))}</a>
+            <button type="button" class="btn btn-ghost" id="cust-merge-btn" aria-label="Merge this customer into another profile">Merge into…</button>
+            <button type="button" class="btn btn-ghost" id="cust-close-btn" aria-label="Close this profile">Close</button>
+          </div>
+        </div>
+        <div class="stat-grid" style="margin-top:14px;">
+          <div class="stat-card"><div class="stat-label">Orders</div><div class="stat-value">${s.orders.length}</div></div>
+          <div class="stat-card accent-marigold"><div class="stat-label">Lifetime value</div><div class="stat-value">${money(s.value)}</div></div>
+          <div class="stat-card accent-teal"><div class="stat-label">Paid</div><div class="stat-value">${money(s.paid)}</div></div>
+          <div class="stat-card ${s.dues ? 'accent-red' : ''}"><div class="stat-label">Outstanding</div><div class="stat-value">${money(s.dues)}</div></div>
+        </div>
+        <form id="cust-form" class="no-print">
+          <div class="grid">
+            <div class="field"><label for="cust-f-name">Name</label><input id="cust-f-name" type="text" value="${esc(c.name)}"></div>
+            <div class="field"><label for="cust-f-birthday">Birthday</label><input id="cust-f-birthday" type="date" value="${esc(c.birthday || '')}"></div>
+            <div class="field"><label for="cust-f-contact">Preferred contact</label><select id="cust-f-contact">${CONTACT_PREFS.map(p => `<option value="${p.key}" ${p.key === c.contact ? 'selected' : ''}>${esc(p.label)}</option>`).join('')}</select></div>
+            <div class="field full"><label for="cust-f-address">Address</label><textarea id="cust-f-address" rows="2">${esc(c.address || '')}</textarea></div>
+            <div class="field full"><label for="cust-f-notes">Notes</label><textarea id="cust-f-notes" rows="2" placeholder="e.g. prefers loose fit, always wants lining">${esc(c.notes || '')}</textarea></div>
+          </div>
+          <button type="submit" class="btn btn-primary" aria-label="Save this customer's profile">Save profile</button>
+        </form>
+      </div>
+
+      <h3 class="dash-section-title">Order history</h3>
+      <div class="card" style="padding:0; overflow-x:auto;">
+        ${list.length ? `<table>
+          <thead><tr><th>Order #</th><th>Date</th><th>Delivery</th><th>Total</th><th>Paid</th><th>Balance</th><th>Status</th><th></th></tr></thead>
+          <tbody>${list.map(o => {
+            const t = calcOrderTotals(o);
+            return `
+              <tr>
+                <td class="id-mono">#${String(o.id).padStart(4,'0')}${o.rework ? ` <small class="staff-role">${esc(reworkTypeLabel(o.rework.type))}</small>` : ''}</td>
+                <td>${fmtDate(o.date)}</td>
+                <td>${fmtDate(orderDeliveryDate(o))}</td>
+                <td>${money(t.grandTotal)}</td>
+                <td>${money(t.paid)}</td>
+                <td class="${t.balance > 0 ? 'balance-due' : 'balance-zero'}">${money(Math.max(t.balance, 0))}</td>
+                <td><span class="status-pill ${statusClass(o.status)}">${statusLabel(o.status)}</span></td>
+                <td class="row-actions no-print"><button class="btn btn-ghost" data-cust-bill="${o.id}" aria-label="View bill for order #${String(o.id).padStart(4,'0')}" title="View bill">${iconHtml('bill')}Bill</button></td>
+              </tr>`;
+          }).join('')}</tbody>
+        </table>` : `<p class="empty" style="margin:20px;">No orders on this profile.</p>`}
+      </div>
+
+      <h3 class="dash-section-title">Payment history</h3>
+      <ul class="dash-list">${paymentRows.length ? paymentRows.map(({ o, p }) => `
+        <li><span>${fmtDate(p.date)} · #${String(o.id).padStart(4,'0')} · ${esc(paymentModeLabel(p.mode))}${p.ref ? ` · ${esc(p.ref)}` : ''}${p.by ? ` · ${esc(p.by)}` : ''}</span><strong>${money(p.amount)}</strong></li>
+      `).join('') : '<li class="empty">No payments recorded.</li>'}</ul>
+    `;
+    $('#cust-new-order-btn').addEventListener('click', ()=> startOrderForCustomer(key));
+    $('#cust-merge-btn').addEventListener('click', ()=> pickMergeTarget(key));
+    $('#cust-close-btn').addEventListener('click', ()=>{ openCustomerKey = ''; renderCustomerDetail(); });
+    box.querySelectorAll('[data-cust-bill]').forEach(btn => btn.addEventListener('click', ()=>{
+      $$('#nav button').forEach(b=>b.classList.remove('active'));
+      $('#nav button[data-view="bill"]').classList.add('active');
+      $$('.view').forEach(v=>v.style.display='none');
+      $('#view-bill').style.display='block';
+      $('#bill-lookup').value = String(btn.dataset.custBill).padStart(4,'0');
+      showBill(Number(btn.dataset.custBill));
+    }));
+    $('#cust-form').addEventListener('submit', async e => {
+      e.preventDefault();
+      const name = $('#cust-f-name').value.trim();
+      if(!name){ toast('Name is required.', 'error'); return; }
+      Object.assign(c, {
+        name,
+        birthday: $('#cust-f-birthday').value,
+        contact: $('#cust-f-contact').value,
+        address: $('#cust-f-address').value.trim(),
+        notes: $('#cust-f-notes').value.trim()
+      });
+      await saveCustomers();
+      await logActivity('edit', `Customer ${c.mobile}`, name);
+      toast('Customer profile saved.', 'success');
+      renderCustomers();
+    });
+  }
+
+  // Prefills the order form with the customer's details; the mobile input handler
+  // then shows the returning-customer hint and loads their measurements.
+  function startOrderForCustomer(key){
+    const c = customers[key];
+    if(!c) return;
+    const last = (customerStats()[key] || { orders: [] }).orders.reduce((a,b)=> !a || b.date > a.date ? b : a, null);
+    resetOrderForm();
+    goToNewOrderView();
+    $('#f-name').value = c.name;
+    $('#f-mobile').value = c.mobile;
+    if(tax.enabled && last && last.customerGstin){
+      $('#f-gstin').value = last.customerGstin;
+      $('#f-gstin').dispatchEvent(new Event('input'));
+    }
+    $('#f-mobile').dispatchEvent(new Event('input'));
+    if(c.notes){
+      $('#customer-hint').textContent = `${$('#customer-hint').style.display === 'block' ? $('#customer-hint').textContent + ' ' : ''}Note: ${c.notes}`;
+      $('#customer-hint').style.display = 'block';
+    }
+  }
+
+  async function pickMergeTarget(fromKey){
+    const others = Object.keys(customers).filter(k => k !== fromKey)
+      .sort((a,b) => customers[a].name.localeCompare(customers[b].name));
+    if(!others.length){ toast('There is no other customer to merge into.', 'info'); return; }
+    const res = await showFormModal({
+      title: 'Merge customer',
+      message: `Fold ${customers[fromKey].name} (${customers[fromKey].mobile}) into another profile. The number is kept as an alias.`,
+      fields: [{ id:'into', label:'Merge into', type:'select', value: others[0], options: others.map(k => ({ value: k, label: `${customers[k].name} — ${customers[k].mobile}` })) }],
+      confirmLabel: 'Next'
+    });
+    if(!res) return;
+    confirmMergeCustomers(fromKey, res.into);
+  }
+
+  async function confirmMergeCustomers(fromKey, intoKey){
+    const from = customers[fromKey], into = customers[intoKey];
+    if(!from || !into || fromKey === intoKey) return;
+    const ok = await customConfirm('Merge customers', `Merge ${from.name} (${from.mobile}) into ${into.name} (${into.mobile})? Orders and measurements under ${from.mobile} will show on ${into.name}'s profile. Orders and bills are not changed.`, 'Merge');
+    if(!ok) return;
+    if(!await authorize('orders.edit', 'merge customers')) return;
+    mergeCustomers(fromKey, intoKey);
+    await saveCustomers();
+    await saveMeasurements();
+    await logActivity('edit', `Customer ${into.mobile}`, `Merged ${from.name} (${from.mobile})`);
+    toast(tr('{from} merged into {into}.', { from: from.name, into: into.name }), 'success');
+    openCustomerKey = intoKey;
+    renderCustomers();
+  }
+
+  function mergeCustomers(fromKey, intoKey){
+    const from = customers[fromKey], into = customers[intoKey];
+    ['address', 'birthday'].forEach(f => { if(!into[f] && from[f]) into[f] = from[f]; });
+    if(from.notes && from.notes !== into.notes) into.notes = [into.notes, from.notes].filter(Boolean).join('\n');
+    into.aliases = [...new Set([...(into.aliases || []), fromKey, ...(from.aliases || [])])];
+    into.distinct = [...new Set([...(into.distinct || []), ...(from.distinct || [])])].filter(k => k !== intoKey);
+    if(from.since && (!into.since || from.since < into.since)) into.since = from.since;
+    // Measurement histories move across; where both have a garment, the newer set
+    // becomes the current version so old order snapshots keep their numbers.
+    Object.entries(measurements[fromKey] || {}).forEach(([g, hist]) => {
+      if(!hist.length) return;
+      const target = (measurements[intoKey] || (measurements[intoKey] = {}))[g];
+      if(!target || !target.length){ measurements[intoKey][g] = hist; return; }
+      const theirs = hist[hist.length - 1], ours = target[target.length - 1];
+      if(new Date(theirs.date) > new Date(ours.date) && !sameMeasurements(theirs.values, ours.values)){
+        target.push({ v: ours.v + 1, date: theirs.date, values: {...theirs.values}, note: `Merged from ${from.mobile}` });
+      }
+    });
+    delete measurements[fromKey];
+    delete customers[fromKey];
+    Object.values(customers).forEach(c => {
+      if(c.distinct) c.distinct = c.distinct.map(k => k === fromKey ? intoKey : k).filter((k, i, a) => a.indexOf(k) === i);
+    });
+  }
+
+  $('#cust-search').addEventListener('input', e => { customersFilter = e.target.value; renderCustomers(); });
+
   // ---------- dues ----------
-  function renderDues(){
-    const tbody = $('#dues-tbody');
-    tbody.innerHTML = '';
-    let list = orders
+  // Shared with the balance-due reminder audience so both lists always agree.
+  function duesList(){
+    return orders
       .map(o => ({ o, ...calcOrderTotals(o) }))
       .filter(x => x.balance > 0 || x.o.status === 'customer_due')
       .sort((a,b) => orderDeliveryDate(a.o) - orderDeliveryDate(b.o));
+  }
+  function renderDues(){
+    const tbody = $('#dues-tbody');
+    tbody.innerHTML = '';
+    const list = duesList();
 
     if(!list.length){
       $('#dues-empty').style.display = 'block';
       return;
     }
     $('#dues-empty').style.display = 'none';
-    list.forEach(({o, balance}) => {
+    list.forEach(({o, grandTotal, paid, balance}) => {
       const overdue = isOverdue(o);
+      const last = lastPayment(o);
       const tr = document.createElement('tr');
       tr.innerHTML = `
         <td class="id-mono">#${String(o.id).padStart(4,'0')}</td>
         <td>${esc(o.name)}</td>
         <td>${esc(o.mobile)}</td>
         <td class="${overdue ? 'overdue' : ''}">${fmtDate(orderDeliveryDate(o))}</td>
+        <td>${money(grandTotal)}</td>
+        <td>${money(paid)}</td>
         <td class="balance-due">${money(balance)}</td>
+        <td>${last ? `${fmtDate(last.date)} · ${esc(paymentModeLabel(last.mode))}` : '—'}</td>
         <td><span class="status-pill ${statusClass(o.status)}">${statusLabel(o.status)}</span></td>
         <td class="row-actions" style="white-space:nowrap; display:flex; gap:6px;">
           <button class="btn btn-ghost" data-bill="${o.id}" aria-label="View bill for order #${String(o.id).padStart(4,'0')}" title="View bill">${iconHtml('bill')}Bill</button>
+          ${balance > 0 ? `<button class="btn btn-ghost btn-paid" data-paid="${o.id}" aria-label="Record a payment for order #${String(o.id).padStart(4,'0')}" title="Record payment">${iconHtml('check')}Payment</button>` : ''}
         </td>
       `;
       tbody.appendChild(tr);
     });
+    tbody.querySelectorAll('[data-paid]').forEach(btn=>{
+      btn.addEventListener('click', async ()=>{
+        const order = orders.find(o=>o.id===Number(btn.dataset.paid));
+        if(order && await recordPaymentFor(order)) renderDues();
+      });
+    });
     tbody.querySelectorAll('[data-bill]').forEach(btn=>{
       btn.addEventListener('click', ()=>{
         $$('#nav button').forEach(b=>b.classList.remove('active'));
@@ -698,63 +3408,1034 @@
     });
   }
 
+  // ---------- WhatsApp reminders ----------
+  // WhatsApp has no way to send silently from a web page, so the queue opens one
+  // prefilled chat at a time and the counter presses Send inside WhatsApp.
+  let reminderType = 'ready';
+  let reminderAudience = [];
+  let reminderQueue = [];
+  let reminderQueueIndex = 0;
+
+  // Indian 10-digit mobiles get the 91 country code; anything else is used as typed.
+  function waNumber(mobile){
+    const digits = String(mobile || '').replace(/\D/g,'');
+    return digits.length === 10 ? '91' + digits : digits;
+  }
+  function waLink(mobile, message){
+    const num = waNumber(mobile);
+    return num
+      ? `https://wa.me/${num}?text=${encodeURIComponent(message)}`
+      : `https://wa.me/?text=${encodeURIComponent(message)}`;
+  }
+  function renderTemplate(tpl, data){
+    return String(tpl || '').replace(/\{(\w+)\}/g, (m, key) => data[key] ?? '');
+  }
+  function reminderTypeLabel(key){
+    const t = REMINDER_TYPES.find(x => x.key === key);
+    return t ? t.label : key;
+  }
+  function reminderMessage(type, o){
+    const { balance } = calcOrderTotals(o);
+    return renderTemplate(templates[type], {
+      name: o.name || '',
+      order_no: String(o.id).padStart(4,'0'),
+      shop_name: shop.name || '',
+      shop_phone: shop.phone || '',
+      balance: money(balance),
+      delivery_date: fmtDate(orderDeliveryDate(o)),
+      fitting_time: nextFitting(o) ? fmtFitting(nextFitting(o)) : ''
+    });
+  }
+  function lastReminder(orderId, type){
+    return [...reminderLog].reverse().find(r => r.orderId === orderId && r.type === type && r.result === 'sent') || null;
+  }
+
+  // Who belongs in each audience. `pick` decides the default tick — people not yet
+  // told about this particular event — so re-opening the view doesn't re-send.
+  function buildReminderAudience(type){
+    const today = dateKey(new Date());
+    const withMobile = o => mobileKey(o.mobile).length >= 10;
+    let list = [];
+    if(type === 'ready'){
+      list = orders.filter(o => o.status === 'ready' && withMobile(o)).map(o => {
+        const reached = statusReachedAt(o, 'ready');
+        const since = reached ? reached.at : o.date;
+        const last = lastReminder(o.id, type);
+        return { o, since, pick: !last || last.at < since,
+          detail: `Ready since ${fmtDate(since)}${dateKey(since) === today ? ' (today)' : ''}` };
+      }).sort((a,b) => String(b.since).localeCompare(String(a.since)));
+    } else if(type === 'balance_due'){
+      list = duesList().filter(x => x.balance > 0 && withMobile(x.o)).map(({o, balance}) => {
+        const overdue = isOverdue(o) || o.status === 'delivered' || o.status === 'customer_due';
+        const last = lastReminder(o.id, type);
+        return { o, pick: overdue && (!last || dateKey(last.at) !== today),
+          detail: `${money(balance)} due · delivery ${fmtDate(orderDeliveryDate(o))}${overdue ? ' · overdue' : ''}` };
+      });
+    } else if(type === 'delivery_tomorrow'){
+      const tomorrow = dateKey(addDays(new Date(), 1));
+      list = orders.filter(o => o.status !== 'delivered' && deliveryKey(o) === tomorrow && withMobile(o)).map(o => {
+        const last = lastReminder(o.id, type);
+        return { o, pick: !last || dateKey(last.at) !== today, detail: `${statusLabel(o.status)} · ${money(calcOrderTotals(o).balance)} balance` };
+      });
+    } else if(type === 'fitting'){
+      const tomorrow = dateKey(addDays(new Date(), 1));
+      list = orders.filter(withMobile).map(o => ({ o, f: nextFitting(o) }))
+        .filter(x => x.f && (fittingDay(x.f) === today || fittingDay(x.f) === tomorrow))
+        .sort((a,b) => a.f.at.localeCompare(b.f.at))
+        .map(({o, f}) => {
+          const last = lastReminder(o.id, type);
+          return { o, pick: !last || dateKey(last.at) !== today,
+            detail: `Fitting ${fittingDay(f) === today ? 'today' : 'tomorrow'} at ${fmtClock(fittingTime(f))}` };
+        });
+    }
+    return list.map(x => {
+      const last = lastReminder(x.o.id, type);
+      return { ...x, last, message: reminderMessage(type, x.o) };
+    });
+  }
+
+  function renderReminders(){
+    $$('#remind-type-row .filter-chip').forEach(b => b.classList.toggle('active', b.dataset.remindType === reminderType));
+    reminderAudience = buildReminderAudience(reminderType);
+    const tbody = $('#remind-tbody');
+    tbody.innerHTML = reminderAudience.map((r, i) => `
+      <tr>
+        <td><input type="checkbox" class="remind-check" data-idx="${i}" ${r.pick ? 'checked' : ''} aria-label="Include ${esc(r.o.name)}"></td>
+        <td class="id-mono">#${String(r.o.id).padStart(4,'0')}</td>
+        <td>${esc(r.o.name)}<br><span style="color:#6b6255; font-size:.8rem;">${esc(r.o.mobile)}</span></td>
+        <td>${esc(r.detail)}</td>
+        <td>${r.last ? `${fmtDate(r.last.at)}${r.last.by ? ` · ${esc(r.last.by)}` : ''}` : '—'}</td>
+      </tr>
+    `).join('');
+    $('#remind-empty').style.display = reminderAudience.length ? 'none' : 'block';
+    $('#remind-select-all').checked = reminderAudience.length > 0 && reminderAudience.every(r => r.pick);
+    tbody.querySelectorAll('.remind-check').forEach(cb => cb.addEventListener('change', updateReminderPreview));
+    updateReminderPreview();
+    renderTemplatesForm();
+    renderReminderLog();
+  }
+  function selectedReminders(){
+    return [...$$('#remind-tbody .remind-check')].filter(cb => cb.checked).map(cb => reminderAudience[Number(cb.dataset.idx)]);
+  }
+  function updateReminderPreview(){
+    const first = selectedReminders()[0];
+    $('#remind-preview').textContent = first ? first.message : 'No recipients selected.';
+    $('#remind-count').textContent = `${selectedReminders().length} of ${reminderAudience.length} selected`;
+  }
+
+  function renderReminderQueueItem(){
+    const panel = $('#remind-send-panel');
+    panel.style.display = reminderQueue.length ? 'block' : 'none';
+    if(!reminderQueue.length) return;
+    const done = reminderQueueIndex >= reminderQueue.length;
+    $('#remind-open-btn').disabled = done;
+    $('#remind-sent-btn').disabled = done;
+    $('#remind-skip-btn').disabled = done;
+    if(done){
+      $('#remind-progress').textContent = `All done — ${reminderQueue.length} recipient(s) worked through.`;
+      $('#remind-current').innerHTML = `<div class="empty" style="padding:10px;">No more recipients in this batch.</div>`;
+      return;
+    }
+    const r = reminderQueue[reminderQueueIndex];
+    $('#remind-progress').textContent = `Recipient ${reminderQueueIndex + 1} of ${reminderQueue.length}`;
+    $('#remind-current').innerHTML = `
+      <div style="font-weight:600;">#${String(r.o.id).padStart(4,'0')} — ${esc(r.o.name)} · ${esc(r.o.mobile)}</div>
+      <div style="white-space:pre-wrap; font-size:.86rem; color:#4d4638; margin-top:6px;">${esc(r.message)}</div>
+    `;
+  }
+  async function logReminder(r, result){
+    reminderLog.push({ orderId: r.o.id, name: r.o.name, mobile: r.o.mobile, type: reminderType, result, at: new Date().toISOString(), by: currentActor() });
+    await saveReminderLog();
+  }
+  async function advanceReminderQueue(result){
+    if(reminderQueueIndex >= reminderQueue.length) return;
+    await logReminder(reminderQueue[reminderQueueIndex], result);
+    reminderQueueIndex++;
+    renderReminderQueueItem();
+    renderReminderLog();
+    if(reminderQueueIndex >= reminderQueue.length){
+      toast('Reminder batch complete.', 'success');
+      renderReminders();
+    }
+  }
+
+  function renderReminderLog(){
+    const filter = $('#remind-log-filter').value;
+    const entries = reminderLog.filter(r => !filter || r.type === filter).slice(-100).reverse();
+    $('#remind-log').innerHTML = entries.length ? entries.map(r => `
+      <li>
+        <span>#${String(r.orderId).padStart(4,'0')} — ${esc(r.name)} · ${esc(reminderTypeLabel(r.type))}${r.by ? ` · by ${esc(r.by)}` : ''}</span>
+        <span style="white-space:nowrap;">${new Date(r.at).toLocaleString(localeTag(), { day:'2-digit', month:'short', hour:'2-digit', minute:'2-digit' })} · ${r.result === 'sent' ? 'Sent' : 'Skipped'}</span>
+      </li>
+    `).join('') : `<li style="border-bottom:none; color:#948a7b;">No reminders sent yet.</li>`;
+  }
+
+  function renderTemplatesForm(){
+    REMINDER_TYPES.forEach(t => { $('#tpl-' + t.key).value = templates[t.key] || ''; });
+  }
+
+  $$('#remind-type-row .filter-chip').forEach(btn => btn.addEventListener('click', ()=>{
+    if(reminderQueueIndex < reminderQueue.length){ toast('Finish or stop the current batch first.', 'error'); return; }
+    reminderType = btn.dataset.remindType;
+    reminderQueue = [];
+    renderReminderQueueItem();
+    renderReminders();
+  }));
+  $('#remind-select-all').addEventListener('change', ()=>{
+    const on = $('#remind-select-all').checked;
+    $$('#remind-tbody .remind-check').forEach(cb => { cb.checked = on; });
+    updateReminderPreview();
+  });
+  $('#remind-start-btn').addEventListener('click', ()=>{
+    const picked = selectedReminders();
+    if(!picked.length){ toast('Select at least one customer.', 'error'); return; }
+    reminderQueue = picked;
+    reminderQueueIndex = 0;
+    renderReminderQueueItem();
+    $('#remind-send-panel').scrollIntoView({ behavior:'smooth', block:'start' });
+  });
+  $('#remind-open-btn').addEventListener('click', ()=>{
+    const r = reminderQueue[reminderQueueIndex];
+    if(r) window.open(waLink(r.o.mobile, r.message), '_blank', 'noopener');
+  });
+  $('#remind-sent-btn').addEventListener('click', ()=> advanceReminderQueue('sent'));
+  $('#remind-skip-btn').addEventListener('click', ()=> advanceReminderQueue('skipped'));
+  $('#remind-stop-btn').addEventListener('click', ()=>{
+    reminderQueue = [];
+    reminderQueueIndex = 0;
+    renderReminderQueueItem();
+    renderReminders();
+  });
+  $('#remind-log-filter').addEventListener('change', renderReminderLog);
+  $('#templates-form').addEventListener('submit', async e=>{
+    e.preventDefault();
+    if(!await authorize('settings.edit', 'change message templates')) return;
+    REMINDER_TYPES.forEach(t => { templates[t.key] = $('#tpl-' + t.key).value.trim() || DEFAULT_TEMPLATES[t.key]; });
+    await saveTemplates();
+    await logActivity('edit', 'Message templates');
+    toast('Message templates saved.', 'success');
+    renderReminders();
+  });
+  $('#templates-reset-btn').addEventListener('click', async ()=>{
+    if(!await authorize('settings.edit', 'reset message templates')) return;
+    const ok = await customConfirm('Reset templates', 'Put all the reminder messages back to the original wording?', 'Reset', false);
+    if(!ok) return;
+    templates = {...DEFAULT_TEMPLATES};
+    await saveTemplates();
+    await logActivity('edit', 'Message templates', 'Reset to defaults');
+    toast('Message templates reset.', 'success');
+    renderReminders();
+  });
+
+  // ---------- trial fittings ----------
+  // Fittings live on the order, so they sync and back up with it. Slots are cut from the
+  // shop's opening and closing time; shop.hours stays free text for the bill, but the
+  // breaks and weekly holidays written there ("Lunch 2:00–4:00 · Sunday holiday") are
+  // kept free of bookings.
+  const WEEKDAY_NAMES = ['sun','mon','tue','wed','thu','fri','sat'];
+
+  function fittingStatusLabel(key){
+    const s = FITTING_STATUSES.find(x => x.key === key);
+    return s ? s.label : key;
+  }
+  function clockMinutes(hhmm){
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || ''));
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+  }
+  function clockText(mins){
+    return `${String(Math.floor(mins / 60)).padStart(2,'0')}:${String(mins % 60).padStart(2,'0')}`;
+  }
+  // 17:30 → 5:30 PM
+  function fmtClock(hhmm){
+    const mins = clockMinutes(hhmm);
+    if(mins == null) return '';
+    const h = Math.floor(mins / 60);
+    return localDigits(`${h % 12 || 12}:${String(mins % 60).padStart(2,'0')} ${h < 12 ? 'AM' : 'PM'}`);
+  }
+  function shopOpenMinutes(){ return clockMinutes(shop.openTime) ?? clockMinutes(DEFAULT_SHOP.openTime); }
+  function shopCloseMinutes(){ return clockMinutes(shop.closeTime) ?? clockMinutes(DEFAULT_SHOP.closeTime); }
+  function fittingStep(){ return Math.max(10, Number(shop.fittingMinutes) || DEFAULT_SHOP.fittingMinutes); }
+  function hoursSegments(){
+    return String(shop.hours || '').split(/[·•,;|\n]/).map(x => x.trim()).filter(Boolean);
+  }
+
+  // Time ranges in a part of the note that mentions a break. Notes rarely say AM/PM,
+  // so an hour earlier than opening time is read as afternoon (2:00 → 14:00).
+  function shopBreaks(){
+    const open = shopOpenMinutes();
+    const minutes = (h, mm, ampm) => {
+      h = Number(h);
+      if(ampm) h = h % 12 + (ampm.toLowerCase() === 'pm' ? 12 : 0);
+      else if(h < 12 && h * 60 < open) h += 12;
+      return h * 60 + Number(mm || 0);
+    };
+    const range = /(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:–|—|-|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/gi;
+    return hoursSegments().filter(seg => /lunch|break|closed|prayer/i.test(seg)).flatMap(seg =>
+      [...seg.matchAll(range)]
+        .map(r => ({ from: minutes(r[1], r[2], r[3]), to: minutes(r[4], r[5], r[6]) }))
+        .filter(b => b.to > b.from)
+    );
+  }
+  function hoursClosedDays(){
+    return hoursSegments().filter(seg => /holiday|closed|\boff\b/i.test(seg)).flatMap(seg =>
+      [...seg.matchAll(/\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*/gi)].map(r => WEEKDAY_NAMES.indexOf(r[1].toLowerCase()))
+    );
+  }
+  function isShopClosed(d){
+    return isClosedDay(d) || hoursClosedDays().includes(new Date(d).getDay());
+  }
+
+  // `at` is a local 'YYYY-MM-DDTHH:MM', so the day and time read straight off the string.
+  function orderFittings(o){ return Array.isArray(o.fittings) ? o.fittings : []; }
+  function fittingDay(f){ return f.at.slice(0, 10); }
+  function fittingTime(f){ return f.at.slice(11, 16); }
+  function fmtFitting(f){ return `${fmtDate(f.at)} ${fmtClock(fittingTime(f))}`; }
+  function nextFitting(o){
+    const today = dateKey(new Date());
+    return orderFittings(o)
+      .filter(f => f.status === 'booked' && fittingDay(f) >= today)
+      .sort((a,b) => a.at.localeCompare(b.at))[0] || null;
+  }
+  function fittingsOn(day){
+    return orders
+      .flatMap(o => orderFittings(o).filter(f => f.status !== 'cancelled' && fittingDay(f) === day).map(f => ({ o, f })))
+      .sort((a,b) => a.f.at.localeCompare(b.f.at));
+  }
+
+  // One fitting per slot — the shop has a single trial room. Past slots today are dropped.
+  function fittingSlots(day, skipId){
+    if(!day || isShopClosed(day + 'T00:00')) return [];
+    const step = fittingStep();
+    const close = shopCloseMinutes();
+    const breaks = shopBreaks();
+    const taken = new Set(fittingsOn(day).filter(x => x.f.status === 'booked' && x.f.id !== skipId).map(x => fittingTime(x.f)));
+    const now = new Date();
+    const nowMins = day === dateKey(now) ? now.getHours() * 60 + now.getMinutes() : -1;
+    const slots = [];
+    for(let t = shopOpenMinutes(); t + step <= close; t += step){
+      if(t <= nowMins || breaks.some(b => t < b.to && t + step > b.from)) continue;
+      slots.push({ time: clockText(t), taken: taken.has(clockText(t)) });
+    }
+    return slots;
+  }
+  function firstFittingDay(){
+    for(let i = 0; i < 60; i++){
+      const day = dateKey(addDays(new Date(), i));
+      if(fittingSlots(day).some(s => !s.taken)) return day;
+    }
+    return dateKey(new Date());
+  }
+  function fillFittingSlots(select, day, skipId, selected){
+    const slots = fittingSlots(day, skipId);
+    const free = slots.filter(s => !s.taken);
+    const pick = free.some(s => s.time === selected) ? selected : (free[0] ? free[0].time : '');
+    select.innerHTML = slots.length
+      ? slots.map(s => `<option value="${s.time}" ${s.taken ? 'disabled' : ''} ${s.time === pick ? 'selected' : ''}>${fmtClock(s.time)}${s.taken ? ' — booked' : ''}</option>`).join('')
+      : `<option value="">${isShopClosed(day + 'T00:00') ? 'Shop closed on this day' : 'No time left on this day'}</option>`;
+  }
+
+  async function bookFitting(order, existing){
+    const ref = String(order.id).padStart(4,'0');
+    const day = existing ? fittingDay(existing) : firstFittingDay();
+    const pending = showFormModal({
+      title: existing ? `Move fitting — #${ref}` : `Book fitting — #${ref}`,
+      message: `${order.name} · delivery ${fmtDate(orderDeliveryDate(order))}${shop.hours ? ` · ${shop.hours}` : ''}`,
+      fields: [
+        { id:'day', label:'Date', type:'date', value: day, attrs:`min="${dateKey(new Date())}"` },
+        { id:'time', label:'Time', type:'select', options: [] }
+      ],
+      confirmLabel: existing ? 'Move' : 'Book'
+    });
+    const dayInput = $('#modal-f-day');
+    const timeSelect = $('#modal-f-time');
+    fillFittingSlots(timeSelect, day, existing && existing.id, existing && fittingTime(existing));
+    dayInput.addEventListener('change', ()=> fillFittingSlots(timeSelect, dayInput.value, existing && existing.id, timeSelect.value));
+    const res = await pending;
+    if(!res) return false;
+    const slot = fittingSlots(res.day, existing && existing.id).find(s => s.time === res.time);
+    if(!slot || slot.taken){ toast('Pick a free time slot.', 'error'); return false; }
+    const at = `${res.day}T${res.time}`;
+    if(existing){
+      existing.at = at;
+    } else {
+      const fittings = orderFittings(order);
+      order.fittings = [...fittings, {
+        id: fittings.reduce((m, f) => Math.max(m, f.id), 0) + 1,
+        at, status:'booked', notes:'', by: currentActor(), bookedAt: new Date().toISOString()
+      }];
+    }
+    await saveOrders();
+    await logActivity('edit', orderRef(order), `${existing ? 'Fitting moved to' : 'Fitting booked for'} ${fmtDate(at)} ${fmtClock(res.time)}`);
+    toast(tr('Fitting on {date} at {time}.', { date: fmtDate(at), time: fmtClock(res.time) }), 'success');
+    if(mobileKey(order.mobile).length >= 10 &&
+       await customConfirm('Tell the customer', `Send ${order.name} the fitting time on WhatsApp?`, 'Open WhatsApp', false)){
+      await sendFittingReminder(order);
+    }
+    return true;
+  }
+
+  // Goes out through the same wa.me link and reminder log as the reminder queue.
+  async function sendFittingReminder(order){
+    window.open(waLink(order.mobile, reminderMessage('fitting', order)), '_blank', 'noopener');
+    reminderLog.push({ orderId: order.id, name: order.name, mobile: order.mobile, type:'fitting', result:'sent', at: new Date().toISOString(), by: currentActor() });
+    await saveReminderLog();
+  }
+
+  // The notes are what the workroom has to change after the trial; they print on the job card.
+  async function completeFitting(order, fitting){
+    const res = await showFormModal({
+      title: `Fitting — #${String(order.id).padStart(4,'0')}`,
+      message: `${order.name} · ${fmtFitting(fitting)}`,
+      fields: [
+        { id:'status', label:'Outcome', type:'select', value: fitting.status === 'booked' ? 'done' : fitting.status,
+          options: [{ value:'done', label:'Fitting done' }, { value:'missed', label:'Customer did not come' }] },
+        { id:'notes', label:'Fitting notes (changes to make)', type:'textarea', value: fitting.notes || '' }
+      ]
+    });
+    if(!res) return false;
+    fitting.status = res.status;
+    fitting.notes = res.notes.trim();
+    fitting.doneAt = new Date().toISOString();
+    fitting.doneBy = currentActor();
+    await saveOrders();
+    await logActivity('edit', orderRef(order), res.status === 'done' ? `Fitting done${fitting.notes ? ` — ${fitting.notes}` : ''}` : 'Fitting missed');
+    toast(res.status === 'done' ? 'Fitting notes saved on the order.' : 'Fitting marked as missed.', 'success');
+    return true;
+  }
+  async function cancelFitting(order, fitting){
+    const ok = await customConfirm('Cancel fitting', `Cancel the fitting on ${fmtFitting(fitting)} for ${order.name}?`, 'Cancel fitting');
+    if(!ok) return false;
+    fitting.status = 'cancelled';
+    await saveOrders();
+    await logActivity('edit', orderRef(order), `Fitting on ${fmtFitting(fitting)} cancelled`);
+    toast('Fitting cancelled.', 'success');
+    return true;
+  }
+  function fittingNotesHtml(order){
+    return orderFittings(order).filter(f => f.status === 'done' || f.status === 'missed' || f === nextFitting(order)).map(f => `
+      <div><span>${fmtFitting(f)} · ${esc(fittingStatusLabel(f.status))}${f.notes ? ` — ${esc(f.notes)}` : ''}</span></div>
+    `).join('');
+  }
+
+  // Bill view panel (never printed): book, move, cancel or complete this order's fittings.
+  function renderBillFittings(order){
+    const list = [...orderFittings(order)].sort((a,b) => a.at.localeCompare(b.at));
+    const box = $('#bill-fittings');
+    box.innerHTML = `
+      <h3 class="dash-section-title">Fittings</h3>
+      <div class="card">
+        ${list.length ? `<ul class="dash-list">${list.map(f => `
+          <li>
+            <span>${fmtFitting(f)} · ${esc(fittingStatusLabel(f.status))}${f.by ? ` · ${esc(f.by)}` : ''}${f.notes ? ` — ${esc(f.notes)}` : ''}</span>
+            <span class="row-actions" style="display:flex; gap:6px;">
+              ${f.status === 'booked' ? `
+                <button type="button" class="btn btn-ghost" data-fit-done="${f.id}">${iconHtml('check')}Done</button>
+                <button type="button" class="btn btn-ghost" data-fit-move="${f.id}">Move</button>
+                <button type="button" class="btn btn-ghost" data-fit-cancel="${f.id}">Cancel</button>` : ''}
+              ${f.status === 'done' || f.status === 'missed' ? `<button type="button" class="btn btn-ghost" data-fit-done="${f.id}">${iconHtml('edit')}Notes</button>` : ''}
+            </span>
+          </li>`).join('')}</ul>` : `<p class="hint" style="margin:0 0 10px;">No fitting booked for this order.</p>`}
+        <button type="button" class="btn btn-teal" id="bill-fit-book-btn">${iconHtml('clock')}Book fitting</button>
+      </div>
+    `;
+    const find = id => orderFittings(order).find(f => f.id === Number(id));
+    const after = done => { if(done) showBill(order.id); };
+    $('#bill-fit-book-btn').addEventListener('click', async ()=> after(await bookFitting(order)));
+    box.querySelectorAll('[data-fit-done]').forEach(b => b.addEventListener('click', async ()=> after(await completeFitting(order, find(b.dataset.fitDone)))));
+    box.querySelectorAll('[data-fit-move]').forEach(b => b.addEventListener('click', async ()=> after(await bookFitting(order, find(b.dataset.fitMove)))));
+    box.querySelectorAll('[data-fit-cancel]').forEach(b => b.addEventListener('click', async ()=> after(await cancelFitting(order, find(b.dataset.fitCancel)))));
+  }
+
   // ---------- bill ----------
+  let billLayout = 'bill';
+  let billOrderId = null;
+
+  function renderBillLayoutRow(){
+    $$('#bill-layout-row .filter-chip').forEach(btn => btn.classList.toggle('active', btn.dataset.layout === billLayout));
+    $('#receipt-width').value = String(settings.receiptWidth || 58);
+  }
+  $$('#bill-layout-row .filter-chip').forEach(btn => {
+    btn.addEventListener('click', ()=>{
+      billLayout = btn.dataset.layout;
+      renderBillLayoutRow();
+      if(billOrderId != null) showBill(billOrderId);
+    });
+  });
+
+  // Workroom copy: items, delivery date and the measurement sets attached to the order.
+  // Falls back to the customer's latest sets on file for orders saved without a snapshot.
+  function jobCardHtml(order){
+    const items = products.filter(p => order.qty && order.qty[p.key] > 0);
+    const garmentKeys = new Set(items.map(garmentForProduct).filter(Boolean));
+    Object.keys(order.measurements || {}).forEach(k => garmentKeys.add(k));
+    const measureBlocks = MEASUREMENT_GARMENTS.filter(g => garmentKeys.has(g.key)).map(g => {
+      const attached = order.measurements && order.measurements[g.key];
+      const set = attached || latestMeasurement(order.mobile, g.key);
+      if(!set) return `<div class="job-measure"><div class="job-measure-title">${esc(g.label)}</div><div>Not measured</div></div>`;
+      return `
+        <div class="job-measure">
+          <div class="job-measure-title">${esc(g.label)} <small>(v${set.v}${attached ? '' : ', latest on file'} · ${MEASUREMENT_UNIT})</small></div>
+          ${g.fields.filter(f => set.values[f.key] != null).map(f => `<div><span>${esc(f.label)}</span><span>${esc(set.values[f.key])}</span></div>`).join('')}
+        </div>
+      `;
+    }).join('');
+    const photos = photosFor(order.id);
+    return `
+      <div class="bill-card job-card">
+        <div class="bill-shop">
+          <div class="bill-name">${esc(shop.name)}</div>
+          <div class="bill-tag">Job card</div>
+          <div class="job-barcode">${barcodeSvg(orderCode(order))}<div class="garment-tag-code">${orderCode(order)}</div></div>
+        </div>
+        <hr class="rule">
+        <div class="bill-meta">
+          <div><span>Order no</span><span>#${String(order.id).padStart(4,'0')}</span></div>
+          <div><span>Order date</span><span>${fmtDate(order.date)}</span></div>
+          <div><span>Delivery date</span><span>${fmtDate(orderDeliveryDate(order))}</span></div>
+          <div><span>Name</span><span>${esc(order.name)}</span></div>
+          <div><span>Mobile</span><span>${esc(order.mobile)}</span></div>
+          ${order.assigned && order.assigned.cutter ? `<div><span>Cutter</span><span>${esc(staffName(order.assigned.cutter))}</span></div>` : ''}
+          ${order.assigned && order.assigned.stitcher ? `<div><span>Stitcher</span><span>${esc(staffName(order.assigned.stitcher))}</span></div>` : ''}
+        </div>
+        <hr class="rule">
+        <div class="bill-items">
+          ${items.length ? items.map(p => `<div><span>${esc(p.label)}</span><span>× ${order.qty[p.key]}</span></div>${orderWorkLines(order).filter(l => l.key === p.key && l.addon).map(l => `<div class="job-addon"><span>+ ${esc(l.addonLabel || l.label)}</span><span>× ${l.qty}</span></div>`).join('')}`).join('') : '<div><span>No stitching items on this order</span></div>'}
+          ${order.express ? `<div><strong>EXPRESS</strong><span>within ${order.express.days} day${order.express.days === 1 ? '' : 's'}</span></div>` : ''}
+        </div>
+        ${measureBlocks ? `<hr class="rule">${measureBlocks}` : ''}
+        ${fittingNotesHtml(order) ? `<hr class="rule"><div class="bill-items"><div><strong>Fittings</strong></div>${fittingNotesHtml(order)}</div>` : ''}
+        ${photos.length ? `<hr class="rule"><div class="job-photos">${photos.map(ph => `
+          <figure>${photoThumbHtml(ph)}<figcaption>${esc(photoKindLabel(ph.kind))}${ph.note ? `: ${esc(ph.note)}` : ''}</figcaption></figure>
+        `).join('')}</div>` : ''}
+        ${order.notes ? `<hr class="rule"><div class="bill-note" style="text-align:left;">Note: ${esc(order.notes)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  // Status timeline shown under the bill (never printed): who moved the order, when, and why.
+  function renderBillTimeline(order){
+    const assigned = order.assigned || {};
+    $('#bill-timeline').innerHTML = `
+      <h3 class="dash-section-title">Order timeline</h3>
+      <div class="card">
+        ${assigned.cutter || assigned.stitcher ? `<p class="hint" style="margin:0 0 10px;">${[
+          assigned.cutter ? `Cutter: ${esc(staffName(assigned.cutter) || 'removed staff')}` : '',
+          assigned.stitcher ? `Stitcher: ${esc(staffName(assigned.stitcher) || 'removed staff')}` : ''
+        ].filter(Boolean).join(' · ')}</p>` : ''}
+        <ul class="timeline">
+          ${statusHistory(order).map(h => `
+            <li>
+              <span class="status-pill ${statusClass(h.status)}">${statusLabel(h.status)}</span>
+              <span>${fmtDate(h.at)} ${new Date(h.at).toLocaleTimeString('en-IN', { hour:'2-digit', minute:'2-digit' })}${h.by ? ` · ${esc(h.by)}` : ''}${h.note ? ` — ${esc(h.note)}` : ''}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  // ---------- garment tags & barcodes ----------
+  // Tags carry the order number as a Code 128 barcode, which USB scanners type straight
+  // into the bill lookup and phone cameras read through the BarcodeDetector API.
+  const CODE128_PATTERNS = [
+    '212222','222122','222221','121223','121322','131222','122213','122312','132212','221213',
+    '221312','231212','112232','122132','122231','113222','123122','123221','223211','221132',
+    '221231','213212','223112','312131','311222','321122','321221','312212','322112','322211',
+    '212123','212321','232121','111323','131123','131321','112313','132113','132311','211313',
+    '231113','231311','112133','112331','132131','113123','113321','133121','313121','211331',
+    '231131','213113','213311','213131','311123','311321','331121','312113','312311','332111',
+    '314111','221411','431111','111224','111422','121124','121421','141122','141221','112214',
+    '112412','122114','122411','142112','142211','241211','221114','413111','241112','134111',
+    '111242','121142','121241','114212','124112','124211','411212','421112','421211','212141',
+    '214121','412121','111143','111341','131141','114113','114311','411113','411311','113141',
+    '114131','311141','411131','211412','211214','211232','2331112'
+  ];
+  const CODE128_START_B = 104;
+  const CODE128_STOP = 106;
+
+  // Code set B covers printable ASCII, which is all an order number needs.
+  function code128Widths(text){
+    const values = [...String(text)].map(ch => ch.charCodeAt(0) - 32).filter(v => v >= 0 && v < 95);
+    const check = values.reduce((s, v, i) => s + v * (i + 1), CODE128_START_B) % 103;
+    return [CODE128_START_B, ...values, check, CODE128_STOP].map(v => CODE128_PATTERNS[v]).join('');
+  }
+  function barcodeSvg(text, height = 40){
+    const widths = code128Widths(text);
+    const quiet = 10;
+    let x = quiet;
+    const bars = [];
+    [...widths].forEach((w, i) => {
+      if(i % 2 === 0) bars.push(`<rect x="${x}" y="0" width="${w}" height="${height}"/>`);
+      x += Number(w);
+    });
+    return `<svg class="barcode" viewBox="0 0 ${x + quiet} ${height}" preserveAspectRatio="none" role="img" aria-label="Barcode ${esc(text)}"><g fill="#000">${bars.join('')}</g></svg>`;
+  }
+  const orderCode = o => String(o.id).padStart(4,'0');
+
+  // One tag per piece, so each blouse in a bundle can be pinned and scanned on its own.
+  function orderTagPieces(order){
+    const pieces = [];
+    products.forEach(p => {
+      const n = Number(order.qty && order.qty[p.key]) || 0;
+      for(let i = 1; i <= n; i++) pieces.push({ label: p.label, n: i, of: n });
+    });
+    return pieces.length ? pieces : [{ label: '', n: 1, of: 1 }];
+  }
+  function tagsHtml(order){
+    const due = fmtDate(orderDeliveryDate(order));
+    return `
+      <div class="bill-card tags-card">
+        <div class="garment-tags">
+          ${orderTagPieces(order).map(t => `
+            <div class="garment-tag">
+              <div class="garment-tag-head"><span>${esc(shop.name)}</span><strong>#${orderCode(order)}</strong></div>
+              ${barcodeSvg(orderCode(order))}
+              <div class="garment-tag-code">${orderCode(order)}</div>
+              ${t.label ? `<div class="garment-tag-item">${esc(t.label)} · ${t.n}/${t.of}</div>` : ''}
+              <div class="garment-tag-meta"><span>${esc(order.name)}</span><span>Due ${due}${order.express ? ' · EXPRESS' : ''}</span></div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  // Camera scan: resolves with the decoded text, or null if cancelled or unsupported.
+  let scanStream = null;
+  function scanOrderCode(){
+    return new Promise(async resolve => {
+      if(!('BarcodeDetector' in window) || !(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)){
+        toast('This browser cannot read barcodes with the camera — use a USB scanner or type the number.', 'info');
+        resolve(null);
+        return;
+      }
+      let detector;
+      try{
+        detector = new window.BarcodeDetector({ formats: ['code_128', 'qr_code'] });
+        scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      }catch(e){
+        toast('Could not open the camera — check the browser permission.', 'error');
+        resolve(null);
+        return;
+      }
+      const overlay = document.createElement('div');
+      overlay.className = 'modal-overlay';
+      overlay.innerHTML = `
+        <div class="modal-box" role="dialog" aria-modal="true" aria-label="Scan garment tag">
+          <h3>Scan garment tag</h3>
+          <p>Hold the tag's barcode in front of the camera.</p>
+          <video class="scan-video" autoplay playsinline muted></video>
+          <div class="modal-actions">
+            <button type="button" class="modal-btn cancel" id="modal-cancel">Cancel</button>
+          </div>
+        </div>
+      `;
+      document.body.appendChild(overlay);
+      const video = overlay.querySelector('video');
+      video.srcObject = scanStream;
+      let done = false;
+      const finish = value => {
+        if(done) return;
+        done = true;
+        scanStream.getTracks().forEach(t => t.stop());
+        scanStream = null;
+        overlay.remove();
+        resolve(value);
+      };
+      overlay.querySelector('#modal-cancel').addEventListener('click', ()=> finish(null));
+      overlay.addEventListener('keydown', e => { if(e.key === 'Escape') finish(null); });
+      const tick = async () => {
+        if(done) return;
+        try{
+          const codes = video.readyState >= 2 ? await detector.detect(video) : [];
+          if(codes.length){ finish(codes[0].rawValue); return; }
+        }catch(e){ /* frame not ready yet */ }
+        setTimeout(tick, 250);
+      };
+      tick();
+    });
+  }
+  $('#bill-scan-btn').addEventListener('click', async ()=>{
+    const code = await scanOrderCode();
+    if(code === null) return;
+    $('#bill-lookup').value = code;
+    $('#bill-find-btn').click();
+  });
+
+  // ---------- GST tax invoice ----------
+  const WORDS_ONES = ['','One','Two','Three','Four','Five','Six','Seven','Eight','Nine','Ten','Eleven','Twelve','Thirteen','Fourteen','Fifteen','Sixteen','Seventeen','Eighteen','Nineteen'];
+  const WORDS_TENS = ['','','Twenty','Thirty','Forty','Fifty','Sixty','Seventy','Eighty','Ninety'];
+
+  function wordsBelowHundred(n){
+    return n < 20 ? WORDS_ONES[n] : [WORDS_TENS[Math.floor(n/10)], WORDS_ONES[n%10]].filter(Boolean).join(' ');
+  }
+  // Indian grouping: crore, lakh, thousand, hundred.
+  function numberToWordsIN(n){
+    n = Math.floor(Math.abs(Number(n) || 0));
+    if(!n) return 'Zero';
+    const parts = [];
+    const crore = Math.floor(n / 1e7), lakh = Math.floor(n / 1e5) % 100, thousand = Math.floor(n / 1000) % 100;
+    const hundred = Math.floor(n / 100) % 10, rest = n % 100;
+    if(crore) parts.push(numberToWordsIN(crore) + ' Crore');
+    if(lakh) parts.push(wordsBelowHundred(lakh) + ' Lakh');
+    if(thousand) parts.push(wordsBelowHundred(thousand) + ' Thousand');
+    if(hundred) parts.push(WORDS_ONES[hundred] + ' Hundred');
+    if(rest) parts.push((parts.length ? 'and ' : '') + wordsBelowHundred(rest));
+    return parts.join(' ');
+  }
+  function amountInWords(amount, lang = activeLang()){
+    const rupees = Math.floor(Math.abs(Number(amount) || 0));
+    const paise = Math.round((Math.abs(Number(amount) || 0) - rupees) * 100);
+    const words = AMOUNT_WORDS[lang];
+    if(words) return words.amount(numberToWordsLang(rupees, words), paise ? numberToWordsLang(paise, words) : '');
+    return `Rupees ${numberToWordsIN(rupees)}${paise ? ` and ${numberToWordsIN(paise)} Paise` : ''} Only`;
+  }
+
+  function gstStateByCode(code){ return GST_STATES.find(st => st.code === code) || null; }
+  // The shop's GSTIN wins over the address state code when both are set.
+  function shopStateCode(){
+    if(GSTIN_REGEX.test(tax.gstin || '')) return tax.gstin.slice(0,2);
+    const st = GST_STATES.find(x => x.abbr === String(shop.addrStateCode || '').toUpperCase());
+    return st ? st.code : '';
+  }
+  function orderPlaceOfSupply(o){
+    if(issuedInvoice(o)) return o.invoice.pos;
+    if(o.placeOfSupply) return o.placeOfSupply;
+    if(GSTIN_REGEX.test(o.customerGstin || '')) return o.customerGstin.slice(0,2);
+    return shopStateCode();
+  }
+  function financialYear(d){
+    d = new Date(d);
+    const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2,'0')}`;
+  }
+
+  // Everything printed on the invoice, copied onto it when the number is given, so a later
+  // price, charge or GST-rate change never rewrites a bill that was already handed over.
+  function invoiceFigures(o){
+    const { subtotal, discount, pretax, taxAmount, grandTotal } = calcOrderTotals(o);
+    return {
+      rate: Number(tax.rate) || 0, taxed: !!(tax.enabled && o.applyTax),
+      pos: orderPlaceOfSupply(o), shopState: shopStateCode(),
+      work: orderWorkLines(o), charges: orderChargeLines(o), lines: invoiceLines(o),
+      subtotal, discount, pretax, taxAmount, grandTotal, split: invoiceTaxSplit(o)
+    };
+  }
+
+  // GST wants every series consecutive, so each counter keeps its own: the first counter the
+  // plain one (INV/2025-26/0001), the others one lettered by their slot (INV/B/2025-26/0001).
+  function invoiceSeriesCode(){
+    return device.slot > 1 ? String.fromCharCode(64 + device.slot) : '';
+  }
+  // Assigns the next number in this counter's series for the current financial year. Numbers
+  // are never reused, even when the order that carried one is later deleted. Other counters'
+  // orders are synced first so a series shared after a device swap still can't repeat a number.
+  async function issueInvoice(order){
+    if(order.invoice) return order.invoice;
+    await syncList('orders');
+    order = orders.find(o => o.id === order.id) || order;
+    if(order.invoice) return order.invoice;
+    try{
+      const r = await window.storage.get('invoiceSeries', true);
+      const stored = r ? JSON.parse(r.value) || {} : {};
+      Object.entries(stored).forEach(([fy, n]) => { invoiceSeries[fy] = Math.max(Number(invoiceSeries[fy]) || 0, Number(n) || 0); });
+    }catch(e){}
+    const now = new Date();
+    const fy = financialYear(now);
+    const series = invoiceSeriesCode();
+    const counter = series ? `${series}/${fy}` : fy;
+    const usedInFy = orders.filter(o => o.invoice && o.invoice.fy === fy && (o.invoice.series || '') === series).map(o => o.invoice.seq);
+    const seq = Math.max(invoiceSeries[counter] || 0, ...usedInFy, 0) + 1;
+    const prefix = (tax.invoicePrefix || DEFAULT_TAX.invoicePrefix).replace(/\//g,'');
+    order.invoice = { no: `${prefix}/${series ? `${series}/` : ''}${fy}/${String(seq).padStart(4,'0')}`, fy, series, seq, date: now.toISOString(), ...invoiceFigures(order) };
+    invoiceSeries[counter] = seq;
+    await saveInvoiceSeries();
+    await saveOrders();
+    return order.invoice;
+  }
+
+  // Line-level taxable values: the order discount is spread across lines in proportion to
+  // their amounts, with the last line taking the rounding remainder so lines sum to pretax.
+  function invoiceLines(o){
+    if(issuedInvoice(o)) return o.invoice.lines.map(l => ({...l}));
+    const lines = [
+      ...orderWorkLines(o).map(l => ({ label: l.label, hsn: l.hsn, qty: l.qty, rate: l.rate, gross: l.amount })),
+      ...orderChargeLines(o).map(c => ({ label: c.label, hsn: tax.sac || '', qty: 1, rate: c.amount, gross: c.amount }))
+    ];
+    const { subtotal, pretax } = calcOrderTotals(o);
+    let allotted = 0;
+    lines.forEach((l, i) => {
+      l.taxable = i === lines.length - 1
+        ? Math.round((pretax - allotted) * 100) / 100
+        : Math.round((subtotal ? l.gross * pretax / subtotal : 0) * 100) / 100;
+      allotted += l.taxable;
+    });
+    return lines;
+  }
+  function invoiceTaxSplit(o){
+    if(issuedInvoice(o)) return o.invoice.split;
+    const { taxAmount, taxRate: rate } = calcOrderTotals(o);
+    if(orderPlaceOfSupply(o) && orderPlaceOfSupply(o) !== shopStateCode()){
+      return { interState: true, igst: taxAmount, igstRate: rate };
+    }
+    const cgst = Math.round(taxAmount * 50) / 100;
+    return { interState: false, cgst, sgst: Math.round((taxAmount - cgst) * 100) / 100, halfRate: rate / 2 };
+  }
+
+  function invoiceHtml(order){
+    const { pretax, taxAmount, grandTotal, paid, balance } = calcOrderTotals(order);
+    const inv = issuedInvoice(order);
+    const taxed = inv ? inv.taxed : tax.enabled && order.applyTax;
+    const split = invoiceTaxSplit(order);
+    const pos = gstStateByCode(orderPlaceOfSupply(order));
+    const shopSt = gstStateByCode(inv ? inv.shopState : shopStateCode());
+    const lines = invoiceLines(order);
+    return `
+      <div class="bill-card invoice-card">
+        <div class="bill-shop">
+          <div class="bill-name">${esc(shop.name)}</div>
+          <div class="bill-addr">${esc(fullShopAddress())}</div>
+          <div class="bill-addr">${tax.gstin ? `GSTIN: ${esc(tax.gstin)} · ` : ''}Phone: ${esc(shop.phone)}${shopSt ? ` · State: ${esc(shopSt.name)} (${shopSt.code})` : ''}</div>
+          <div class="invoice-title">${taxed ? 'Tax Invoice' : 'Bill of Supply'}</div>
+        </div>
+        <hr class="rule">
+        <div class="invoice-meta">
+          <div class="bill-meta">
+            <div><span>Invoice no</span><span>${order.invoice ? esc(order.invoice.no) : '— not issued —'}</span></div>
+            <div><span>Invoice date</span><span>${order.invoice ? fmtDate(order.invoice.date) : '—'}</span></div>
+            <div><span>Order no</span><span>#${String(order.id).padStart(4,'0')} · ${fmtDate(order.date)}</span></div>
+          </div>
+          <div class="bill-meta">
+            <div><span>Billed to</span><span>${esc(order.name)}</span></div>
+            <div><span>Mobile</span><span>${esc(order.mobile)}</span></div>
+            ${order.customerGstin ? `<div><span>GSTIN</span><span>${esc(order.customerGstin)}</span></div>` : ''}
+            <div><span>Place of supply</span><span>${pos ? `${esc(pos.name)} (${pos.code})` : '—'}</span></div>
+          </div>
+        </div>
+        ${order.invoice ? '' : `<div class="no-print" style="text-align:center; margin:8px 0;"><button type="button" class="btn btn-primary" id="invoice-issue-btn" aria-label="Issue the next invoice number to this order">Issue invoice number</button></div>`}
+        <hr class="rule">
+        <table class="invoice-table">
+          <thead><tr><th>#</th><th>Description</th><th>HSN/SAC</th><th>Qty</th><th>Rate</th><th>Taxable value</th></tr></thead>
+          <tbody>
+            ${lines.length ? lines.map((l, i) => `
+              <tr><td>${i + 1}</td><td>${esc(l.label)}</td><td>${esc(l.hsn || '—')}</td><td>${l.qty}</td><td>${money(l.rate)}</td><td>${money(l.taxable)}</td></tr>
+            `).join('') : `<tr><td colspan="6">No stitching items on this order</td></tr>`}
+          </tbody>
+        </table>
+        <div class="bill-items">
+          <div><span>Total taxable value</span><span class="item-price">${money(pretax)}</span></div>
+          ${taxed && split.interState ? `<div><span>IGST @ ${split.igstRate}%</span><span class="item-price">${money(split.igst)}</span></div>` : ''}
+          ${taxed && !split.interState ? `
+            <div><span>CGST @ ${split.halfRate}%</span><span class="item-price">${money(split.cgst)}</span></div>
+            <div><span>SGST @ ${split.halfRate}%</span><span class="item-price">${money(split.sgst)}</span></div>` : ''}
+          ${taxed && !taxAmount ? `<div><span>${esc(tax.label || 'GST')}</span><span class="item-price">${money(0)}</span></div>` : ''}
+        </div>
+        <hr class="rule">
+        <div class="bill-total"><span>Invoice total</span><span>${money(grandTotal)}</span></div>
+        <div class="invoice-words">${esc(amountInWords(grandTotal))}</div>
+        ${paid ? `
+          <div class="bill-items">
+            <div><span>Received</span><span class="item-price">${money(paid)}</span></div>
+            <div><span>Balance due</span><span class="item-price">${money(balance)}</span></div>
+          </div>` : ''}
+        ${taxed ? '' : `<div class="bill-note">Tax not charged on this order.</div>`}
+        <div class="bill-note">This is a computer-generated invoice.<br>For ${esc(shop.name)}</div>
+      </div>
+    `;
+  }
+
+  // ---------- thermal receipt ----------
+  // Plain-text receipt laid out for a fixed character width: 32 columns on 58mm paper,
+  // 48 on 80mm. The same lines feed the on-screen preview and the ESC/POS byte stream.
+  const RECEIPT_WIDTHS = { 58: 32, 80: 48 };
+  let receiptSerialPort = null;
+  let receiptUsbDevice = null;
+
+  function receiptCols(){ return RECEIPT_WIDTHS[settings.receiptWidth] || RECEIPT_WIDTHS[58]; }
+  function receiptMoney(n){
+    const sym = (currency.symbol || '₹') === '₹' ? 'Rs.' : currency.symbol;
+    const amt = (Number(n)||0).toLocaleString('en-IN');
+    return currency.position === 'after' ? `${amt} ${sym}` : `${sym}${amt}`;
+  }
+  function wrapText(text, cols){
+    const out = [];
+    String(text || '').split('\n').forEach(para => {
+      let line = '';
+      para.split(/\s+/).filter(Boolean).forEach(word => {
+        while(word.length > cols){ if(line){ out.push(line); line = ''; } out.push(word.slice(0, cols)); word = word.slice(cols); }
+        if(!line) line = word;
+        else if(line.length + 1 + word.length <= cols) line += ' ' + word;
+        else { out.push(line); line = word; }
+      });
+      if(line) out.push(line);
+    });
+    return out;
+  }
+  function centerText(text, cols){
+    return wrapText(text, cols).map(l => ' '.repeat(Math.floor((cols - l.length) / 2)) + l);
+  }
+  // Left label, right-aligned amount; the label wraps above when both don't fit on one line.
+  function leftRight(left, right, cols){
+    const room = cols - right.length - 1;
+    const wrapped = wrapText(left, Math.max(room, 8));
+    const last = wrapped.pop() || '';
+    if(last.length > room) return [...wrapped, last, ' '.repeat(cols - right.length) + right];
+    return [...wrapped, last + ' '.repeat(cols - last.length - right.length) + right];
+  }
+
+  // Returns [{ text, bold }] so the ESC/POS encoder can emphasise the shop name and balance.
+  function receiptLines(order, cols){
+    const { discount, taxAmount, taxRate, grandTotal, paid, balance } = calcOrderTotals(order);
+    const rule = { text: '-'.repeat(cols) };
+    const plain = arr => arr.map(text => ({ text }));
+    const date = d => inLanguage('en', () => fmtDate(d));
+    return [
+      ...centerText(shop.name, cols).map(text => ({ text, bold: true })),
+      ...plain(centerText(shop.tag, cols)),
+      ...plain(centerText(fullShopAddress(), cols)),
+      ...plain(centerText(`Ph: ${shop.phone}`, cols)),
+      ...(tax.gstin ? plain(centerText(`GSTIN: ${tax.gstin}`, cols)) : []),
+      rule,
+      ...plain(leftRight(`Bill #${String(order.id).padStart(4,'0')}`, date(order.date), cols)),
+      ...plain(wrapText(`Name: ${order.name}`, cols)),
+      ...plain(wrapText(`Mobile: ${order.mobile}`, cols)),
+      rule,
+      ...orderWorkLines(order)
+        .flatMap(l => plain(leftRight(l.express ? l.label : `${l.label} x${l.qty}`, receiptMoney(l.amount), cols))),
+      ...orderChargeLines(order)
+        .flatMap(c => plain(leftRight(c.label, receiptMoney(c.amount), cols))),
+      ...(discount ? plain(leftRight('Discount (-)', receiptMoney(discount), cols)) : []),
+      ...(taxAmount ? plain(leftRight(`${tax.label || 'Tax'} (${taxRate}%)`, receiptMoney(taxAmount), cols)) : []),
+      rule,
+      ...plain(leftRight('Total', receiptMoney(grandTotal), cols)),
+      ...(paid ? plain(leftRight('Paid (-)', receiptMoney(paid), cols)) : []),
+      ...leftRight('BALANCE DUE', receiptMoney(balance), cols).map(text => ({ text, bold: true })),
+      rule,
+      ...plain(leftRight('Delivery date', date(orderDeliveryDate(order)), cols)),
+      ...(order.notes ? plain(wrapText(`Note: ${order.notes}`, cols)) : []),
+      rule,
+      ...plain(centerText(shop.thanks, cols)),
+      ...plain(centerText(shop.liability, cols)),
+      ...plain(centerText(shop.hours, cols)),
+      ...plain(centerText(shop.deliveryNote, cols)),
+    ];
+  }
+
+  function receiptHtml(order){
+    const cols = receiptCols();
+    return `
+      <div class="bill-card receipt-card" data-width="${settings.receiptWidth || 58}" style="max-width:calc(${cols}ch + 40px);">
+        <pre class="receipt-pre">${receiptLines(order, cols).map(l => l.bold ? `<b>${esc(l.text)}</b>` : esc(l.text)).join('\n')}</pre>
+      </div>
+    `;
+  }
+
+  // ESC/POS: initialise, print each line (bold on/off where flagged), feed and partial-cut.
+  // Thermal printers default to an ASCII code page: common punctuation is mapped to its
+  // ASCII look-alike and anything else outside it is dropped.
+  const ESCPOS_ASCII = { '₹':'Rs.', '–':'-', '—':'-', '·':'.', '‘':"'", '’':"'", '“':'"', '”':'"' };
+  function receiptEscPos(order){
+    const bytes = [0x1B, 0x40];
+    receiptLines(order, receiptCols()).forEach(l => {
+      if(l.bold) bytes.push(0x1B, 0x45, 1);
+      for(const ch of l.text.replace(/[₹–—·‘’“”]/g, ch => ESCPOS_ASCII[ch])){
+        const code = ch.charCodeAt(0);
+        if(ch.length === 1 && code >= 0x20 && code < 0x7F) bytes.push(code);
+      }
+      bytes.push(0x0A);
+      if(l.bold) bytes.push(0x1B, 0x45, 0);
+    });
+    bytes.push(0x1B, 0x64, 4, 0x1D, 0x56, 0x42, 0x00);
+    return new Uint8Array(bytes);
+  }
+
+  async function sendToSerialPrinter(data){
+    if(!receiptSerialPort){
+      receiptSerialPort = await navigator.serial.requestPort();
+      await receiptSerialPort.open({ baudRate: Number(settings.receiptBaud) || 9600 });
+    }
+    const writer = receiptSerialPort.writable.getWriter();
+    try{ await writer.write(data); }
+    finally{ writer.releaseLock(); }
+  }
+  async function sendToUsbPrinter(data){
+    if(!receiptUsbDevice){
+      const device = await navigator.usb.requestDevice({ filters: [{ classCode: 7 }] }); // 7 = printer class
+      await device.open();
+      if(device.configuration === null) await device.selectConfiguration(1);
+      const iface = device.configuration.interfaces.find(i => i.alternate.endpoints.some(ep => ep.direction === 'out'));
+      if(!iface) throw new Error('No output endpoint on this USB device.');
+      await device.claimInterface(iface.interfaceNumber);
+      receiptUsbDevice = device;
+    }
+    const iface = receiptUsbDevice.configuration.interfaces.find(i => i.claimed);
+    const endpoint = iface.alternate.endpoints.find(ep => ep.direction === 'out');
+    await receiptUsbDevice.transferOut(endpoint.endpointNumber, data);
+  }
+
   function showBill(id){
+    inLanguage(billLang(), () => renderBill(id));
+  }
+  function renderBill(id){
     const order = orders.find(o => o.id === id || String(o.id).padStart(4,'0') === String(id).padStart(4,'0'));
     const result = $('#bill-result');
+    billOrderId = order ? order.id : null;
+    renderBillLayoutRow();
     if(!order){
       result.innerHTML = `<p class="empty">Order #${esc(id)} not found. Check the number and try again.</p>`;
       $('#bill-print-btn').style.display = 'none';
       $('#bill-download-btn').style.display = 'none';
       $('#bill-whatsapp-btn').style.display = 'none';
       $('#bill-payment-btn').style.display = 'none';
+      $('#bill-record-payment-btn').style.display = 'none';
+      $('#bill-receipt-tools').style.display = 'none';
+      $('#bill-timeline').innerHTML = '';
+      $('#bill-fittings').innerHTML = '';
       return;
     }
-    const lineItems = products
-      .filter(p => order.qty && order.qty[p.key] > 0)
-      .map(p => {
-        const rate = prices[p.key] || 0;
-        const lineTotal = rate * order.qty[p.key];
-        return `<div><span>${esc(p.label)} × ${order.qty[p.key]}</span><span class="item-price">${money(lineTotal)}</span></div>`;
-      }).join('');
-
-    const chargeLines = charges
-      .filter(c => order.charges && Number(order.charges[c.key]) > 0)
-      .map(c => `<div><span>${esc(c.label)}</span><span class="item-price">${money(order.charges[c.key])}</span></div>`)
+    const lineItems = orderWorkLines(order)
+      .map(l => `<div><span>${esc(l.label)}${l.express ? '' : ` × ${l.qty}`}</span><span class="item-price">${money(l.amount)}</span></div>`)
       .join('');
-    const legacyOtherLine = (!order.charges && order.other) ? `<div><span>Other stitching</span><span class="item-price">${money(order.other)}</span></div>` : '';
 
-    const { subtotal, discount, taxAmount, balance } = calcOrderTotals(order);
+    const chargeLines = orderChargeLines(order)
+      .map(c => `<div><span>${esc(c.label)}</span><span class="item-price">${money(c.amount)}</span></div>`)
+      .join('');
+
+    const { subtotal, discount, taxAmount, taxRate, paid, balance } = calcOrderTotals(order);
     const delivery = orderDeliveryDate(order);
+    const ledger = [...orderPayments(order)].sort((a,b)=> new Date(a.date) - new Date(b.date));
+    const followUps = reworkChildren(order.id);
 
-    const waItems = products
-      .filter(p => order.qty && order.qty[p.key] > 0)
-      .map(p => `${p.label} x${order.qty[p.key]} - ${money((prices[p.key]||0) * order.qty[p.key])}`)
+    const waItems = orderWorkLines(order)
+      .map(l => `${l.label}${l.express ? '' : ` x${l.qty}`} - ${money(l.amount)}`)
       .join('\n');
-    const waCharges = charges
-      .filter(c => order.charges && Number(order.charges[c.key]) > 0)
-      .map(c => `${c.label} - ${money(order.charges[c.key])}`)
+    const waCharges = orderChargeLines(order)
+      .map(c => `${c.label} - ${money(c.amount)}`)
       .join('\n');
     const waMessage = [
       `*${shop.name}*`,
-      `Bill #${String(order.id).padStart(4,'0')} | ${fmtDate(order.date)}`,
-      `Name: ${order.name}`,
+      `${tr('Bill')} #${String(order.id).padStart(4,'0')} | ${fmtDate(order.date)}`,
+      `${tr('Name')}: ${order.name}`,
+      order.rework ? `${reworkTypeLabel(order.rework.type)} of #${String(order.rework.parentId).padStart(4,'0')}${order.rework.free ? ' (free of charge)' : ''}` : '',
       '',
-      waItems || 'No stitching items on this order',
+      waItems || tr('No stitching items on this order'),
       waCharges,
-      (!order.charges && order.other) ? `Other stitching - ${money(order.other)}` : '',
-      discount ? `Discount (-) - ${money(discount)}` : '',
-      tax.enabled && taxAmount ? `${tax.label || 'Tax'} (${tax.rate}%) - ${money(taxAmount)}` : '',
-      order.advance ? `Advance (-) - ${money(order.advance)}` : '',
+      discount ? `${tr('Discount (–)')} - ${money(discount)}` : '',
+      taxAmount ? `${tax.label || 'Tax'} (${taxRate}%) - ${money(taxAmount)}` : '',
+      paid ? `${tr('Paid (–)')} - ${money(paid)}` : '',
       order.notes ? `Notes: ${order.notes}` : '',
       '',
-      `*Balance due: ${money(balance)}*`,
-      `Delivery date: ${fmtDate(delivery)}`,
+      `*${tr('Balance due')}: ${money(balance)}*`,
+      `${tr('Delivery date')}: ${fmtDate(delivery)}`,
       '',
       shop.thanks
     ].filter(Boolean).join('\n');
 
-    result.innerHTML = `
+    $('#bill-receipt-tools').style.display = billLayout === 'receipt' ? 'flex' : 'none';
+    result.innerHTML = billLayout === 'jobcard' ? jobCardHtml(order)
+      : billLayout === 'tags' ? tagsHtml(order)
+      : billLayout === 'invoice' ? invoiceHtml(order)
+      : billLayout === 'receipt' ? receiptHtml(order) : `
       <div class="bill-card">
         <div class="bill-shop">
           <span class="bill-phone">${esc(shop.phone)}</span>
@@ -770,18 +4451,40 @@
           <div><span>Name</span><span>${esc(order.name)}</span></div>
           <div><span>Mobile</span><span>${esc(order.mobile)}</span></div>
           <div><span>Delivery date</span><span>${fmtDate(delivery)}</span></div>
+          ${nextFitting(order) ? `<div><span>Trial fitting</span><span>${fmtFitting(nextFitting(order))}</span></div>` : ''}
+          ${order.rework ? `<div><span>${esc(reworkTypeLabel(order.rework.type))} of</span><span>#${String(order.rework.parentId).padStart(4,'0')}${order.rework.free ? ' · free of charge' : ''}</span></div>` : ''}
         </div>
         <hr class="rule">
         <div class="bill-items">
+          ${order.rework && order.rework.reason ? `<div><span>Work: ${esc(order.rework.reason)}</span></div>` : ''}
           ${lineItems || '<div><span>No stitching items on this order</span></div>'}
           ${chargeLines}
-          ${legacyOtherLine}
           ${discount ? `<div><span>Discount (–)</span><span class="item-price">−${money(discount)}</span></div>` : ''}
-          ${tax.enabled && taxAmount ? `<div><span>${esc(tax.label || 'Tax')} (${tax.rate}%)</span><span class="item-price">${money(taxAmount)}</span></div>` : ''}
-          ${order.advance ? `<div><span>Advance (–)</span><span class="item-price">−${money(order.advance)}</span></div>` : ''}
+          ${taxAmount ? `<div><span>${esc(tax.label || 'Tax')} (${taxRate}%)</span><span class="item-price">${money(taxAmount)}</span></div>` : ''}
+          ${paid ? `<div><span>Paid (–)</span><span class="item-price">−${money(paid)}</span></div>` : ''}
         </div>
         <hr class="rule">
         <div class="bill-total"><span>Balance due</span><span>${money(balance)}</span></div>
+        ${ledger.length ? `
+          <div class="bill-payments">
+            <div class="bill-payments-title">Payment history</div>
+            ${ledger.map(p => `
+              <div>
+                <span>${fmtDate(p.date)} · ${esc(paymentModeLabel(p.mode))}${p.ref ? ` · ${esc(p.ref)}` : ''}${p.by ? ` · ${esc(p.by)}` : ''}</span>
+                <span class="item-price">${money(p.amount)}${Array.isArray(order.payments) ? `<button type="button" class="icon-btn icon-danger no-print" data-del-payment="${p.id}" title="Remove payment" aria-label="Remove payment of ${esc(money(p.amount))} from ${fmtDate(p.date)}"><span class="icon" aria-hidden="true">${ICONS.trash}</span></button>` : ''}</span>
+              </div>
+            `).join('')}
+          </div>` : ''}
+        ${followUps.length ? `
+          <div class="bill-payments">
+            <div class="bill-payments-title">Alterations &amp; rework</div>
+            ${followUps.map(c => `
+              <div>
+                <span>#${String(c.id).padStart(4,'0')} · ${esc(reworkTypeLabel(c.rework.type))}${c.rework.reason ? ` · ${esc(c.rework.reason)}` : ''} · due ${fmtDate(orderDeliveryDate(c))} · ${esc(statusLabel(c.status))}</span>
+                <span class="item-price">${c.rework.free ? 'Free' : money(calcOrderTotals(c).grandTotal)}</span>
+              </div>
+            `).join('')}
+          </div>` : ''}
         ${order.notes ? `<div class="bill-note" style="text-align:left;">Note: ${esc(order.notes)}</div>` : ''}
         <div class="bill-thanks">${esc(shop.thanks)}</div>
         <div class="bill-note">
@@ -794,17 +4497,38 @@
     `;
     $('#bill-print-btn').style.display = 'inline-flex';
     $('#bill-download-btn').style.display = 'inline-flex';
+    $('#bill-record-payment-btn').style.display = balance > 0 ? 'inline-flex' : 'none';
+    renderBillTimeline(order);
+    renderBillFittings(order);
+    const issueBtn = result.querySelector('#invoice-issue-btn');
+    if(issueBtn) issueBtn.addEventListener('click', async ()=>{
+      const ok = await customConfirm('Issue invoice', `Give order #${String(order.id).padStart(4,'0')} the next invoice number for FY ${financialYear(new Date())}? Invoice numbers cannot be reused.`, 'Issue', false);
+      if(!ok) return;
+      const inv = await issueInvoice(order);
+      await logActivity('create', `Invoice ${inv.no}`, orderRef(order));
+      toast(tr('Invoice {no} issued.', { no: inv.no }), 'success');
+      showBill(order.id);
+    });
+    result.querySelectorAll('[data-del-payment]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const pid = Number(btn.dataset.delPayment);
+      const entry = order.payments.find(p => p.id === pid);
+      if(!entry) return;
+      if(!await authorize('payments.delete', `remove a payment from order #${String(order.id).padStart(4,'0')}`)) return;
+      const ok = await customConfirm('Remove payment', `Remove the ${money(entry.amount)} payment from ${fmtDate(entry.date)}? The balance will go back up.`, 'Remove');
+      if(!ok) return;
+      order.payments = order.payments.filter(p => p.id !== pid);
+      await saveOrders();
+      await logActivity('delete', `Payment on ${orderRef(order)}`, `${money(entry.amount)} of ${fmtDate(entry.date)}`);
+      toast('Payment removed.', 'success');
+      showBill(order.id);
+    }));
     $('#bill-download-btn').dataset.orderId = String(order.id).padStart(4,'0');
     $('#bill-whatsapp-btn').style.display = 'inline-flex';
     $('#bill-whatsapp-btn').dataset.orderId = String(order.id).padStart(4,'0');
     $('#bill-whatsapp-btn').dataset.mobile = order.mobile || '';
     $('#bill-whatsapp-btn').dataset.message = waMessage;
     // set the href up-front so the anchor works even if JS below can't run for some reason
-    const digitsInit = (order.mobile || '').replace(/\D/g,'');
-    const waNumberInit = digitsInit.length === 10 ? '91' + digitsInit : digitsInit;
-    $('#bill-whatsapp-btn').href = waNumberInit
-      ? `https://wa.me/${waNumberInit}?text=${encodeURIComponent(waMessage)}`
-      : `https://wa.me/?text=${encodeURIComponent(waMessage)}`;
+    $('#bill-whatsapp-btn').href = waLink(order.mobile, waMessage);
 
     // Payment button — only shown when payments are enabled and a link is configured.
     if(payments.enabled && payments.link){
@@ -815,15 +4539,62 @@
     }
   }
 
+  // Accepts what people type ("1", "#0001") and what scanners send ("0001").
   $('#bill-find-btn').addEventListener('click', ()=>{
-    const val = $('#bill-lookup').value.trim();
+    const val = $('#bill-lookup').value.trim().replace(/^#/, '');
     if(!val){ toast('Enter an order number.', 'error'); return; }
     showBill(Number(val));
+    $('#bill-lookup').select(); // the next scan replaces this one
   });
   $('#bill-lookup').addEventListener('keydown', e=>{
     if(e.key === 'Enter'){ e.preventDefault(); $('#bill-find-btn').click(); }
   });
   $('#bill-print-btn').addEventListener('click', ()=> window.print());
+  $('#receipt-width').addEventListener('change', async ()=>{
+    settings.receiptWidth = Number($('#receipt-width').value) === 80 ? 80 : 58;
+    await saveSettings();
+    if(billOrderId != null) showBill(billOrderId);
+  });
+  $('#receipt-escpos-btn').addEventListener('click', ()=>{
+    const order = orders.find(o => o.id === billOrderId);
+    if(!order){ toast('Find a bill first.', 'error'); return; }
+    const blob = new Blob([receiptEscPos(order)], { type:'application/octet-stream' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `receipt-${String(order.id).padStart(4,'0')}.bin`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+    toast('ESC/POS file downloaded.', 'success');
+  });
+  $('#receipt-send-btn').addEventListener('click', async ()=>{
+    const order = orders.find(o => o.id === billOrderId);
+    if(!order){ toast('Find a bill first.', 'error'); return; }
+    const conn = $('#receipt-conn').value;
+    if(conn === 'serial' && !navigator.serial){ toast('This browser cannot reach serial printers — try USB or download the file.', 'error'); return; }
+    if(conn === 'usb' && !navigator.usb){ toast('This browser cannot reach USB printers — try serial or download the file.', 'error'); return; }
+    const btn = $('#receipt-send-btn');
+    btn.disabled = true;
+    try{
+      const data = receiptEscPos(order);
+      if(conn === 'usb') await sendToUsbPrinter(data);
+      else await sendToSerialPrinter(data);
+      toast('Receipt sent to printer.', 'success');
+    }catch(err){
+      if(err && err.name === 'NotFoundError') return; // no device picked
+      if(conn === 'usb') receiptUsbDevice = null; else receiptSerialPort = null;
+      toast('Could not reach the printer — check the cable and try again.', 'error');
+    }finally{
+      btn.disabled = false;
+    }
+  });
+
+  $('#bill-record-payment-btn').addEventListener('click', async ()=>{
+    const order = orders.find(o => o.id === billOrderId);
+    if(!order){ toast('Find a bill first.', 'error'); return; }
+    if(await recordPaymentFor(order)) showBill(order.id);
+  });
 
   $('#bill-whatsapp-btn').addEventListener('click', async (e)=>{
     const card = $('#bill-result .bill-card');
@@ -843,7 +4614,7 @@
     const linkUrl = btn.href;
     btn.classList.add('is-loading');
     try{
-      const canvas = await html2canvas(card, { backgroundColor:'#faf6ec', scale:2 });
+      const canvas = await html2canvas(card, { backgroundColor:'#faf6ec', scale:2, ignoreElements: skipInBillImage });
       const blob = await new Promise(res => canvas.toBlob(res, 'image/png'));
       const file = blob ? new File([blob], `bill-${btn.dataset.orderId || 'order'}.png`, { type:'image/png' }) : null;
       if(file && navigator.canShare({ files:[file] })){
@@ -862,6 +4633,11 @@
     toast('Opened WhatsApp — attach the downloaded bill image if needed.', 'info');
   });
 
+  // Controls marked no-print (payment delete buttons, issue invoice) stay out of the shared image too.
+  function skipInBillImage(el){
+    return el.classList.contains('no-print');
+  }
+
   $('#bill-download-btn').addEventListener('click', async ()=>{
     const card = $('#bill-result .bill-card');
     if(!card){ toast('Find a bill first.', 'error'); return; }
@@ -872,7 +4648,8 @@
     try{
       const canvas = await html2canvas(card, {
         backgroundColor: '#faf6ec',
-        scale: 2
+        scale: 2,
+        ignoreElements: skipInBillImage
       });
       const link = document.createElement('a');
       link.download = `bill-${btn.dataset.orderId || 'order'}.png`;
@@ -887,6 +4664,429 @@
     }
   });
 
+  // ---------- delivery calendar ----------
+  let calendarMode = 'month';
+  let calendarAnchor = new Date(new Date().toDateString());
+  let calendarSelected = '';
+
+  function calendarDays(){
+    if(calendarMode === 'week'){
+      const start = addDays(calendarAnchor, -calendarAnchor.getDay());
+      return Array.from({length:7}, (_, i) => addDays(start, i));
+    }
+    const first = new Date(calendarAnchor.getFullYear(), calendarAnchor.getMonth(), 1);
+    const start = addDays(first, -first.getDay());
+    const last = new Date(calendarAnchor.getFullYear(), calendarAnchor.getMonth() + 1, 0);
+    const weeks = Math.ceil((first.getDay() + last.getDate()) / 7);
+    return Array.from({length: weeks * 7}, (_, i) => addDays(start, i));
+  }
+
+  function renderCalendar(){
+    $$('#cal-mode-row .filter-chip').forEach(b => b.classList.toggle('active', b.dataset.calMode === calendarMode));
+    const days = calendarDays();
+    $('#cal-title').textContent = calendarMode === 'week'
+      ? `${fmtDate(days[0])} – ${fmtDate(days[6])}`
+      : calendarAnchor.toLocaleString(localeTag(), { month:'long', year:'numeric' });
+    const todayKey = dateKey(new Date());
+    $('#cal-grid').className = 'cal-grid' + (calendarMode === 'week' ? ' cal-week' : '');
+    $('#cal-grid').innerHTML = WEEKDAY_LABELS.map(d => `<div class="cal-dow">${d}</div>`).join('') + days.map(d => {
+      const key = dateKey(d);
+      const due = orders.filter(o => deliveryKey(o) === key);
+      const load = dayLoad(key, null);
+      const over = capacity.perDay && load.total > capacity.perDay
+        || products.some(p => capacity.perProduct && capacity.perProduct[p.key] && (load.byProduct[p.key] || 0) > capacity.perProduct[p.key]);
+      const perProduct = products.filter(p => load.byProduct[p.key]).map(p => `<div class="cal-prod"><span>${esc(p.label)}</span><span>${load.byProduct[p.key]}</span></div>`).join('');
+      const classes = ['cal-day',
+        calendarMode === 'month' && d.getMonth() !== calendarAnchor.getMonth() ? 'cal-other' : '',
+        key === todayKey ? 'cal-today' : '',
+        isClosedDay(d) ? 'cal-closed' : '',
+        over ? 'cal-over' : '',
+        key === calendarSelected ? 'cal-selected' : ''].filter(Boolean).join(' ');
+      return `
+        <button type="button" class="${classes}" data-cal-day="${key}" aria-label="${fmtDate(d)}: ${due.length} order${due.length === 1 ? '' : 's'} due">
+          <span class="cal-num">${d.getDate()}</span>
+          ${due.length ? `<span class="cal-count">${due.length} order${due.length === 1 ? '' : 's'} · ${load.total}${capacity.perDay ? `/${capacity.perDay}` : ''} pcs</span>` : ''}
+          ${perProduct}
+        </button>
+      `;
+    }).join('');
+    $('#cal-grid').querySelectorAll('[data-cal-day]').forEach(btn => btn.addEventListener('click', ()=>{
+      calendarSelected = btn.dataset.calDay;
+      renderCalendar();
+    }));
+    renderCalendarDay();
+  }
+
+  function renderCalendarDay(){
+    const box = $('#cal-day-list');
+    if(!calendarSelected){ box.innerHTML = ''; return; }
+    const due = orders.filter(o => deliveryKey(o) === calendarSelected).sort((a,b) => a.id - b.id);
+    box.innerHTML = `
+      <h3 class="dash-section-title">Due ${fmtDate(calendarSelected + 'T12:00:00')}</h3>
+      <ul class="dash-list">${due.length ? due.map(o => `
+        <li>
+          <span>#${String(o.id).padStart(4,'0')} — ${esc(o.name)} · ${esc(products.filter(p => o.qty && o.qty[p.key] > 0).map(p => `${p.label} × ${o.qty[p.key]}`).join(', ') || 'no items')}</span>
+          <span class="status-pill ${statusClass(o.status)}">${statusLabel(o.status)}</span>
+        </li>
+      `).join('') : `<li style="border-bottom:none; color:#948a7b;">Nothing due this day.</li>`}</ul>
+    `;
+  }
+
+  $$('#cal-mode-row .filter-chip').forEach(btn => btn.addEventListener('click', ()=>{
+    calendarMode = btn.dataset.calMode;
+    renderCalendar();
+  }));
+  $('#cal-prev-btn').addEventListener('click', ()=>{
+    calendarAnchor = calendarMode === 'week' ? addDays(calendarAnchor, -7) : new Date(calendarAnchor.getFullYear(), calendarAnchor.getMonth() - 1, 1);
+    renderCalendar();
+  });
+  $('#cal-next-btn').addEventListener('click', ()=>{
+    calendarAnchor = calendarMode === 'week' ? addDays(calendarAnchor, 7) : new Date(calendarAnchor.getFullYear(), calendarAnchor.getMonth() + 1, 1);
+    renderCalendar();
+  });
+  $('#cal-today-btn').addEventListener('click', ()=>{
+    calendarAnchor = new Date(new Date().toDateString());
+    calendarSelected = dateKey(calendarAnchor);
+    renderCalendar();
+  });
+
+  // ---------- capacity settings ----------
+  let capacityUnlocked = false;
+
+  function renderCapacityForm(){
+    $('#cap-lead').value = capacity.leadDays;
+    $('#cap-per-day').value = capacity.perDay || 0;
+    $('#cap-products').innerHTML = products.map(p => `
+      <div class="field"><label for="cap-p-${p.key}">${esc(p.label)} per day</label><input id="cap-p-${p.key}" type="number" min="0" value="${Number((capacity.perProduct || {})[p.key]) || 0}"></div>
+    `).join('');
+    $('#cap-closed').innerHTML = WEEKDAY_LABELS.map((d, i) => `
+      <label class="checkline" style="margin:0;"><input type="checkbox" data-cap-closed="${i}" ${(capacity.closedDays || []).includes(i) ? 'checked' : ''}> ${d}</label>
+    `).join('');
+    setCapacityLocked(!capacityUnlocked);
+  }
+  function setCapacityLocked(locked){
+    capacityUnlocked = !locked;
+    $$('#capacity-form input').forEach(el => el.disabled = locked);
+    $('#capacity-save-btn').disabled = locked;
+    setLockUI('capacity-unlock-toggle', 'capacity-lock-status', locked,
+      'Locked — unlock to edit.',
+      'Unlocked — limits apply to delivery date suggestions.');
+  }
+  $('#capacity-unlock-toggle').addEventListener('change', async (e)=>{
+    if(e.target.checked){
+      if(!await authorize('settings.edit', 'change delivery capacity')){ e.target.checked = false; return; }
+      setCapacityLocked(false);
+      toast('Capacity settings unlocked.', 'info');
+    } else {
+      setCapacityLocked(true);
+    }
+  });
+  $('#capacity-form').addEventListener('submit', async e=>{
+    e.preventDefault();
+    if(!capacityUnlocked){ toast('Unlock capacity settings first.', 'error'); return; }
+    const perProduct = {};
+    products.forEach(p => { const n = Number($('#cap-p-' + p.key).value) || 0; if(n > 0) perProduct[p.key] = n; });
+    const closedDays = [...$$('[data-cap-closed]')].filter(c => c.checked).map(c => Number(c.dataset.capClosed));
+    if(closedDays.length === 7){ toast('At least one day must be open.', 'error'); return; }
+    capacity = {
+      leadDays: Math.max(0, Number($('#cap-lead').value) || 0),
+      perDay: Math.max(0, Number($('#cap-per-day').value) || 0),
+      perProduct,
+      closedDays
+    };
+    await saveCapacity();
+    setCapacityLocked(true);
+    await logActivity('edit', 'Delivery capacity');
+    toast('Capacity settings saved.', 'success');
+  });
+
+  // ---------- workroom board ----------
+  let boardDragId = null;
+
+  function renderBoard(){
+    const cutoff = addDays(new Date(new Date().toDateString()), -14);
+    const board = $('#board');
+    board.innerHTML = BOARD_COLUMNS.map(col => {
+      const list = orders
+        .filter(o => (o.status || '') === col)
+        // delivered orders drop off the board after two weeks
+        .filter(o => col !== 'delivered' || new Date((statusReachedAt(o, 'delivered') || {}).at || o.date) >= cutoff)
+        .sort((a,b) => orderDeliveryDate(a) - orderDeliveryDate(b));
+      return `
+        <div class="board-col" data-col="${col}">
+          <div class="board-col-head"><span class="status-pill ${statusClass(col)}">${statusLabel(col)}</span><span>${list.length}</span></div>
+          ${list.map(o => {
+            const items = products.filter(p => o.qty && o.qty[p.key] > 0).map(p => `${p.label} × ${o.qty[p.key]}`).join(', ');
+            const next = BOARD_COLUMNS[BOARD_COLUMNS.indexOf(col) + 1];
+            const a = o.assigned || {};
+            return `
+              <div class="board-card" draggable="true" data-board-id="${o.id}">
+                <div class="board-card-head"><span class="id-mono">#${String(o.id).padStart(4,'0')}</span><span class="${isOverdue(o) ? 'overdue' : ''}">${fmtDate(orderDeliveryDate(o))}</span></div>
+                <div class="board-card-name">${esc(o.name)}</div>
+                ${items ? `<div class="board-card-items">${esc(items)}</div>` : ''}
+                ${a.cutter || a.stitcher ? `<div class="board-card-items">${[a.cutter ? `✂ ${esc(staffName(a.cutter))}` : '', a.stitcher ? `🧵 ${esc(staffName(a.stitcher))}` : ''].filter(Boolean).join(' · ')}</div>` : ''}
+                ${next !== undefined ? `<button type="button" class="btn btn-ghost board-advance" data-advance="${o.id}" data-to="${next}" aria-label="Move order #${String(o.id).padStart(4,'0')} to ${statusLabel(next)}">→ ${statusLabel(next)}</button>` : ''}
+              </div>
+            `;
+          }).join('') || `<div class="board-empty">Nothing here</div>`}
+        </div>
+      `;
+    }).join('');
+
+    board.querySelectorAll('.board-card').forEach(card => {
+      card.addEventListener('dragstart', e => {
+        boardDragId = Number(card.dataset.boardId);
+        card.classList.add('dragging');
+        if(e.dataTransfer){ e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', card.dataset.boardId); }
+      });
+      card.addEventListener('dragend', ()=>{ card.classList.remove('dragging'); boardDragId = null; });
+    });
+    board.querySelectorAll('.board-col').forEach(colEl => {
+      colEl.addEventListener('dragover', e => { e.preventDefault(); colEl.classList.add('drop-target'); });
+      colEl.addEventListener('dragleave', ()=> colEl.classList.remove('drop-target'));
+      colEl.addEventListener('drop', async e => {
+        e.preventDefault();
+        colEl.classList.remove('drop-target');
+        const id = boardDragId || Number(e.dataTransfer && e.dataTransfer.getData('text/plain'));
+        await moveOnBoard(id, colEl.dataset.col);
+      });
+    });
+    board.querySelectorAll('[data-advance]').forEach(btn => btn.addEventListener('click', ()=> moveOnBoard(Number(btn.dataset.advance), btn.dataset.to)));
+  }
+
+  async function moveOnBoard(id, status){
+    const order = orders.find(o => o.id === id);
+    if(!order || (order.status || '') === status) return;
+    const values = await showFormModal({
+      title: `Move #${String(id).padStart(4,'0')} to ${statusLabel(status)}`,
+      message: `${order.name}${currentActor() ? ` · recorded as ${currentActor()}` : ''}`,
+      confirmLabel: 'Move',
+      fields: [{ id:'note', label:'Note (optional)', type:'text' }]
+    });
+    if(!values) return;
+    await setOrderStatus(order, status, values.note);
+    toast(tr('#{id} moved to {status}.', { id: String(id).padStart(4,'0'), status: tr(statusLabel(status)) }), 'success');
+    renderBoard();
+  }
+
+  // ---------- staff (workroom and counter people) ----------
+  let staffUnlocked = false;
+
+  function renderStaffList(){
+    const list = $('#staff-list');
+    list.innerHTML = staff.length ? staff.map(x => `
+      <li>
+        <span style="flex:1;">${esc(x.name)} <small class="staff-role">${esc(roleLabel(x.role))}</small></span>
+        <span class="no-print" data-staff-editctrls style="display:${staffUnlocked?'inline-flex':'none'}; gap:2px;">
+          <button type="button" class="icon-btn icon-danger" title="Remove" aria-label="Remove ${esc(x.name)}" data-staff-remove="${esc(x.id)}"><span class="icon" aria-hidden="true">${ICONS.trash}</span></button>
+        </span>
+      </li>
+    `).join('') : `<li style="color:#948a7b;">No staff yet — add cutters, stitchers and counter staff below.</li>`;
+    list.querySelectorAll('[data-staff-remove]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const person = staff.find(x => x.id === btn.dataset.staffRemove);
+      if(!person) return;
+      const ok = await customConfirm('Remove staff', `Remove ${person.name}? Orders already assigned to them keep the assignment in their history.`, 'Remove');
+      if(!ok) return;
+      staff = staff.filter(x => x.id !== person.id);
+      await saveStaff();
+      renderStaffList();
+      renderAssignSelects({ cutter: $('#f-cutter').value, stitcher: $('#f-stitcher').value });
+      await logActivity('delete', `Staff ${person.name}`);
+      toast('Staff removed.', 'success');
+    }));
+    setStaffLocked(!staffUnlocked);
+  }
+  function setStaffLocked(locked){
+    staffUnlocked = !locked;
+    $$('[data-staff-editctrls]').forEach(el => el.style.display = locked ? 'none' : 'inline-flex');
+    $('#staff-add-row').style.display = locked ? 'none' : 'flex';
+    setLockUI('staff-unlock-toggle', 'staff-lock-status', locked,
+      'Locked — unlock to edit.',
+      'Unlocked — add or remove staff below.');
+  }
+  $('#staff-unlock-toggle').addEventListener('change', async (e)=>{
+    if(e.target.checked){
+      if(!await authorize('settings.edit', 'change staff')){ e.target.checked = false; return; }
+      setStaffLocked(false);
+      toast('Staff unlocked.', 'info');
+    } else {
+      setStaffLocked(true);
+    }
+  });
+  $('#staff-add-btn').addEventListener('click', async ()=>{
+    if(!staffUnlocked) return;
+    const name = $('#staff-new-name').value.trim();
+    if(!name){ toast('Name cannot be empty.', 'error'); return; }
+    staff.push({ id: 'st' + Date.now().toString(36), name, role: $('#staff-new-role').value });
+    await saveStaff();
+    $('#staff-new-name').value = '';
+    renderStaffList();
+    renderAssignSelects({ cutter: $('#f-cutter').value, stitcher: $('#f-stitcher').value });
+    await logActivity('create', `Staff ${name}`, roleLabel($('#staff-new-role').value));
+    toast(tr('Added {name}.', { name }), 'success');
+  });
+
+  // ---------- users & permissions (settings) ----------
+  let usersUnlocked = false;
+
+  function renderUsersList(){
+    const list = $('#users-list');
+    const owners = users.filter(u => u.role === 'owner').length;
+    list.innerHTML = users.map(u => `
+      <li>
+        <span style="flex:1;">${esc(u.name)} <small class="staff-role">${esc(userRoleLabel(u.role))}</small>${u.id === signedInId ? ' <small class="staff-role">signed in</small>' : ''}</span>
+        <span class="no-print" data-users-editctrls style="display:${usersUnlocked?'inline-flex':'none'}; gap:6px; align-items:center;">
+          <select data-user-role="${esc(u.id)}" aria-label="Role of ${esc(u.name)}" style="max-width:150px;" ${u.role === 'owner' && owners === 1 ? 'disabled' : ''}>
+            ${USER_ROLES.map(r => `<option value="${r.key}" ${r.key === u.role ? 'selected' : ''}>${esc(r.label)}</option>`).join('')}
+          </select>
+          <button type="button" class="btn btn-ghost" data-user-pin="${esc(u.id)}" aria-label="Reset the PIN of ${esc(u.name)}">Reset PIN</button>
+          <button type="button" class="icon-btn icon-danger" title="Remove" aria-label="Remove ${esc(u.name)}" data-user-remove="${esc(u.id)}" ${u.role === 'owner' && owners === 1 ? 'disabled' : ''}><span class="icon" aria-hidden="true">${ICONS.trash}</span></button>
+        </span>
+      </li>
+    `).join('');
+    list.querySelectorAll('[data-user-role]').forEach(sel => sel.addEventListener('change', async ()=>{
+      const u = users.find(x => x.id === sel.dataset.userRole);
+      if(!u) return;
+      if(u.role === 'owner' && users.filter(x => x.role === 'owner').length === 1){ sel.value = 'owner'; toast('Keep at least one owner.', 'error'); return; }
+      const from = u.role;
+      u.role = sel.value;
+      await saveUsers();
+      await logActivity('edit', `User ${u.name}`, `${userRoleLabel(from)} → ${userRoleLabel(u.role)}`);
+      renderUsersList();
+      renderSignedInUser();
+      toast(tr('{name} is now {role}.', { name: u.name, role: tr(userRoleLabel(u.role)) }), 'success');
+    }));
+    list.querySelectorAll('[data-user-pin]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const u = users.find(x => x.id === btn.dataset.userPin);
+      if(!u) return;
+      const pin = await askNewPin(`New PIN for ${u.name}`, u.id);
+      if(pin === null) return;
+      u.salt = randomSalt();
+      u.pinHash = await hashPin(pin, u.salt);
+      await saveUsers();
+      await logActivity('edit', `User ${u.name}`, 'PIN reset');
+      toast(tr('PIN reset for {name}.', { name: u.name }), 'success');
+    }));
+    list.querySelectorAll('[data-user-remove]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const u = users.find(x => x.id === btn.dataset.userRemove);
+      if(!u) return;
+      if(u.role === 'owner' && users.filter(x => x.role === 'owner').length === 1){ toast('Keep at least one owner.', 'error'); return; }
+      const ok = await customConfirm('Remove user', `Remove ${u.name}? Their entries in order timelines and the activity log stay as they are.`, 'Remove');
+      if(!ok) return;
+      users = users.filter(x => x.id !== u.id);
+      await saveUsers();
+      await logActivity('delete', `User ${u.name}`);
+      if(u.id === signedInId) setSignedIn('');
+      renderUsersList();
+      toast('User removed.', 'success');
+    }));
+    renderRolePerms();
+    setUsersLocked(!usersUnlocked);
+  }
+
+  function renderRolePerms(){
+    const roles = USER_ROLES.filter(r => r.key !== 'owner');
+    $('#role-perms').innerHTML = `
+      <table>
+        <thead><tr><th>Permission</th><th>Owner</th>${roles.map(r => `<th>${esc(r.label)}</th>`).join('')}</tr></thead>
+        <tbody>${PERMISSIONS.map(p => `
+          <tr>
+            <td>${esc(p.label)}</td>
+            <td><input type="checkbox" checked disabled aria-label="Owner: ${esc(p.label)}"></td>
+            ${roles.map(r => `<td><input type="checkbox" data-perm-role="${r.key}" data-perm="${p.key}" ${(rolePerms[r.key] || []).includes(p.key) ? 'checked' : ''} ${usersUnlocked ? '' : 'disabled'} aria-label="${esc(r.label)}: ${esc(p.label)}"></td>`).join('')}
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+    $$('#role-perms [data-perm-role]').forEach(box => box.addEventListener('change', async ()=>{
+      if(!usersUnlocked){ box.checked = !box.checked; return; }
+      const role = box.dataset.permRole, perm = box.dataset.perm;
+      const granted = new Set(rolePerms[role] || []);
+      if(box.checked) granted.add(perm); else granted.delete(perm);
+      rolePerms[role] = PERMISSIONS.map(p => p.key).filter(k => granted.has(k));
+      await saveRolePerms();
+      await logActivity('edit', `Permissions ${userRoleLabel(role)}`, `${box.checked ? 'Allowed' : 'Removed'}: ${permLabel(perm)}`);
+      renderSignedInUser();
+    }));
+  }
+
+  function setUsersLocked(locked){
+    usersUnlocked = !locked;
+    $$('[data-users-editctrls]').forEach(el => el.style.display = locked ? 'none' : 'inline-flex');
+    $$('#role-perms [data-perm-role]').forEach(box => box.disabled = locked);
+    $('#users-add-row').style.display = locked ? 'none' : 'flex';
+    setLockUI('users-unlock-toggle', 'users-lock-status', locked,
+      'Locked — unlock to add people, change roles or see the activity log.',
+      'Unlocked — add people, change roles and permissions below.');
+    renderActivityLog();
+  }
+  $('#users-unlock-toggle').addEventListener('change', async (e)=>{
+    if(e.target.checked){
+      if(!await authorize('users.manage', 'manage users')){ e.target.checked = false; return; }
+      setUsersLocked(false);
+      toast('Users unlocked.', 'info');
+    } else {
+      setUsersLocked(true);
+    }
+  });
+  $('#users-add-btn').addEventListener('click', async ()=>{
+    if(!usersUnlocked) return;
+    const name = $('#users-new-name').value.trim();
+    if(!name){ toast('Name cannot be empty.', 'error'); return; }
+    if(users.some(u => u.name.toLowerCase() === name.toLowerCase())){ toast(tr('There is already a user called {name}.', { name }), 'error'); return; }
+    const role = $('#users-new-role').value;
+    const pin = await askNewPin(`PIN for ${name}`, '');
+    if(pin === null) return;
+    users.push(await makeUser('u' + Date.now().toString(36), name, role, pin));
+    await saveUsers();
+    await logActivity('create', `User ${name}`, userRoleLabel(role));
+    $('#users-new-name').value = '';
+    renderUsersList();
+    toast(tr('Added {name} — they can sign in with their PIN now.', { name }), 'success');
+  });
+
+  // ---------- activity log (settings) ----------
+  function activityLabel(key){
+    const a = ACTIVITY_ACTIONS.find(x => x.key === key);
+    return a ? a.label : key;
+  }
+  function renderActivityLog(){
+    const list = $('#activity-list');
+    const filters = $('#activity-filters');
+    filters.style.display = usersUnlocked ? 'flex' : 'none';
+    if(!usersUnlocked){
+      list.innerHTML = `<li style="border-bottom:none; color:#948a7b;">Unlock users above to see the activity log.</li>`;
+      return;
+    }
+    const userSel = $('#act-user');
+    const keep = userSel.value;
+    const names = [...new Set(activityLog.map(a => a.by).filter(Boolean))].sort();
+    userSel.innerHTML = `<option value="">Everyone</option>` + names.map(n => `<option value="${esc(n)}">${esc(n)}</option>`).join('');
+    userSel.value = names.includes(keep) ? keep : '';
+    const action = $('#act-action').value;
+    const q = $('#act-search').value.trim().toLowerCase();
+    const from = $('#act-from').value, to = $('#act-to').value;
+    const rows = activityLog.filter(a => {
+      if(userSel.value && a.by !== userSel.value) return false;
+      if(action && a.action !== action) return false;
+      const day = dateKey(new Date(a.at));
+      if(from && day < from) return false;
+      if(to && day > to) return false;
+      return !q || `${a.target} ${a.detail}`.toLowerCase().includes(q);
+    }).reverse();
+    const shown = rows.slice(0, ACTIVITY_PAGE);
+    list.innerHTML = shown.length ? shown.map(a => `
+      <li>
+        <span><strong>${esc(activityLabel(a.action))}</strong> · ${esc(a.target)}${a.detail ? ` <small>— ${esc(a.detail)}</small>` : ''}</span>
+        <span style="white-space:nowrap;">${esc(a.by || 'Not signed in')} · ${new Date(a.at).toLocaleString(localeTag(), { day:'2-digit', month:'short', hour:'2-digit', minute:'2-digit' })}</span>
+      </li>
+    `).join('') + (rows.length > shown.length ? `<li style="border-bottom:none; color:#948a7b;">Showing the latest ${ACTIVITY_PAGE} of ${rows.length} — narrow the filters to see older entries.</li>` : '')
+      : `<li style="border-bottom:none; color:#948a7b;">Nothing matches these filters.</li>`;
+  }
+  $('#act-action').innerHTML = `<option value="">All actions</option>` + ACTIVITY_ACTIONS.map(a => `<option value="${a.key}">${esc(a.label)}</option>`).join('');
+  ['#act-user', '#act-action', '#act-from', '#act-to'].forEach(sel => $(sel).addEventListener('change', renderActivityLog));
+  $('#act-search').addEventListener('input', renderActivityLog);
+
   // ---------- dashboard ----------
   function renderDashboard(){
     const now = new Date();
@@ -930,6 +5130,29 @@
         `).join('')
       : `<li style="border-bottom:none; color:#948a7b;">Nothing due in the next 7 days.</li>`;
 
+    const fittings = fittingsOn(dateKey(now));
+    $('#dash-fittings').innerHTML = fittings.length
+      ? fittings.map(({o, f}, i) => `
+          <li>
+            <span>${fmtClock(fittingTime(f))} · #${String(o.id).padStart(4,'0')} — ${esc(o.name)}${f.notes ? ` <small class="staff-role">${esc(f.notes)}</small>` : ''}</span>
+            ${f.status === 'booked' ? `
+              <span class="row-actions" style="display:flex; gap:6px;">
+                ${mobileKey(o.mobile).length >= 10 ? `<a class="btn btn-ghost" href="${esc(waLink(o.mobile, reminderMessage('fitting', o)))}" target="_blank" rel="noopener" data-fit-wa="${i}">WhatsApp</a>` : ''}
+                <button type="button" class="btn btn-ghost" data-fit-done="${i}">${iconHtml('check')}Done</button>
+              </span>` : `<span class="${f.status === 'done' ? 'balance-zero' : 'overdue'}">${esc(fittingStatusLabel(f.status))}</span>`}
+          </li>
+        `).join('')
+      : `<li style="border-bottom:none; color:#948a7b;">No fittings booked for today.</li>`;
+    $$('#dash-fittings [data-fit-wa]').forEach(a => a.addEventListener('click', async ()=>{
+      const { o } = fittings[Number(a.dataset.fitWa)];
+      reminderLog.push({ orderId: o.id, name: o.name, mobile: o.mobile, type:'fitting', result:'sent', at: new Date().toISOString(), by: currentActor() });
+      await saveReminderLog();
+    }));
+    $$('#dash-fittings [data-fit-done]').forEach(b => b.addEventListener('click', async ()=>{
+      const { o, f } = fittings[Number(b.dataset.fitDone)];
+      if(await completeFitting(o, f)) renderDashboard();
+    }));
+
     const recent = [...orders].reverse().slice(0, 6);
     $('#dash-recent').innerHTML = recent.length
       ? recent.map(o => {
@@ -942,9 +5165,31 @@
           `;
         }).join('')
       : `<li style="border-bottom:none; color:#948a7b;">No orders yet.</li>`;
+
+    $('#dash-sync').innerHTML = syncConflicts.length ? `
+      <div class="card" style="display:flex; align-items:center; justify-content:space-between; gap:14px; flex-wrap:wrap;">
+        <span class="balance-due">${syncConflicts.length} record${syncConflicts.length === 1 ? ' was' : 's were'} changed on two devices at once.</span>
+        <button type="button" class="btn btn-ghost" id="dash-sync-btn">Resolve</button>
+      </div>` : '';
+    if(syncConflicts.length) $('#dash-sync-btn').addEventListener('click', ()=>{
+      $('#nav button[data-view="settings"]').click();
+      $('#sync-conflicts').scrollIntoView({ behavior:'smooth' });
+    });
+
+    const low = lowStockItems();
+    $('#dash-low-stock-title').style.display = inventory.length ? '' : 'none';
+    $('#dash-low-stock').style.display = inventory.length ? '' : 'none';
+    $('#dash-low-stock').innerHTML = low.length
+      ? low.map(x => `
+          <li>
+            <span>${esc(x.name)}</span>
+            <span class="${x.stock <= 0 ? 'overdue' : 'balance-due'}">${fmtQty(x.stock)} ${esc(x.unit)} left · reorder at ${fmtQty(x.reorderAt)}</span>
+          </li>
+        `).join('')
+      : `<li style="border-bottom:none; color:#948a7b;">All stock above reorder levels.</li>`;
   }
 
-  // shared helper for the three password-gated sections (tax, prices, settings)
+  // shared helper for the PIN-gated sections (tax, prices, settings, …)
   function setLockUI(toggleId, statusId, locked, lockedMsg, unlockedMsg){
     const toggle = $('#'+toggleId);
     if(toggle) toggle.checked = !locked;
@@ -964,12 +5209,12 @@
     $$('#currency-form input, #currency-form select').forEach(el => el.disabled = locked);
     $('#currency-save-btn').disabled = locked;
     setLockUI('currency-unlock-toggle', 'currency-lock-status', locked,
-      'Locked — unlock with password to edit.',
+      'Locked — unlock to edit.',
       'Unlocked — applies everywhere in the app and on bills.');
   }
   $('#currency-unlock-toggle').addEventListener('change', async (e)=>{
     if(e.target.checked){
-      if(!await checkPassword('unlock currency settings')){ e.target.checked = false; return; }
+      if(!await authorize('tax.edit', 'change currency settings')){ e.target.checked = false; return; }
       setCurrencyLocked(false);
       toast('Currency settings unlocked.', 'info');
     } else {
@@ -986,6 +5231,7 @@
     await saveCurrency();
     setCurrencyLocked(true);
     renderOrders();
+    await logActivity('edit', 'Currency settings');
     toast('Currency settings saved.', 'success');
   });
 
@@ -997,6 +5243,9 @@
     $('#tax-rate').value = tax.rate || 0;
     $('#tax-label').value = tax.label || 'GST';
     $('#tax-enabled').value = tax.enabled ? 'yes' : 'no';
+    $('#tax-gstin').value = tax.gstin || '';
+    $('#tax-sac').value = tax.sac || '';
+    $('#tax-invoice-prefix').value = tax.invoicePrefix || DEFAULT_TAX.invoicePrefix;
     setTaxLocked(!taxUnlocked);
     renderChargesList();
   }
@@ -1005,12 +5254,12 @@
     $$('#tax-form input, #tax-form select').forEach(el => el.disabled = locked);
     $('#tax-save-btn').disabled = locked;
     setLockUI('tax-unlock-toggle', 'tax-lock-status', locked,
-      'Locked — unlock with password to edit.',
+      'Locked — unlock to edit.',
       'Unlocked — staff can now tick "Apply tax" per order.');
   }
   $('#tax-unlock-toggle').addEventListener('change', async (e)=>{
     if(e.target.checked){
-      if(!await checkPassword('unlock tax settings')){ e.target.checked = false; return; }
+      if(!await authorize('tax.edit', 'change tax settings')){ e.target.checked = false; return; }
       setTaxLocked(false);
       toast('Tax settings unlocked.', 'info');
     } else {
@@ -1020,13 +5269,24 @@
   $('#tax-form').addEventListener('submit', async e=>{
     e.preventDefault();
     if(!taxUnlocked){ toast('Unlock tax settings first.', 'error'); return; }
+    const gstin = $('#tax-gstin').value.trim().toUpperCase();
+    if(gstin && !GSTIN_REGEX.test(gstin)){ toast('Shop GSTIN should look like 29ABCDE1234F1Z5.', 'error'); return; }
+    const addrState = GST_STATES.find(x => x.abbr === String(shop.addrStateCode || '').toUpperCase());
+    if(gstin && addrState && addrState.code !== gstin.slice(0,2)){
+      toast(tr('GSTIN state code {code} does not match the shop address ({abbr} = {addrCode}).', { code: gstin.slice(0,2), abbr: addrState.abbr, addrCode: addrState.code }), 'info');
+    }
     tax = {
+      ...tax,
       rate: Number($('#tax-rate').value) || 0,
       label: $('#tax-label').value.trim() || 'GST',
-      enabled: $('#tax-enabled').value === 'yes'
+      enabled: $('#tax-enabled').value === 'yes',
+      gstin,
+      sac: $('#tax-sac').value.trim(),
+      invoicePrefix: $('#tax-invoice-prefix').value.trim().replace(/\//g,'') || DEFAULT_TAX.invoicePrefix
     };
     await saveTax();
     setTaxLocked(true);
+    await logActivity('edit', 'Tax settings');
     toast('Tax settings saved.', 'success');
   });
 
@@ -1076,8 +5336,73 @@
           <input type="number" min="0" id="p-${p.key}" value="${prices[p.key] || 0}" disabled>
           <button type="button" class="qty-step-btn plus" data-step-plus="${p.key}" aria-label="Increase ${esc(p.label)} rate" ${pricesUnlocked?'':'disabled'}><span class="icon" aria-hidden="true">${ICONS.plus}</span></button>
         </div>
+        <label for="hsn-${p.key}" style="margin:10px 0 4px;">HSN / SAC code</label>
+        <input type="text" id="hsn-${p.key}" class="hsn-input" value="${esc(p.hsn || '')}" placeholder="${esc(tax.sac || 'e.g. 998821')}" disabled>
+        <label style="margin:10px 0 4px;">Add-ons (₹ extra per piece)</label>
+        <div class="variant-list">
+          ${(p.variants || []).map(v => `
+            <div class="variant-row">
+              <input type="text" id="vl-${p.key}-${v.key}" value="${esc(v.label)}" aria-label="Add-on name" disabled>
+              <input type="number" min="0" id="vp-${p.key}-${v.key}" value="${Number(v.price) || 0}" aria-label="${esc(v.label)} price" disabled>
+              <button type="button" class="icon-btn icon-danger" data-editctrls="${p.key}" style="display:${pricesUnlocked?'inline-flex':'none'};" title="Remove add-on" aria-label="Remove ${esc(v.label)} add-on" data-remove-variant="${p.key}|${v.key}"><span class="icon" aria-hidden="true">${ICONS.trash}</span></button>
+            </div>
+          `).join('') || '<span class="image-field__status">None — e.g. princess cut, padding.</span>'}
+          <button type="button" class="image-field__btn" data-editctrls="${p.key}" style="display:${pricesUnlocked?'inline-flex':'none'};" data-add-variant="${p.key}"><span class="icon" aria-hidden="true">${ICONS.plus}</span>Add add-on</button>
+        </div>
       </div>
     `).join('');
+    $('#express-rules').innerHTML = Array.from({ length: EXPRESS_RULE_SLOTS }, (_, i) => {
+      const r = (express.rules || [])[i] || { days: 0, percent: 0 };
+      return `
+        <div class="field"><label for="ex-days-${i}">Ready within (days)</label><input type="number" min="0" id="ex-days-${i}" value="${Number(r.days) || 0}" disabled></div>
+        <div class="field"><label for="ex-pct-${i}">Surcharge (%)</label><input type="number" min="0" id="ex-pct-${i}" value="${Number(r.percent) || 0}" disabled></div>
+      `;
+    }).join('');
+    grid.querySelectorAll('[data-add-variant]').forEach(btn=>{
+      btn.addEventListener('click', async ()=>{
+        if(!pricesUnlocked) return;
+        const p = products.find(x=>x.key===btn.dataset.addVariant);
+        if(!p) return;
+        const vals = await showFormModal({
+          title: `Add-on for ${p.label}`,
+          message: 'Charged per piece on top of the item rate.',
+          fields: [
+            { id:'label', label:'Name (e.g. Princess cut)', type:'text', value:'' },
+            { id:'price', label:'Extra price (₹ per piece)', type:'number', value:0, attrs:'min="0"' }
+          ],
+          confirmLabel: 'Add'
+        });
+        if(!vals) return;
+        const label = vals.label.trim();
+        if(!label){ toast('Name cannot be empty.', 'error'); return; }
+        p.variants = p.variants || [];
+        let key = chargeSlugify(label), n = 2;
+        while(p.variants.some(v => v.key === key)) key = chargeSlugify(label) + n++;
+        p.variants.push({ key, label, price: Math.max(0, Number(vals.price) || 0) });
+        await saveProducts();
+        renderPricesForm();
+        renderOrderQtyGrid();
+        await logActivity('create', `Add-on ${p.label} + ${label}`);
+        toast(tr('Added "{addon}" to {product}.', { addon: label, product: p.label }), 'success');
+      });
+    });
+    grid.querySelectorAll('[data-remove-variant]').forEach(btn=>{
+      btn.addEventListener('click', async ()=>{
+        if(!pricesUnlocked) return;
+        const [pk, vk] = btn.dataset.removeVariant.split('|');
+        const p = products.find(x=>x.key===pk);
+        const v = p && (p.variants || []).find(x=>x.key===vk);
+        if(!v) return;
+        const ok = await customConfirm('Remove add-on', `Remove "${v.label}" from ${p.label}? Orders that used it will no longer charge for it.`, 'Remove');
+        if(!ok) return;
+        p.variants = p.variants.filter(x=>x.key!==vk);
+        await saveProducts();
+        renderPricesForm();
+        renderOrderQtyGrid();
+        await logActivity('delete', `Add-on ${p.label} + ${v.label}`);
+        toast('Add-on removed.', 'success');
+      });
+    });
     grid.querySelectorAll('[data-rename]').forEach(btn=>{
       btn.addEventListener('click', async ()=>{
         const key = btn.dataset.rename;
@@ -1091,6 +5416,7 @@
         await saveProducts();
         renderPricesForm();
         renderOrderQtyGrid();
+        await logActivity('edit', `Product ${p.label}`, 'Renamed');
         toast('Product renamed.', 'success');
       });
     });
@@ -1105,6 +5431,7 @@
         await saveProducts();
         renderPricesForm();
         renderOrderQtyGrid();
+        await logActivity('delete', `Product ${p.label}`);
         toast('Product removed.', 'success');
       });
     });
@@ -1195,7 +5522,7 @@
 
   function setPricesLocked(locked){
     pricesUnlocked = !locked;
-    $$('#prices-grid input').forEach(inp => inp.disabled = locked);
+    $$('#prices-grid input, #express-rules input').forEach(inp => inp.disabled = locked);
     $$('#prices-grid .qty-step-btn').forEach(btn => btn.disabled = locked);
     $$('#prices-grid label.image-field__btn').forEach(lbl => lbl.classList.toggle('is-disabled', locked));
     $$('#prices-grid [data-remove-image]').forEach(btn => {
@@ -1205,15 +5532,14 @@
     $$('[data-editctrls]').forEach(el => el.style.display = locked ? 'none' : 'inline-flex');
     $('#prices-save-btn').disabled = locked;
     setLockUI('prices-unlock-toggle', 'prices-lock-status', locked,
-      'Locked — unlock with password to edit rates.',
+      'Locked — unlock to edit rates.',
       'Unlocked — rates are editable. Applies to every order.');
-    $('#prices-change-pw-btn').style.display = locked ? 'none' : 'inline-flex';
     $('#prices-add-product-btn').style.display = locked ? 'none' : 'inline-flex';
   }
 
   $('#prices-unlock-toggle').addEventListener('change', async (e)=>{
     if(e.target.checked){
-      if(!await checkPassword('unlock the price list')){ e.target.checked = false; return; }
+      if(!await authorize('prices.edit', 'edit the price list')){ e.target.checked = false; return; }
       setPricesLocked(false);
       toast('Price list unlocked.', 'info');
     } else {
@@ -1234,27 +5560,31 @@
     await savePrices();
     renderPricesForm();
     renderOrderQtyGrid();
-    toast(`Added "${trimmed}" to the price list.`, 'success');
-  });
-
-  $('#prices-change-pw-btn').addEventListener('click', async ()=>{
-    const current = await customPrompt('Change password', 'Enter current password:', '', 'password');
-    if(current === null) return;
-    if(current !== (settings.password || DEFAULT_PASSWORD)){ toast('Incorrect password.', 'error'); return; }
-    const next = await customPrompt('Change password', 'Enter new password:', '', 'password');
-    if(next === null) return;
-    if(!next.trim()){ toast('Password cannot be empty.', 'error'); return; }
-    settings.password = next.trim();
-    await saveSettings();
-    toast('Password changed.', 'success');
+    await logActivity('create', `Product ${trimmed}`);
+    toast(tr('Added "{name}" to the price list.', { name: trimmed }), 'success');
   });
 
   $('#prices-form').addEventListener('submit', async e=>{
     e.preventDefault();
     if(!pricesUnlocked){ toast('Unlock the price list first.', 'error'); return; }
-    products.forEach(p => prices[p.key] = Number($('#p-' + p.key).value) || 0);
+    products.forEach(p => {
+      prices[p.key] = Number($('#p-' + p.key).value) || 0;
+      p.hsn = $('#hsn-' + p.key).value.trim();
+      (p.variants || []).forEach(v => {
+        v.label = $(`#vl-${p.key}-${v.key}`).value.trim() || v.label;
+        v.price = Math.max(0, Number($(`#vp-${p.key}-${v.key}`).value) || 0);
+      });
+    });
+    express.rules = Array.from({ length: EXPRESS_RULE_SLOTS }, (_, i) => ({
+      days: Math.max(0, Math.floor(Number($('#ex-days-' + i).value) || 0)),
+      percent: Math.max(0, Number($('#ex-pct-' + i).value) || 0)
+    })).filter(r => r.days > 0 && r.percent > 0).sort((a,b) => a.days - b.days);
     await savePrices();
+    await saveProducts();
+    await saveExpress();
+    renderOrderQtyGrid();
     setPricesLocked(true);
+    await logActivity('edit', 'Price list');
     toast('Price list saved and locked.', 'success');
   });
 
@@ -1296,6 +5626,7 @@
         await saveCharges();
         renderChargesList();
         renderOrderChargesGrid();
+        await logActivity('edit', `Charge ${c.label}`, 'Renamed');
         toast('Charge renamed.', 'success');
       });
     });
@@ -1310,6 +5641,7 @@
         await saveCharges();
         renderChargesList();
         renderOrderChargesGrid();
+        await logActivity('delete', `Charge ${c.label}`);
         toast('Charge removed.', 'success');
       });
     });
@@ -1321,12 +5653,12 @@
     $$('[data-chg-editctrls]').forEach(el => el.style.display = locked ? 'none' : 'inline-flex');
     $('#charges-add-row').style.display = locked ? 'none' : 'flex';
     setLockUI('charges-unlock-toggle', 'charges-lock-status', locked,
-      'Locked — unlock with password to edit.',
+      'Locked — unlock to edit.',
       'Unlocked — add, rename or remove charges below.');
   }
   $('#charges-unlock-toggle').addEventListener('change', async (e)=>{
     if(e.target.checked){
-      if(!await checkPassword('unlock charges')){ e.target.checked = false; return; }
+      if(!await authorize('prices.edit', 'edit charges')){ e.target.checked = false; return; }
       setChargesLocked(false);
       toast('Charges unlocked.', 'info');
     } else {
@@ -1343,8 +5675,123 @@
     input.value = '';
     renderChargesList();
     renderOrderChargesGrid();
-    toast(`Added "${trimmed}" charge.`, 'success');
+    await logActivity('create', `Charge ${trimmed}`);
+    toast(tr('Added "{name}" charge.', { name: trimmed }), 'success');
+  });
+
+  // ---------- devices & sync ----------
+  const syncTime = iso => new Date(iso).toLocaleString(localeTag(), { day:'2-digit', month:'short', hour:'2-digit', minute:'2-digit' });
+  function renderSyncPanel(){
+    $('#sync-device-name').value = device.name || '';
+    $('#sync-status').textContent = syncOffline ? 'Offline — changes are kept on this device until the connection is back.'
+      : lastSyncAt ? `Last synced ${syncTime(lastSyncAt)}` : 'In sync since this page was opened.';
+    $('#sync-devices').innerHTML = devices.map(d => `
+      <li>
+        <span>${esc(d.name)}${d.id === device.id ? ' <small class="staff-role">this device</small>' : ''}</span>
+        <span style="white-space:nowrap;">${devices.length > 1 && d.slot ? `Numbers end in ${d.slot % 10} · ` : ''}seen ${d.lastSeen ? syncTime(d.lastSeen) : '—'}</span>
+      </li>
+    `).join('') || `<li style="border-bottom:none; color:#948a7b;">Not registered yet — this device is offline.</li>`;
+    renderSyncConflicts();
+  }
+
+  function renderSyncConflicts(){
+    const box = $('#sync-conflicts');
+    if(!syncConflicts.length){ box.innerHTML = ''; return; }
+    box.innerHTML = `
+      <h3 class="dash-section-title">Changed on two devices</h3>
+      <p class="page-sub" style="margin-top:-4px;">The later edit is in use for now. Keep the right version and the other is discarded on every device.</p>
+      ${syncConflicts.map((c, i) => {
+        const spec = SYNCED_LISTS[c.key];
+        const cols = c.versions.map(v => spec.describe(v));
+        return `
+          <div class="card">
+            <h3 class="dash-section-title" style="margin-top:0;">${esc(spec.label(c.versions[0]))}</h3>
+            <div style="overflow-x:auto;">
+              <table>
+                <thead><tr><th></th>${c.versions.map(v => `<th>${esc(deviceName(v.device))}<br><small>${v.updatedAt ? syncTime(v.updatedAt) : '—'} · rev ${v.rev || 0}</small></th>`).join('')}</tr></thead>
+                <tbody>${cols[0].map(([label], row) => {
+                  const differs = cols.some(col => col[row][1] !== cols[0][row][1]);
+                  return `<tr><td>${esc(label)}</td>${cols.map(col => `<td class="${differs ? 'balance-due' : ''}">${esc(col[row][1])}</td>`).join('')}</tr>`;
+                }).join('')}</tbody>
+              </table>
+            </div>
+            <div style="display:flex; gap:8px; flex-wrap:wrap; margin-top:10px;">
+              ${c.versions.map((v, j) => `<button type="button" class="btn ${j ? 'btn-ghost' : 'btn-teal'}" data-keep="${i}:${j}" aria-label="Keep the version from ${esc(deviceName(v.device))}">Keep ${esc(deviceName(v.device))}'s</button>`).join('')}
+            </div>
+          </div>
+        `;
+      }).join('')}
+    `;
+    box.querySelectorAll('[data-keep]').forEach(btn => btn.addEventListener('click', ()=>{
+      const [i, j] = btn.dataset.keep.split(':').map(Number);
+      resolveSyncConflict(i, j);
+    }));
+  }
+
+  async function resolveSyncConflict(index, pick){
+    const c = syncConflicts[index];
+    if(!c) return;
+    const spec = SYNCED_LISTS[c.key];
+    if(c.key === 'orders' && !await authorize('orders.edit', `resolve the conflict on ${spec.label(c)}`)) return;
+    const chosen = JSON.parse(JSON.stringify(c.versions[pick]));
+    spec.set([...spec.get().filter(r => r.id !== c.id), chosen].sort(byRecordId));
+    await loadSyncConflicts();
+    syncConflicts = syncConflicts.filter(x => !(x.key === c.key && x.id === c.id));
+    await saveSyncConflicts();
+    await syncList(c.key);
+    await logActivity('edit', spec.label(chosen), `Sync conflict — kept ${deviceName(chosen.device)}'s version`);
+    toast(tr("{record}: kept {device}'s version.", { record: spec.label(chosen), device: deviceName(chosen.device) }), 'success');
+    renderSyncPanel();
+    renderOrders();
+    renderDashboard();
+  }
+
+  async function refreshFromSync(){
+    await syncAll();
+    renderOrders();
+    renderDashboard();
+    if($('#view-settings').style.display !== 'none') renderSyncPanel();
+  }
+  $('#sync-device-name').addEventListener('change', async ()=>{
+    const name = $('#sync-device-name').value.trim();
+    if(!name){ toast('Name cannot be empty.', 'error'); renderSyncPanel(); return; }
+    device.name = name;
+    const entry = devices.find(d => d.id === device.id);
+    if(entry) entry.name = name;
+    await saveDevices();
+    renderSyncPanel();
+    toast('Device name saved.', 'success');
   });
+  $('#sync-now-btn').addEventListener('click', async ()=>{
+    await refreshFromSync();
+    if(!syncOffline) toast('Synced with the other devices.', 'success');
+  });
+  window.addEventListener('online', refreshFromSync);
+  document.addEventListener('visibilitychange', ()=>{ if(document.visibilityState === 'visible') refreshFromSync(); });
+
+  // ---------- language settings ----------
+  // Everyone at the counter can pick their language, so this isn't behind a permission.
+  // The app language is kept on this device only; the bill language and digits are shop-wide.
+  function renderLanguageForm(){
+    const opts = sel => LANGUAGES.map(l => `<option value="${l.key}" ${l.key === sel ? 'selected' : ''}>${esc(l.label)}</option>`).join('');
+    $('#lang-ui').innerHTML = opts(uiLang());
+    $('#lang-bill').innerHTML = `<option value="">Same as app</option>` + opts(settings.billLanguage || '');
+    $('#lang-digits').checked = !!settings.nativeDigits;
+  }
+  async function changeLanguage(){
+    device.language = $('#lang-ui').value;
+    settings.billLanguage = $('#lang-bill').value;
+    settings.nativeDigits = $('#lang-digits').checked;
+    await saveDevices();
+    await saveSettings();
+    watchLanguage();
+    renderLanguageForm();
+    renderOrders();
+    renderDashboard();
+    if(billOrderId != null) showBill(billOrderId);
+    toast('Language saved.', 'success');
+  }
+  ['#lang-ui', '#lang-bill', '#lang-digits'].forEach(sel => $(sel).addEventListener('change', changeLanguage));
 
   // ---------- shop settings ----------
   let settingsUnlocked = false;
@@ -1369,6 +5816,9 @@
     $('#s-addr-pincode').value = shop.addrPincode || '';
     $('#s-hours').value = shop.hours || '';
     $('#s-delivery-note').value = shop.deliveryNote || '';
+    $('#s-open-time').value = shop.openTime || DEFAULT_SHOP.openTime;
+    $('#s-close-time').value = shop.closeTime || DEFAULT_SHOP.closeTime;
+    $('#s-fitting-minutes').value = shop.fittingMinutes || DEFAULT_SHOP.fittingMinutes;
     $('#s-liability').value = shop.liability || '';
     $('#s-thanks').value = shop.thanks || '';
     setSettingsLocked(!settingsUnlocked);
@@ -1389,13 +5839,13 @@
     $$('#settings-form input').forEach(inp => inp.disabled = locked);
     $('#settings-save-btn').disabled = locked;
     setLockUI('settings-unlock-toggle', 'settings-lock-status', locked,
-      'Locked — unlock with password to edit.',
+      'Locked — unlock to edit.',
       'Unlocked — these details print on every bill.');
   }
 
   $('#settings-unlock-toggle').addEventListener('change', async (e)=>{
     if(e.target.checked){
-      if(!await checkPassword('unlock shop settings')){ e.target.checked = false; return; }
+      if(!await authorize('settings.edit', 'change shop settings')){ e.target.checked = false; return; }
       setSettingsLocked(false);
       toast('Shop settings unlocked.', 'info');
     } else {
@@ -1406,6 +5856,9 @@
   $('#settings-form').addEventListener('submit', async e=>{
     e.preventDefault();
     if(!settingsUnlocked){ toast('Unlock shop settings first.', 'error'); return; }
+    const openTime = $('#s-open-time').value || DEFAULT_SHOP.openTime;
+    const closeTime = $('#s-close-time').value || DEFAULT_SHOP.closeTime;
+    if(clockMinutes(closeTime) <= clockMinutes(openTime)){ toast('Closing time must be after opening time.', 'error'); return; }
     shop = {
       name: $('#s-name').value.trim() || DEFAULT_SHOP.name,
       tag: $('#s-tag').value.trim(),
@@ -1423,12 +5876,16 @@
       addrPincode: $('#s-addr-pincode').value.trim(),
       hours: $('#s-hours').value.trim(),
       deliveryNote: $('#s-delivery-note').value.trim(),
+      openTime,
+      closeTime,
+      fittingMinutes: Math.max(10, Math.round(Number($('#s-fitting-minutes').value)) || DEFAULT_SHOP.fittingMinutes),
       liability: $('#s-liability').value.trim(),
       thanks: $('#s-thanks').value.trim(),
     };
     await saveShop();
     setSettingsLocked(true);
     renderSidebarBranding();
+    await logActivity('edit', 'Shop details');
     toast('Shop details saved.', 'success');
   });
 
@@ -1461,12 +5918,12 @@
     $$('#payments-form input, #payments-form select').forEach(el => el.disabled = locked);
     $('#payments-save-btn').disabled = locked;
     setLockUI('payments-unlock-toggle', 'payments-lock-status', locked,
-      'Locked — unlock with password to edit.',
+      'Locked — unlock to edit.',
       'Unlocked — controls the Payment button on bills.');
   }
   $('#payments-unlock-toggle').addEventListener('change', async (e)=>{
     if(e.target.checked){
-      if(!await checkPassword('unlock payment settings')){ e.target.checked = false; return; }
+      if(!await authorize('settings.edit', 'change payment settings')){ e.target.checked = false; return; }
       setPaymentsLocked(false);
       toast('Payment settings unlocked.', 'info');
     } else {
@@ -1482,14 +5939,752 @@
     };
     await savePayments();
     setPaymentsLocked(true);
+    await logActivity('edit', 'Payment settings');
     toast('Payment settings saved.', 'success');
   });
 
+  // ---------- backup & restore ----------
+  // Every storage key the app owns. `kind` decides how the restore preview compares
+  // and how a merge combines: lists by record id, maps by key, objects as a whole.
+  const BACKUP_SECTIONS = [
+    { key:'orders', label:'Orders', kind:'list', id: o => o.id, save: saveOrders },
+    { key:'products', label:'Work items', kind:'list', id: p => p.key, save: saveProducts },
+    { key:'prices', label:'Prices', kind:'map', save: savePrices },
+    { key:'charges', label:'Charges', kind:'list', id: c => c.key, save: saveCharges },
+    { key:'shop', label:'Shop details', kind:'object', save: saveShop },
+    { key:'tax', label:'Tax', kind:'object', save: saveTax },
+    { key:'payments', label:'Payment link', kind:'object', save: savePayments },
+    { key:'currency', label:'Currency', kind:'object', save: saveCurrency },
+    { key:'settings', label:'Preferences', kind:'object', save: saveSettings },
+    { key:'users', label:'Users & PINs', kind:'list', id: u => u.id, save: saveUsers },
+    { key:'rolePerms', label:'Role permissions', kind:'object', save: saveRolePerms },
+    { key:'capacity', label:'Delivery capacity', kind:'object', save: saveCapacity },
+    { key:'express', label:'Express surcharge', kind:'object', save: saveExpress },
+    { key:'staff', label:'Staff', kind:'list', id: x => x.id, save: saveStaff },
+    { key:'invoiceSeries', label:'Invoice counters', kind:'map', save: saveInvoiceSeries },
+    { key:'measurements', label:'Measurements', kind:'map', save: saveMeasurements },
+    { key:'customers', label:'Customers', kind:'map', save: saveCustomers },
+    { key:'templates', label:'Message templates', kind:'object', save: saveTemplates },
+    { key:'orderPhotos', label:'Photos & swatches', kind:'map', save: saveOrderPhotos },
+    { key:'reminderLog', label:'Reminder log', kind:'list', id: r => `${r.orderId}|${r.type}|${r.at}`, save: saveReminderLog },
+    { key:'expenses', label:'Expenses', kind:'list', id: x => x.id, save: saveExpenses },
+    { key:'expenseCategories', label:'Expense categories', kind:'list', id: c => c.key, save: saveExpenseCategories },
+    { key:'cashbook', label:'Cash book days', kind:'map', save: saveCashbook },
+    { key:'inventory', label:'Stock items', kind:'list', id: x => x.id, save: saveInventory },
+    { key:'stockMoves', label:'Stock movements', kind:'list', id: m => `${m.at}|${m.itemId}|${m.change}`, save: saveInventory },
+    { key:'activityLog', label:'Activity log', kind:'list', id: a => `${a.at}|${a.userId}|${a.action}|${a.target}`, save: saveActivityLog }
+  ];
+  const BACKUP_APP = 'santi-ledger';
+  let pendingRestore = null;
+
+  function snapshotData(){
+    return JSON.parse(JSON.stringify({
+      orders, products, prices, charges, shop, tax, payments, currency, settings,
+      capacity, express, staff, invoiceSeries, measurements, customers, templates, reminderLog, orderPhotos,
+      users, rolePerms, activityLog, expenses, expenseCategories, cashbook, inventory, stockMoves
+    }));
+  }
+  function applyData(d){
+    orders = d.orders || [];
+    products = d.products && d.products.length ? d.products : DEFAULT_PRODUCTS.map(p => ({...p}));
+    prices = d.prices || {};
+    charges = d.charges || DEFAULT_CHARGES.map(c => ({...c}));
+    shop = {...DEFAULT_SHOP, ...(d.shop || {})};
+    tax = {...DEFAULT_TAX, ...(d.tax || {})};
+    payments = {...DEFAULT_PAYMENTS, ...(d.payments || {})};
+    currency = {...DEFAULT_CURRENCY, ...(d.currency || {})};
+    settings = d.settings || {};
+    capacity = {...DEFAULT_CAPACITY, ...(d.capacity || {})};
+    express = {...DEFAULT_EXPRESS, ...(d.express || {})};
+    staff = d.staff || [];
+    invoiceSeries = d.invoiceSeries || {};
+    measurements = d.measurements || {};
+    customers = d.customers || {};
+    templates = {...DEFAULT_TEMPLATES, ...(d.templates || {})};
+    reminderLog = d.reminderLog || [];
+    orderPhotos = d.orderPhotos || {};
+    users = d.users || [];
+    rolePerms = {...DEFAULT_ROLE_PERMS, ...(d.rolePerms || {})};
+    activityLog = d.activityLog || [];
+    expenses = d.expenses || [];
+    expenseCategories = d.expenseCategories && d.expenseCategories.length ? d.expenseCategories : DEFAULT_EXPENSE_CATEGORIES.map(c => ({...c}));
+    cashbook = d.cashbook || {};
+    inventory = d.inventory || [];
+    stockMoves = d.stockMoves || [];
+  }
+
+  // FNV-1a over the JSON text — catches truncated or hand-edited files, nothing more.
+  function checksumOf(data){
+    const text = JSON.stringify(data);
+    let h = 0x811c9dc5;
+    for(let i = 0; i < text.length; i++){
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, '0');
+  }
+
+  async function downloadBackup(){
+    const data = snapshotData();
+    const file = { app: BACKUP_APP, schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), checksum: checksumOf(data), data };
+    const blob = new Blob([JSON.stringify(file, null, 1)], { type:'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `santi-ledger-backup-${dateKey(new Date())}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+    settings.lastBackupAt = file.exportedAt;
+    await saveSettings();
+    renderBackupStatus();
+    toast('Backup downloaded — keep it somewhere other than this device.', 'success');
+  }
+
+  function renderBackupStatus(){
+    $('#backup-last').textContent = settings.lastBackupAt
+      ? `Last backup: ${new Date(settings.lastBackupAt).toLocaleString(localeTag(), { day:'2-digit', month:'short', year:'numeric', hour:'2-digit', minute:'2-digit' })}`
+      : 'No backup downloaded from this browser yet.';
+  }
+
+  // Reads and checks a backup file; returns its data upgraded to the current schema.
+  async function readBackupFile(text){
+    let file;
+    try{ file = JSON.parse(text); }catch(e){ throw new Error('That file is not a backup from this app.'); }
+    if(!file || file.app !== BACKUP_APP || !file.data || typeof file.data !== 'object') throw new Error('That file is not a backup from this app.');
+    if(file.checksum !== checksumOf(file.data)) throw new Error('The backup file is damaged or was edited — its checksum does not match.');
+    const version = Number(file.schemaVersion) || 0;
+    if(version > SCHEMA_VERSION) throw new Error('This backup was made by a newer version of the app — update this one first.');
+    const data = JSON.parse(JSON.stringify(file.data));
+    if(!Array.isArray(data.orders)) data.orders = [];
+    await migrateData(data, version);
+    return { file, data };
+  }
+
+  // Compares one section of the current data against the backup for the preview table.
+  function diffSection(sec, mine, theirs){
+    if(theirs === undefined) return { text: 'Not in backup', changed: false };
+    if(sec.kind === 'object'){
+      const same = JSON.stringify(mine) === JSON.stringify(theirs);
+      return { text: same ? 'Same' : 'Different', changed: !same };
+    }
+    const entries = sec.kind === 'list'
+      ? [new Map((mine || []).map(r => [sec.id(r), JSON.stringify(r)])), (theirs || []).map(r => [sec.id(r), JSON.stringify(r)])]
+      : [new Map(Object.entries(mine || {}).map(([k,v]) => [k, JSON.stringify(v)])), Object.entries(theirs || {}).map(([k,v]) => [k, JSON.stringify(v)])];
+    const [here, incoming] = entries;
+    let added = 0, changed = 0, same = 0;
+    incoming.forEach(([id, json]) => {
+      if(!here.has(id)) added++;
+      else if(here.get(id) === json) same++;
+      else changed++;
+    });
+    const onlyHere = here.size - changed - same;
+    const parts = [];
+    if(added) parts.push(`${added} new`);
+    if(changed) parts.push(`${changed} different`);
+    if(same) parts.push(`${same} same`);
+    if(onlyHere) parts.push(`${onlyHere} only here`);
+    return { text: parts.join(', ') || 'Empty', changed: added > 0 || changed > 0, count: [here.size, incoming.length] };
+  }
+
+  function renderRestorePreview(){
+    const box = $('#restore-preview');
+    if(!pendingRestore){ box.innerHTML = ''; return; }
+    const { file, data } = pendingRestore;
+    const current = snapshotData();
+    const rows = BACKUP_SECTIONS.map(sec => {
+      const d = diffSection(sec, current[sec.key], data[sec.key]);
+      return `<tr>
+        <td>${esc(sec.label)}</td>
+        <td>${d.count ? d.count[0] : '—'}</td>
+        <td>${d.count ? d.count[1] : '—'}</td>
+        <td class="${d.changed ? 'balance-due' : ''}">${esc(d.text)}</td>
+      </tr>`;
+    }).join('');
+    box.innerHTML = `
+      <h3 class="dash-section-title">Backup from ${fmtDate(file.exportedAt)}</h3>
+      <p class="page-sub" style="margin-top:-4px;">Data version ${Number(file.schemaVersion) || 0}${Number(file.schemaVersion) < SCHEMA_VERSION ? ` — upgraded to ${SCHEMA_VERSION} for this preview` : ''}. Nothing changes until you pick Merge or Replace.</p>
+      <div style="overflow-x:auto;">
+        <table>
+          <thead><tr><th>Data</th><th>In this browser</th><th>In backup</th><th>Difference</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <p class="hint"><strong>Merge</strong> adds records that are only in the backup and keeps everything already here as it is, settings included. <strong>Replace</strong> makes this browser an exact copy of the backup. Invoice counters never go backwards either way.</p>
+      <div style="display:flex; gap:8px; flex-wrap:wrap;">
+        <button type="button" class="btn btn-teal" id="restore-merge-btn" aria-label="Merge the backup into this browser's data">Merge</button>
+        <button type="button" class="btn btn-ghost" id="restore-replace-btn" aria-label="Replace this browser's data with the backup">Replace</button>
+        <button type="button" class="btn btn-ghost" id="restore-cancel-btn" aria-label="Cancel the restore">Cancel</button>
+      </div>
+    `;
+    box.querySelector('#restore-merge-btn').addEventListener('click', ()=> applyRestore('merge'));
+    box.querySelector('#restore-replace-btn').addEventListener('click', ()=> applyRestore('replace'));
+    box.querySelector('#restore-cancel-btn').addEventListener('click', ()=>{ pendingRestore = null; renderRestorePreview(); });
+  }
+
+  function mergeSection(sec, mine, theirs){
+    if(theirs === undefined || sec.kind === 'object') return mine;
+    if(sec.kind === 'list'){
+      const have = new Set((mine || []).map(sec.id));
+      return [...(mine || []), ...(theirs || []).filter(r => !have.has(sec.id(r)))];
+    }
+    if(sec.key === 'measurements'){
+      const out = JSON.parse(JSON.stringify(mine || {}));
+      Object.entries(theirs || {}).forEach(([mob, garments]) => {
+        out[mob] = out[mob] || {};
+        Object.entries(garments).forEach(([g, versions]) => {
+          const have = new Set((out[mob][g] || []).map(x => x.v));
+          out[mob][g] = [...(out[mob][g] || []), ...versions.filter(x => !have.has(x.v))].sort((a,b) => a.v - b.v);
+        });
+      });
+      return out;
+    }
+    return {...(theirs || {}), ...(mine || {})};
+  }
+
+  async function applyRestore(mode){
+    if(!pendingRestore) return;
+    if(!await authorize('backup.restore', 'restore a backup')) return;
+    if(mode === 'replace'){
+      const ok = await customConfirm('Replace all data', 'Everything in this browser — orders, prices, settings, users and PINs — will be swapped for the backup. Download a backup of the current data first if you might need it.', 'Replace');
+      if(!ok) return;
+    }
+    const current = snapshotData();
+    const incoming = pendingRestore.data;
+    const next = {};
+    BACKUP_SECTIONS.forEach(sec => {
+      next[sec.key] = mode === 'replace'
+        ? (incoming[sec.key] !== undefined ? incoming[sec.key] : current[sec.key])
+        : mergeSection(sec, current[sec.key], incoming[sec.key]);
+    });
+    // Invoice numbers must never be handed out twice, whichever copy is newer.
+    next.invoiceSeries = {...(incoming.invoiceSeries || {}), ...current.invoiceSeries};
+    Object.entries(incoming.invoiceSeries || {}).forEach(([fy, seq]) => {
+      next.invoiceSeries[fy] = Math.max(Number(seq) || 0, Number(current.invoiceSeries[fy]) || 0);
+    });
+    // The activity log is append-only, so even a replace keeps what happened here.
+    next.activityLog = mergeSection(BACKUP_SECTIONS.find(x => x.key === 'activityLog'), current.activityLog, incoming.activityLog)
+      .sort((a,b) => String(a.at).localeCompare(String(b.at)));
+    if(!(next.users || []).some(u => u.role === 'owner')) next.users = current.users;
+    next.orders = [...next.orders].sort((a,b) => a.id - b.id);
+    applyData(next);
+    for(const sec of BACKUP_SECTIONS) await sec.save();
+    schemaVersion = SCHEMA_VERSION;
+    await saveSchemaVersion();
+    pendingRestore = null;
+    await logActivity('restore', 'Backup', mode === 'replace' ? 'Replaced all data' : 'Merged');
+    refreshAfterRestore();
+    toast(mode === 'replace' ? 'Backup restored.' : 'Backup merged.', 'success');
+    if(!signedInUser()) signIn();
+  }
+
+  function refreshAfterRestore(){
+    renderOrderQtyGrid();
+    renderOrderChargesGrid();
+    renderAssignSelects(null);
+    renderSignedInUser();
+    renderSidebarBranding();
+    renderPricesForm();
+    renderChargesList();
+    renderSettingsForm();
+    renderPaymentsForm();
+    renderStaffList();
+    renderCapacityForm();
+    renderUsersList();
+    renderRestorePreview();
+    renderBackupStatus();
+    renderOrders();
+    renderDashboard();
+  }
+
+  $('#backup-download-btn').addEventListener('click', downloadBackup);
+  $('#restore-file').addEventListener('change', e=>{
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if(!file) return;
+    const reader = new FileReader();
+    reader.onload = async ()=>{
+      try{
+        pendingRestore = await readBackupFile(String(reader.result));
+      }catch(err){
+        pendingRestore = null;
+        toast(err.message, 'error');
+      }
+      renderRestorePreview();
+    };
+    reader.onerror = ()=> toast('Could not read that file — try again.', 'error');
+    reader.readAsText(file);
+  });
+
+  // ---------- inventory ----------
+  // Stock items carry a running count; each product's bill of materials says how much of
+  // each item one piece uses. Orders remember what was taken for them (order.materials),
+  // so an edit only moves the difference and a delete puts it all back.
+  let inventoryUnlocked = false;
+  const roundQty = n => Math.round((Number(n) || 0) * 1000) / 1000;
+  const fmtQty = n => roundQty(n).toLocaleString('en-IN');
+
+  function lowStockItems(){
+    return inventory
+      .filter(x => x.stock <= (Number(x.reorderAt) || 0))
+      .sort((a,b) => (a.stock - a.reorderAt) - (b.stock - b.reorderAt));
+  }
+  function lowStockNote(items){
+    const low = items.filter(x => x.stock <= (Number(x.reorderAt) || 0));
+    return low.length ? ` · ${tr('low stock: {items}', { items: low.map(x => x.name).join(', ') })}` : '';
+  }
+
+  // Alterations and rework reuse the customer's garment, so they take no new material.
+  function orderMaterialNeeds(o){
+    const need = {};
+    if(o.rework) return need;
+    products.forEach(p => {
+      const pieces = (o.qty && o.qty[p.key]) || 0;
+      if(!pieces) return;
+      (p.bom || []).forEach(b => {
+        if(!inventory.some(x => x.id === b.itemId)) return;
+        need[b.itemId] = roundQty((need[b.itemId] || 0) + pieces * (Number(b.qty) || 0));
+      });
+    });
+    return need;
+  }
+  function recordStockMove(item, change, reason, orderId){
+    item.stock = roundQty(item.stock + change);
+    stockMoves.push({ at: new Date().toISOString(), itemId: item.id, change: roundQty(change), reason, orderId: orderId || null, by: currentActor() });
+  }
+  // Returns the items whose stock moved; the caller saves inventory.
+  function syncOrderStock(o, need){
+    const before = o.materials || {};
+    const moved = [];
+    new Set([...Object.keys(before), ...Object.keys(need)]).forEach(id => {
+      const change = roundQty((before[id] || 0) - (need[id] || 0));
+      const item = inventory.find(x => x.id === id);
+      if(!change || !item) return;
+      recordStockMove(item, change, change < 0 ? 'Used on order' : 'Returned from order', o.id);
+      moved.push(item);
+    });
+    o.materials = Object.fromEntries(Object.entries(need).filter(([,q]) => q > 0));
+    return moved;
+  }
+
+  function renderInventory(){
+    renderInventoryItems();
+    renderBomList();
+    renderStockMoves();
+    setInventoryLocked(!inventoryUnlocked);
+  }
+
+  function renderInventoryItems(){
+    $('#inv-tbody').innerHTML = inventory.map(x => {
+      const low = x.stock <= (Number(x.reorderAt) || 0);
+      return `
+        <tr>
+          <td>${esc(x.name)}</td>
+          <td class="${x.stock <= 0 ? 'overdue' : low ? 'balance-due' : ''}">${fmtQty(x.stock)} ${esc(x.unit)}</td>
+          <td>${fmtQty(x.reorderAt)} ${esc(x.unit)}</td>
+          <td>${low ? `<span class="status-pill status-customer_due">Reorder</span>` : `<span class="status-pill status-delivered">OK</span>`}</td>
+          <td class="no-print" style="white-space:nowrap;">
+            <button type="button" class="btn btn-ghost" data-inv-receive="${esc(x.id)}" aria-label="Receive stock of ${esc(x.name)}">Receive</button>
+            <span data-inv-editctrls style="display:${inventoryUnlocked?'inline-flex':'none'}; gap:2px;">
+              <button type="button" class="icon-btn" title="Edit or recount" aria-label="Edit or recount ${esc(x.name)}" data-inv-edit="${esc(x.id)}"><span class="icon" aria-hidden="true">${ICONS.edit}</span></button>
+              <button type="button" class="icon-btn icon-danger" title="Remove" aria-label="Remove ${esc(x.name)}" data-inv-remove="${esc(x.id)}"><span class="icon" aria-hidden="true">${ICONS.trash}</span></button>
+            </span>
+          </td>
+        </tr>
+      `;
+    }).join('');
+    $('#inv-empty').style.display = inventory.length ? 'none' : 'block';
+
+    $$('#inv-tbody [data-inv-receive]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const item = inventory.find(x => x.id === btn.dataset.invReceive);
+      if(!item) return;
+      const values = await showFormModal({
+        title: `Receive ${item.name}`,
+        message: `In stock now: ${fmtQty(item.stock)} ${item.unit}`,
+        confirmLabel: 'Add to stock',
+        fields: [
+          { id:'qty', label:`Quantity received (${item.unit})`, type:'number', value:'', attrs:'min="0" step="0.001"' },
+          { id:'note', label:'Supplier / bill no. (optional)', type:'text' }
+        ]
+      });
+      if(!values) return;
+      const qty = roundQty(values.qty);
+      if(qty <= 0){ toast('Enter a quantity greater than zero.', 'error'); return; }
+      recordStockMove(item, qty, values.note.trim() ? `Received · ${values.note.trim()}` : 'Received');
+      await saveInventory();
+      await logActivity('edit', `Stock ${item.name}`, `Received ${fmtQty(qty)} ${item.unit}`);
+      renderInventory();
+      toast(tr('{item}: {qty} {unit} in stock.', { item: item.name, qty: fmtQty(item.stock), unit: item.unit }), 'success');
+    }));
+    $$('#inv-tbody [data-inv-edit]').forEach(btn => btn.addEventListener('click', async ()=>{
+      if(!inventoryUnlocked) return;
+      const item = inventory.find(x => x.id === btn.dataset.invEdit);
+      if(!item) return;
+      const values = await showFormModal({
+        title: `Edit ${item.name}`,
+        confirmLabel: 'Save',
+        fields: [
+          { id:'name', label:'Name', type:'text', value: item.name },
+          { id:'unit', label:'Unit', type:'select', value: item.unit, options: INVENTORY_UNITS.map(u => ({ value:u, label:u })) },
+          { id:'stock', label:'Counted stock (changes are logged as an adjustment)', type:'number', value: item.stock, attrs:'step="0.001"' },
+          { id:'reorderAt', label:'Reorder when at or below', type:'number', value: item.reorderAt, attrs:'min="0" step="0.001"' }
+        ]
+      });
+      if(!values) return;
+      if(!values.name.trim()){ toast('Name cannot be empty.', 'error'); return; }
+      item.name = values.name.trim();
+      item.unit = values.unit;
+      item.reorderAt = Math.max(0, roundQty(values.reorderAt));
+      const change = roundQty(roundQty(values.stock) - item.stock);
+      if(change) recordStockMove(item, change, 'Stock count adjusted');
+      await saveInventory();
+      await logActivity('edit', `Stock ${item.name}`, change ? `Recounted ${change > 0 ? '+' : ''}${fmtQty(change)} ${item.unit}` : 'Details changed');
+      renderInventory();
+      renderDashboard();
+      toast(tr('{item} saved.', { item: item.name }), 'success');
+    }));
+    $$('#inv-tbody [data-inv-remove]').forEach(btn => btn.addEventListener('click', async ()=>{
+      if(!inventoryUnlocked) return;
+      const item = inventory.find(x => x.id === btn.dataset.invRemove);
+      if(!item) return;
+      const used = products.filter(p => (p.bom || []).some(b => b.itemId === item.id));
+      const ok = await customConfirm('Remove stock item', `Remove ${item.name}?${used.length ? ` It is also taken off the materials for ${used.map(p => p.label).join(', ')}.` : ''}`, 'Remove');
+      if(!ok) return;
+      inventory = inventory.filter(x => x.id !== item.id);
+      used.forEach(p => { p.bom = p.bom.filter(b => b.itemId !== item.id); });
+      await saveInventory();
+      if(used.length) await saveProducts();
+      await logActivity('delete', `Stock ${item.name}`);
+      renderInventory();
+      renderDashboard();
+      toast('Stock item removed.', 'success');
+    }));
+  }
+
+  function renderBomList(){
+    const itemOptions = sel => inventory.map(x => `<option value="${esc(x.id)}" ${x.id === sel ? 'selected' : ''}>${esc(x.name)} (${esc(x.unit)})</option>`).join('');
+    $('#bom-list').innerHTML = products.map(p => `
+      <li style="flex-wrap:wrap; align-items:flex-start;">
+        <span style="flex:0 0 180px; padding-top:6px;"><strong>${esc(p.label)}</strong></span>
+        <span style="flex:1; display:flex; flex-direction:column; gap:6px;">
+          ${(p.bom || []).map((b, i) => `
+            <span style="display:flex; gap:6px; align-items:center;">
+              <select data-bom-item="${esc(p.key)}|${i}" aria-label="Material for ${esc(p.label)}" ${inventoryUnlocked ? '' : 'disabled'}>${itemOptions(b.itemId)}</select>
+              <input type="number" min="0" step="0.001" value="${b.qty}" style="max-width:90px;" data-bom-qty="${esc(p.key)}|${i}" aria-label="Quantity per piece" ${inventoryUnlocked ? '' : 'disabled'}>
+              <small style="color:#948a7b;">per piece</small>
+              <button type="button" class="icon-btn icon-danger" title="Remove" aria-label="Remove this material" data-bom-remove="${esc(p.key)}|${i}" style="display:${inventoryUnlocked?'inline-flex':'none'};"><span class="icon" aria-hidden="true">${ICONS.trash}</span></button>
+            </span>
+          `).join('') || `<small style="color:#948a7b; padding-top:6px;">No materials deducted.</small>`}
+          <button type="button" class="btn btn-ghost" data-bom-add="${esc(p.key)}" style="display:${inventoryUnlocked && inventory.length ? 'inline-flex' : 'none'}; align-self:flex-start;" aria-label="Add a material to ${esc(p.label)}">+ Material</button>
+        </span>
+      </li>
+    `).join('');
+    const bomLine = ref => {
+      const [key, i] = ref.split('|');
+      const p = products.find(x => x.key === key);
+      return p && p.bom && p.bom[Number(i)] ? { p, b: p.bom[Number(i)], i: Number(i) } : null;
+    };
+    $$('#bom-list [data-bom-item]').forEach(sel => sel.addEventListener('change', async ()=>{
+      const hit = bomLine(sel.dataset.bomItem);
+      if(!hit || !inventoryUnlocked) return;
+      hit.b.itemId = sel.value;
+      await saveProducts();
+      await logActivity('edit', `Materials ${hit.p.label}`);
+    }));
+    $$('#bom-list [data-bom-qty]').forEach(inp => inp.addEventListener('change', async ()=>{
+      const hit = bomLine(inp.dataset.bomQty);
+      if(!hit || !inventoryUnlocked) return;
+      hit.b.qty = Math.max(0, roundQty(inp.value));
+      await saveProducts();
+      await logActivity('edit', `Materials ${hit.p.label}`);
+    }));
+    $$('#bom-list [data-bom-remove]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const hit = bomLine(btn.dataset.bomRemove);
+      if(!hit || !inventoryUnlocked) return;
+      hit.p.bom.splice(hit.i, 1);
+      await saveProducts();
+      await logActivity('edit', `Materials ${hit.p.label}`);
+      renderBomList();
+    }));
+    $$('#bom-list [data-bom-add]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const p = products.find(x => x.key === btn.dataset.bomAdd);
+      if(!p || !inventoryUnlocked || !inventory.length) return;
+      p.bom = [...(p.bom || []), { itemId: inventory[0].id, qty: 1 }];
+      await saveProducts();
+      await logActivity('edit', `Materials ${p.label}`);
+      renderBomList();
+    }));
+  }
+
+  function renderStockMoves(){
+    const recent = stockMoves.slice(-50).reverse();
+    $('#inv-moves').innerHTML = recent.length
+      ? recent.map(m => {
+          const item = inventory.find(x => x.id === m.itemId);
+          return `
+            <li>
+              <span>${esc(item ? item.name : 'Removed item')} · ${esc(m.reason)}${m.orderId ? ` #${String(m.orderId).padStart(4,'0')}` : ''}${m.by ? ` · by ${esc(m.by)}` : ''}</span>
+              <span class="${m.change < 0 ? 'balance-due' : 'balance-zero'}" style="white-space:nowrap;">${m.change > 0 ? '+' : ''}${fmtQty(m.change)} ${esc(item ? item.unit : '')} · ${new Date(m.at).toLocaleString(localeTag(), { day:'2-digit', month:'short', hour:'2-digit', minute:'2-digit' })}</span>
+            </li>
+          `;
+        }).join('')
+      : `<li style="border-bottom:none; color:#948a7b;">No stock movements yet.</li>`;
+  }
+
+  function setInventoryLocked(locked){
+    inventoryUnlocked = !locked;
+    $$('[data-inv-editctrls]').forEach(el => el.style.display = locked ? 'none' : 'inline-flex');
+    $('#inv-add-row').style.display = locked ? 'none' : 'flex';
+    setLockUI('inventory-unlock-toggle', 'inventory-lock-status', locked,
+      'Locked — anyone can receive stock; unlock to add items, recount or change materials.',
+      'Unlocked — add items, recount stock and set materials per product.');
+  }
+  $('#inventory-unlock-toggle').addEventListener('change', async (e)=>{
+    if(e.target.checked){
+      if(!await authorize('inventory.edit', 'edit stock')){ e.target.checked = false; return; }
+      inventoryUnlocked = true;
+      toast('Stock unlocked.', 'info');
+    } else {
+      inventoryUnlocked = false;
+    }
+    renderInventory();
+  });
+  $('#inv-new-unit').innerHTML = INVENTORY_UNITS.map(u => `<option value="${u}">${u}</option>`).join('');
+  $('#inv-add-btn').addEventListener('click', async ()=>{
+    if(!inventoryUnlocked) return;
+    const name = $('#inv-new-name').value.trim();
+    if(!name){ toast('Name cannot be empty.', 'error'); return; }
+    if(inventory.some(x => x.name.toLowerCase() === name.toLowerCase())){ toast(tr('{name} is already in stock items.', { name }), 'error'); return; }
+    const item = { id: 'it' + Date.now().toString(36), name, unit: $('#inv-new-unit').value, stock: 0, reorderAt: Math.max(0, roundQty($('#inv-new-reorder').value)) };
+    const opening = roundQty($('#inv-new-stock').value);
+    inventory.push(item);
+    if(opening) recordStockMove(item, opening, 'Opening stock');
+    await saveInventory();
+    await logActivity('create', `Stock ${name}`, `${fmtQty(item.stock)} ${item.unit}`);
+    ['#inv-new-name', '#inv-new-stock', '#inv-new-reorder'].forEach(sel => $(sel).value = '');
+    renderInventory();
+    renderDashboard();
+    toast(tr('Added {name}.', { name }), 'success');
+  });
+
+  // ---------- expenses ----------
+  function expenseCategoryLabel(key){
+    const c = expenseCategories.find(x => x.key === key);
+    return c ? c.label : key;
+  }
+  function expenseModeLabel(key){
+    const m = EXPENSE_MODES.find(x => x.key === key);
+    return m ? m.label : key;
+  }
+  // Expenses keep their day as YYYY-MM-DD, like delivery dates, so no timezone shifts.
+  const expensesOn = day => expenses.filter(x => x.date === day);
+  const expensesInMonth = (year, month) => expenses.filter(x => x.date.slice(0,7) === `${year}-${String(month+1).padStart(2,'0')}`);
+  const sumAmounts = list => list.reduce((s,x)=> s + (Number(x.amount)||0), 0);
+
+  function renderExpenseCategoryOptions(){
+    const sel = $('#xp-category');
+    const keep = sel.value;
+    sel.innerHTML = expenseCategories.map(c => `<option value="${esc(c.key)}">${esc(c.label)}</option>`).join('');
+    if(expenseCategories.some(c => c.key === keep)) sel.value = keep;
+    const filter = $('#xp-filter-category');
+    const keepFilter = filter.value;
+    filter.innerHTML = `<option value="">All categories</option>` + expenseCategories.map(c => `<option value="${esc(c.key)}">${esc(c.label)}</option>`).join('');
+    filter.value = keepFilter;
+  }
+
+  function renderExpenses(){
+    renderExpenseCategoryOptions();
+    if(!$('#xp-date').value) $('#xp-date').value = dateKey(new Date());
+    if(!$('#xp-month').value) $('#xp-month').value = dateKey(new Date()).slice(0,7);
+    if(!$('#cb-date').value) $('#cb-date').value = dateKey(new Date());
+    renderExpenseList();
+    renderCashbook();
+  }
+
+  function renderExpenseList(){
+    const month = $('#xp-month').value;
+    const category = $('#xp-filter-category').value;
+    const rows = expenses
+      .filter(x => (!month || x.date.slice(0,7) === month) && (!category || x.category === category))
+      .sort((a,b) => b.date.localeCompare(a.date) || b.id - a.id);
+    $('#xp-tbody').innerHTML = rows.map(x => `
+      <tr>
+        <td>${fmtDate(x.date + 'T12:00:00')}</td>
+        <td>${esc(expenseCategoryLabel(x.category))}</td>
+        <td>${esc(x.note || '—')}</td>
+        <td>${esc(expenseModeLabel(x.mode))}</td>
+        <td>${money(x.amount)}</td>
+        <td>${esc(x.by || '—')}</td>
+        <td class="no-print"><button type="button" class="icon-btn icon-danger" title="Delete" aria-label="Delete this expense" data-del-expense="${x.id}"><span class="icon" aria-hidden="true">${ICONS.trash}</span></button></td>
+      </tr>
+    `).join('');
+    $('#xp-empty').style.display = rows.length ? 'none' : 'block';
+    $('#xp-total').textContent = rows.length ? `${rows.length} expense${rows.length === 1 ? '' : 's'} · ${money(sumAmounts(rows))}` : '';
+
+    // category split for the month shown
+    const byCat = expenseCategories
+      .map(c => ({ label: c.label, sum: sumAmounts(rows.filter(x => x.category === c.key)) }))
+      .filter(c => c.sum > 0)
+      .sort((a,b) => b.sum - a.sum);
+    const maxCat = Math.max(1, ...byCat.map(c => c.sum));
+    $('#xp-by-category').innerHTML = byCat.length
+      ? byCat.map(c => `
+          <div class="hbar-row">
+            <span class="hbar-label" style="text-transform:none;">${esc(c.label)}</span>
+            <span class="hbar-track"><span class="hbar-fill" style="width:${Math.round((c.sum/maxCat)*100)}%;"></span></span>
+            <span class="hbar-value">${money(c.sum)}</span>
+          </div>
+        `).join('')
+      : `<p class="empty">No expenses for this selection.</p>`;
+
+    $$('#xp-tbody [data-del-expense]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const entry = expenses.find(x => x.id === Number(btn.dataset.delExpense));
+      if(!entry) return;
+      if(!await authorize('expenses.delete', 'delete expenses')) return;
+      const ok = await customConfirm('Delete expense', `Delete the ${money(entry.amount)} ${expenseCategoryLabel(entry.category)} expense from ${fmtDate(entry.date + 'T12:00:00')}?`, 'Delete');
+      if(!ok) return;
+      expenses = expenses.filter(x => x.id !== entry.id);
+      await saveExpenses();
+      await logActivity('delete', `Expense ${expenseCategoryLabel(entry.category)}`, `${money(entry.amount)} of ${fmtDate(entry.date + 'T12:00:00')}`);
+      renderExpenses();
+      toast('Expense deleted.', 'success');
+    }));
+  }
+
+  $('#xp-mode').innerHTML = EXPENSE_MODES.map(m => `<option value="${m.key}">${esc(m.label)}</option>`).join('');
+  $('#expense-form').addEventListener('submit', async e=>{
+    e.preventDefault();
+    const amount = Number($('#xp-amount').value) || 0;
+    if(amount <= 0){ toast('Enter an amount greater than zero.', 'error'); return; }
+    const date = $('#xp-date').value || dateKey(new Date());
+    const entry = {
+      id: nextRecordId(expenses),
+      date,
+      category: $('#xp-category').value,
+      amount,
+      mode: $('#xp-mode').value,
+      note: $('#xp-note').value.trim(),
+      by: currentActor(),
+      at: new Date().toISOString()
+    };
+    expenses.push(entry);
+    await saveExpenses();
+    await logActivity('create', `Expense ${expenseCategoryLabel(entry.category)}`, `${money(amount)} · ${expenseModeLabel(entry.mode)}`);
+    $('#xp-amount').value = '';
+    $('#xp-note').value = '';
+    renderExpenses();
+    toast(tr('Recorded {amount} under {category}.', { amount: money(amount), category: expenseCategoryLabel(entry.category) }), 'success');
+  });
+  $('#xp-add-category-btn').addEventListener('click', async ()=>{
+    const label = await customPrompt('Add category', 'New expense category (e.g. "Machine repair"):');
+    if(label === null) return;
+    const trimmed = label.trim();
+    if(!trimmed){ toast('Name cannot be empty.', 'error'); return; }
+    if(expenseCategories.some(c => c.label.toLowerCase() === trimmed.toLowerCase())){ toast(tr('"{name}" is already a category.', { name: trimmed }), 'error'); return; }
+    let key = slugify(trimmed), n = 2;
+    while(expenseCategories.some(c => c.key === key)) key = slugify(trimmed) + n++;
+    expenseCategories.push({ key, label: trimmed });
+    await saveExpenseCategories();
+    await logActivity('create', `Expense category ${trimmed}`);
+    renderExpenseCategoryOptions();
+    $('#xp-category').value = key;
+    toast(tr('Added "{name}".', { name: trimmed }), 'success');
+  });
+  ['#xp-month', '#xp-filter-category'].forEach(sel => $(sel).addEventListener('change', renderExpenseList));
+
+  // ---------- daily cash book ----------
+  // Opening cash + cash payments received − cash expenses = cash that should be in the drawer.
+  // Closing a day stores the counted figure, which becomes the next day's opening.
+  function cashReceivedOn(day){
+    const rows = [];
+    orders.forEach(o => orderPayments(o).forEach(p => {
+      if(p.mode === 'cash' && dateKey(p.date) === day) rows.push({ o, p });
+    }));
+    return rows;
+  }
+  function previousClosing(day){
+    const prev = Object.keys(cashbook).filter(k => k < day && cashbook[k].counted != null).sort().pop();
+    return prev ? Number(cashbook[prev].counted) || 0 : 0;
+  }
+  function cashDay(day){
+    const entry = cashbook[day] || {};
+    const opening = entry.opening != null ? Number(entry.opening) || 0 : previousClosing(day);
+    const received = cashReceivedOn(day);
+    const spent = expensesOn(day).filter(x => x.mode === 'cash');
+    const expected = opening + sumAmounts(received.map(r => r.p)) - sumAmounts(spent);
+    return { entry, opening, received, spent, expected };
+  }
+
+  function renderCashbook(){
+    const day = $('#cb-date').value || dateKey(new Date());
+    const { entry, opening, received, spent, expected } = cashDay(day);
+    const closed = entry.counted != null;
+    $('#cb-opening').value = opening;
+    $('#cb-opening').disabled = closed;
+    $('#cb-counted').value = closed ? entry.counted : '';
+    $('#cb-counted').disabled = closed;
+    $('#cb-close-btn').textContent = closed ? 'Reopen day' : 'Close day';
+    const diff = closed ? Number(entry.counted) - expected : null;
+    $('#cb-summary').innerHTML = `
+      <div class="sr"><span>Opening cash</span><span>${money(opening)}</span></div>
+      <div class="sr"><span>+ Cash received (${received.length})</span><span>${money(sumAmounts(received.map(r => r.p)))}</span></div>
+      <div class="sr"><span>− Cash expenses (${spent.length})</span><span>${money(sumAmounts(spent))}</span></div>
+      <div class="sr total"><span>Expected in drawer</span><span>${money(expected)}</span></div>
+      ${closed ? `
+        <div class="sr"><span>Counted</span><span>${money(entry.counted)}</span></div>
+        <div class="sr ${diff ? 'balance-due' : 'balance-zero'}"><span>${diff > 0 ? 'Excess' : diff < 0 ? 'Short' : 'Matches'}</span><span>${diff ? money(Math.abs(diff)) : '✓'}</span></div>
+        <p class="hint">Closed by ${esc(entry.closedBy || '—')} at ${new Date(entry.closedAt).toLocaleString(localeTag(), { day:'2-digit', month:'short', hour:'2-digit', minute:'2-digit' })}.</p>` : ''}
+    `;
+    const lines = [
+      ...received.map(({ o, p }) => ({ at: p.date, text: `#${String(o.id).padStart(4,'0')} — ${o.name}${p.ref ? ` · ${p.ref}` : ''}`, amount: Number(p.amount) || 0 })),
+      ...spent.map(x => ({ at: x.at, text: `${expenseCategoryLabel(x.category)}${x.note ? ` · ${x.note}` : ''}`, amount: -(Number(x.amount) || 0) }))
+    ].sort((a,b) => String(a.at).localeCompare(String(b.at)));
+    $('#cb-lines').innerHTML = lines.length
+      ? lines.map(l => `
+          <li>
+            <span>${esc(l.text)}</span>
+            <span class="${l.amount < 0 ? 'balance-due' : ''}" style="white-space:nowrap;">${l.amount < 0 ? '− ' : '+ '}${money(Math.abs(l.amount))}</span>
+          </li>
+        `).join('')
+      : `<li style="border-bottom:none; color:#948a7b;">No cash in or out on this day.</li>`;
+  }
+
+  $('#cb-date').addEventListener('change', renderCashbook);
+  $('#cb-opening').addEventListener('change', async ()=>{
+    const day = $('#cb-date').value || dateKey(new Date());
+    cashbook[day] = {...(cashbook[day] || {}), opening: Math.max(0, Number($('#cb-opening').value) || 0)};
+    await saveCashbook();
+    renderCashbook();
+  });
+  $('#cb-close-btn').addEventListener('click', async ()=>{
+    const day = $('#cb-date').value || dateKey(new Date());
+    const label = fmtDate(day + 'T12:00:00');
+    if(cashbook[day] && cashbook[day].counted != null){
+      if(!await authorize('expenses.delete', 'reopen a closed cash day')) return;
+      const { counted, closedBy, closedAt, ...rest } = cashbook[day];
+      cashbook[day] = rest;
+      await saveCashbook();
+      await logActivity('edit', `Cash book ${label}`, 'Reopened');
+      renderCashbook();
+      toast(tr('Cash book for {day} reopened.', { day: label }), 'info');
+      return;
+    }
+    if($('#cb-counted').value === ''){ toast('Count the cash in the drawer and enter it first.', 'error'); return; }
+    const counted = Math.max(0, Number($('#cb-counted').value) || 0);
+    const { opening, expected } = cashDay(day);
+    cashbook[day] = { opening, counted, closedBy: currentActor(), closedAt: new Date().toISOString() };
+    await saveCashbook();
+    const diff = counted - expected;
+    await logActivity('edit', `Cash book ${label}`, `Closed · counted ${money(counted)}${diff ? ` · ${diff > 0 ? 'excess' : 'short'} ${money(Math.abs(diff))}` : ''}`);
+    renderCashbook();
+    toast(diff ? tr(diff > 0 ? 'Day closed — drawer is over by {amount}.' : 'Day closed — drawer is short by {amount}.', { amount: money(Math.abs(diff)) }) : 'Day closed — cash matches.', diff ? 'info' : 'success');
+  });
+
   // ---------- analytics ----------
   function renderAnalytics(){
     const totals = orders.map(o => ({ o, ...calcOrderTotals(o) }));
     const revenue = totals.reduce((s,t)=> s + t.grandTotal, 0);
-    const collected = orders.reduce((s,o)=> s + Number(o.advance||0), 0);
+    const collected = totals.reduce((s,t)=> s + t.paid, 0);
     const outstanding = totals.reduce((s,t)=> s + Math.max(t.balance,0), 0);
     const avgOrder = orders.length ? revenue / orders.length : 0;
 
@@ -1510,13 +6705,11 @@
     const months = [];
     for(let i = 5; i >= 0; i--){
       const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      months.push({ year: d.getFullYear(), month: d.getMonth(), label: d.toLocaleString('en-IN', { month:'short' }) });
+      months.push({ year: d.getFullYear(), month: d.getMonth(), label: d.toLocaleString(localeTag(), { month:'short' }) });
     }
     const monthRevenue = months.map(m => {
-      const sum = totals
-        .filter(t => { const od = new Date(t.o.date); return od.getFullYear() === m.year && od.getMonth() === m.month; })
-        .reduce((s,t)=> s + t.grandTotal, 0);
-      return { ...m, sum };
+      const billed = totals.filter(t => { const od = new Date(t.o.date); return od.getFullYear() === m.year && od.getMonth() === m.month; });
+      return { ...m, sum: billed.reduce((s,t)=> s + t.grandTotal, 0), net: billed.reduce((s,t)=> s + t.pretax, 0) };
     });
     const maxRev = Math.max(1, ...monthRevenue.map(m => m.sum));
     $('#an-bar-chart').innerHTML = monthRevenue.map(m => `
@@ -1527,6 +6720,32 @@
       </div>
     `).join('');
 
+    // profit & loss for the same six months — billed revenue before GST (the tax collected is
+    // owed to the government, not earned) against recorded expenses
+    const pnl = monthRevenue.map(m => {
+      const spent = sumAmounts(expensesInMonth(m.year, m.month));
+      return { ...m, spent, profit: m.net - spent };
+    });
+    const pnlTotal = pnl.reduce((t,m) => ({ net: t.net + m.net, spent: t.spent + m.spent, profit: t.profit + m.profit }), { net:0, spent:0, profit:0 });
+    const margin = m => m.net ? `${Math.round((m.profit / m.net) * 100)}%` : '—';
+    $('#an-pnl-tbody').innerHTML = pnl.map(m => `
+      <tr>
+        <td>${esc(m.label)} ${m.year}</td>
+        <td>${money(m.net)}</td>
+        <td>${money(m.spent)}</td>
+        <td class="${m.profit < 0 ? 'balance-due' : ''}">${money(m.profit)}</td>
+        <td>${margin(m)}</td>
+      </tr>
+    `).join('') + `
+      <tr>
+        <td><strong>6 months</strong></td>
+        <td><strong>${money(pnlTotal.net)}</strong></td>
+        <td><strong>${money(pnlTotal.spent)}</strong></td>
+        <td class="${pnlTotal.profit < 0 ? 'balance-due' : ''}"><strong>${money(pnlTotal.profit)}</strong></td>
+        <td><strong>${margin(pnlTotal)}</strong></td>
+      </tr>
+    `;
+
     // status breakdown
     const statusCounts = { new: orders.filter(o=>!o.status).length };
     STATUSES.forEach(s => statusCounts[s] = orders.filter(o=>o.status===s).length);
@@ -1542,9 +6761,10 @@
       : `<p class="empty">No orders yet.</p>`;
 
     // top products by revenue
+    const originals = orders.filter(o => !o.rework);
     const productRevenue = products.map(p => {
-      const qty = orders.reduce((s,o)=> s + ((o.qty && o.qty[p.key]) || 0), 0);
-      const rev = qty * (prices[p.key] || 0);
+      const qty = originals.reduce((s,o)=> s + ((o.qty && o.qty[p.key]) || 0), 0);
+      const rev = originals.reduce((s,o)=> s + orderWorkLines(o).filter(l => l.key === p.key).reduce((t,l)=> t + l.amount, 0), 0);
       return { label: p.label, qty, rev };
     }).filter(p => p.qty > 0).sort((a,b) => b.rev - a.rev).slice(0, 6);
     const maxProdRev = Math.max(1, ...productRevenue.map(p => p.rev));
@@ -1558,15 +6778,36 @@
         `).join('')
       : `<p class="empty">No stitching items sold yet.</p>`;
 
-    // by-customer breakdown (grouped by mobile number)
+    // alterations & rework, kept apart from first-time orders: pieces back per piece made
+    const followUps = orders.filter(o => o.rework);
+    const reworkRows = products.map(p => {
+      const made = originals.reduce((s,o)=> s + ((o.qty && o.qty[p.key]) || 0), 0);
+      const back = followUps.reduce((s,o)=> s + ((o.qty && o.qty[p.key]) || 0), 0);
+      const ours = followUps.filter(o => o.rework.type === 'rework').reduce((s,o)=> s + ((o.qty && o.qty[p.key]) || 0), 0);
+      return { label: p.label, made, back, ours, rate: made ? back / made : 0 };
+    }).filter(r => r.back > 0).sort((a,b) => b.rate - a.rate);
+    const reworkRevenue = followUps.reduce((s,o)=> s + calcOrderTotals(o).grandTotal, 0);
+    $('#an-rework').innerHTML = followUps.length ? `
+      <p class="hint" style="margin-top:0;">${followUps.length} follow-up order${followUps.length === 1 ? '' : 's'} (${followUps.filter(isFreeRework).length} free) · ${money(reworkRevenue)} charged.</p>
+      ${reworkRows.map(r => `
+        <div class="hbar-row">
+          <span class="hbar-label" style="text-transform:none;">${esc(r.label)}</span>
+          <span class="hbar-track"><span class="hbar-fill" style="width:${Math.min(100, Math.round(r.rate * 100))}%;"></span></span>
+          <span class="hbar-value" title="${r.back} back of ${r.made} made · ${r.ours} our fix">${Math.round(r.rate * 100)}% · ${r.back}/${r.made}</span>
+        </div>
+      `).join('')}
+    ` : `<p class="empty">No alterations or rework yet.</p>`;
+
+    // by-customer breakdown (grouped by customer profile, so merged numbers count once)
     const byMobile = {};
     totals.forEach(({o, grandTotal, balance}) => {
-      const key = (o.mobile || '').trim() || `unknown-${o.id}`;
-      if(!byMobile[key]) byMobile[key] = { name: o.name, mobile: o.mobile, orders: 0, revenue: 0, dues: 0 };
+      const key = customerKey(o.mobile) || `unknown-${o.id}`;
+      const profile = customers[key];
+      if(!byMobile[key]) byMobile[key] = { name: o.name, mobile: profile ? profile.mobile : o.mobile, orders: 0, revenue: 0, dues: 0 };
       byMobile[key].orders += 1;
       byMobile[key].revenue += grandTotal;
       byMobile[key].dues += Math.max(balance, 0);
-      byMobile[key].name = o.name; // keep most recent name for that number
+      byMobile[key].name = profile ? profile.name : o.name; // keep most recent name for that number
     });
     const customerRows = Object.values(byMobile).sort((a,b) => b.revenue - a.revenue);
     $('#an-customer-tbody').innerHTML = customerRows.length
@@ -1582,17 +6823,294 @@
       : `<tr><td colspan="5" class="empty">No orders yet.</td></tr>`;
   }
 
+  // ---------- reports ----------
+  // Each report builds { columns, rows, total, note } from raw values; the table on screen,
+  // CSV, Excel and PDF are all drawn from that one shape. Column types: text, date (a
+  // Date), money, num. Exports are always in English so any spreadsheet or printer can
+  // read them (the PDF fonts have no Indic glyphs or ₹).
+  const REPORTS = [
+    { key:'sales', label:'Sales register', ranged: true },
+    { key:'gst', label:'GST summary', ranged: true },
+    { key:'products', label:'Product-wise quantities', ranged: true },
+    { key:'ageing', label:'Dues ageing', ranged: false },
+    { key:'staff', label:'Staff productivity', ranged: true },
+    { key:'collection', label:'Daily collection', ranged: true }
+  ];
+  const AGEING_BUCKETS = [
+    { label:'0–30 days', max: 30 },
+    { label:'31–60 days', max: 60 },
+    { label:'60+ days', max: Infinity }
+  ];
+  let reportKey = 'sales';
+
+  function reportRange(){
+    const today = new Date();
+    const from = $('#rep-from').value || dateKey(new Date(today.getFullYear(), today.getMonth(), 1));
+    const to = $('#rep-to').value || dateKey(today);
+    return from <= to ? { from, to } : { from: to, to: from };
+  }
+  const inRange = (d, { from, to }) => { const k = dateKey(d); return k >= from && k <= to; };
+  const sumColumn = (rows, i) => rows.reduce((s, r) => s + (Number(r[i]) || 0), 0);
+  const daysBetween = (a, b) => Math.floor((new Date(dateKey(b)) - new Date(dateKey(a))) / 86400000);
+
+  function buildReport(key, range){
+    if(key === 'sales'){
+      const list = orders.filter(o => inRange(o.date, range)).sort((a,b) => a.id - b.id);
+      const rows = list.map(o => {
+        const t = calcOrderTotals(o);
+        return [`#${String(o.id).padStart(4,'0')}`, new Date(o.date), o.name, o.mobile, o.invoice ? o.invoice.no : '',
+          t.pretax, t.taxAmount, t.grandTotal, t.paid, t.balance, statusLabel(o.status)];
+      });
+      return {
+        columns: [['Order #','text'], ['Date','date'], ['Customer','text'], ['Mobile','text'], ['Invoice no','text'],
+          ['Taxable value','money'], ['Tax','money'], ['Total','money'], ['Paid','money'], ['Balance','money'], ['Status','text']],
+        rows,
+        total: ['Total', null, `${rows.length} order${rows.length === 1 ? '' : 's'}`, '', '', ...[5,6,7,8,9].map(i => sumColumn(rows, i)), ''],
+        note: 'Orders booked in the period; paid and balance are as of today.'
+      };
+    }
+    if(key === 'gst'){
+      const byRate = {};
+      // Issued invoices report the figures they were issued with, even after GST is switched off.
+      const taxed = o => issuedInvoice(o) ? o.invoice.taxed : tax.enabled && o.applyTax;
+      orders.filter(o => taxed(o) && inRange(o.invoice ? o.invoice.date : o.date, range)).forEach(o => {
+        const { pretax, taxRate: rate, grandTotal } = calcOrderTotals(o);
+        const split = invoiceTaxSplit(o);
+        const row = byRate[rate] = byRate[rate] || { count: 0, taxable: 0, cgst: 0, sgst: 0, igst: 0, value: 0 };
+        row.count++;
+        row.taxable += pretax;
+        if(split.interState) row.igst += split.igst;
+        else { row.cgst += split.cgst; row.sgst += split.sgst; }
+        row.value += grandTotal;
+      });
+      const rows = Object.keys(byRate).map(Number).sort((a,b) => a - b).map(rate => {
+        const r = byRate[rate];
+        return [`${rate}%`, r.count, r.taxable, r.cgst, r.sgst, r.igst, r.cgst + r.sgst + r.igst, r.value];
+      });
+      return {
+        columns: [['GST rate','text'], ['Bills','num'], ['Taxable value','money'], ['CGST','money'], ['SGST','money'],
+          ['IGST','money'], ['Total tax','money'], ['Bill value','money']],
+        rows,
+        total: ['Total', ...[1,2,3,4,5,6,7].map(i => sumColumn(rows, i))],
+        note: 'Taxed bills by invoice date (order date when no invoice number was issued).'
+      };
+    }
+    if(key === 'products'){
+      const list = orders.filter(o => inRange(o.date, range));
+      const rows = products.map(p => {
+        const mine = list.filter(o => Number(o.qty && o.qty[p.key]) > 0);
+        const lines = mine.flatMap(o => orderWorkLines(o).filter(l => l.key === p.key));
+        const pieces = lines.filter(l => !l.addon).reduce((s,l) => s + l.qty, 0);
+        return [p.label, mine.length, pieces, lines.filter(l => l.addon).reduce((s,l) => s + l.qty, 0),
+          mine.filter(o => o.rework).length, lines.reduce((s,l) => s + l.amount, 0)];
+      }).filter(r => r[1] > 0).sort((a,b) => b[2] - a[2]);
+      return {
+        columns: [['Item','text'], ['Orders','num'], ['Pieces','num'], ['Add-ons','num'], ['Of which rework','num'], ['Work value','money']],
+        rows,
+        total: ['Total', list.length, ...[2,3,4,5].map(i => sumColumn(rows, i))],
+        note: 'Pieces booked in the period. Work value is before charges, discount and tax.'
+      };
+    }
+    if(key === 'ageing'){
+      const today = new Date();
+      const rows = orders.map(o => ({ o, balance: calcOrderTotals(o).balance })).filter(x => x.balance > 0)
+        .map(({ o, balance }) => {
+          const due = orderDeliveryDate(o);
+          const age = Math.max(0, daysBetween(due, today));
+          const bucket = AGEING_BUCKETS.findIndex(b => age <= b.max);
+          return [`#${String(o.id).padStart(4,'0')}`, o.name, o.mobile, due, age, ...AGEING_BUCKETS.map((b, i) => i === bucket ? balance : 0)];
+        })
+        .sort((a,b) => b[4] - a[4]);
+      return {
+        columns: [['Order #','text'], ['Customer','text'], ['Mobile','text'], ['Delivery date','date'], ['Days','num'],
+          ...AGEING_BUCKETS.map(b => [b.label,'money'])],
+        rows,
+        total: ['Total', `${rows.length} order${rows.length === 1 ? '' : 's'}`, '', null, '', ...AGEING_BUCKETS.map((b, i) => sumColumn(rows, 5 + i))],
+        note: 'Every open balance today, aged from its delivery date. The date range does not apply.'
+      };
+    }
+    if(key === 'staff'){
+      const list = orders.filter(o => inRange(o.date, range));
+      const readyInRange = orders.map(o => ({ o, hit: statusReachedAt(o, 'ready') })).filter(x => x.hit && inRange(x.hit.at, range));
+      const pieces = o => Object.values(o.qty || {}).reduce((s,n) => s + (Number(n) || 0), 0);
+      const rows = staff.filter(p => p.role !== 'counter').map(p => {
+        const mine = o => o.assigned && (o.assigned.cutter === p.id || o.assigned.stitcher === p.id);
+        const done = readyInRange.filter(x => mine(x.o));
+        const onTime = done.filter(x => dateKey(x.hit.at) <= dateKey(orderDeliveryDate(x.o))).length;
+        return [p.name, roleLabel(p.role),
+          list.filter(o => o.assigned && o.assigned.cutter === p.id).length,
+          list.filter(o => o.assigned && o.assigned.stitcher === p.id).length,
+          list.filter(mine).reduce((s,o) => s + pieces(o), 0),
+          done.length, done.reduce((s,x) => s + pieces(x.o), 0),
+          done.length ? `${Math.round(onTime / done.length * 100)}%` : '—'];
+      });
+      return {
+        columns: [['Staff','text'], ['Role','text'], ['Orders cut','num'], ['Orders stitched','num'], ['Pieces assigned','num'],
+          ['Orders ready','num'], ['Pieces ready','num'], ['Ready on time','text']],
+        rows,
+        total: null,
+        note: 'Assignments on orders booked in the period; "ready" counts orders marked ready in the period.'
+      };
+    }
+    // daily collection
+    const byDay = {};
+    orders.forEach(o => orderPayments(o).filter(p => inRange(p.date, range)).forEach(p => {
+      const day = byDay[dateKey(p.date)] = byDay[dateKey(p.date)] || { count: 0, modes: {} };
+      day.count++;
+      day.modes[p.mode] = (day.modes[p.mode] || 0) + (Number(p.amount) || 0);
+    }));
+    const modes = [...PAYMENT_MODES.map(m => m.key),
+      ...new Set(Object.values(byDay).flatMap(d => Object.keys(d.modes)).filter(k => !PAYMENT_MODES.some(m => m.key === k)))];
+    const rows = Object.keys(byDay).sort().map(k => {
+      const d = byDay[k];
+      const amounts = modes.map(m => d.modes[m] || 0);
+      return [new Date(k + 'T00:00:00'), d.count, ...amounts, amounts.reduce((s,v) => s + v, 0)];
+    });
+    return {
+      columns: [['Date','date'], ['Payments','num'], ...modes.map(m => [paymentModeLabel(m) || 'Other','money']), ['Total','money']],
+      rows,
+      total: ['Total', ...[1, ...modes.map((m, i) => i + 2), modes.length + 2].map(i => sumColumn(rows, i))],
+      note: 'Money received against orders, by the date of each payment.'
+    };
+  }
+
+  function reportCell(value, type){
+    if(value === null || value === undefined || value === '') return '';
+    if(type === 'date') return fmtDate(value);
+    if(type === 'money') return money(value);
+    if(type === 'num' && typeof value === 'number') return localDigits(value.toLocaleString('en-IN'));
+    return String(value);
+  }
+
+  function renderReports(){
+    $('#rep-type-row').innerHTML = REPORTS.map(r => `<button type="button" class="filter-chip ${r.key === reportKey ? 'active' : ''}" data-report="${r.key}">${esc(r.label)}</button>`).join('');
+    const meta = REPORTS.find(r => r.key === reportKey);
+    const range = reportRange();
+    $('#rep-from').value = range.from;
+    $('#rep-to').value = range.to;
+    $('#rep-range-row').style.opacity = meta.ranged ? '' : '.5';
+    const rep = buildReport(reportKey, range);
+    $('#rep-title').textContent = meta.ranged ? `${meta.label} · ${fmtDate(range.from)} – ${fmtDate(range.to)}` : meta.label;
+    $('#rep-note').textContent = rep.note;
+    $('#rep-table').innerHTML = `
+      <thead><tr>${rep.columns.map(([label, type]) => `<th style="${type === 'money' || type === 'num' ? 'text-align:right;' : ''}">${esc(label)}</th>`).join('')}</tr></thead>
+      <tbody>${rep.rows.map(r => `<tr>${r.map((v, i) => `<td style="${rep.columns[i][1] === 'money' || rep.columns[i][1] === 'num' ? 'text-align:right; white-space:nowrap;' : ''}">${esc(reportCell(v, rep.columns[i][1]))}</td>`).join('')}</tr>`).join('')}</tbody>
+      ${rep.total && rep.rows.length ? `<tfoot><tr>${rep.total.map((v, i) => `<td style="font-weight:700; ${rep.columns[i][1] === 'money' || rep.columns[i][1] === 'num' ? 'text-align:right; white-space:nowrap;' : ''}">${esc(reportCell(v, typeof v === 'number' ? rep.columns[i][1] : 'text'))}</td>`).join('')}</tr></tfoot>` : ''}
+    `;
+    $('#rep-empty').style.display = rep.rows.length ? 'none' : 'block';
+  }
+
+  // Export rows: text and numbers only, dates as dd/mm/yyyy for CSV and PDF, real dates for Excel.
+  function reportExport(){
+    return inLanguage('en', () => {
+      const meta = REPORTS.find(r => r.key === reportKey);
+      const range = reportRange();
+      const rep = buildReport(reportKey, range);
+      const sym = currency.symbol || '₹';
+      return {
+        meta, range, rep,
+        title: meta.ranged ? `${meta.label}, ${fmtDate(range.from)} to ${fmtDate(range.to)}` : `${meta.label} as of ${fmtDate(new Date())}`,
+        headers: rep.columns.map(([label, type]) => type === 'money' ? `${label} (${sym})` : label),
+        body: [...rep.rows, ...(rep.total && rep.rows.length ? [rep.total] : [])],
+        file: `santi-ledger-${meta.key}-${meta.ranged ? `${range.from}-to-${range.to}` : dateKey(new Date())}`
+      };
+    });
+  }
+  function downloadBlob(blob, filename){
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  }
+
+  $('#rep-csv-btn').addEventListener('click', ()=>{
+    const x = reportExport();
+    if(!x.rep.rows.length){ toast('Nothing to export for this selection.', 'info'); return; }
+    const cell = v => v instanceof Date ? inLanguage('en', () => fmtDate(v)) : v ?? '';
+    const csv = [x.headers, ...x.body.map(r => r.map(cell))].map(r => r.map(toCsvField).join(',')).join('\n');
+    downloadBlob(new Blob([csv], {type:'text/csv;charset=utf-8;'}), `${x.file}.csv`);
+    toast(tr('{report} downloaded as CSV.', { report: x.meta.label }), 'success');
+  });
+  $('#rep-xlsx-btn').addEventListener('click', ()=>{
+    if(typeof XLSX === 'undefined'){ toast('Excel export tool failed to load.', 'error'); return; }
+    const x = reportExport();
+    if(!x.rep.rows.length){ toast('Nothing to export for this selection.', 'info'); return; }
+    const sheet = XLSX.utils.aoa_to_sheet([[x.title], [], x.headers, ...x.body.map(r => r.map(v => v ?? ''))], { cellDates: true, dateNF: 'dd/mm/yyyy' });
+    sheet['!cols'] = x.headers.map(h => ({ wch: Math.max(10, h.length + 2) }));
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, sheet, x.meta.label.slice(0, 31));
+    XLSX.writeFile(book, `${x.file}.xlsx`);
+    toast(tr('{report} downloaded as Excel.', { report: x.meta.label }), 'success');
+  });
+  $('#rep-pdf-btn').addEventListener('click', ()=>{
+    if(!(window.jspdf && window.jspdf.jsPDF)){ toast('PDF tool failed to load.', 'error'); return; }
+    const x = reportExport();
+    if(!x.rep.rows.length){ toast('Nothing to export for this selection.', 'info'); return; }
+    const doc = new window.jspdf.jsPDF({ orientation: x.headers.length > 7 ? 'landscape' : 'portrait', unit: 'pt', format: 'a4' });
+    if(typeof doc.autoTable !== 'function'){ toast('PDF tool failed to load.', 'error'); return; }
+    const numeric = x.rep.columns.map(([, type]) => type === 'money' || type === 'num');
+    const cell = (v, i) => v instanceof Date ? inLanguage('en', () => fmtDate(v))
+      : typeof v === 'number' && x.rep.columns[i][1] === 'money' ? receiptMoney(v)
+      : typeof v === 'number' ? v.toLocaleString('en-IN') : String(v ?? '');
+    doc.setFontSize(14);
+    doc.text(shop.name || '', 40, 40);
+    doc.setFontSize(10);
+    doc.text([x.title, x.rep.note], 40, 58);
+    doc.autoTable({
+      startY: 84,
+      head: [x.rep.columns.map(([label]) => label)],
+      body: x.rep.rows.map(r => r.map(cell)),
+      foot: x.rep.total ? [x.rep.total.map(cell)] : undefined,
+      styles: { fontSize: 8, cellPadding: 4 },
+      headStyles: { fillColor: [43, 38, 32] },
+      footStyles: { fillColor: [240, 233, 218], textColor: [43, 38, 32] },
+      columnStyles: Object.fromEntries(numeric.map((n, i) => [i, n ? { halign: 'right' } : {}])),
+      didDrawPage: () => doc.text(`Printed ${inLanguage('en', () => fmtDate(new Date()))}`, 40, doc.internal.pageSize.getHeight() - 20)
+    });
+    doc.save(`${x.file}.pdf`);
+    toast(tr('{report} downloaded as PDF.', { report: x.meta.label }), 'success');
+  });
+  $('#rep-type-row').addEventListener('click', e => {
+    const btn = e.target.closest('[data-report]');
+    if(!btn) return;
+    reportKey = btn.dataset.report;
+    renderReports();
+  });
+  ['#rep-from', '#rep-to'].forEach(sel => $(sel).addEventListener('change', renderReports));
+  $('#rep-this-month-btn').addEventListener('click', ()=>{
+    const today = new Date();
+    $('#rep-from').value = dateKey(new Date(today.getFullYear(), today.getMonth(), 1));
+    $('#rep-to').value = dateKey(today);
+    renderReports();
+  });
+  $('#rep-last-month-btn').addEventListener('click', ()=>{
+    const today = new Date();
+    $('#rep-from').value = dateKey(new Date(today.getFullYear(), today.getMonth() - 1, 1));
+    $('#rep-to').value = dateKey(new Date(today.getFullYear(), today.getMonth(), 0));
+    renderReports();
+  });
+
   // ---------- init ----------
   (async function init(){
     await loadData();
     renderOrderQtyGrid();
     renderOrderChargesGrid();
-    $('#f-delivery').value = defaultDeliveryDateStr();
-    updateOrderSummary();
+    renderOrderMeasurements();
+    renderDraftPhotos();
+    $('#f-delivery').value = suggestDeliveryDate({}, null);
+    renderPlaceOfSupplyOptions(shopStateCode());
+    renderAssignSelects(null);
+    renderSignedInUser();
+    updateTaxCheckboxUI();
     renderSidebarBranding();
     renderPricesForm();
     renderChargesList();
     renderOrders();
     renderDashboard();
+    watchLanguage();
+    if(!signedInUser()){ setSignedIn(''); signIn(); }
   })();
 })();
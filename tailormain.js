@@ -9,9 +9,10 @@
    (e.g. a host page's own .card, main, or body styles are left
    untouched). The mount element receives this class automatically.
 
-   This module also loads its external dependencies (Google Fonts and
-   the html2canvas library used for "download bill as image") if they
-   are not already present on the page.
+   This module also loads its external dependencies (Google Fonts, the
+   html2canvas library used for "download bill as image", and SheetJS
+   and jsPDF for the Excel and PDF report exports) if they are not
+   already present on the page.
 
    Usage:
      <div id="tailor-app-root"></div>
@@ -91,9 +92,19 @@
     border-left-color:var(--marigold);
   }
   .tailor-app-scope .side-foot{
-    margin-top:auto; padding:16px 22px 0; font-size:.7rem; color:#8b8172;
+    padding:16px 22px 0; font-size:.7rem; color:#8b8172;
     border-top:1px solid rgba(255,255,255,.08); padding-top:16px; line-height:1.5;
   }
+  .tailor-app-scope .side-user{
+    margin-top:auto; padding:14px 22px; font-size:.78rem; color:#c9bfae;
+    border-top:1px solid rgba(255,255,255,.08);
+  }
+  .tailor-app-scope .side-user-actions{display:flex; flex-wrap:wrap; gap:4px 12px; margin-top:6px;}
+  .tailor-app-scope .side-user-actions button{
+    background:none; border:none; padding:0; color:var(--marigold); font:inherit; font-size:.72rem; cursor:pointer;
+  }
+  .tailor-app-scope .side-user-actions button:hover{text-decoration:underline;}
+  .tailor-app-scope nav button.nav-restricted{opacity:.55;}
   .tailor-app-scope .side-foot .powered-by{
     display:block; margin-top:10px; font-size:.64rem; letter-spacing:.04em; color:#655c4c;
   }
@@ -280,6 +291,23 @@
   .tailor-app-scope .image-field__url{font-size:.78rem; padding:6px 9px;}
   .tailor-app-scope .image-field__status{font-size:.7rem; color:#948a7b; min-height:14px;}
   .tailor-app-scope .image-field__status.is-success{color:var(--teal);}
+  .tailor-app-scope .addon-list{margin-top:6px; display:flex; flex-direction:column; gap:4px;}
+  .tailor-app-scope .addon-row{display:flex; align-items:center; justify-content:space-between; gap:8px;}
+  .tailor-app-scope .addon-row label{margin:0; font-size:.78rem; text-transform:none; letter-spacing:0;}
+  .tailor-app-scope .addon-row label small{color:#6b6255;}
+  .tailor-app-scope .addon-row input{max-width:70px; padding:5px 8px;}
+  .tailor-app-scope .variant-list{display:flex; flex-direction:column; gap:6px; align-items:flex-start;}
+  .tailor-app-scope .variant-row{display:flex; gap:6px; align-items:center; width:100%;}
+  .tailor-app-scope .variant-row input[type="number"]{max-width:90px;}
+  .tailor-app-scope .job-addon{font-size:.8rem; color:#5a5245; padding-left:10px;}
+  .tailor-app-scope .photo-item{display:flex; gap:12px; align-items:flex-start; padding:8px 0; border-top:1px solid var(--line);}
+  .tailor-app-scope .photo-kind{font-size:.74rem; font-weight:600; color:#5a5245;}
+  .tailor-app-scope .photo-strip{display:flex; gap:4px; align-items:center; margin-top:4px;}
+  .tailor-app-scope .photo-strip .image-field__preview{width:28px; height:28px; border-style:solid;}
+  .tailor-app-scope .photo-more{font-size:.7rem; color:#6b6255;}
+  .tailor-app-scope .job-photos{display:flex; flex-wrap:wrap; gap:10px; margin:8px 0;}
+  .tailor-app-scope .job-photos figure{margin:0; width:96px; font-size:.68rem; color:#6b6255;}
+  .tailor-app-scope .job-photos .image-field__preview{width:96px; height:96px; border-style:solid;}
   .tailor-app-scope .image-field__status.is-error{color:var(--red);}
   .tailor-app-scope .rate-row{display:flex; align-items:center; gap:6px;}
   .tailor-app-scope .rate-row input[type="number"]{text-align:center; flex:1; min-width:96px; font-size:1.05rem; padding:9px 6px; letter-spacing:.02em;}
@@ -368,8 +396,89 @@
   .tailor-app-scope .bill-items .item-price{color:#6b6255;}
   .tailor-app-scope .bill-total{display:flex; justify-content:space-between; font-weight:700; font-size:1rem; margin-top:10px;}
   .tailor-app-scope .bill-note{font-size:.68rem; text-align:center; margin-top:16px; color:#6b6255; line-height:1.5;}
+  .tailor-app-scope .bill-payments{font-size:.76rem; margin-top:10px;}
+  .tailor-app-scope .bill-payments-title{font-weight:700; margin-bottom:4px;}
+  .tailor-app-scope .bill-payments div:not(.bill-payments-title){display:flex; justify-content:space-between; gap:8px; margin:3px 0;}
+  .tailor-app-scope .bill-payments .icon-btn{padding:0 0 0 6px;}
+  .tailor-app-scope .modal-box.modal-form select, .tailor-app-scope .modal-box.modal-form textarea{margin-bottom:12px;}
+  .tailor-app-scope .modal-box.modal-form input{margin-bottom:12px;}
+  .tailor-app-scope .bill-card.invoice-card{max-width:680px; clip-path:none;}
+  .tailor-app-scope .invoice-title{font-weight:700; font-size:.95rem; letter-spacing:.08em; text-transform:uppercase; margin-top:8px;}
+  .tailor-app-scope .invoice-meta{display:grid; grid-template-columns:1fr 1fr; gap:4px 24px;}
+  .tailor-app-scope .invoice-table{width:100%; border-collapse:collapse; font-size:.76rem; margin-bottom:8px;}
+  .tailor-app-scope .invoice-table th{text-align:left; font-size:.68rem; text-transform:uppercase; letter-spacing:.04em; padding:4px 6px; border-bottom:1px solid var(--ink);}
+  .tailor-app-scope .invoice-table td{padding:5px 6px; border-bottom:1px dashed var(--line);}
+  .tailor-app-scope .invoice-table td:nth-child(n+4), .tailor-app-scope .invoice-table th:nth-child(n+4){text-align:right;}
+  .tailor-app-scope .invoice-words{font-size:.74rem; font-style:italic; margin:6px 0 10px;}
   .tailor-app-scope .bill-thanks{text-align:center; font-size:.85rem; margin:14px 0 6px;}
+  .tailor-app-scope .hint.hint-warn{color:var(--red); font-weight:600;}
+  /* ---------- Calendar ---------- */
+  .tailor-app-scope .cal-title{font-family:'Bitter',serif; font-size:1.05rem; min-width:170px; text-align:center;}
+  .tailor-app-scope .cal-grid{display:grid; grid-template-columns:repeat(7, minmax(0,1fr)); gap:4px;}
+  .tailor-app-scope .cal-dow{font-size:.7rem; text-transform:uppercase; letter-spacing:.06em; color:#6b6255; text-align:center; padding:4px 0;}
+  .tailor-app-scope .cal-day{
+    all:unset; cursor:pointer; box-sizing:border-box; min-height:78px; padding:6px; border:1px solid var(--line);
+    border-radius:4px; background:#fff; display:flex; flex-direction:column; gap:2px; font-size:.72rem; overflow:hidden;
+  }
+  .tailor-app-scope .cal-week .cal-day{min-height:180px;}
+  .tailor-app-scope .cal-day:hover{border-color:var(--marigold);}
+  .tailor-app-scope .cal-day.cal-other{opacity:.45;}
+  .tailor-app-scope .cal-day.cal-closed{background:#eee8db;}
+  .tailor-app-scope .cal-day.cal-today{box-shadow:inset 0 0 0 2px var(--marigold);}
+  .tailor-app-scope .cal-day.cal-selected{background:rgba(217,147,46,.14);}
+  .tailor-app-scope .cal-day.cal-over{border-color:var(--red); background:rgba(156,59,59,.07);}
+  .tailor-app-scope .cal-num{font-weight:700; font-size:.84rem;}
+  .tailor-app-scope .cal-count{color:var(--teal); font-weight:600;}
+  .tailor-app-scope .cal-over .cal-count{color:var(--red);}
+  .tailor-app-scope .cal-prod{display:flex; justify-content:space-between; gap:4px; color:#6b6255;}
+  .tailor-app-scope .cal-prod span:first-child{overflow:hidden; text-overflow:ellipsis; white-space:nowrap;}
+  /* ---------- Board / timeline ---------- */
+  .tailor-app-scope .board{display:grid; grid-template-columns:repeat(4, minmax(200px,1fr)); gap:14px; overflow-x:auto; align-items:start;}
+  .tailor-app-scope .board-col{background:rgba(250,246,236,.7); border:1px solid var(--line); border-radius:6px; padding:10px; min-height:160px;}
+  .tailor-app-scope .board-col.drop-target{border-color:var(--marigold); box-shadow:0 0 0 3px rgba(217,147,46,.15);}
+  .tailor-app-scope .board-col-head{display:flex; justify-content:space-between; align-items:center; font-size:.8rem; color:#6b6255; margin-bottom:10px;}
+  .tailor-app-scope .board-card{background:#fff; border:1px solid var(--line); border-radius:5px; padding:10px; margin-bottom:8px; cursor:grab; font-size:.84rem;}
+  .tailor-app-scope .board-card.dragging{opacity:.5;}
+  .tailor-app-scope .board-card-head{display:flex; justify-content:space-between; font-size:.78rem; margin-bottom:4px;}
+  .tailor-app-scope .board-card-name{font-weight:600;}
+  .tailor-app-scope .board-card-items{font-size:.74rem; color:#6b6255; margin-top:3px;}
+  .tailor-app-scope .board-card .board-advance{font-size:.74rem; padding:5px 10px; margin-top:8px; text-transform:capitalize;}
+  .tailor-app-scope .board-empty{font-size:.78rem; color:#948a7b; text-align:center; padding:16px 0;}
+  .tailor-app-scope .timeline{list-style:none; margin:0; padding:0;}
+  .tailor-app-scope .timeline li{display:flex; gap:10px; align-items:center; padding:7px 0; border-bottom:1px solid var(--line); font-size:.84rem;}
+  .tailor-app-scope .timeline li:last-child{border-bottom:none;}
+  .tailor-app-scope .staff-role{font-size:.72rem; color:#6b6255; margin-left:6px;}
+  /* ---------- Measurements ---------- */
+  .tailor-app-scope .measure-block{background:#fff; border:1px solid var(--line); border-radius:6px; padding:14px; margin-bottom:14px;}
+  .tailor-app-scope .measure-block-head{display:flex; align-items:baseline; justify-content:space-between; gap:8px; margin-bottom:10px;}
+  .tailor-app-scope .measure-block-head .prod-title{font-weight:700; font-size:.96rem; color:var(--ink);}
+  .tailor-app-scope .measure-meta{font-size:.74rem; color:var(--teal);}
+  .tailor-app-scope .measure-grid{grid-template-columns:repeat(auto-fill, minmax(120px,1fr)); gap:4px 12px;}
+  .tailor-app-scope .measure-grid .field{margin-bottom:8px;}
+  .tailor-app-scope .measure-history-title{font-size:.8rem; text-transform:uppercase; letter-spacing:.06em; color:#6b6255; margin:20px 0 4px;}
+  .tailor-app-scope .measure-card small{color:#6b6255;}
+  .tailor-app-scope .job-measure{font-size:.8rem; margin:8px 0;}
+  .tailor-app-scope .job-measure-title{font-weight:700; margin-bottom:4px;}
+  .tailor-app-scope .job-measure-title small{font-weight:400; color:#6b6255;}
+  .tailor-app-scope .job-measure div:not(.job-measure-title){display:flex; justify-content:space-between; margin:2px 0;}
+  .tailor-app-scope .bill-card.receipt-card{clip-path:none; padding:16px 20px;}
+  .tailor-app-scope .job-barcode{width:180px; margin:10px auto 0;}
+  .tailor-app-scope .barcode{display:block; width:100%; height:40px;}
+  .tailor-app-scope .bill-card.tags-card{clip-path:none; max-width:640px; padding:16px;}
+  .tailor-app-scope .garment-tags{display:grid; grid-template-columns:repeat(auto-fill, minmax(54mm,1fr)); gap:8px;}
+  .tailor-app-scope .garment-tag{border:1px dashed #948a7b; border-radius:4px; padding:8px 10px; font-size:.72rem; break-inside:avoid;}
+  .tailor-app-scope .garment-tag-head, .tailor-app-scope .garment-tag-meta{display:flex; justify-content:space-between; gap:6px;}
+  .tailor-app-scope .garment-tag-head{margin-bottom:6px;}
+  .tailor-app-scope .garment-tag-head strong{font-family:'Courier Prime',monospace; font-size:.9rem;}
+  .tailor-app-scope .garment-tag-code{font-family:'Courier Prime',monospace; text-align:center; letter-spacing:.2em; font-size:.74rem; margin:2px 0 4px;}
+  .tailor-app-scope .garment-tag-item{font-weight:700; margin-bottom:2px;}
+  .tailor-app-scope .scan-video{width:100%; max-height:50vh; background:#000; border-radius:6px; margin-bottom:12px;}
+  .tailor-app-scope .receipt-pre{font-family:'Courier Prime',monospace; font-size:.8rem; line-height:1.35; margin:0; white-space:pre; overflow-x:auto;}
   @media print{
+  .tailor-app-scope .bill-card.receipt-card{padding:0; max-width:none !important;}
+  .tailor-app-scope .bill-card.receipt-card[data-width="58"]{width:58mm;}
+  .tailor-app-scope .bill-card.receipt-card[data-width="80"]{width:80mm;}
+  .tailor-app-scope .bill-card.receipt-card .receipt-pre{font-size:7pt;} /* ~1.5mm per character fits 32 / 48 columns */
   .tailor-app-scope aside, .tailor-app-scope .no-print{display:none !important;}
   .tailor-app-scope main{padding:0; max-width:none;}
   .tailor-app-scope{background:#fff;}
@@ -385,6 +494,7 @@
   .tailor-app-scope nav button{padding:10px 12px; border-left:none; border-bottom:3px solid transparent; white-space:nowrap;}
   .tailor-app-scope nav button.active{border-left-color:transparent; border-bottom-color:var(--marigold);}
   .tailor-app-scope .side-foot{display:none;}
+  .tailor-app-scope .side-user{margin-top:0; border-top:none; padding:0 12px; white-space:nowrap;}
   .tailor-app-scope main{padding:24px 18px 60px;}
   .tailor-app-scope .grid{grid-template-columns:1fr;}
   .tailor-app-scope .product-grid{grid-template-columns:1fr;}
@@ -406,22 +516,54 @@
       <button data-view="orders" aria-label="View and manage all orders" title="Orders">
         <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 6h13M8 12h13M8 18h13M3 6h.01M3 12h.01M3 18h.01"/></svg></span> Orders
       </button>
+      <button data-view="customers" aria-label="Customer profiles, history, lifetime value and dues" title="Customers">
+        <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="9" cy="8" r="4"/><path d="M1 21v-1a7 7 0 0 1 14 0v1"/><path d="M16 3.1a4 4 0 0 1 0 7.8M23 21v-1a7 7 0 0 0-5-6.7"/></svg></span> Customers
+      </button>
+      <button data-view="board" aria-label="Workroom board — move orders from process to ready to delivered" title="Board">
+        <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="5" height="18" rx="1"/><rect x="10" y="3" width="5" height="12" rx="1"/><rect x="17" y="3" width="4" height="8" rx="1"/></svg></span> Board
+      </button>
+      <button data-view="calendar" aria-label="Delivery calendar and daily workload" title="Calendar">
+        <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2"/><path d="M16 2v4M8 2v4M3 10h18"/></svg></span> Calendar
+      </button>
       <button data-view="bill" aria-label="Look up and print a bill" title="Print Bill">
         <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M6 2h9l3 3v17l-3-2-3 2-3-2-3 2V2z"/><path d="M9 7h6M9 11h6M9 15h4"/></svg></span> Print Bill
       </button>
+      <button data-view="measurements" aria-label="View and record customer measurements" title="Measurements">
+        <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 17l14-14 4 4-14 14H3v-4z"/><path d="M7 13l2 2M10 10l2 2M13 7l2 2"/></svg></span> Measurements
+      </button>
       <button data-view="dues" aria-label="View pending dues" title="Dues">
         <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M6 3h12M6 8h12M9 3v18M6 13c4 0 4 3 0 3s-4 3 0 3M15 13h3M15 19h3"/></svg></span> Dues
       </button>
+      <button data-view="expenses" aria-label="Record expenses and close the daily cash book" title="Expenses">
+        <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="6" width="20" height="14" rx="2"/><path d="M2 10h20M16 15h2M6 6V4h12v2"/></svg></span> Expenses
+      </button>
+      <button data-view="inventory" aria-label="Track stock of lining, hooks, zips and other materials" title="Inventory">
+        <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 8l-9-5-9 5 9 5 9-5z"/><path d="M3 8v8l9 5 9-5V8M12 13v8"/></svg></span> Inventory
+      </button>
+      <button data-view="reminders" aria-label="Send WhatsApp reminders for ready orders and dues" title="Reminders">
+        <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 11.5a8.4 8.4 0 0 1-12.3 7.4L3 21l2.1-5.5A8.4 8.4 0 1 1 21 11.5z"/><path d="M12 8v4l2 2"/></svg></span> Reminders
+      </button>
       <button data-view="prices" aria-label="View and edit price list" title="Price List">
         <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.6 12.6L12 21.2a2 2 0 0 1-2.8 0l-7-7a2 2 0 0 1 0-2.8L10.8 2.8a2 2 0 0 1 1.4-.6H19a2 2 0 0 1 2 2v6.4a2 2 0 0 1-.4 1.4z"/><circle cx="15.5" cy="7.5" r="1.5"/></svg></span> Price List
       </button>
-      <button data-view="analytics" aria-label="View analytics" title="Analytics">
+      <button data-view="analytics" data-perm="analytics.view" aria-label="View analytics" title="Analytics">
         <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 3v18h18"/><path d="M7 16l4-6 3 3 5-8"/></svg></span> Analytics
       </button>
+      <button data-view="reports" data-perm="analytics.view" aria-label="Sales, GST, dues and staff reports with CSV, Excel and PDF export" title="Reports">
+        <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><path d="M14 2v6h6M8 13h8M8 17h8M8 9h2"/></svg></span> Reports
+      </button>
       <button data-view="settings" aria-label="Edit shop settings" title="Shop Settings">
         <span class="nav-icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.7 1.7 0 0 0 .34 1.87l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.7 1.7 0 0 0-1.87-.34 1.7 1.7 0 0 0-1.04 1.56V21a2 2 0 0 1-4 0v-.09A1.7 1.7 0 0 0 9 19.4a1.7 1.7 0 0 0-1.87.34l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06A1.7 1.7 0 0 0 4.6 15a1.7 1.7 0 0 0-1.56-1.04H3a2 2 0 0 1 0-4h.09A1.7 1.7 0 0 0 4.6 9a1.7 1.7 0 0 0-.34-1.87l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06A1.7 1.7 0 0 0 9 4.6a1.7 1.7 0 0 0 1.04-1.56V3a2 2 0 0 1 4 0v.09A1.7 1.7 0 0 0 15 4.6a1.7 1.7 0 0 0 1.87-.34l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06A1.7 1.7 0 0 0 19.4 9a1.7 1.7 0 0 0 1.56 1.04H21a2 2 0 0 1 0 4h-.09A1.7 1.7 0 0 0 19.4 15z"/></svg></span> Shop Settings
       </button>
     </nav>
+    <div class="side-user">
+      <span id="side-user-name">Not signed in</span>
+      <div class="side-user-actions">
+        <button type="button" id="side-signin-btn" aria-label="Sign in or switch to another user with a PIN">Sign in</button>
+        <button type="button" id="side-pin-btn" style="display:none;" aria-label="Change your own PIN">Change my PIN</button>
+        <button type="button" id="side-signout-btn" style="display:none;" aria-label="Sign out">Sign out</button>
+      </div>
+    </div>
     <div class="side-foot">
       <span id="sb-foot-name">Santi Ladies Wear</span><br>
       <span id="sb-foot-addr">Jayanagar 9th Block, Bengaluru</span>
@@ -435,11 +577,16 @@
     <section id="view-dashboard" class="view">
       <h2 class="page-title">Dashboard</h2>
       <p class="page-sub">Today's snapshot — orders, deliveries and dues at a glance.</p>
+      <div id="dash-sync"></div>
       <div class="stat-grid" id="dash-stats"></div>
       <h3 class="dash-section-title">Deliveries due today &amp; this week</h3>
       <ul class="dash-list" id="dash-deliveries"></ul>
+      <h3 class="dash-section-title">Today's fittings</h3>
+      <ul class="dash-list" id="dash-fittings"></ul>
       <h3 class="dash-section-title">Recent orders</h3>
       <ul class="dash-list" id="dash-recent"></ul>
+      <h3 class="dash-section-title" id="dash-low-stock-title">Low stock</h3>
+      <ul class="dash-list" id="dash-low-stock"></ul>
     </section>
 
     <!-- NEW ORDER -->
@@ -448,6 +595,15 @@
       <p class="page-sub" id="order-form-sub">Enter customer and stitching details. An order number is assigned automatically.</p>
       <form id="order-form" class="card">
         <input type="hidden" id="f-edit-id" value="">
+        <input type="hidden" id="f-parent-id" value="">
+        <div id="f-rework-row" class="hint" style="display:none;">
+          <strong id="f-rework-label"></strong>
+          <div class="grid" style="margin-top:10px;">
+            <div class="field" style="margin-bottom:0;"><label for="f-rework-type">Type</label><select id="f-rework-type"></select></div>
+            <div class="field" style="margin-bottom:0;"><label for="f-rework-reason">What needs doing</label><input id="f-rework-reason" type="text" placeholder="e.g. Take in waist by 1 inch"></div>
+          </div>
+          <label style="display:flex; align-items:center; gap:8px; margin-top:10px;"><input type="checkbox" id="f-rework-free" style="width:auto;"> Free of charge</label>
+        </div>
         <div class="grid">
           <div class="field"><label>Customer name</label><input required id="f-name" type="text" placeholder="e.g. Radha Kumar"></div>
           <div class="field"><label>Mobile number</label><input required id="f-mobile" type="tel" inputmode="numeric" maxlength="10" placeholder="e.g. 9880012345"></div>
@@ -458,16 +614,57 @@
         <div class="grid" id="order-qty-grid"></div>
         <h3 class="dash-section-title" id="order-charges-title" style="display:none;">Charges</h3>
         <div class="grid" id="order-charges-grid"></div>
+        <div id="order-measure-wrap" style="display:none;">
+          <h3 class="dash-section-title">Measurements</h3>
+          <div id="order-measure-grid"></div>
+        </div>
+        <h3 class="dash-section-title">Photos &amp; swatches</h3>
+        <div class="image-field">
+          <div class="image-field__controls">
+            <div class="image-field__row">
+              <select id="f-photo-kind" aria-label="What the next photo shows" style="max-width:190px;">
+                <option value="photo">Reference photo</option>
+                <option value="swatch">Fabric swatch</option>
+              </select>
+              <label class="image-field__btn" for="f-photo-camera">Take photo</label>
+              <input type="file" id="f-photo-camera" accept="image/*" capture="environment" style="display:none;">
+              <label class="image-field__btn" for="f-photo-files">Choose files</label>
+              <input type="file" id="f-photo-files" accept="image/*" multiple style="display:none;">
+            </div>
+            <div id="order-photos-list"></div>
+          </div>
+        </div>
+        <div id="order-photos-usage" class="hint"></div>
         <div class="grid">
           <div class="field"><label>Discount (₹, optional)</label><input id="f-discount" type="number" min="0" value="0" placeholder="0"></div>
-          <div class="field"><label>Advance paid (₹)</label><input id="f-advance" type="number" min="0" value="0" placeholder="0"></div>
+          <div class="field"><label id="f-advance-label">Advance paid (₹)</label><input id="f-advance" type="number" min="0" value="0" placeholder="0"></div>
+          <div class="field"><label>Advance paid by</label>
+            <select id="f-advance-mode" aria-label="How the advance was paid">
+              <option value="cash">Cash</option>
+              <option value="upi">UPI</option>
+              <option value="card">Card</option>
+            </select>
+          </div>
           <div class="field"><label>Delivery date</label><input id="f-delivery" type="date"></div>
         </div>
+        <div id="delivery-hint" class="hint" style="display:none;"></div>
+        <div class="checkline" id="f-express-row" style="display:none;">
+          <input type="checkbox" id="f-express">
+          <label for="f-express" id="f-express-label">Express delivery</label>
+        </div>
+        <div class="grid" id="f-assign-row" style="display:none;">
+          <div class="field"><label for="f-cutter">Cutter</label><select id="f-cutter" aria-label="Staff member cutting this order"></select></div>
+          <div class="field"><label for="f-stitcher">Stitcher</label><select id="f-stitcher" aria-label="Staff member stitching this order"></select></div>
+        </div>
         <div class="field"><label>Order notes (optional)</label><textarea id="f-notes" rows="2" placeholder="e.g. match old blouse colour, extra loose fit"></textarea></div>
         <div class="checkline" id="f-tax-row" style="display:none;">
           <input type="checkbox" id="f-tax">
           <label for="f-tax" id="f-tax-label">Apply tax</label>
         </div>
+        <div class="grid" id="f-gst-row" style="display:none;">
+          <div class="field"><label for="f-gstin">Customer GSTIN (optional)</label><input id="f-gstin" type="text" maxlength="15" placeholder="e.g. 29ABCDE1234F1Z5" style="text-transform:uppercase;"></div>
+          <div class="field"><label for="f-pos">Place of supply</label><select id="f-pos" aria-label="Place of supply — decides CGST/SGST or IGST on the tax invoice"></select></div>
+        </div>
 
         <div class="summary-box" id="order-summary-box">
           <div class="sr"><span id="sum-count-label">Subtotal</span><span id="sum-subtotal">₹ 0</span></div>
@@ -505,6 +702,29 @@
       </div>
     </section>
 
+    <!-- CUSTOMERS -->
+    <section id="view-customers" class="view" style="display:none;">
+      <h2 class="page-title">Customers</h2>
+      <p class="page-sub">Everyone who has ordered, one profile per mobile number — created automatically when an order is saved.</p>
+      <div class="field no-print" style="max-width:340px; margin-bottom:14px;">
+        <label for="cust-search">Search customers</label>
+        <input id="cust-search" type="text" placeholder="Search by name or mobile" aria-label="Search customers by name or mobile">
+      </div>
+      <div class="hint no-print" id="cust-birthdays" style="display:none;"></div>
+      <div class="hint no-print" id="cust-duplicates" style="display:none;"></div>
+      <div id="cust-detail"></div>
+      <h3 class="dash-section-title">All customers</h3>
+      <div class="card" style="padding:0; overflow-x:auto;">
+        <table id="cust-table">
+          <thead>
+            <tr><th>Customer</th><th>Mobile</th><th>Orders</th><th>Lifetime value</th><th>Dues</th><th>Last order</th><th></th></tr>
+          </thead>
+          <tbody id="cust-tbody"></tbody>
+        </table>
+        <div id="cust-empty" class="empty" style="display:none; margin:20px;">No customers yet — they appear here once an order is saved.</div>
+      </div>
+    </section>
+
     <!-- DUES -->
     <section id="view-dues" class="view" style="display:none;">
       <h2 class="page-title">Dues</h2>
@@ -512,7 +732,7 @@
       <div class="card" style="padding:0; overflow-x:auto;">
         <table id="dues-table">
           <thead>
-            <tr><th>Order #</th><th>Customer</th><th>Mobile</th><th>Delivery</th><th>Balance</th><th>Status</th><th></th></tr>
+            <tr><th>Order #</th><th>Customer</th><th>Mobile</th><th>Delivery</th><th>Total</th><th>Paid</th><th>Balance</th><th>Last payment</th><th>Status</th><th></th></tr>
           </thead>
           <tbody id="dues-tbody"></tbody>
         </table>
@@ -520,6 +740,153 @@
       </div>
     </section>
 
+    <!-- EXPENSES -->
+    <section id="view-expenses" class="view" style="display:none;">
+      <h2 class="page-title">Expenses</h2>
+      <p class="page-sub">Fabric, thread, wages, rent and bills. Everything recorded here is set against revenue in the Analytics profit &amp; loss.</p>
+      <form id="expense-form" class="card no-print">
+        <div class="grid">
+          <div class="field"><label for="xp-date">Date</label><input id="xp-date" type="date"></div>
+          <div class="field"><label for="xp-category">Category</label>
+            <div style="display:flex; gap:8px;">
+              <select id="xp-category"></select>
+              <button type="button" class="btn btn-ghost" id="xp-add-category-btn" aria-label="Add an expense category">+ Category</button>
+            </div>
+          </div>
+          <div class="field"><label for="xp-amount">Amount</label><input id="xp-amount" type="number" min="0" step="0.01" placeholder="0"></div>
+          <div class="field"><label for="xp-mode">Paid by</label><select id="xp-mode"></select></div>
+          <div class="field full"><label for="xp-note">Note (optional)</label><input id="xp-note" type="text" placeholder="e.g. 20 m lining from Chickpet"></div>
+        </div>
+        <button type="submit" class="btn btn-primary" aria-label="Record this expense">Record expense</button>
+      </form>
+
+      <h3 class="dash-section-title">Recorded expenses</h3>
+      <div class="filter-row no-print" style="align-items:flex-end; gap:10px;">
+        <div class="field" style="max-width:180px; margin-bottom:0;"><label for="xp-month">Month</label><input id="xp-month" type="month"></div>
+        <div class="field" style="max-width:220px; margin-bottom:0;"><label for="xp-filter-category">Category</label><select id="xp-filter-category"></select></div>
+        <span class="lock-status-text" id="xp-total" style="margin-bottom:8px;"></span>
+      </div>
+      <div class="card" style="padding:0; overflow-x:auto;">
+        <table id="xp-table">
+          <thead><tr><th>Date</th><th>Category</th><th>Note</th><th>Paid by</th><th>Amount</th><th>Recorded by</th><th></th></tr></thead>
+          <tbody id="xp-tbody"></tbody>
+        </table>
+        <div id="xp-empty" class="empty" style="display:none; margin:20px;">No expenses for this selection.</div>
+      </div>
+      <div class="card" id="xp-by-category"></div>
+
+      <h3 class="dash-section-title">Daily cash book</h3>
+      <p class="page-sub" style="margin-top:-4px;">Opening cash, plus cash payments taken on orders, minus expenses paid in cash. Count the drawer at closing and close the day.</p>
+      <div class="grid" style="align-items:start;">
+        <div class="card">
+          <div class="field no-print" style="max-width:200px;"><label for="cb-date">Day</label><input id="cb-date" type="date"></div>
+          <div class="field no-print" style="max-width:200px;"><label for="cb-opening">Opening cash</label><input id="cb-opening" type="number" min="0" step="0.01"></div>
+          <div class="summary-box" id="cb-summary"></div>
+          <div class="no-print" style="display:flex; gap:8px; align-items:flex-end; flex-wrap:wrap; margin-top:12px;">
+            <div class="field" style="max-width:200px; margin-bottom:0;"><label for="cb-counted">Counted in drawer</label><input id="cb-counted" type="number" min="0" step="0.01"></div>
+            <button type="button" class="btn btn-teal" id="cb-close-btn" aria-label="Close or reopen the cash book for this day">Close day</button>
+          </div>
+        </div>
+        <div class="card"><ul class="dash-list" id="cb-lines"></ul></div>
+      </div>
+    </section>
+
+    <!-- INVENTORY -->
+    <section id="view-inventory" class="view" style="display:none;">
+      <h2 class="page-title">Inventory</h2>
+      <p class="page-sub">Lining cloth, falls, hooks and zips. Saving an order takes its materials out of stock automatically.</p>
+      <div class="card no-print" style="display:flex; align-items:center; justify-content:space-between; gap:14px; flex-wrap:wrap;">
+        <div class="lock-status-text" id="inventory-lock-status"></div>
+        <label class="toggle-switch" aria-label="Unlock stock items for editing">
+          <input type="checkbox" id="inventory-unlock-toggle">
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+      <div class="card" style="padding:0; overflow-x:auto;">
+        <table id="inv-table">
+          <thead><tr><th>Item</th><th>In stock</th><th>Reorder at</th><th>Status</th><th></th></tr></thead>
+          <tbody id="inv-tbody"></tbody>
+        </table>
+        <div id="inv-empty" class="empty" style="display:none; margin:20px;">No stock items yet — unlock and add lining, hooks, zips…</div>
+        <div class="chg-add-row no-print" id="inv-add-row" style="display:none; padding:14px; flex-wrap:wrap;">
+          <input type="text" id="inv-new-name" placeholder="e.g. Lining cloth" aria-label="Name of the new stock item">
+          <select id="inv-new-unit" aria-label="Unit" style="max-width:90px;"></select>
+          <input type="number" id="inv-new-stock" min="0" step="0.001" placeholder="Opening stock" aria-label="Opening stock" style="max-width:140px;">
+          <input type="number" id="inv-new-reorder" min="0" step="0.001" placeholder="Reorder at" aria-label="Reorder level" style="max-width:120px;">
+          <button type="button" class="btn btn-ghost" id="inv-add-btn" aria-label="Add a stock item"><span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 5v14M5 12h14"/></svg></span>Add</button>
+        </div>
+      </div>
+
+      <h3 class="dash-section-title">Materials per piece</h3>
+      <p class="page-sub" style="margin-top:-4px;">What one piece of each item uses, e.g. a Lining Blouse takes 1 m of lining cloth.</p>
+      <div class="card"><ul class="charges-list" id="bom-list"></ul></div>
+
+      <h3 class="dash-section-title">Stock movements</h3>
+      <div class="card"><ul class="dash-list" id="inv-moves"></ul></div>
+    </section>
+
+    <!-- REMINDERS -->
+    <section id="view-reminders" class="view" style="display:none;">
+      <h2 class="page-title">Reminders</h2>
+      <p class="page-sub">Pick an audience, tick who to message, then step through them — each chat opens in WhatsApp with the message filled in, ready to send.</p>
+      <div class="filter-row no-print" id="remind-type-row">
+        <button type="button" class="filter-chip active" data-remind-type="ready" aria-label="Customers whose orders are ready">Order ready</button>
+        <button type="button" class="filter-chip" data-remind-type="balance_due" aria-label="Customers with a balance still due">Balance due</button>
+        <button type="button" class="filter-chip" data-remind-type="delivery_tomorrow" aria-label="Customers whose delivery is tomorrow">Delivery tomorrow</button>
+        <button type="button" class="filter-chip" data-remind-type="fitting" aria-label="Customers with a fitting today or tomorrow">Fitting</button>
+      </div>
+      <div class="card" style="padding:0; overflow-x:auto;">
+        <table id="remind-table">
+          <thead>
+            <tr><th><input type="checkbox" id="remind-select-all" aria-label="Select all recipients"></th><th>Order #</th><th>Customer</th><th>Detail</th><th>Last reminded</th></tr>
+          </thead>
+          <tbody id="remind-tbody"></tbody>
+        </table>
+        <div id="remind-empty" class="empty" style="display:none; margin:20px;">Nobody to remind in this group right now.</div>
+      </div>
+      <div class="card">
+        <h3 class="dash-section-title" style="margin-top:0;">Preview <small id="remind-count" style="font-weight:400; color:#6b6255;"></small></h3>
+        <div id="remind-preview" style="white-space:pre-wrap; font-size:.86rem; color:#4d4638;"></div>
+        <button type="button" class="btn btn-teal" id="remind-start-btn" style="margin-top:14px;" aria-label="Start stepping through the selected customers">Start sending</button>
+      </div>
+      <div class="card" id="remind-send-panel" style="display:none;" role="status" aria-live="polite">
+        <h3 class="dash-section-title" style="margin-top:0;">Sending queue</h3>
+        <p class="page-sub" id="remind-progress"></p>
+        <div id="remind-current" style="margin-bottom:14px;"></div>
+        <div style="display:flex; gap:8px; flex-wrap:wrap;">
+          <button type="button" class="btn btn-whatsapp" id="remind-open-btn" aria-label="Open WhatsApp chat for this customer">Open WhatsApp chat</button>
+          <button type="button" class="btn btn-teal" id="remind-sent-btn" aria-label="Mark as sent and move to the next customer">Sent — next</button>
+          <button type="button" class="btn btn-ghost" id="remind-skip-btn" aria-label="Skip this customer">Skip</button>
+          <button type="button" class="btn btn-ghost" id="remind-stop-btn" aria-label="Stop this batch">Stop</button>
+        </div>
+      </div>
+
+      <h3 class="dash-section-title">Message templates</h3>
+      <p class="page-sub" style="margin-top:-4px;">Placeholders: {name}, {order_no}, {balance}, {delivery_date}, {fitting_time}, {shop_name}, {shop_phone}.</p>
+      <form id="templates-form" class="card">
+        <div class="field full"><label for="tpl-ready">Order ready</label><textarea id="tpl-ready" rows="2"></textarea></div>
+        <div class="field full"><label for="tpl-balance_due">Balance due</label><textarea id="tpl-balance_due" rows="2"></textarea></div>
+        <div class="field full"><label for="tpl-delivery_tomorrow">Delivery tomorrow</label><textarea id="tpl-delivery_tomorrow" rows="2"></textarea></div>
+        <div class="field full"><label for="tpl-fitting">Fitting reminder</label><textarea id="tpl-fitting" rows="2"></textarea></div>
+        <div style="display:flex; gap:8px; flex-wrap:wrap;">
+          <button type="submit" class="btn btn-primary" aria-label="Save message templates">Save templates</button>
+          <button type="button" class="btn btn-ghost" id="templates-reset-btn" aria-label="Reset message templates to the original wording">Reset to default</button>
+        </div>
+      </form>
+
+      <h3 class="dash-section-title">Reminder log</h3>
+      <div class="field no-print" style="max-width:240px;"><label for="remind-log-filter">Show</label>
+        <select id="remind-log-filter" aria-label="Filter the reminder log by audience">
+          <option value="">All reminders</option>
+          <option value="ready">Order ready</option>
+          <option value="balance_due">Balance due</option>
+          <option value="delivery_tomorrow">Delivery tomorrow</option>
+          <option value="fitting">Fitting reminder</option>
+        </select>
+      </div>
+      <div class="card"><ul class="dash-list" id="remind-log"></ul></div>
+    </section>
+
     <!-- BILL -->
     <section id="view-bill" class="view" style="display:none;">
       <h2 class="page-title">Print Bill</h2>
@@ -527,12 +894,77 @@
       <div class="bill-wrap no-print">
         <div class="field" style="margin:0;"><label>Order number</label><input id="bill-lookup" type="text" placeholder="e.g. 0001" aria-label="Order number to look up"></div>
         <button class="btn btn-primary" id="bill-find-btn" aria-label="Find bill for this order number">Find bill</button>
+        <button class="btn btn-ghost" id="bill-scan-btn" aria-label="Scan a garment tag with the camera to open its order" title="Scan with camera"><span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 7V4h3M21 7V4h-3M3 17v3h3M21 17v3h-3M7 8v8M10 8v8M13 8v8M17 8v8"/></svg></span>Scan</button>
         <button class="btn btn-teal" id="bill-print-btn" style="display:none;" aria-label="Print this bill" title="Print"><span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M6 9V2h12v7M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg></span>Print</button>
         <button class="btn btn-teal" id="bill-download-btn" style="display:none;" aria-label="Download this bill as an image" title="Download as image"><span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4M7 10l5 5 5-5M12 15V3"/></svg></span>Download</button>
         <a class="btn btn-whatsapp" id="bill-whatsapp-btn" href="#" target="_blank" rel="noopener" style="display:none;" aria-label="Send this bill on WhatsApp" title="Send on WhatsApp"><span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="currentColor"><path d="M17.6 6.3A8.9 8.9 0 0 0 4 17.4L3 22l4.7-1a9 9 0 0 0 4.3 1.1A8.9 8.9 0 0 0 17.6 6.3zm-5.6 13.7a7.4 7.4 0 0 1-3.8-1l-.3-.2-2.8.7.7-2.7-.2-.3a7.4 7.4 0 1 1 13.8-3.7 7.4 7.4 0 0 1-7.4 7.2zm4.1-5.5c-.2-.1-1.3-.7-1.6-.7-.2-.1-.4-.1-.5.1s-.6.7-.7.9-.3.2-.5.1a6 6 0 0 1-1.8-1.1 6.6 6.6 0 0 1-1.2-1.5c-.1-.2 0-.4.1-.5l.4-.4.2-.3a.5.5 0 0 0 0-.4c-.1-.1-.5-1.3-.7-1.7-.2-.5-.4-.4-.5-.4h-.5a.9.9 0 0 0-.6.3 2.7 2.7 0 0 0-.9 2 4.7 4.7 0 0 0 1 2.5 10.7 10.7 0 0 0 4.1 3.6c.6.2 1 .4 1.4.5a3.3 3.3 0 0 0 1.5.1 2.5 2.5 0 0 0 1.6-1.1 1.9 1.9 0 0 0 .2-1.1c-.1-.1-.3-.2-.5-.3z"/></svg></span>Send WhatsApp</a>
+        <button class="btn btn-ghost" id="bill-record-payment-btn" style="display:none;" aria-label="Record a payment against this bill" title="Record payment"><span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><path d="M8 12l3 3 5-6"/></svg></span>Record payment</button>
         <a class="btn btn-payment" id="bill-payment-btn" href="#" target="_blank" rel="noopener" style="display:none;" aria-label="Open payment link for this bill" title="Collect payment"><span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="5" width="20" height="14" rx="2"/><path d="M2 10h20M6 15h4"/></svg></span>Payment</a>
       </div>
+      <div class="filter-row no-print" id="bill-layout-row">
+        <button type="button" class="filter-chip active" data-layout="bill" aria-label="Show the customer bill">Bill</button>
+        <button type="button" class="filter-chip" data-layout="invoice" aria-label="Show the GST tax invoice">Tax invoice</button>
+        <button type="button" class="filter-chip" data-layout="receipt" aria-label="Show the narrow thermal printer receipt">Receipt</button>
+        <button type="button" class="filter-chip" data-layout="jobcard" aria-label="Show the workroom job card with measurements">Job card</button>
+        <button type="button" class="filter-chip" data-layout="tags" aria-label="Show barcode tags to pin on each garment">Garment tags</button>
+      </div>
+      <div class="bill-wrap no-print" id="bill-receipt-tools" style="display:none;">
+        <div class="field" style="margin:0;"><label for="receipt-width">Paper width</label>
+          <select id="receipt-width" aria-label="Thermal paper width">
+            <option value="58">58 mm (32 characters)</option>
+            <option value="80">80 mm (48 characters)</option>
+          </select>
+        </div>
+        <div class="field" style="margin:0;"><label for="receipt-conn">Printer connection</label>
+          <select id="receipt-conn" aria-label="How the thermal printer is connected">
+            <option value="serial">Serial / Bluetooth (Web Serial)</option>
+            <option value="usb">USB (WebUSB)</option>
+          </select>
+        </div>
+        <button type="button" class="btn btn-teal" id="receipt-send-btn" aria-label="Send this receipt to a thermal printer">Send to printer</button>
+        <button type="button" class="btn btn-ghost" id="receipt-escpos-btn" aria-label="Download this receipt as ESC/POS printer bytes">Download ESC/POS</button>
+      </div>
       <div id="bill-result"></div>
+      <div id="bill-fittings" class="no-print"></div>
+      <div id="bill-timeline" class="no-print"></div>
+    </section>
+
+    <!-- CALENDAR -->
+    <section id="view-calendar" class="view" style="display:none;">
+      <h2 class="page-title">Delivery Calendar</h2>
+      <p class="page-sub">Orders due per day with piece counts by item. Days over the limits set in Shop Settings are marked red.</p>
+      <div class="no-print" style="display:flex; align-items:center; justify-content:space-between; gap:14px; flex-wrap:wrap; margin-bottom:14px;">
+        <div style="display:flex; align-items:center; gap:8px;">
+          <button type="button" class="btn btn-ghost" id="cal-prev-btn" aria-label="Previous period">‹</button>
+          <strong id="cal-title" class="cal-title"></strong>
+          <button type="button" class="btn btn-ghost" id="cal-next-btn" aria-label="Next period">›</button>
+          <button type="button" class="btn btn-ghost" id="cal-today-btn" aria-label="Jump to today">Today</button>
+        </div>
+        <div class="filter-row" id="cal-mode-row" style="margin:0;">
+          <button type="button" class="filter-chip active" data-cal-mode="month" aria-label="Show a month">Month</button>
+          <button type="button" class="filter-chip" data-cal-mode="week" aria-label="Show a week">Week</button>
+        </div>
+      </div>
+      <div class="card" style="padding:14px;"><div class="cal-grid" id="cal-grid"></div></div>
+      <div id="cal-day-list"></div>
+    </section>
+
+    <!-- BOARD -->
+    <section id="view-board" class="view" style="display:none;">
+      <h2 class="page-title">Workroom Board</h2>
+      <p class="page-sub">Drag an order to the next column (or use its arrow button). Every move is kept in the order's timeline under the signed-in user.</p>
+      <div class="board" id="board"></div>
+    </section>
+
+    <!-- MEASUREMENTS -->
+    <section id="view-measurements" class="view" style="display:none;">
+      <h2 class="page-title">Measurements</h2>
+      <p class="page-sub">Saved measurements per customer and garment. Every change is kept as a new version.</p>
+      <div class="bill-wrap no-print">
+        <div class="field" style="margin:0;"><label>Customer mobile</label><input id="ms-lookup" type="tel" inputmode="numeric" maxlength="10" placeholder="e.g. 9880012345" aria-label="Customer mobile number to look up"></div>
+        <button class="btn btn-primary" id="ms-find-btn" aria-label="Find measurements for this mobile number">Find</button>
+      </div>
+      <div id="ms-result"></div>
     </section>
 
     <!-- PRICES -->
@@ -579,6 +1011,9 @@
               <option value="yes">On — let staff tick "Apply tax" per order</option>
             </select>
           </div>
+          <div class="field"><label>Shop GSTIN</label><input type="text" id="tax-gstin" maxlength="15" placeholder="e.g. 29ABCDE1234F1Z5" disabled aria-label="Shop GSTIN printed on tax invoices" style="text-transform:uppercase;"></div>
+          <div class="field"><label>Default HSN / SAC</label><input type="text" id="tax-sac" placeholder="e.g. 998821" disabled aria-label="HSN or SAC code used for items and charges without their own code"></div>
+          <div class="field"><label>Invoice number prefix</label><input type="text" id="tax-invoice-prefix" maxlength="6" placeholder="INV" disabled aria-label="Prefix for invoice numbers, e.g. INV gives INV/2025-26/0001"></div>
         </div>
         <button type="submit" class="btn btn-primary" id="tax-save-btn" disabled aria-label="Save tax settings">Save tax settings</button>
       </form>
@@ -590,7 +1025,6 @@
           <button type="button" class="btn btn-ghost" id="prices-add-product-btn" style="display:none;" aria-label="Add a new work item to the price list">
             <span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 5v14M5 12h14"/></svg></span>Add work item
           </button>
-          <button type="button" class="btn btn-ghost" id="prices-change-pw-btn" style="display:none;" aria-label="Change the shared password">Change password</button>
           <label class="toggle-switch" aria-label="Unlock price list for editing">
             <input type="checkbox" id="prices-unlock-toggle">
             <span class="toggle-slider"></span>
@@ -599,6 +1033,9 @@
       </div>
       <form id="prices-form" class="card">
         <div class="product-grid" id="prices-grid"></div>
+        <h3 class="dash-section-title">Express delivery surcharge</h3>
+        <p class="hint" style="margin-top:-6px;">Orders due within this many days of booking pay the extra percentage on their stitching. Leave a row at 0 to skip it.</p>
+        <div class="grid" id="express-rules"></div>
         <div class="tape"></div>
         <button type="submit" class="btn btn-primary" id="prices-save-btn" disabled aria-label="Save price list">Save prices</button>
       </form>
@@ -661,6 +1098,10 @@
         <div class="grid">
           <div class="field"><label>Hours / holiday note</label><input id="s-hours" type="text" placeholder="e.g. Lunch 2:00–4:00 · Sunday holiday" disabled></div>
           <div class="field"><label>Delivery timings note</label><input id="s-delivery-note" type="text" placeholder="e.g. Delivery timings: 5:30 PM – 8:30 PM" disabled></div>
+          <div class="field"><label>Opens at</label><input id="s-open-time" type="time" disabled></div>
+          <div class="field"><label>Closes at</label><input id="s-close-time" type="time" disabled></div>
+          <div class="field"><label>Fitting slot (minutes)</label><input id="s-fitting-minutes" type="number" min="10" step="5" disabled></div>
+          <p class="hint full" style="margin:0;">Fittings are booked between opening and closing time. Breaks and weekly holidays written in the hours note (e.g. "Lunch 2:00–4:00 · Sunday holiday") are kept free.</p>
           <div class="field full"><label>Liability note</label><input id="s-liability" type="text" placeholder="e.g. Our liability for delivery ends 30 days after the due date." disabled></div>
           <div class="field full"><label>Thank you / greeting message</label><input id="s-thanks" type="text" placeholder="e.g. Thank you! Welcome again" disabled></div>
         </div>
@@ -668,6 +1109,93 @@
         <button type="submit" class="btn btn-primary" id="settings-save-btn" disabled aria-label="Save shop details">Save shop details</button>
       </form>
 
+      <h3 class="dash-section-title">Language</h3>
+      <p class="page-sub" style="margin-top:-4px;">Each counter picks its own app language. The bill language is shared by the whole shop, so customers get the same bill from every counter.</p>
+      <div class="card" id="language-card">
+        <div class="grid">
+          <div class="field"><label for="lang-ui">App language (this counter)</label><select id="lang-ui"></select></div>
+          <div class="field"><label for="lang-bill">Bill language</label><select id="lang-bill"></select></div>
+        </div>
+        <label style="display:flex; align-items:center; gap:8px; margin-top:10px;"><input type="checkbox" id="lang-digits" style="width:auto;"> Show numbers in the language's own digits</label>
+        <p class="hint" style="margin-top:10px;">Thermal receipts and CSV exports stay in English so every printer and spreadsheet can read them.</p>
+      </div>
+
+      <h3 class="dash-section-title">Delivery capacity</h3>
+      <p class="page-sub" style="margin-top:-4px;">How much the workroom can finish in a day. New orders get the earliest date with room, and overloaded dates are flagged on the order form.</p>
+      <div class="card no-print" style="display:flex; align-items:center; justify-content:space-between; gap:14px; flex-wrap:wrap;">
+        <div class="lock-status-text" id="capacity-lock-status"></div>
+        <label class="toggle-switch" aria-label="Unlock delivery capacity for editing">
+          <input type="checkbox" id="capacity-unlock-toggle">
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+      <form id="capacity-form" class="card">
+        <div class="grid">
+          <div class="field"><label for="cap-lead">Minimum days to deliver</label><input id="cap-lead" type="number" min="0" disabled></div>
+          <div class="field"><label for="cap-per-day">Max pieces per day (0 = no limit)</label><input id="cap-per-day" type="number" min="0" disabled></div>
+        </div>
+        <h3 class="dash-section-title" style="margin-top:4px;">Per item (0 = no limit)</h3>
+        <div class="grid" id="cap-products"></div>
+        <h3 class="dash-section-title" style="margin-top:4px;">Closed on</h3>
+        <div id="cap-closed" style="display:flex; gap:16px; flex-wrap:wrap; margin-bottom:14px;"></div>
+        <button type="submit" class="btn btn-primary" id="capacity-save-btn" disabled aria-label="Save delivery capacity">Save capacity</button>
+      </form>
+
+      <h3 class="dash-section-title">Staff</h3>
+      <p class="page-sub" style="margin-top:-4px;">Cutters, stitchers and counter staff — used for order assignment. People who sign in are set up under Users below.</p>
+      <div class="card no-print" style="display:flex; align-items:center; justify-content:space-between; gap:14px; flex-wrap:wrap;">
+        <div class="lock-status-text" id="staff-lock-status"></div>
+        <label class="toggle-switch" aria-label="Unlock staff for editing">
+          <input type="checkbox" id="staff-unlock-toggle">
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+      <div class="card">
+        <ul class="charges-list" id="staff-list"></ul>
+        <div class="chg-add-row no-print" id="staff-add-row" style="display:none;">
+          <input type="text" id="staff-new-name" placeholder="e.g. Lakshmi">
+          <select id="staff-new-role" aria-label="Role of the new staff member" style="max-width:160px;">
+            <option value="stitcher">Stitcher</option>
+            <option value="cutter">Cutter</option>
+            <option value="counter">Counter</option>
+          </select>
+          <button type="button" class="btn btn-ghost" id="staff-add-btn" aria-label="Add a staff member"><span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 5v14M5 12h14"/></svg></span>Add</button>
+        </div>
+      </div>
+
+      <h3 class="dash-section-title">Users &amp; permissions</h3>
+      <p class="page-sub" style="margin-top:-4px;">Everyone signs in with their own PIN. The owner can do everything; tick what counter staff and tailors may do.</p>
+      <div class="card no-print" style="display:flex; align-items:center; justify-content:space-between; gap:14px; flex-wrap:wrap;">
+        <div class="lock-status-text" id="users-lock-status"></div>
+        <label class="toggle-switch" aria-label="Unlock users and permissions for editing">
+          <input type="checkbox" id="users-unlock-toggle">
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+      <div class="card">
+        <ul class="charges-list" id="users-list"></ul>
+        <div class="chg-add-row no-print" id="users-add-row" style="display:none;">
+          <input type="text" id="users-new-name" placeholder="e.g. Meena">
+          <select id="users-new-role" aria-label="Role of the new user" style="max-width:160px;">
+            <option value="counter">Counter staff</option>
+            <option value="tailor">Tailor</option>
+            <option value="owner">Owner</option>
+          </select>
+          <button type="button" class="btn btn-ghost" id="users-add-btn" aria-label="Add a user and set their PIN"><span class="icon" aria-hidden="true"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 5v14M5 12h14"/></svg></span>Add</button>
+        </div>
+        <div id="role-perms" style="overflow-x:auto; margin-top:14px;"></div>
+      </div>
+
+      <h3 class="dash-section-title">Activity log</h3>
+      <div class="filter-row no-print" id="activity-filters" style="display:none; gap:10px; flex-wrap:wrap; align-items:flex-end;">
+        <div class="field" style="max-width:180px; margin-bottom:0;"><label for="act-user">User</label><select id="act-user"></select></div>
+        <div class="field" style="max-width:180px; margin-bottom:0;"><label for="act-action">Action</label><select id="act-action"></select></div>
+        <div class="field" style="max-width:220px; margin-bottom:0;"><label for="act-search">Search</label><input id="act-search" type="text" placeholder="Order #, name, setting…"></div>
+        <div class="field" style="max-width:160px; margin-bottom:0;"><label for="act-from">From</label><input id="act-from" type="date"></div>
+        <div class="field" style="max-width:160px; margin-bottom:0;"><label for="act-to">To</label><input id="act-to" type="date"></div>
+      </div>
+      <div class="card"><ul class="dash-list" id="activity-list"></ul></div>
+
       <h3 class="dash-section-title">Payments</h3>
       <div class="card no-print" style="display:flex; align-items:center; justify-content:space-between; gap:14px; flex-wrap:wrap;">
         <div class="lock-status-text" id="payments-lock-status"></div>
@@ -688,6 +1216,56 @@
         </div>
         <button type="submit" class="btn btn-primary" id="payments-save-btn" disabled aria-label="Save payment settings">Save payment settings</button>
       </form>
+
+      <h3 class="dash-section-title">Backup &amp; restore</h3>
+      <p class="page-sub" style="margin-top:-4px;">One file with every order, price, setting and log. Keep a copy somewhere other than this device.</p>
+      <div class="card no-print">
+        <div style="display:flex; align-items:center; gap:8px; flex-wrap:wrap;">
+          <button type="button" class="btn btn-teal" id="backup-download-btn" aria-label="Download a backup of all shop data">Download backup</button>
+          <label class="btn btn-ghost" for="restore-file" aria-label="Choose a backup file to restore">Restore from file…</label>
+          <input type="file" id="restore-file" accept="application/json,.json" style="display:none;">
+          <span class="lock-status-text" id="backup-last"></span>
+        </div>
+        <div id="restore-preview"></div>
+      </div>
+
+      <h3 class="dash-section-title">Devices &amp; sync</h3>
+      <p class="page-sub" style="margin-top:-4px;">Counters sharing this shop merge their orders and expenses with each other on load and on every save. Prices, settings and the other lists are saved whole — the last save wins.</p>
+      <div class="card no-print">
+        <div class="grid">
+          <div class="field"><label for="sync-device-name">This device</label><input id="sync-device-name" type="text" placeholder="e.g. Front counter"></div>
+        </div>
+        <div style="display:flex; align-items:center; gap:8px; flex-wrap:wrap;">
+          <button type="button" class="btn btn-teal" id="sync-now-btn" aria-label="Sync orders and expenses with the other devices now">Sync now</button>
+          <span class="lock-status-text" id="sync-status"></span>
+        </div>
+        <ul class="dash-list" id="sync-devices"></ul>
+      </div>
+      <div id="sync-conflicts"></div>
+    </section>
+
+    <!-- REPORTS -->
+    <section id="view-reports" class="view" style="display:none;">
+      <h2 class="page-title">Reports</h2>
+      <p class="page-sub">Registers and summaries for the accountant. Pick a report and a period, then download it as CSV, Excel or PDF.</p>
+      <div class="filter-row no-print" id="rep-type-row"></div>
+      <div class="filter-row no-print" id="rep-range-row" style="align-items:flex-end; gap:10px;">
+        <div class="field" style="max-width:180px; margin-bottom:0;"><label for="rep-from">From</label><input id="rep-from" type="date"></div>
+        <div class="field" style="max-width:180px; margin-bottom:0;"><label for="rep-to">To</label><input id="rep-to" type="date"></div>
+        <button type="button" class="btn btn-ghost" id="rep-this-month-btn">This month</button>
+        <button type="button" class="btn btn-ghost" id="rep-last-month-btn">Last month</button>
+      </div>
+      <h3 class="dash-section-title" id="rep-title"></h3>
+      <p class="page-sub" id="rep-note" style="margin-top:-4px;"></p>
+      <div class="no-print" style="display:flex; gap:8px; flex-wrap:wrap; margin-bottom:12px;">
+        <button type="button" class="btn btn-teal" id="rep-csv-btn" aria-label="Download this report as CSV">CSV</button>
+        <button type="button" class="btn btn-teal" id="rep-xlsx-btn" aria-label="Download this report as an Excel workbook">Excel</button>
+        <button type="button" class="btn btn-teal" id="rep-pdf-btn" aria-label="Download this report as a PDF">PDF</button>
+      </div>
+      <div class="card" style="padding:0; overflow-x:auto;">
+        <table id="rep-table"></table>
+        <div id="rep-empty" class="empty" style="display:none; margin:20px;">Nothing in this period.</div>
+      </div>
     </section>
 
     <!-- ANALYTICS -->
@@ -695,12 +1273,27 @@
       <h2 class="page-title">Analytics</h2>
       <p class="page-sub">Trends across all saved orders.</p>
       <div class="stat-grid" id="an-stats"></div>
-      <h3 class="dash-section-title" style="margin-top:0;">Revenue — last 6 months</h3>
-      <div class="card"><div class="bar-chart" id="an-bar-chart"></div></div>
+      <div class="grid" style="align-items:start;">
+        <div>
+          <h3 class="dash-section-title" style="margin-top:0;">Revenue — last 6 months</h3>
+          <div class="card"><div class="bar-chart" id="an-bar-chart"></div></div>
+        </div>
+        <div>
+          <h3 class="dash-section-title" style="margin-top:0;">Profit &amp; loss — last 6 months</h3>
+          <div class="card" style="padding:0; overflow-x:auto;">
+            <table id="an-pnl">
+              <thead><tr><th>Month</th><th>Revenue (before GST)</th><th>Expenses</th><th>Profit</th><th>Margin</th></tr></thead>
+              <tbody id="an-pnl-tbody"></tbody>
+            </table>
+          </div>
+        </div>
+      </div>
       <h3 class="dash-section-title">Orders by status</h3>
       <div class="card" id="an-status-breakdown"></div>
       <h3 class="dash-section-title">Top products</h3>
       <div class="card" id="an-top-products"></div>
+      <h3 class="dash-section-title">Alterations &amp; rework rate</h3>
+      <div class="card" id="an-rework"></div>
       <h3 class="dash-section-title">By customer</h3>
       <div class="card" style="padding:0; overflow-x:auto;">
         <table id="an-customer-table">
@@ -739,6 +1332,23 @@
     document.head.appendChild(script);
   }
 
+  // Report exports: SheetJS for .xlsx, jsPDF + AutoTable for PDF. async=false keeps
+  // AutoTable from running before jsPDF has defined itself.
+  function injectExportLibs() {
+    [
+      ['tailor-xlsx-script', 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js', window.XLSX],
+      ['tailor-jspdf-script', 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js', window.jspdf],
+      ['tailor-jspdf-autotable-script', 'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.8.2/jspdf.plugin.autotable.min.js', null]
+    ].forEach(function (lib) {
+      if (lib[2] || document.getElementById(lib[0])) return;
+      var script = document.createElement('script');
+      script.id = lib[0];
+      script.src = lib[1];
+      script.async = false;
+      document.head.appendChild(script);
+    });
+  }
+
   function injectCss() {
     var style = document.createElement('style');
     style.setAttribute('data-source', 'tailormain.js');
@@ -760,6 +1370,7 @@
 
   injectFonts();
   injectHtml2Canvas();
+  injectExportLibs();
   injectCss();
   injectMarkup();
 })();